@@ -1,6 +1,17 @@
 const { ipcMain, dialog } = require('electron');
-const { join } = require('path');
+const { basename, dirname, join } = require('path');
 const ErrorHandler = require('../services/errorHandler.js');
+const { isCancellationError, throwIfCancelled } = require('../utils/cancellation.js');
+const { listOutputFormats, getOutputFormat, supportsChapters, normalizeFormatOptions, estimateBytesPerSecond } = require('../utils/outputFormats.js');
+const { normalizeMetadata, resolveMetadata } = require('../utils/audioMetadata.js');
+const { normalizeSplitOptions, planParts, getPartChapters, getPartCues, getPartFileName, buildPlaylist, buildIndex } = require('../utils/outputSplitter.js');
+
+// Open dialog filters for the text and SSML files a conversion can read
+const TEXT_FILE_FILTERS = [
+    { name: 'Text Files', extensions: ['txt'] },
+    { name: 'SSML Files', extensions: ['ssml', 'xml'] },
+    { name: 'All Files', extensions: ['*'] }
+];
 
 /**
  * IPC Handlers Module
@@ -28,6 +39,18 @@ class IPCHandlers {
         // TTS operations
         this.setupTTSHandlers();
         
+        // Voice browser operations
+        this.setupVoiceBrowserHandlers();
+        
+        // Pronunciation lexicon operations
+        this.setupLexiconHandlers();
+        
+        // Voice profile operations
+        this.setupProfileHandlers();
+        
+        // Synthesis cache operations
+        this.setupCacheHandlers();
+        
         // File operations
         this.setupFileHandlers();
         
@@ -111,8 +134,9 @@ class IPCHandlers {
 
         ipcMain.handle('tts:convert', async (event, conversionData) => {
             try {
-                this.validateConversionData(conversionData);
-                return await this.handleConversionWithRetry(conversionData);
+                const request = this.resolveVoiceProfile(conversionData);
+                this.validateConversionData(request);
+                return await this.handleConversionWithRetry(request);
             } catch (error) {
                 this.handleError('tts:convert', error);
                 
@@ -157,6 +181,7 @@ class IPCHandlers {
                         this.mainWindow.webContents.send('voices:loaded', {
                             voices: result.voices,
                             attempts: result.attempts || 1,
+                            fromCache: Boolean(result.fromCache),
                             success: true
                         });
                     } else {
@@ -196,6 +221,60 @@ class IPCHandlers {
             }
         });
 
+        ipcMain.handle('tts:getEngines', async () => {
+            try {
+                return await this.services.ttsService.getEngines();
+            } catch (error) {
+                this.handleError('tts:getEngines', error);
+                throw this.createSecureError('Failed to get TTS engines', error);
+            }
+        });
+
+        ipcMain.handle('tts:setEngine', async (event, engineName) => {
+            try {
+                this.validateInput(engineName, 'string', 'Engine name is required');
+                return await this.handleEngineChange(engineName);
+            } catch (error) {
+                this.handleError('tts:setEngine', error);
+                throw this.createSecureError('Failed to switch TTS engine', error);
+            }
+        });
+
+        ipcMain.handle('tts:validateSSML', (event, ssml) => {
+            try {
+                this.validateInput(ssml, 'string', 'SSML text is required');
+                return this.services.ttsService.validateSSML(ssml);
+            } catch (error) {
+                this.handleError('tts:validateSSML', error);
+                throw this.createSecureError('Failed to validate SSML', error);
+            }
+        });
+
+        ipcMain.handle('tts:parseDialogue', (event, script) => {
+            try {
+                this.validateInput(script, 'string', 'Dialogue script is required');
+                return this.services.ttsService.parseDialogueScript(script);
+            } catch (error) {
+                this.handleError('tts:parseDialogue', error);
+                throw this.createSecureError('Failed to parse dialogue script', error);
+            }
+        });
+
+        ipcMain.handle('tts:normalizeText', (event, data) => {
+            try {
+                this.validateInput(data, 'object', 'Normalization request is required');
+                this.validateInput(data.text, 'string', 'Text is required');
+                this.validateInput(data.voice, 'string', 'Voice is required');
+                if (data.rules !== undefined) {
+                    this.validateNormalizationRules(data.rules);
+                }
+                return this.services.ttsService.normalizeText(data.text, data.voice, data.rules);
+            } catch (error) {
+                this.handleError('tts:normalizeText', error);
+                throw this.createSecureError('Failed to normalize text', error);
+            }
+        });
+
         ipcMain.handle('tts:getTroubleshootingSteps', () => {
             try {
                 return this.services.ttsService.getTroubleshootingSteps();
@@ -206,6 +285,312 @@ class IPCHandlers {
         });
     }
 
+    /**
+     * Setup voice browser IPC handlers
+     * Searching and filtering happen here so the renderer never has to
+     * filter the full voice list itself
+     */
+    setupVoiceBrowserHandlers() {
+        ipcMain.handle('voices:search', async (event, query = {}) => {
+            try {
+                this.validateInput(query, 'object', 'Search query is required');
+                const { favoriteVoices } = await this.services.settingsManager.loadSettings();
+                return await this.services.ttsService.searchVoices(query, favoriteVoices || []);
+            } catch (error) {
+                this.handleError('voices:search', error);
+                throw this.createSecureError('Failed to search voices', error);
+            }
+        });
+
+        ipcMain.handle('voices:getFacets', async () => {
+            try {
+                return await this.services.ttsService.getVoiceFacets();
+            } catch (error) {
+                this.handleError('voices:getFacets', error);
+                throw this.createSecureError('Failed to get voice filters', error);
+            }
+        });
+
+        ipcMain.handle('voices:setFavorite', async (event, voiceId, favorite) => {
+            try {
+                this.validateInput(voiceId, 'string', 'Voice ID is required');
+                const { favoriteVoices } = await this.services.settingsManager.loadSettings();
+                const favorites = (favoriteVoices || []).filter(id => id !== voiceId);
+                if (favorite) {
+                    favorites.push(voiceId);
+                }
+
+                await this.services.settingsManager.updateSetting('favoriteVoices', favorites);
+                return favorites;
+            } catch (error) {
+                this.handleError('voices:setFavorite', error);
+                throw this.createSecureError('Failed to update favorite voices', error);
+            }
+        });
+
+        ipcMain.handle('voices:playSample', async (event, voiceId) => {
+            try {
+                this.validateInput(voiceId, 'string', 'Voice ID is required');
+                const { samplePath, cached } = await this.services.ttsService.getVoiceSample(voiceId);
+                await this.services.audioProcessor.playAudioFile(samplePath);
+                return { success: true, cached };
+            } catch (error) {
+                this.handleError('voices:playSample', error);
+                throw this.createSecureError('Failed to play voice sample', error);
+            }
+        });
+    }
+
+    /**
+     * Setup synthesis cache IPC handlers
+     */
+    setupCacheHandlers() {
+        ipcMain.handle('cache:getStats', async () => {
+            try {
+                return await this.services.ttsService.getSynthesisCacheStats();
+            } catch (error) {
+                this.handleError('cache:getStats', error);
+                throw this.createSecureError('Failed to get cache statistics', error);
+            }
+        });
+
+        ipcMain.handle('cache:clear', async () => {
+            try {
+                return await this.services.ttsService.clearSynthesisCache();
+            } catch (error) {
+                this.handleError('cache:clear', error);
+                throw this.createSecureError('Failed to clear cache', error);
+            }
+        });
+
+        ipcMain.handle('cache:setLimit', async (event, megabytes) => {
+            try {
+                this.validateInput(megabytes, 'number', 'Cache size limit is required');
+                if (megabytes < 50 || megabytes > 10000) {
+                    throw new Error('Cache size limit must be between 50 and 10000 MB');
+                }
+
+                await this.services.ttsService.setSynthesisCacheLimit(megabytes);
+                await this.services.settingsManager.updateSetting('synthesisCacheMaxMb', megabytes);
+                return await this.services.ttsService.getSynthesisCacheStats();
+            } catch (error) {
+                this.handleError('cache:setLimit', error);
+                throw this.createSecureError('Failed to change cache size limit', error);
+            }
+        });
+    }
+
+    /**
+     * Setup pronunciation lexicon IPC handlers
+     * Entry edits report validation problems in the result instead of
+     * throwing so the settings form can show them next to the entry
+     */
+    setupLexiconHandlers() {
+        ipcMain.handle('lexicon:list', () => {
+            try {
+                return this.services.lexiconManager.getEntries();
+            } catch (error) {
+                this.handleError('lexicon:list', error);
+                throw this.createSecureError('Failed to load pronunciation lexicon', error);
+            }
+        });
+
+        ipcMain.handle('lexicon:add', async (event, entry) => {
+            try {
+                this.validateInput(entry, 'object', 'Lexicon entry is required');
+                return { success: true, entry: await this.services.lexiconManager.addEntry(entry) };
+            } catch (error) {
+                this.handleError('lexicon:add', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('lexicon:update', async (event, id, changes) => {
+            try {
+                this.validateInput(id, 'string', 'Lexicon entry ID is required');
+                this.validateInput(changes, 'object', 'Lexicon entry changes are required');
+                return { success: true, entry: await this.services.lexiconManager.updateEntry(id, changes) };
+            } catch (error) {
+                this.handleError('lexicon:update', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('lexicon:remove', async (event, id) => {
+            try {
+                this.validateInput(id, 'string', 'Lexicon entry ID is required');
+                return await this.services.lexiconManager.removeEntry(id);
+            } catch (error) {
+                this.handleError('lexicon:remove', error);
+                throw this.createSecureError('Failed to remove lexicon entry', error);
+            }
+        });
+
+        ipcMain.handle('lexicon:import', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Lexicon Files', extensions: ['csv', 'pls', 'xml'] },
+                        { name: 'CSV Files', extensions: ['csv'] },
+                        { name: 'Pronunciation Lexicon (PLS)', extensions: ['pls', 'xml'] }
+                    ]
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return null;
+                }
+
+                const summary = await this.services.lexiconManager.importFile(result.filePaths[0]);
+                return { ...summary, entries: this.services.lexiconManager.getEntries() };
+            } catch (error) {
+                this.handleError('lexicon:import', error);
+                throw this.createSecureError('Failed to import pronunciation lexicon', error);
+            }
+        });
+
+        ipcMain.handle('lexicon:export', async (event, format, language) => {
+            try {
+                if (format !== 'csv' && format !== 'pls') {
+                    throw new Error('Export format must be csv or pls');
+                }
+
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    defaultPath: `lexicon.${format}`,
+                    filters: format === 'csv'
+                        ? [{ name: 'CSV Files', extensions: ['csv'] }]
+                        : [{ name: 'Pronunciation Lexicon (PLS)', extensions: ['pls'] }]
+                });
+
+                if (result.canceled || !result.filePath) {
+                    return null;
+                }
+
+                const summary = await this.services.lexiconManager.exportFile(
+                    result.filePath,
+                    typeof language === 'string' && language ? language : undefined
+                );
+                return { filePath: result.filePath, ...summary };
+            } catch (error) {
+                this.handleError('lexicon:export', error);
+                throw this.createSecureError('Failed to export pronunciation lexicon', error);
+            }
+        });
+    }
+
+    /**
+     * Setup voice profile IPC handlers
+     * Edits report validation problems in the result instead of throwing so
+     * the profile controls can show them
+     */
+    setupProfileHandlers() {
+        ipcMain.handle('profiles:list', () => {
+            try {
+                return this.services.profileManager.getProfiles();
+            } catch (error) {
+                this.handleError('profiles:list', error);
+                throw this.createSecureError('Failed to load voice profiles', error);
+            }
+        });
+
+        ipcMain.handle('profiles:create', async (event, profile) => {
+            try {
+                this.validateInput(profile, 'object', 'Voice profile is required');
+                return { success: true, profile: await this.services.profileManager.createProfile(profile) };
+            } catch (error) {
+                this.handleError('profiles:create', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('profiles:update', async (event, id, changes) => {
+            try {
+                this.validateInput(id, 'string', 'Voice profile ID is required');
+                this.validateInput(changes, 'object', 'Voice profile changes are required');
+                return { success: true, profile: await this.services.profileManager.updateProfile(id, changes) };
+            } catch (error) {
+                this.handleError('profiles:update', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('profiles:rename', async (event, id, name) => {
+            try {
+                this.validateInput(id, 'string', 'Voice profile ID is required');
+                this.validateInput(name, 'string', 'Profile name is required');
+                return { success: true, profile: await this.services.profileManager.renameProfile(id, name) };
+            } catch (error) {
+                this.handleError('profiles:rename', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('profiles:duplicate', async (event, id, name) => {
+            try {
+                this.validateInput(id, 'string', 'Voice profile ID is required');
+                return { success: true, profile: await this.services.profileManager.duplicateProfile(id, name || undefined) };
+            } catch (error) {
+                this.handleError('profiles:duplicate', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('profiles:remove', async (event, id) => {
+            try {
+                this.validateInput(id, 'string', 'Voice profile ID is required');
+                return await this.services.profileManager.removeProfile(id);
+            } catch (error) {
+                this.handleError('profiles:remove', error);
+                throw this.createSecureError('Failed to remove voice profile', error);
+            }
+        });
+
+        ipcMain.handle('profiles:import', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile'],
+                    filters: [{ name: 'Voice Profiles', extensions: ['json'] }]
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return null;
+                }
+
+                const summary = await this.services.profileManager.importFile(result.filePaths[0]);
+                return { ...summary, profiles: this.services.profileManager.getProfiles() };
+            } catch (error) {
+                this.handleError('profiles:import', error);
+                throw this.createSecureError('Failed to import voice profiles', error);
+            }
+        });
+
+        ipcMain.handle('profiles:export', async (event, ids) => {
+            try {
+                if (ids !== undefined && ids !== null && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+                    throw new Error('Profile IDs must be a list of strings');
+                }
+
+                const single = Array.isArray(ids) && ids.length === 1
+                    ? this.services.profileManager.getProfile(ids[0])
+                    : null;
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    defaultPath: `${single ? single.name.replace(/[<>:"/\\|?*]/g, '_') : 'voice-profiles'}.json`,
+                    filters: [{ name: 'Voice Profiles', extensions: ['json'] }]
+                });
+
+                if (result.canceled || !result.filePath) {
+                    return null;
+                }
+
+                const summary = await this.services.profileManager.exportFile(result.filePath, ids || null);
+                return { filePath: result.filePath, ...summary };
+            } catch (error) {
+                this.handleError('profiles:export', error);
+                throw this.createSecureError('Failed to export voice profiles', error);
+            }
+        });
+    }
+
     /**
      * Setup file operation IPC handlers
      */
@@ -214,10 +599,7 @@ class IPCHandlers {
             try {
                 const result = await dialog.showOpenDialog(this.mainWindow, {
                     properties: ['openFile'],
-                    filters: [
-                        { name: 'Text Files', extensions: ['txt'] },
-                        { name: 'All Files', extensions: ['*'] }
-                    ]
+                    filters: TEXT_FILE_FILTERS
                 });
 
                 if (result.canceled || result.filePaths.length === 0) {
@@ -239,6 +621,37 @@ class IPCHandlers {
             }
         });
 
+        ipcMain.handle('file:selectChapterFiles', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile', 'multiSelections'],
+                    filters: TEXT_FILE_FILTERS
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return null;
+                }
+
+                // Each file becomes one chapter. The dialog does not report the order the files
+                // were clicked in, so chapters follow the file names ("Chapter 2" before "Chapter 10").
+                // Chapters are planned from plain text, so SSML files are read without their markup.
+                const files = [];
+                for (const filePath of this.services.fileManager.sortByFileName(result.filePaths)) {
+                    const content = await this.services.fileManager.readTextFile(filePath);
+                    files.push({
+                        content: /\.(ssml|xml)$/i.test(filePath) ? this.services.ttsService.getSSMLText(content) : content,
+                        fileName: basename(filePath),
+                        filePath
+                    });
+                }
+
+                return { files };
+            } catch (error) {
+                this.handleError('file:selectChapterFiles', error);
+                throw this.createSecureError('File selection failed', error);
+            }
+        });
+
         ipcMain.handle('file:selectFolder', async () => {
             try {
                 const result = await dialog.showOpenDialog(this.mainWindow, {
@@ -261,6 +674,30 @@ class IPCHandlers {
             }
         });
 
+        ipcMain.handle('file:selectCoverImage', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Images', extensions: ['jpg', 'jpeg', 'png'] }
+                    ]
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return null;
+                }
+
+                const filePath = result.filePaths[0];
+                return {
+                    filePath,
+                    fileName: basename(filePath)
+                };
+            } catch (error) {
+                this.handleError('file:selectCoverImage', error);
+                throw this.createSecureError('Cover image selection failed', error);
+            }
+        });
+
         ipcMain.handle('file:validate', async (event, filePath) => {
             try {
                 this.validateInput(filePath, 'string', 'File path is required');
@@ -294,6 +731,15 @@ class IPCHandlers {
             }
         });
 
+        ipcMain.handle('system:getOutputFormats', async () => {
+            try {
+                return await this.services.audioProcessor.getAvailableFormats();
+            } catch (error) {
+                this.handleError('system:getOutputFormats', error);
+                throw this.createSecureError('Failed to get output formats', error);
+            }
+        });
+
         ipcMain.handle('system:initializeFFmpeg', async () => {
             try {
                 return await this.services.audioProcessor.initializeFFmpeg();
@@ -440,7 +886,19 @@ class IPCHandlers {
                 // If it's a user error (not system error), don't retry
                 if (error.suggestedAction === 'add_text' || 
                     error.suggestedAction === 'select_voice' || 
-                    error.suggestedAction === 'select_folder') {
+                    error.suggestedAction === 'select_folder' ||
+                    error.suggestedAction === 'fix_ssml' ||
+                    error.suggestedAction === 'fix_script') {
+                    throw error;
+                }
+
+                // Chunks are retried individually; restarting the job would synthesize every chunk again
+                if (error.failedChunk) {
+                    throw error;
+                }
+
+                // The user stopped the job; never start it again
+                if (isCancellationError(error)) {
                     throw error;
                 }
                 
@@ -471,16 +929,20 @@ class IPCHandlers {
      * Handle text-to-speech conversion with optimized progress tracking
      */
     async handleConversion(conversionData) {
-        const { id, text, voice, outputFormat, outputPath, speed } = conversionData;
+        const { id, text, voice, outputFormat, formatOptions, outputPath, speed, pitch, volume, inputMode, style, styleDegree, role, speakers, gapMs, subtitles, autoDetectLanguage, languageVoices, normalization, chunkStrategy, maxConcurrentChunks, streamPlayback, paragraphPauseMs, metadata, sourceFile, splitOutput } = conversionData;
         
-        // Store active conversion
+        // Store active conversion; aborting the controller stops synthesis and FFmpeg
         const conversionInfo = { 
             cancelled: false, 
-            process: null,
+            abortController: new AbortController(),
             startTime: Date.now(),
             textLength: text.length
         };
+        const { signal } = conversionInfo.abortController;
         this.activeConversions.set(id, conversionInfo);
+        let progressHandler = null;
+        let errorHandler = null;
+        let chunkRetryHandler = null;
 
         try {
             // Generate unique output filename
@@ -492,8 +954,8 @@ class IPCHandlers {
             let lastProgressUpdate = 0;
             const progressThrottleMs = 100; // Limit progress updates to 10 per second
             
-            const progressHandler = (data) => {
-                if (this.activeConversions.get(id)?.cancelled) return;
+            progressHandler = (data) => {
+                if (conversionInfo.cancelled) return;
                 
                 const now = Date.now();
                 if (now - lastProgressUpdate < progressThrottleMs) return;
@@ -514,12 +976,14 @@ class IPCHandlers {
                         progress: Math.round(overallProgress),
                         phase: data.message || data.phase || 'Processing...',
                         phaseProgress: data.current && data.total ? Math.round((data.current / data.total) * 100) : 0,
+                        charsPerSecond: data.charsPerSecond,
+                        concurrency: data.concurrency,
                         memoryOptimized: data.memoryOptimized || false
                     });
                 });
             };
 
-            const errorHandler = (error) => {
+            errorHandler = (error) => {
                 this.activeConversions.delete(id);
                 setImmediate(() => {
                     this.sendToRenderer('tts:error', {
@@ -529,9 +993,24 @@ class IPCHandlers {
                 });
             };
 
+            // A chunk that failed is retried on its own; tell the UI which one
+            chunkRetryHandler = (data) => {
+                if (conversionInfo.cancelled) return;
+
+                this.sendToRenderer('tts:retry', {
+                    jobId: id,
+                    attempt: data.attempt,
+                    maxRetries: data.maxAttempts,
+                    delay: data.delay,
+                    error: data.error,
+                    chunk: { index: data.chunkIndex, total: data.totalChunks, excerpt: data.excerpt }
+                });
+            };
+
             // Attach event listeners
             this.services.ttsService.on('progress', progressHandler);
             this.services.ttsService.on('error', errorHandler);
+            this.services.ttsService.on('chunkRetry', chunkRetryHandler);
 
             // Send initial progress
             this.sendToRenderer('tts:progress', {
@@ -541,23 +1020,27 @@ class IPCHandlers {
             });
 
             // Check if conversion was cancelled before starting
-            if (this.activeConversions.get(id)?.cancelled) {
-                throw new Error('Conversion was cancelled');
-            }
+            throwIfCancelled(signal);
 
-            // Start TTS conversion with async processing
-            await this.processConversionAsync(id, text, voice, speed, outputFormat, fullOutputPath);
+            // Start TTS conversion with async processing; split output ends up as a playlist
+            const outputFile = await this.processConversionAsync(id, text, voice, speed, outputFormat, fullOutputPath, { inputMode, pitch, volume, style, styleDegree, role, speakers, gapMs, subtitles, autoDetectLanguage, languageVoices, normalization, chunkStrategy, maxConcurrentChunks, streamChunks: Boolean(streamPlayback), paragraphPauseMs, formatOptions, metadata: resolveMetadata(metadata, sourceFile), splitOutput, signal });
 
             // Clean up
             this.activeConversions.delete(id);
             this.services.ttsService.removeListener('progress', progressHandler);
             this.services.ttsService.removeListener('error', errorHandler);
+            this.services.ttsService.removeListener('chunkRetry', chunkRetryHandler);
 
-            return { success: true, outputFile: fullOutputPath };
+            return { success: true, outputFile };
 
         } catch (error) {
             // Clean up on error
             this.activeConversions.delete(id);
+            for (const [event, handler] of [['progress', progressHandler], ['error', errorHandler], ['chunkRetry', chunkRetryHandler]]) {
+                if (handler) {
+                    this.services.ttsService.removeListener(event, handler);
+                }
+            }
             throw error;
         }
     }
@@ -565,7 +1048,7 @@ class IPCHandlers {
     /**
      * Process conversion asynchronously with optimized performance
      */
-    async processConversionAsync(id, text, voice, speed, outputFormat, fullOutputPath) {
+    async processConversionAsync(id, text, voice, speed, outputFormat, fullOutputPath, options = {}) {
         // Yield to event loop before starting intensive work
         await new Promise(resolve => setImmediate(resolve));
         
@@ -575,10 +1058,39 @@ class IPCHandlers {
             phase: 'Processing text...'
         });
 
-        let finalOutputPath = fullOutputPath;
+        // Intermediate files go to a temp directory of this job, never to the output folder
+        const workDir = await this.services.fileManager.createJobDirectory(id);
+        try {
+            return await this.runConversionInWorkspace(id, text, voice, speed, outputFormat, fullOutputPath, { ...options, workDir });
+        } finally {
+            try {
+                await this.services.fileManager.removeJobDirectory(workDir);
+            } catch (error) {
+                console.warn('Failed to remove job temp directory:', error);
+            }
+        }
+    }
 
-        // Convert to WAV first
-        const wavPath = fullOutputPath.replace(/\.[^.]+$/, '.wav');
+    /**
+     * Synthesize, merge and encode a conversion using the job temp directory in options.workDir
+     */
+    async runConversionInWorkspace(id, text, voice, speed, outputFormat, fullOutputPath, options) {
+        let finalOutputPath = fullOutputPath;
+        let splitFiles = null;
+        const split = normalizeSplitOptions(options.splitOutput);
+
+        // Convert to WAV first; for compressed or split output the WAV is only an intermediate file
+        const wavPath = outputFormat === 'wav' && !split
+            ? fullOutputPath
+            : join(options.workDir, basename(fullOutputPath).replace(/\.[^.]+$/, '.wav'));
+        // Captions of split output stay next to the temporary WAV; each part gets its own later
+        const subtitles = options.subtitles && wavPath !== fullOutputPath && !split
+            ? { ...options.subtitles, audioPath: fullOutputPath }
+            : options.subtitles;
+        // Audiobook formats and output split by chapter get the start of every chapter,
+        // output split by duration or size the sentence breaks, recorded while the chunks are merged
+        const chapters = supportsChapters(outputFormat) || (split && split.mode === 'chapter') ? [] : undefined;
+        const boundaries = split && split.mode !== 'chapter' ? [] : undefined;
         
         // Update progress for TTS conversion start
         this.sendToRenderer('tts:progress', {
@@ -588,41 +1100,83 @@ class IPCHandlers {
         });
         
         // Check cancellation before intensive operation
-        if (this.activeConversions.get(id)?.cancelled) {
-            throw new Error('Conversion was cancelled');
-        }
+        throwIfCancelled(options.signal);
         
-        await this.services.ttsService.convertTextToSpeech(text, voice, speed, wavPath);
+        // Collect the caption files written for this conversion, and their cues for split output
+        let subtitleFiles = [];
+        let subtitleCues = null;
+        const subtitleHandler = (data) => {
+            if (data.outputPath === wavPath) {
+                subtitleFiles = data.files;
+                subtitleCues = data.cues;
+            }
+        };
+        this.services.ttsService.on('subtitlesCreated', subtitleHandler);
+
+        // Forward chunk audio so the renderer can play it while later chunks are synthesized
+        const chunkAudioHandler = (data) => {
+            if (data.outputPath === wavPath && !options.signal?.aborted) {
+                this.sendToRenderer('tts:audioChunk', {
+                    jobId: id,
+                    index: data.chunkIndex,
+                    total: data.totalChunks,
+                    audio: data.audio
+                });
+            }
+        };
+        if (options.streamChunks) {
+            this.services.ttsService.on('chunkAudio', chunkAudioHandler);
+        }
 
-        // Check if conversion was cancelled
-        if (this.activeConversions.get(id)?.cancelled) {
-            throw new Error('Conversion was cancelled');
+        try {
+            if (options.inputMode === 'dialogue') {
+                const { speakers, gapMs, pitch, volume, normalization, chunkStrategy, maxConcurrentChunks, signal, workDir } = options;
+                await this.services.ttsService.convertDialogueToSpeech(text, speakers, wavPath, { speed, pitch, volume, gapMs, normalization, chunkStrategy, maxConcurrentChunks, signal, workDir, boundaries });
+            } else if (options.autoDetectLanguage && options.inputMode !== 'ssml') {
+                await this.services.ttsService.convertMultilingualToSpeech(text, voice, speed, wavPath, { ...options, subtitles, chapters, boundaries });
+            } else {
+                await this.services.ttsService.convertTextToSpeech(text, voice, speed, wavPath, { ...options, subtitles, chapters, boundaries });
+            }
+
+            // Check if conversion was cancelled
+            throwIfCancelled(options.signal);
+        } catch (error) {
+            if (isCancellationError(error)) {
+                await this.removePartialOutputs([wavPath, fullOutputPath, ...subtitleFiles]);
+            }
+            throw error;
+        } finally {
+            this.services.ttsService.removeListener('subtitlesCreated', subtitleHandler);
+            this.services.ttsService.removeListener('chunkAudio', chunkAudioHandler);
         }
 
-        // Convert to MP3 if requested
-        if (outputFormat === 'mp3') {
-            // Yield to event loop before MP3 conversion
+        // Cut into parts, or encode to the requested format
+        if (split) {
+            const { subtitleFiles: partSubtitleFiles, ...files } = await this.writeSplitOutput(id, wavPath, fullOutputPath, outputFormat, { ...options, split, chapters, boundaries, subtitleCues });
+            splitFiles = files;
+            subtitleFiles = partSubtitleFiles;
+            finalOutputPath = splitFiles.playlistFile;
+        } else if (outputFormat !== 'wav') {
+            // Yield to event loop before encoding
             await new Promise(resolve => setImmediate(resolve));
             
             this.sendToRenderer('tts:progress', {
                 jobId: id,
                 progress: 85,
-                phase: 'Converting to MP3...'
+                phase: `Converting to ${getOutputFormat(outputFormat).label}...`
             });
 
-            const mp3Path = fullOutputPath;
-            await this.services.audioProcessor.convertWavToMp3(wavPath, mp3Path);
-
-            // Remove temporary WAV file asynchronously
-            setImmediate(async () => {
-                try {
-                    await this.services.fileManager.deleteFile(wavPath);
-                } catch (error) {
-                    console.warn('Failed to delete temporary WAV file:', error);
+            try {
+                await this.services.audioProcessor.transcode(wavPath, fullOutputPath, outputFormat, { ...options.formatOptions, metadata: options.metadata, chapters, signal: options.signal });
+            } catch (error) {
+                if (isCancellationError(error)) {
+                    await this.removePartialOutputs([wavPath, fullOutputPath, ...subtitleFiles]);
                 }
-            });
+                throw error;
+            }
 
-            finalOutputPath = mp3Path;
+            // The temporary WAV file is removed with the job directory
+            finalOutputPath = fullOutputPath;
         } else {
             finalOutputPath = wavPath;
         }
@@ -639,6 +1193,8 @@ class IPCHandlers {
         this.sendToRenderer('tts:complete', {
             jobId: id,
             outputFile: finalOutputPath,
+            ...splitFiles,
+            subtitleFiles,
             duration: Date.now() - (conversionInfo?.startTime || 0),
             textLength: conversionInfo?.textLength || 0
         });
@@ -646,18 +1202,125 @@ class IPCHandlers {
         return finalOutputPath;
     }
 
+    /**
+     * Cut the merged WAV of a conversion into numbered parts and list them in a playlist and index
+     * Parts are named after the unsplit output file; the .m3u8 playlist and .json
+     * index take its name. Each encoded part is tagged with its own title and track number.
+     * With captions, every part gets caption files of its own, timed from the start of the part.
+     * @param {string} id - Conversion id, for progress events
+     * @param {string} wavPath - Merged WAV of the whole conversion
+     * @param {string} fullOutputPath - Path the unsplit output would have had
+     * @param {string} outputFormat - Format id of the parts
+     * @param {Object} options - Conversion options plus split (from normalizeSplitOptions()), chapters, boundaries
+     *                           and subtitleCues (the captions of the whole conversion, when subtitles are on)
+     * @returns {Promise<{outputFiles: string[], playlistFile: string, indexFile: string, subtitleFiles: string[]}>}
+     */
+    async writeSplitOutput(id, wavPath, fullOutputPath, outputFormat, options) {
+        const { audioProcessor, fileManager, ttsService } = this.services;
+        const wavInfo = await audioProcessor.getWavInfo(wavPath);
+        if (!wavInfo) {
+            throw new Error('The converted audio is not a PCM WAV file and cannot be split');
+        }
+
+        const formatOptions = normalizeFormatOptions(outputFormat, options.formatOptions || {});
+        const parts = planParts(wavInfo.durationMs, options.split, {
+            chapters: options.chapters,
+            boundaries: options.boundaries,
+            bytesPerSecond: estimateBytesPerSecond(outputFormat, formatOptions, wavInfo)
+        });
+        const metadata = options.metadata || {};
+        const playlistFile = fullOutputPath.replace(/\.[^.]+$/, '.m3u8');
+        const indexFile = fullOutputPath.replace(/\.[^.]+$/, '.json');
+        const outputFiles = [];
+        const subtitleFiles = [];
+        const entries = [];
+
+        try {
+            for (let i = 0; i < parts.length; i++) {
+                throwIfCancelled(options.signal);
+                const part = parts[i];
+                const number = i + 1;
+                const title = part.title || (metadata.title ? `${metadata.title} (Part ${number})` : `Part ${number}`);
+                const fileName = getPartFileName(basename(fullOutputPath), number, parts.length);
+                const partPath = join(dirname(fullOutputPath), fileName);
+
+                this.sendToRenderer('tts:progress', {
+                    jobId: id,
+                    progress: Math.round(85 + (i / parts.length) * 14),
+                    phase: `Writing part ${number} of ${parts.length}...`
+                });
+
+                outputFiles.push(partPath);
+                if (outputFormat === 'wav') {
+                    await audioProcessor.extractWavRange(wavPath, partPath, part.startMs, part.endMs, { signal: options.signal });
+                } else {
+                    const partWavPath = join(options.workDir, `part_${number}.wav`);
+                    await audioProcessor.extractWavRange(wavPath, partWavPath, part.startMs, part.endMs, { signal: options.signal });
+                    await audioProcessor.transcode(partWavPath, partPath, outputFormat, {
+                        ...options.formatOptions,
+                        // The title of the whole conversion becomes the album of its parts
+                        metadata: {
+                            ...metadata,
+                            title,
+                            album: metadata.album || metadata.title,
+                            track: parts.length <= 999 ? `${number}/${parts.length}` : undefined
+                        },
+                        chapters: getPartChapters(options.chapters, part),
+                        signal: options.signal
+                    });
+                    await fileManager.deleteFile(partWavPath);
+                }
+
+                if (options.subtitles && options.subtitleCues) {
+                    subtitleFiles.push(...await ttsService.writeSubtitleFiles(getPartCues(options.subtitleCues, part), partPath, options.subtitles.formats));
+                }
+
+                entries.push({
+                    file: fileName,
+                    title,
+                    startMs: part.startMs,
+                    durationMs: part.endMs - part.startMs,
+                    bytes: await fileManager.getFileSize(partPath)
+                });
+            }
+
+            throwIfCancelled(options.signal);
+            await fileManager.writeTextFile(playlistFile, buildPlaylist(entries));
+            await fileManager.writeTextFile(indexFile, buildIndex({ title: metadata.title || null, format: outputFormat, durationMs: wavInfo.durationMs, parts: entries }));
+        } catch (error) {
+            if (isCancellationError(error)) {
+                await this.removePartialOutputs([...outputFiles, playlistFile, indexFile, ...subtitleFiles]);
+            }
+            throw error;
+        }
+
+        return { outputFiles, playlistFile, indexFile, subtitleFiles };
+    }
+
+    /**
+     * Delete the files a cancelled conversion had written so far
+     * @param {string[]} filePaths - Audio and caption files of the conversion
+     */
+    async removePartialOutputs(filePaths) {
+        for (const filePath of new Set(filePaths)) {
+            try {
+                await this.services.fileManager.deleteFile(filePath);
+            } catch (error) {
+                console.warn('Failed to delete partial output:', error);
+            }
+        }
+    }
+
     /**
      * Cancel an active conversion
+     * Aborting the job's signal stops chunk synthesis and kills running FFmpeg
+     * processes; the conversion then removes its temp and partial files.
      */
     async cancelConversion(jobId) {
         const conversion = this.activeConversions.get(jobId);
         if (conversion) {
             conversion.cancelled = true;
-
-            // If there's an active process, kill it
-            if (conversion.process) {
-                conversion.process.kill();
-            }
+            conversion.abortController.abort();
 
             this.activeConversions.delete(jobId);
 
@@ -672,14 +1335,14 @@ class IPCHandlers {
      * Handle voice speed preview
      */
     async handleVoicePreview(previewData) {
-        const { text, voice, speed } = previewData;
+        const { text, voice, speed, pitch, volume } = previewData;
 
         // Create a temporary preview file
         const tempDir = await this.services.fileManager.getTempDirectory();
         const previewPath = join(tempDir, `preview_${Date.now()}.wav`);
 
-        // Convert text to speech with specified speed
-        await this.services.ttsService.convertTextToSpeech(text, voice, speed, previewPath);
+        // Convert text to speech with specified speed, pitch and volume
+        await this.services.ttsService.convertTextToSpeech(text, voice, speed, previewPath, { pitch, volume });
 
         // Play the audio file
         await this.services.audioProcessor.playAudioFile(previewPath);
@@ -696,6 +1359,56 @@ class IPCHandlers {
         return { success: true };
     }
 
+    /**
+     * Switch the TTS engine, persist the choice and reload voices
+     */
+    async handleEngineChange(engineName) {
+        const ttsService = this.services.ttsService;
+
+        ttsService.setEngine(engineName);
+        await this.services.settingsManager.updateSetting('ttsEngine', engineName);
+
+        try {
+            const voices = await ttsService.getAvailableVoices();
+            const engine = ttsService.getStatus().activeEngine;
+
+            this.sendToRenderer('voices:loaded', {
+                voices,
+                attempts: 1,
+                engine,
+                success: true
+            });
+
+            return { success: true, engine, voiceCount: voices.length };
+        } catch (error) {
+            this.sendToRenderer('voices:load-failed', {
+                error: error.userMessage || error.message,
+                attempts: 1,
+                troubleshooting: ttsService.getTroubleshootingSteps(),
+                success: false
+            });
+
+            return { success: false, engine: engineName, error: error.userMessage || error.message };
+        }
+    }
+
+    /**
+     * Fill a conversion request in from the voice profile named by profileId
+     * Fields set in the request itself take precedence over the profile.
+     */
+    resolveVoiceProfile(data) {
+        if (!data || typeof data !== 'object' || data.profileId === undefined || data.profileId === null) {
+            return data;
+        }
+
+        this.validateInput(data.profileId, 'string', 'Voice profile ID must be a string');
+        if (!this.services.profileManager) {
+            throw new Error('Voice profiles are not available');
+        }
+
+        return this.services.profileManager.resolveConversion(data);
+    }
+
     /**
      * Validate conversion data input
      */
@@ -715,13 +1428,190 @@ class IPCHandlers {
             throw new Error('Text content is required');
         }
 
-        if (!['wav', 'mp3'].includes(data.outputFormat)) {
-            throw new Error('Output format must be wav or mp3');
+        const formats = listOutputFormats().map(format => format.id);
+        if (!formats.includes(data.outputFormat)) {
+            throw new Error(`Output format must be one of ${formats.join(', ')}`);
+        }
+
+        if (data.formatOptions !== undefined && data.formatOptions !== null) {
+            normalizeFormatOptions(data.outputFormat, data.formatOptions);
         }
 
         if (data.speed && (data.speed < 0.1 || data.speed > 3.0)) {
             throw new Error('Speed must be between 0.1 and 3.0');
         }
+
+        this.validateVoiceAdjustments(data);
+
+        if (data.inputMode !== undefined && !['text', 'ssml', 'dialogue'].includes(data.inputMode)) {
+            throw new Error('Input mode must be text, ssml or dialogue');
+        }
+
+        this.validateSpeakingStyle(data);
+
+        if (data.inputMode === 'dialogue') {
+            this.validateDialogueOptions(data);
+        }
+
+        if (data.subtitles !== undefined && data.subtitles !== null) {
+            this.validateSubtitleOptions(data.subtitles);
+        }
+
+        if (data.autoDetectLanguage !== undefined && typeof data.autoDetectLanguage !== 'boolean') {
+            throw new Error('Language detection flag must be a boolean');
+        }
+
+        if (data.languageVoices !== undefined) {
+            this.validateLanguageVoices(data.languageVoices);
+        }
+
+        if (data.normalization !== undefined && data.normalization !== null) {
+            this.validateNormalizationRules(data.normalization);
+        }
+
+        if (data.chunkStrategy !== undefined && !['paragraph', 'sentence', 'fixed'].includes(data.chunkStrategy)) {
+            throw new Error('Chunk strategy must be paragraph, sentence or fixed');
+        }
+
+        if (data.maxConcurrentChunks !== undefined &&
+            (!Number.isInteger(data.maxConcurrentChunks) || data.maxConcurrentChunks < 1 || data.maxConcurrentChunks > 8)) {
+            throw new Error('Concurrent chunks must be a whole number between 1 and 8');
+        }
+
+        if (data.streamPlayback !== undefined && typeof data.streamPlayback !== 'boolean') {
+            throw new Error('Stream playback flag must be a boolean');
+        }
+
+        if (data.paragraphPauseMs !== undefined &&
+            (!Number.isInteger(data.paragraphPauseMs) || data.paragraphPauseMs < 0 || data.paragraphPauseMs > 5000)) {
+            throw new Error('Paragraph pause must be a whole number between 0 and 5000 ms');
+        }
+
+        if (data.metadata !== undefined && data.metadata !== null) {
+            normalizeMetadata(data.metadata);
+        }
+
+        if (data.sourceFile !== undefined && data.sourceFile !== null && typeof data.sourceFile !== 'string') {
+            throw new Error('Source file name must be a string');
+        }
+
+        if (data.splitOutput !== undefined && data.splitOutput !== null) {
+            normalizeSplitOptions(data.splitOutput);
+        }
+    }
+
+    /**
+     * Validate text normalization rule switches
+     */
+    validateNormalizationRules(rules) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error('Normalization rules must map rule names to booleans');
+        }
+
+        for (const [rule, enabled] of Object.entries(rules)) {
+            if (!/^[a-z]+$/.test(rule) || typeof enabled !== 'boolean') {
+                throw new Error(`Invalid normalization rule: ${rule}`);
+            }
+        }
+    }
+
+    /**
+     * Validate the preferred voice per language used by language detection
+     */
+    validateLanguageVoices(languageVoices) {
+        if (!languageVoices || typeof languageVoices !== 'object' || Array.isArray(languageVoices)) {
+            throw new Error('Language voices must map languages to voice ids');
+        }
+
+        for (const [locale, voiceId] of Object.entries(languageVoices)) {
+            if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale)) {
+                throw new Error(`Invalid language code: ${locale}`);
+            }
+
+            if (typeof voiceId !== 'string' || voiceId.length === 0) {
+                throw new Error(`Voice is required for language ${locale}`);
+            }
+        }
+    }
+
+    /**
+     * Validate caption export options
+     */
+    validateSubtitleOptions(subtitles) {
+        if (typeof subtitles !== 'object' || !Array.isArray(subtitles.formats)) {
+            throw new Error('Subtitle formats are required');
+        }
+
+        if (subtitles.formats.some(format => !['srt', 'vtt'].includes(format))) {
+            throw new Error('Subtitle format must be srt or vtt');
+        }
+
+        if (subtitles.maxLineLength !== undefined &&
+            (typeof subtitles.maxLineLength !== 'number' || subtitles.maxLineLength < 20 || subtitles.maxLineLength > 80)) {
+            throw new Error('Subtitle line length must be between 20 and 80 characters');
+        }
+
+        if (subtitles.maxCueDurationMs !== undefined &&
+            (typeof subtitles.maxCueDurationMs !== 'number' || subtitles.maxCueDurationMs < 1000 || subtitles.maxCueDurationMs > 10000)) {
+            throw new Error('Subtitle cue duration must be between 1 and 10 seconds');
+        }
+    }
+
+    /**
+     * Validate the speaker table and turn gap of a dialogue conversion
+     */
+    validateDialogueOptions(data) {
+        if (!data.speakers || typeof data.speakers !== 'object' || Array.isArray(data.speakers)) {
+            throw new Error('Speaker table is required for dialogue scripts');
+        }
+
+        for (const [speaker, entry] of Object.entries(data.speakers)) {
+            if (!entry || typeof entry.voice !== 'string' || entry.voice.length === 0) {
+                throw new Error(`Voice is required for speaker ${speaker}`);
+            }
+
+            if (entry.speed !== undefined && (typeof entry.speed !== 'number' || entry.speed < 0.5 || entry.speed > 2.0)) {
+                throw new Error(`Speed for speaker ${speaker} must be between 0.5 and 2.0`);
+            }
+
+            if (entry.pitch !== undefined && (typeof entry.pitch !== 'number' || entry.pitch < -50 || entry.pitch > 50)) {
+                throw new Error(`Pitch for speaker ${speaker} must be between -50 and 50 Hz`);
+            }
+        }
+
+        if (data.gapMs !== undefined && (typeof data.gapMs !== 'number' || data.gapMs < 0 || data.gapMs > 5000)) {
+            throw new Error('Gap between turns must be between 0 and 5000 ms');
+        }
+    }
+
+    /**
+     * Validate optional pitch (Hz) and volume (%) adjustments
+     */
+    validateVoiceAdjustments(data) {
+        if (data.pitch !== undefined && (typeof data.pitch !== 'number' || data.pitch < -50 || data.pitch > 50)) {
+            throw new Error('Pitch must be between -50 and 50 Hz');
+        }
+
+        if (data.volume !== undefined && (typeof data.volume !== 'number' || data.volume < -50 || data.volume > 50)) {
+            throw new Error('Volume must be between -50% and 50%');
+        }
+    }
+
+    /**
+     * Validate optional speaking style, style degree and role
+     */
+    validateSpeakingStyle(data) {
+        if (data.style !== undefined && data.style !== null && typeof data.style !== 'string') {
+            throw new Error('Speaking style must be a string');
+        }
+
+        if (data.role !== undefined && data.role !== null && typeof data.role !== 'string') {
+            throw new Error('Role must be a string');
+        }
+
+        if (data.styleDegree !== undefined && (typeof data.styleDegree !== 'number' || data.styleDegree < 0.01 || data.styleDegree > 2)) {
+            throw new Error('Style degree must be between 0.01 and 2');
+        }
     }
 
     /**
@@ -743,6 +1633,8 @@ class IPCHandlers {
         if (data.speed && (data.speed < 0.1 || data.speed > 3.0)) {
             throw new Error('Speed must be between 0.1 and 3.0');
         }
+
+        this.validateVoiceAdjustments(data);
     }
 
     /**
@@ -781,10 +1673,8 @@ class IPCHandlers {
         try {
             // Cancel all active conversions
             for (const [jobId, conversion] of this.activeConversions) {
-                if (conversion.process) {
-                    conversion.process.kill();
-                }
                 conversion.cancelled = true;
+                conversion.abortController.abort();
             }
             this.activeConversions.clear();
             
@@ -855,13 +1745,46 @@ class IPCHandlers {
         ipcMain.removeAllListeners('tts:retryVoiceLoading');
         ipcMain.removeAllListeners('tts:getVoiceLoadingState');
         ipcMain.removeAllListeners('tts:getTroubleshootingSteps');
+        ipcMain.removeAllListeners('tts:getEngines');
+        ipcMain.removeAllListeners('tts:setEngine');
+        ipcMain.removeAllListeners('tts:validateSSML');
+        ipcMain.removeAllListeners('tts:parseDialogue');
+        ipcMain.removeAllListeners('tts:normalizeText');
+        
+        ipcMain.removeAllListeners('voices:search');
+        ipcMain.removeAllListeners('voices:getFacets');
+        ipcMain.removeAllListeners('voices:setFavorite');
+        ipcMain.removeAllListeners('voices:playSample');
+        
+        ipcMain.removeAllListeners('lexicon:list');
+        ipcMain.removeAllListeners('lexicon:add');
+        ipcMain.removeAllListeners('lexicon:update');
+        ipcMain.removeAllListeners('lexicon:remove');
+        ipcMain.removeAllListeners('lexicon:import');
+        ipcMain.removeAllListeners('lexicon:export');
+        
+        ipcMain.removeAllListeners('profiles:list');
+        ipcMain.removeAllListeners('profiles:create');
+        ipcMain.removeAllListeners('profiles:update');
+        ipcMain.removeAllListeners('profiles:rename');
+        ipcMain.removeAllListeners('profiles:duplicate');
+        ipcMain.removeAllListeners('profiles:remove');
+        ipcMain.removeAllListeners('profiles:import');
+        ipcMain.removeAllListeners('profiles:export');
+        
+        ipcMain.removeAllListeners('cache:getStats');
+        ipcMain.removeAllListeners('cache:clear');
+        ipcMain.removeAllListeners('cache:setLimit');
         
         ipcMain.removeAllListeners('file:select');
+        ipcMain.removeAllListeners('file:selectChapterFiles');
         ipcMain.removeAllListeners('file:selectFolder');
+        ipcMain.removeAllListeners('file:selectCoverImage');
         ipcMain.removeAllListeners('file:validate');
         
         ipcMain.removeAllListeners('system:checkFFmpeg');
         ipcMain.removeAllListeners('system:getFFmpegStatus');
+        ipcMain.removeAllListeners('system:getOutputFormats');
         ipcMain.removeAllListeners('system:initializeFFmpeg');
         ipcMain.removeAllListeners('system:getInitializationStatus');
         ipcMain.removeAllListeners('system:reinitialize');
@@ -1,18 +1,24 @@
 const { app, BrowserWindow } = require('electron');
 const { join } = require('path');
 const SettingsManager = require('./services/settingsManager.js');
+const LexiconManager = require('./services/lexiconManager.js');
+const ProfileManager = require('./services/profileManager.js');
 const TTSService = require('./services/ttsService.js');
 const FileManager = require('./services/fileManager.js');
 const AudioProcessor = require('./services/audioProcessor.js');
 const ErrorHandler = require('./services/errorHandler.js');
 const IPCHandlers = require('./ipc/ipcHandlers.js');
 const PerformanceMonitor = require('./utils/performanceMonitor.js');
+const VoiceCatalogCache = require('./utils/voiceCatalogCache.js');
+const SynthesisCache = require('./utils/synthesisCache.js');
 
 // __dirname is available in CommonJS
 
 // Keep a global reference of the window object
 let mainWindow;
 let settingsManager;
+let lexiconManager;
+let profileManager;
 let ttsService;
 let fileManager;
 let audioProcessor;
@@ -81,6 +87,10 @@ async function createWindow() {
       // Initialize file manager
       perfMonitor.markStart('file-manager-init');
       fileManager = new FileManager();
+      // Remove temp directories of conversions that never finished (crash or forced quit)
+      fileManager.sweepJobDirectories()
+        .then(removed => removed.length > 0 && console.log(`Removed ${removed.length} leftover conversion temp directories`))
+        .catch(error => console.warn('Temp directory cleanup failed:', error.message));
       perfMonitor.markEnd('file-manager-init');
       
       // Initialize audio processor
@@ -92,8 +102,32 @@ async function createWindow() {
       perfMonitor.markStart('tts-service-init');
       ttsService = new TTSService();
       ttsService.setAudioProcessor(audioProcessor);
+      ttsService.setVoiceCache(new VoiceCatalogCache(join(app.getPath('userData'), 'voice-cache.json')));
+      ttsService.setSampleDirectory(join(app.getPath('userData'), 'voice-samples'));
+      const { ttsEngine, synthesisCacheMaxMb } = await settingsManager.loadSettings();
+      ttsService.setEngine(ttsEngine);
+      ttsService.setSynthesisCache(new SynthesisCache(join(app.getPath('userData'), 'synthesis-cache'), synthesisCacheMaxMb * 1024 * 1024));
       perfMonitor.markEnd('tts-service-init');
       
+      // Load the pronunciation lexicon and keep the TTS service in sync with edits
+      perfMonitor.markStart('lexicon-manager-init');
+      lexiconManager = new LexiconManager();
+      lexiconManager.on('changed', (entries) => ttsService.setLexicon(entries));
+      try {
+        await lexiconManager.initialize();
+      } catch (error) {
+        console.warn('Pronunciation lexicon unavailable:', error.message);
+      }
+      perfMonitor.markEnd('lexicon-manager-init');
+      
+      // Load saved voice profiles
+      profileManager = new ProfileManager();
+      try {
+        await profileManager.initialize();
+      } catch (error) {
+        console.warn('Voice profiles unavailable:', error.message);
+      }
+      
       // Start enhanced parallel initialization of FFmpeg and voice loading
       // This is the key improvement - both operations run concurrently with better error handling
       perfMonitor.markStart('parallel-init');
@@ -125,7 +159,7 @@ async function createWindow() {
           status,
           message: status.available 
             ? `FFmpeg ready (${status.source})` 
-            : 'FFmpeg unavailable - MP3 conversion disabled'
+            : 'FFmpeg unavailable - only WAV output available'
         });
         
         return status;
@@ -152,13 +186,26 @@ async function createWindow() {
         return errorStatus;
       });
       
+      // Tell the renderer when the background refresh finds added or removed voices
+      ttsService.on('voicesUpdated', (data) => {
+        console.log(`Voice list refreshed: ${data.added.length} added, ${data.removed.length} removed`);
+        if (mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents) {
+          mainWindow.webContents.send('voices:loaded', {
+            ...data,
+            attempts: 1,
+            success: true
+          });
+        }
+      });
+      
       // Enhanced voice loading initialization promise with retry status reporting
+      // Cached voices are served immediately and refreshed in the background
       perfMonitor.markStart('voice-loading');
-      const voiceLoadPromise = ttsService.loadVoicesWithRetry().then(result => {
+      const voiceLoadPromise = ttsService.loadVoicesWithCache().then(result => {
         perfMonitor.markEnd('voice-loading');
         
         const logMessage = result.success 
-          ? `Voice loading completed: ${result.voices?.length || 0} voices found (${result.attempt || 1} attempts)`
+          ? `Voice loading completed: ${result.voices?.length || 0} voices found (${result.fromCache ? 'from cache, refreshing in background' : `${result.attempt || 1} attempts`})`
           : `Voice loading failed after ${result.attempts || 1} attempts: ${result.error?.message || 'Unknown error'}`;
         console.log(logMessage);
         
@@ -167,6 +214,9 @@ async function createWindow() {
           sendInitializationUpdate('voices-complete', {
             voices: result.voices,
             attempts: result.attempt || 1,
+            engine: ttsService.getStatus().activeEngine,
+            fromCache: result.fromCache,
+            updatedAt: result.updatedAt,
             message: `${result.voices?.length || 0} voices loaded`,
             success: true
           });
@@ -243,6 +293,8 @@ async function createWindow() {
       perfMonitor.markStart('ipc-handlers-init');
       const services = {
         settingsManager,
+        lexiconManager,
+        profileManager,
         ttsService,
         fileManager,
         audioProcessor,
@@ -305,7 +357,7 @@ async function createWindow() {
             source: ffmpegStatus.source,
             message: hasFFmpeg 
               ? `FFmpeg ready (${ffmpegStatus.source}${ffmpegStatus.version ? ` v${ffmpegStatus.version}` : ''})`
-              : 'FFmpeg unavailable - MP3 conversion disabled'
+              : 'FFmpeg unavailable - only WAV output available'
           },
           voices: {
             available: hasVoices,
@@ -548,6 +600,16 @@ function cleanupApplicationResources() {
       fileManager.cleanup && fileManager.cleanup();
     }
     
+    // Clean up lexicon manager listeners
+    if (lexiconManager) {
+      lexiconManager.removeAllListeners();
+    }
+    
+    // Clean up profile manager listeners
+    if (profileManager) {
+      profileManager.removeAllListeners();
+    }
+    
     // Clean up settings manager resources
     if (settingsManager) {
       console.log('Cleaning up settings manager...');
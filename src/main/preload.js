@@ -17,14 +17,22 @@ const ALLOWED_CHANNELS = {
   'tts:complete': true,
   'tts:error': true,
   'tts:cancelled': true,
+  'tts:audioChunk': true,
   'tts:initialization-error': true,
   'tts:retryVoiceLoading': true,
   'tts:getVoiceLoadingState': true,
   'tts:getTroubleshootingSteps': true,
+  'tts:getEngines': true,
+  'tts:setEngine': true,
+  'tts:validateSSML': true,
+  'tts:parseDialogue': true,
+  'tts:normalizeText': true,
   
   // File operations
   'file:select': true,
+  'file:selectChapterFiles': true,
   'file:selectFolder': true,
+  'file:selectCoverImage': true,
   'file:validate': true,
   
   // Settings operations
@@ -35,9 +43,39 @@ const ALLOWED_CHANNELS = {
   'settings:getDefaults': true,
   'settings:getDefaultOutputFolder': true,
   
+  // Voice browser operations
+  'voices:search': true,
+  'voices:getFacets': true,
+  'voices:setFavorite': true,
+  'voices:playSample': true,
+  
+  // Pronunciation lexicon operations
+  'lexicon:list': true,
+  'lexicon:add': true,
+  'lexicon:update': true,
+  'lexicon:remove': true,
+  'lexicon:import': true,
+  'lexicon:export': true,
+  
+  // Voice profile operations
+  'profiles:list': true,
+  'profiles:create': true,
+  'profiles:update': true,
+  'profiles:rename': true,
+  'profiles:duplicate': true,
+  'profiles:remove': true,
+  'profiles:import': true,
+  'profiles:export': true,
+  
+  // Synthesis cache operations
+  'cache:getStats': true,
+  'cache:clear': true,
+  'cache:setLimit': true,
+  
   // System operations
   'system:checkFFmpeg': true,
   'system:getFFmpegStatus': true,
+  'system:getOutputFormats': true,
   'system:initializeFFmpeg': true,
   'system:getVersion': true,
   
@@ -144,10 +182,37 @@ contextBridge.exposeInMainWorld('electronAPI', {
   retryVoiceLoading: () => secureInvoke('tts:retryVoiceLoading'),
   getVoiceLoadingState: () => secureInvoke('tts:getVoiceLoadingState'),
   getTroubleshootingSteps: () => secureInvoke('tts:getTroubleshootingSteps'),
+  getEngines: () => secureInvoke('tts:getEngines'),
+  setEngine: (engineName) => {
+    if (!engineName || typeof engineName !== 'string') {
+      throw new Error('Engine name is required');
+    }
+    return secureInvoke('tts:setEngine', engineName);
+  },
+  validateSSML: (ssml) => {
+    if (typeof ssml !== 'string') {
+      throw new Error('SSML text is required');
+    }
+    return secureInvoke('tts:validateSSML', ssml);
+  },
+  parseDialogue: (script) => {
+    if (typeof script !== 'string') {
+      throw new Error('Dialogue script is required');
+    }
+    return secureInvoke('tts:parseDialogue', script);
+  },
+  normalizeText: (data) => {
+    if (!data || typeof data.text !== 'string' || typeof data.voice !== 'string') {
+      throw new Error('Text and voice are required');
+    }
+    return secureInvoke('tts:normalizeText', data);
+  },
   
   // File operations
   selectFile: () => secureInvoke('file:select'),
+  selectChapterFiles: () => secureInvoke('file:selectChapterFiles'),
   selectOutputFolder: () => secureInvoke('file:selectFolder'),
+  selectCoverImage: () => secureInvoke('file:selectCoverImage'),
   validateFile: (filePath) => {
     if (!filePath || typeof filePath !== 'string') {
       throw new Error('File path is required');
@@ -174,12 +239,129 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getDefaults: () => secureInvoke('settings:getDefaults')
   },
   
+  // Voice browser operations
+  voices: {
+    search: (query = {}) => {
+      if (!query || typeof query !== 'object') {
+        throw new Error('Search query must be an object');
+      }
+      return secureInvoke('voices:search', query);
+    },
+    getFacets: () => secureInvoke('voices:getFacets'),
+    setFavorite: (voiceId, favorite) => {
+      if (!voiceId || typeof voiceId !== 'string') {
+        throw new Error('Voice ID is required');
+      }
+      return secureInvoke('voices:setFavorite', voiceId, Boolean(favorite));
+    },
+    playSample: (voiceId) => {
+      if (!voiceId || typeof voiceId !== 'string') {
+        throw new Error('Voice ID is required');
+      }
+      return secureInvoke('voices:playSample', voiceId);
+    }
+  },
+  
+  // Pronunciation lexicon operations
+  lexicon: {
+    list: () => secureInvoke('lexicon:list'),
+    add: (entry) => {
+      if (!entry || typeof entry !== 'object') {
+        throw new Error('Lexicon entry is required');
+      }
+      return secureInvoke('lexicon:add', entry);
+    },
+    update: (id, changes) => {
+      if (!id || typeof id !== 'string') {
+        throw new Error('Lexicon entry ID is required');
+      }
+      if (!changes || typeof changes !== 'object') {
+        throw new Error('Lexicon entry changes are required');
+      }
+      return secureInvoke('lexicon:update', id, changes);
+    },
+    remove: (id) => {
+      if (!id || typeof id !== 'string') {
+        throw new Error('Lexicon entry ID is required');
+      }
+      return secureInvoke('lexicon:remove', id);
+    },
+    import: () => secureInvoke('lexicon:import'),
+    export: (format, language) => {
+      if (format !== 'csv' && format !== 'pls') {
+        throw new Error('Export format must be csv or pls');
+      }
+      return secureInvoke('lexicon:export', format, language);
+    }
+  },
+  
+  // Voice profile operations
+  profiles: {
+    list: () => secureInvoke('profiles:list'),
+    create: (profile) => {
+      if (!profile || typeof profile !== 'object') {
+        throw new Error('Voice profile is required');
+      }
+      return secureInvoke('profiles:create', profile);
+    },
+    update: (id, changes) => {
+      if (!id || typeof id !== 'string') {
+        throw new Error('Voice profile ID is required');
+      }
+      if (!changes || typeof changes !== 'object') {
+        throw new Error('Voice profile changes are required');
+      }
+      return secureInvoke('profiles:update', id, changes);
+    },
+    rename: (id, name) => {
+      if (!id || typeof id !== 'string') {
+        throw new Error('Voice profile ID is required');
+      }
+      if (!name || typeof name !== 'string') {
+        throw new Error('Profile name is required');
+      }
+      return secureInvoke('profiles:rename', id, name);
+    },
+    duplicate: (id, name) => {
+      if (!id || typeof id !== 'string') {
+        throw new Error('Voice profile ID is required');
+      }
+      return secureInvoke('profiles:duplicate', id, name);
+    },
+    remove: (id) => {
+      if (!id || typeof id !== 'string') {
+        throw new Error('Voice profile ID is required');
+      }
+      return secureInvoke('profiles:remove', id);
+    },
+    import: () => secureInvoke('profiles:import'),
+    export: (ids) => {
+      if (ids !== undefined && !Array.isArray(ids)) {
+        throw new Error('Profile IDs must be a list');
+      }
+      return secureInvoke('profiles:export', ids);
+    }
+  },
+  
+  // Synthesis cache operations
+  cache: {
+    getStats: () => secureInvoke('cache:getStats'),
+    clear: () => secureInvoke('cache:clear'),
+    setLimit: (megabytes) => {
+      if (typeof megabytes !== 'number' || megabytes < 50 || megabytes > 10000) {
+        throw new Error('Cache size limit must be between 50 and 10000 MB');
+      }
+      return secureInvoke('cache:setLimit', megabytes);
+    }
+  },
+  
   // Output folder operations
   getDefaultOutputFolder: () => secureInvoke('settings:getDefaultOutputFolder'),
   
   // System operations
   checkFFmpeg: () => secureInvoke('system:checkFFmpeg'),
   getFFmpegStatus: () => secureInvoke('system:getFFmpegStatus'),
+  getOutputFormats: () => secureInvoke('system:getOutputFormats'),
   initializeFFmpeg: () => secureInvoke('system:initializeFFmpeg'),
   getVersion: () => secureInvoke('system:getVersion'),
   
@@ -202,6 +384,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onTTSComplete: (callback) => secureOn('tts:complete', callback),
   onTTSError: (callback) => secureOn('tts:error', callback),
   onTTSCancelled: (callback) => secureOn('tts:cancelled', callback),
+  onAudioChunk: (callback) => secureOn('tts:audioChunk', callback),
   onIPCError: (callback) => secureOn('ipc:error', callback),
   onRetryAttempt: (callback) => secureOn('tts:retry', callback),
   onServiceReady: (callback) => secureOn('services:ready', callback),
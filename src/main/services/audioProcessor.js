@@ -4,6 +4,11 @@ const path = require('path');
 const { spawn } = require('child_process');
 const { promisify } = require('util');
 const ErrorHandler = require('./errorHandler.js');
+const { createCancellationError, throwIfCancelled } = require('../utils/cancellation.js');
+const { readAudioContainer, getExtensionContainer } = require('../utils/audioContainer.js');
+const { listOutputFormats, getOutputFormat, getFormatOptionRanges, normalizeFormatOptions } = require('../utils/outputFormats.js');
+const { MAX_COVER_BYTES, normalizeMetadata, buildMetadataArguments, getCoverEmbedding, detectImageType, buildPictureBlock, buildMetadataFile } = require('../utils/audioMetadata.js');
+const { createWavHeader, readWavInfo } = require('../utils/wavUtils.js');
 
 const execAsync = promisify(require('child_process').exec);
 
@@ -15,6 +20,7 @@ class AudioProcessor {
     constructor() {
         this.ffmpegPath = null;
         this.isFFmpegValidated = false;
+        this.encoders = null;
         this.errorHandler = new ErrorHandler();
         this.ffmpegStatus = {
             available: false,
@@ -113,6 +119,7 @@ class AudioProcessor {
     async initializeFFmpeg() {
         try {
             // Reset status
+            this.encoders = null;
             this.ffmpegStatus = {
                 available: false,
                 source: 'none',
@@ -219,27 +226,109 @@ class AudioProcessor {
     }
 
     /**
-     * Converts WAV file to MP3 format using FFmpeg
+     * Lists the audio encoders the FFmpeg build in use includes
+     * The result is cached until FFmpeg is detected again.
+     * @returns {Promise<Set<string>>} Encoder names, e.g. 'libopus'; empty without FFmpeg
+     */
+    async detectEncoders() {
+        if (this.encoders) {
+            return this.encoders;
+        }
+
+        const isFFmpegAvailable = await this.validateFFmpegInstallation();
+        if (!isFFmpegAvailable) {
+            return new Set();
+        }
+
+        try {
+            const { stdout } = await execAsync(`"${this.ffmpegPath}" -hide_banner -encoders`, { timeout: 10000 });
+            // Encoder lines look like " A....D libopus   libopus Opus"; audio encoders start with A
+            this.encoders = new Set(stdout
+                .split('\n')
+                .map(line => line.match(/^\s*A[A-Z.]{5}\s+(\S+)/))
+                .filter(Boolean)
+                .map(match => match[1]));
+        } catch (error) {
+            console.warn('Could not list FFmpeg encoders:', error.message);
+            this.encoders = new Set();
+        }
+
+        return this.encoders;
+    }
+
+    /**
+     * Lists the output formats together with whether they can be produced now
+     * @returns {Promise<Array<{id: string, label: string, description: string, requiresFFmpeg: boolean, available: boolean, reason: string|null, options: Object}>>}
+     */
+    async getAvailableFormats() {
+        const ffmpegAvailable = await this.validateFFmpegInstallation();
+        const encoders = ffmpegAvailable ? await this.detectEncoders() : new Set();
+
+        return listOutputFormats().map(format => {
+            let reason = null;
+            if (format.requiresFFmpeg && !ffmpegAvailable) {
+                reason = 'FFmpeg not found';
+            } else if (format.requiresFFmpeg && !encoders.has(format.encoder)) {
+                reason = `FFmpeg build has no ${format.encoder} encoder`;
+            }
+
+            return {
+                id: format.id,
+                label: format.label,
+                description: format.description,
+                requiresFFmpeg: format.requiresFFmpeg,
+                available: reason === null,
+                reason,
+                options: getFormatOptionRanges(format.id)
+            };
+        });
+    }
+
+    /**
+     * Encodes a WAV file into one of the output formats using FFmpeg
      * @param {string} inputPath - Path to input WAV file
-     * @param {string} outputPath - Path for output MP3 file
-     * @param {Object} options - Conversion options
-     * @param {number} options.bitrate - Audio bitrate (default: 128k)
-     * @param {number} options.sampleRate - Sample rate (default: 44100)
-     * @returns {Promise<string>} Path to converted MP3 file
+     * @param {string} outputPath - Path for the encoded file
+     * @param {string} format - Output format id from the registry ('mp3', 'opus', 'ogg', 'flac', 'm4a' or 'm4b')
+     * @param {Object} options - Encoder options; see normalizeFormatOptions() for the ones each format accepts
+     * @param {string} options.bitrate - Target bitrate for MP3, Opus and AAC, e.g. '128k'
+     * @param {number} options.quality - Vorbis VBR quality (0-10)
+     * @param {number} options.compressionLevel - FLAC compression level (0-12)
+     * @param {number} options.sampleRate - Output sample rate in Hz
+     * @param {number} options.channels - 1 for mono, 2 for stereo; null keeps the input layout
+     * @param {Object} options.metadata - Tags to write: title, artist, album, track, genre, comment and cover (image path)
+     * @param {Array<{title: string, startMs: number, endMs: number}>} options.chapters - Chapter markers for formats that carry them (M4B)
+     * @param {AbortSignal} options.signal - Kills FFmpeg and deletes the partial file when aborted
+     * @returns {Promise<string>} Path to the encoded file
      */
-    async convertWavToMp3(inputPath, outputPath, options = {}) {
+    async transcode(inputPath, outputPath, format, options = {}) {
+        const { signal, metadata, chapters, ...formatOptions } = options;
+        throwIfCancelled(signal);
+
+        const definition = getOutputFormat(format);
+        if (!definition || !definition.encoder) {
+            throw new Error(`Unsupported output format: ${format}`);
+        }
+        const settings = normalizeFormatOptions(format, formatOptions);
+        const tags = normalizeMetadata(metadata);
+
         // Validate FFmpeg installation first
         const isFFmpegAvailable = await this.validateFFmpegInstallation();
         if (!isFFmpegAvailable) {
-            const error = new Error('FFmpeg is not installed or not available in PATH. Please install FFmpeg to convert to MP3 format.');
-            throw this.errorHandler.handleFFmpegError(error, { operation: 'convertWavToMp3', inputPath, outputPath });
+            const error = new Error(`FFmpeg is not installed or not available in PATH. Please install FFmpeg to convert to ${definition.label} format.`);
+            throw this.errorHandler.handleFFmpegError(error, { operation: 'transcode', format, inputPath, outputPath });
+        }
+
+        const encoders = await this.detectEncoders();
+        if (encoders.size > 0 && !encoders.has(definition.encoder)) {
+            const error = new Error(`The ${definition.encoder} encoder is not available in this FFmpeg build, so it cannot convert to ${definition.label} format.`);
+            throw this.errorHandler.handleFFmpegError(error, { operation: 'transcode', format, inputPath, outputPath });
         }
 
         // Validate input file exists
         try {
             await fs.access(inputPath);
         } catch (error) {
-            const enhancedError = this.errorHandler.handleFileError(error, inputPath, { operation: 'convertWavToMp3' });
+            const enhancedError = this.errorHandler.handleFileError(error, inputPath, { operation: 'transcode' });
             throw enhancedError;
         }
 
@@ -252,14 +341,78 @@ class AudioProcessor {
             throw enhancedError;
         }
 
-        const { bitrate = '128k', sampleRate = 44100 } = options;
+        // Chapters and Ogg cover art (a base64 comment, too long for a command line
+        // on Windows) go through an FFmpeg metadata file next to the input
+        const cover = tags.cover ? await this.readCoverImage(tags.cover) : null;
+        const coverEmbedding = cover ? getCoverEmbedding(format) : null;
+        const chapterMarkers = definition.chapters && Array.isArray(chapters) ? chapters : [];
+        let metadataFile = null;
+        if (coverEmbedding === 'comment' || chapterMarkers.length > 0) {
+            metadataFile = `${inputPath}.ffmetadata`;
+            await fs.writeFile(metadataFile, buildMetadataFile({
+                picture: coverEmbedding === 'comment' ? buildPictureBlock(cover.data, cover.mimeType) : null,
+                chapters: chapterMarkers
+            }));
+        }
 
+        try {
+            return await this.runTranscode(inputPath, outputPath, format, definition, settings, tags, { coverEmbedding, metadataFile, signal });
+        } finally {
+            if (metadataFile) {
+                await fs.unlink(metadataFile).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Runs the FFmpeg command of transcode() once inputs and options are checked
+     */
+    runTranscode(inputPath, outputPath, format, definition, settings, tags, { coverEmbedding, metadataFile, signal }) {
         return new Promise((resolve, reject) => {
-            ffmpeg(inputPath)
-                .audioCodec('libmp3lame')
-                .audioBitrate(bitrate)
-                .audioFrequency(sampleRate)
-                .format('mp3')
+            const command = ffmpeg(inputPath);
+            this.killOnAbort(command, outputPath, signal, reject);
+
+            if (coverEmbedding === 'stream' || metadataFile) {
+                command.outputOptions('-map', '0:a');
+            }
+            if (coverEmbedding === 'stream') {
+                // The image becomes an attached picture: ID3 APIC, MP4 covr or a FLAC PICTURE block
+                command.input(tags.cover);
+                command.outputOptions('-map', '1:v', '-c:v', 'copy', '-disposition:v', 'attached_pic');
+                if (format === 'mp3') {
+                    command.outputOptions('-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+                }
+            }
+            if (metadataFile) {
+                const metadataInput = coverEmbedding === 'stream' ? '2' : '1';
+                command.input(metadataFile).inputFormat('ffmetadata');
+                command.outputOptions('-map_metadata', metadataInput, '-map_chapters', metadataInput);
+            }
+
+            command.audioCodec(definition.encoder);
+            if (settings.bitrate) {
+                command.audioBitrate(settings.bitrate);
+            }
+            if (settings.quality !== undefined) {
+                command.audioQuality(settings.quality);
+            }
+            if (settings.compressionLevel !== undefined) {
+                command.outputOptions(`-compression_level ${settings.compressionLevel}`);
+            }
+            command.audioFrequency(settings.sampleRate);
+            if (settings.channels) {
+                command.audioChannels(settings.channels);
+            }
+            if (definition.outputOptions) {
+                command.outputOptions(definition.outputOptions);
+            }
+            const metadataArguments = buildMetadataArguments(format, tags);
+            if (metadataArguments.length > 0) {
+                command.outputOptions(...metadataArguments);
+            }
+
+            command
+                .format(definition.ffmpegFormat)
                 .on('start', (commandLine) => {
                     console.log('FFmpeg conversion started:', commandLine);
                 })
@@ -267,13 +420,13 @@ class AudioProcessor {
                     console.log(`Conversion progress: ${progress.percent}%`);
                 })
                 .on('end', () => {
-                    console.log('MP3 conversion completed successfully');
+                    console.log(`${definition.label} conversion completed successfully`);
                     resolve(outputPath);
                 })
                 .on('error', (err) => {
                     console.error('FFmpeg conversion error:', err);
                     const enhancedError = this.errorHandler.handleFFmpegError(err, { 
-                        operation: 'mp3Conversion', 
+                        operation: `${format}Conversion`, 
                         inputPath, 
                         outputPath 
                     });
@@ -283,18 +436,120 @@ class AudioProcessor {
         });
     }
 
+    /**
+     * Reads a cover image and checks that it is a JPEG or PNG file of reasonable size
+     * @param {string} coverPath - Path to the image
+     * @returns {Promise<{data: Buffer, mimeType: string}>}
+     */
+    async readCoverImage(coverPath) {
+        let data;
+        try {
+            const stats = await fs.stat(coverPath);
+            if (stats.size > MAX_COVER_BYTES) {
+                throw new Error(`Cover art must be smaller than ${MAX_COVER_BYTES / (1024 * 1024)} MB`);
+            }
+            data = await fs.readFile(coverPath);
+        } catch (error) {
+            if (error.code) {
+                throw this.errorHandler.handleFileError(error, coverPath, { operation: 'readCoverImage' });
+            }
+            throw error;
+        }
+
+        const mimeType = detectImageType(data);
+        if (!mimeType) {
+            throw new Error('Cover art must be a JPEG or PNG image');
+        }
+        return { data, mimeType };
+    }
+
+    /**
+     * Converts WAV file to MP3 format using FFmpeg
+     * @param {string} inputPath - Path to input WAV file
+     * @param {string} outputPath - Path for output MP3 file
+     * @param {Object} options - Conversion options
+     * @param {number} options.bitrate - Audio bitrate (default: 128k)
+     * @param {number} options.sampleRate - Sample rate (default: 44100)
+     * @param {AbortSignal} options.signal - Kills FFmpeg and deletes the partial MP3 when aborted
+     * @returns {Promise<string>} Path to converted MP3 file
+     */
+    async convertWavToMp3(inputPath, outputPath, options = {}) {
+        return this.transcode(inputPath, outputPath, 'mp3', options);
+    }
+
+    /**
+     * Converts audio in any format FFmpeg reads to 16-bit PCM WAV
+     * Used for engine output that is not WAV, such as the MP3 frames Edge TTS returns.
+     * @param {string} inputPath - Audio file to convert
+     * @param {string} outputPath - Path for the WAV file
+     * @param {Object} options - {signal} to cancel the conversion
+     * @returns {Promise<string>} Path to the WAV file
+     */
+    async transcodeToWav(inputPath, outputPath, options = {}) {
+        throwIfCancelled(options.signal);
+
+        const isFFmpegAvailable = await this.validateFFmpegInstallation();
+        if (!isFFmpegAvailable) {
+            const error = new Error('FFmpeg is not installed or not available in PATH. Please install FFmpeg to convert engine audio to WAV format.');
+            throw this.errorHandler.handleFFmpegError(error, { operation: 'transcodeToWav', inputPath, outputPath });
+        }
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath);
+            this.killOnAbort(command, outputPath, options.signal, reject);
+
+            command
+                .audioCodec('pcm_s16le')
+                .format('wav')
+                .on('end', () => resolve(outputPath))
+                .on('error', (err) => {
+                    const enhancedError = this.errorHandler.handleFFmpegError(err, {
+                        operation: 'transcodeToWav',
+                        inputPath,
+                        outputPath
+                    });
+                    reject(enhancedError);
+                })
+                .save(outputPath);
+        });
+    }
+
     /**
      * Merges multiple audio chunks into a single file
-     * @param {string[]} chunkPaths - Array of paths to audio chunk files
+     * Entries may also be {silenceMs} objects; the silence is generated locally
+     * and inserted at that position, which is how pause markup is rendered.
+     * {chapter} entries take no time and mark where a chapter starts.
+     * @param {Array<string|{silenceMs: number}|{chapter: string}>} chunkPaths - Paths to audio chunk files, silences and chapter starts
      * @param {string} outputPath - Path for merged output file
      * @param {string} format - Output format ('wav' or 'mp3')
+     * @param {Object} options - Merge options
+     * @param {number} options.gapMs - Silence inserted between chunks in milliseconds
+     * @param {AbortSignal} options.signal - Kills FFmpeg and deletes the partial output when aborted
+     * @param {string} options.workDir - Directory for silences and merge batches (default: the output folder)
+     * @param {Array} options.chapters - Filled with {title, startMs, endMs} for every {chapter} entry
+     * @param {Array} options.boundaries - Filled with the offset in milliseconds where each chunk or silence ends
      * @returns {Promise<string>} Path to merged audio file
      */
-    async mergeAudioChunks(chunkPaths, outputPath, format = 'wav') {
+    async mergeAudioChunks(chunkPaths, outputPath, format = 'wav', options = {}) {
         if (!chunkPaths || chunkPaths.length === 0) {
             throw new Error('No audio chunks provided for merging');
         }
 
+        throwIfCancelled(options.signal);
+
+        if (chunkPaths.some(item => typeof item !== 'string')) {
+            return this.mergeAudioChunksWithSilences(chunkPaths, outputPath, format, options);
+        }
+
+        if (options.gapMs > 0 && chunkPaths.length > 1) {
+            return this.mergeAudioChunksWithGaps(chunkPaths, outputPath, format, options.gapMs, { signal: options.signal, workDir: options.workDir, boundaries: options.boundaries });
+        }
+
+        // Chunk offsets are added up while merging
+        if (Array.isArray(options.boundaries) && chunkPaths.length > 1) {
+            return this.mergeAudioChunksWithSilences(chunkPaths, outputPath, format, options);
+        }
+
         if (chunkPaths.length === 1) {
             // If only one chunk, just copy it to the output path
             try {
@@ -307,7 +562,7 @@ class AudioProcessor {
 
         // Use optimized merging for large numbers of chunks
         if (chunkPaths.length > 10) {
-            return this.mergeAudioChunksOptimized(chunkPaths, outputPath, format);
+            return this.mergeAudioChunksOptimized(chunkPaths, outputPath, format, { signal: options.signal, workDir: options.workDir });
         }
 
         // Validate all chunk files exist
@@ -331,6 +586,7 @@ class AudioProcessor {
 
         return new Promise((resolve, reject) => {
             const ffmpegCommand = ffmpeg();
+            this.killOnAbort(ffmpegCommand, outputPath, options.signal, reject);
 
             // Add all input files
             chunkPaths.forEach(chunkPath => {
@@ -361,16 +617,169 @@ class AudioProcessor {
         });
     }
 
+    /**
+     * Merges audio chunks with a fixed silence between each pair of chunks
+     * @param {string[]} chunkPaths - Array of paths to audio chunk files
+     * @param {string} outputPath - Path for merged output file
+     * @param {string} format - Output format ('wav' or 'mp3')
+     * @param {number} gapMs - Silence duration in milliseconds
+     * @param {Object} options - {signal} to cancel the merge, {workDir} for the silent files, {boundaries} to fill with chunk offsets
+     * @returns {Promise<string>} Path to merged audio file
+     */
+    async mergeAudioChunksWithGaps(chunkPaths, outputPath, format, gapMs, options = {}) {
+        const items = [];
+        chunkPaths.forEach((chunkPath, index) => {
+            if (index > 0) {
+                items.push({ silenceMs: gapMs });
+            }
+            items.push(chunkPath);
+        });
+
+        return this.mergeAudioChunksWithSilences(items, outputPath, format, options);
+    }
+
+    /**
+     * Merges audio chunks and silences in the given order
+     * One silent file is generated per distinct duration, matching the format
+     * of the first audio chunk, and removed once the merge is done. With
+     * options.chapters or options.boundaries, the length of every part is
+     * added up so each {chapter} entry gets its start offset in the merged
+     * audio and every chunk and silence the offset where it ends.
+     * @param {Array<string|{silenceMs: number}|{chapter: string}>} items - Chunk paths, silences and chapter starts in playback order
+     * @param {string} outputPath - Path for merged output file
+     * @param {string} format - Output format ('wav' or 'mp3')
+     * @param {Object} options - {signal} to cancel the merge, {workDir} for the silent files, {chapters} to fill with chapter offsets,
+     *                           {boundaries} to fill with the offsets between chunks and silences
+     * @returns {Promise<string>} Path to merged audio file
+     */
+    async mergeAudioChunksWithSilences(items, outputPath, format, options = {}) {
+        const referencePath = items.find(item => typeof item === 'string') || null;
+        const silencePaths = new Map();
+        const stamp = Date.now();
+        const chapters = Array.isArray(options.chapters) ? [] : null;
+        const boundaries = Array.isArray(options.boundaries) ? [] : null;
+        let offsetMs = 0;
+
+        try {
+            const paths = [];
+            for (const item of items) {
+                if (typeof item === 'string') {
+                    paths.push(item);
+                    if (chapters || boundaries) {
+                        offsetMs += await this.getAudioDurationMs(item);
+                        boundaries?.push(offsetMs);
+                    }
+                    continue;
+                }
+
+                if (item.chapter !== undefined) {
+                    if (chapters) {
+                        chapters.push({ title: item.chapter, startMs: offsetMs });
+                    }
+                    continue;
+                }
+
+                const durationMs = Math.round(item.silenceMs);
+                if (!(durationMs > 0)) {
+                    continue;
+                }
+
+                if (!silencePaths.has(durationMs)) {
+                    const silencePath = path.join(options.workDir || path.dirname(outputPath), `silence_${stamp}_${durationMs}.wav`);
+                    silencePaths.set(durationMs, silencePath);
+                    await this.createSilence(durationMs, silencePath, referencePath, options);
+                }
+                paths.push(silencePaths.get(durationMs));
+                offsetMs += durationMs;
+                boundaries?.push(offsetMs);
+            }
+
+            if (paths.length === 0) {
+                throw new Error('No audio chunks provided for merging');
+            }
+
+            if (chapters) {
+                // Each chapter ends where the next one starts; chapters without audio are left out
+                chapters.forEach((chapter, index) => {
+                    chapter.endMs = index + 1 < chapters.length ? chapters[index + 1].startMs : offsetMs;
+                });
+                options.chapters.push(...chapters.filter(chapter => chapter.endMs > chapter.startMs));
+            }
+            if (boundaries) {
+                // The end of the last part is the end of the audio, not a break
+                options.boundaries.push(...boundaries.filter(offset => offset < offsetMs));
+            }
+
+            return await this.mergeAudioChunks(paths, outputPath, format, { signal: options.signal, workDir: options.workDir });
+        } finally {
+            for (const silencePath of silencePaths.values()) {
+                await fs.unlink(silencePath).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Generates a silent WAV file matching the sample rate and channels of a reference file
+     * @param {number} durationMs - Silence duration in milliseconds
+     * @param {string} outputPath - Path for the silent WAV file
+     * @param {string} referencePath - Audio file whose format the silence should match
+     * @param {Object} options - {signal} to cancel the FFmpeg run
+     * @returns {Promise<string>} Path to the silent file
+     */
+    async createSilence(durationMs, outputPath, referencePath = null, options = {}) {
+        throwIfCancelled(options.signal);
+
+        let sampleRate = 24000;
+        let channels = 1;
+
+        if (referencePath) {
+            try {
+                const metadata = await this.getAudioInfo(referencePath);
+                const audioStream = (metadata.streams || []).find(stream => stream.codec_type === 'audio');
+                if (audioStream) {
+                    sampleRate = Number(audioStream.sample_rate) || sampleRate;
+                    channels = audioStream.channels || channels;
+                }
+            } catch (error) {
+                console.warn('Could not read reference audio format, using defaults:', error.message);
+            }
+        }
+
+        const channelLayout = channels === 1 ? 'mono' : 'stereo';
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg();
+            this.killOnAbort(command, outputPath, options.signal, reject);
+
+            command
+                .input(`anullsrc=r=${sampleRate}:cl=${channelLayout}`)
+                .inputFormat('lavfi')
+                .duration(durationMs / 1000)
+                .audioCodec('pcm_s16le')
+                .on('end', () => resolve(outputPath))
+                .on('error', (err) => {
+                    const enhancedError = this.errorHandler.handleFFmpegError(err, {
+                        operation: 'createSilence',
+                        durationMs,
+                        outputPath
+                    });
+                    reject(enhancedError);
+                })
+                .save(outputPath);
+        });
+    }
+
     /**
      * Optimized merging for large numbers of audio chunks using batch processing
      * @param {string[]} chunkPaths - Array of paths to audio chunk files
      * @param {string} outputPath - Path for merged output file
      * @param {string} format - Output format ('wav' or 'mp3')
+     * @param {Object} options - {signal} to cancel the merge between or during batches, {workDir} for the batch files
      * @returns {Promise<string>} Path to merged audio file
      */
-    async mergeAudioChunksOptimized(chunkPaths, outputPath, format = 'wav') {
+    async mergeAudioChunksOptimized(chunkPaths, outputPath, format = 'wav', options = {}) {
         const batchSize = 20; // Process chunks in batches to avoid command line length limits
-        const tempDir = path.join(path.dirname(outputPath), 'merge_temp');
+        const tempDir = path.join(options.workDir || path.dirname(outputPath), 'merge_temp');
         
         try {
             await fs.mkdir(tempDir, { recursive: true });
@@ -381,12 +790,14 @@ class AudioProcessor {
                 const batch = chunkPaths.slice(i, i + batchSize);
                 const batchOutputPath = path.join(tempDir, `batch_${Math.floor(i / batchSize)}.wav`);
                 
-                await this.mergeBatch(batch, batchOutputPath);
+                throwIfCancelled(options.signal);
+                await this.mergeBatch(batch, batchOutputPath, options);
                 batchFiles.push(batchOutputPath);
             }
 
             // Merge all batch files into final output
-            await this.mergeBatch(batchFiles, outputPath);
+            throwIfCancelled(options.signal);
+            await this.mergeBatch(batchFiles, outputPath, options);
 
             // Clean up temporary files
             await this.cleanupTempDirectory(tempDir);
@@ -406,9 +817,10 @@ class AudioProcessor {
     /**
      * Merge a batch of audio files
      */
-    async mergeBatch(filePaths, outputPath) {
+    async mergeBatch(filePaths, outputPath, options = {}) {
         return new Promise((resolve, reject) => {
             const ffmpegCommand = ffmpeg();
+            this.killOnAbort(ffmpegCommand, outputPath, options.signal, reject);
 
             filePaths.forEach(filePath => {
                 ffmpegCommand.input(filePath);
@@ -421,6 +833,43 @@ class AudioProcessor {
         });
     }
 
+    /**
+     * Stop an FFmpeg command when its conversion is cancelled
+     * The process is killed, the promise wrapping the command rejects with the
+     * cancellation error and the partial output is deleted once FFmpeg exits.
+     * @param {Object} command - fluent-ffmpeg command
+     * @param {string} outputPath - File the command writes
+     * @param {AbortSignal} signal - Conversion abort signal (may be omitted)
+     * @param {Function} reject - Rejects the promise wrapping the command
+     */
+    killOnAbort(command, outputPath, signal, reject) {
+        if (!signal) {
+            return;
+        }
+
+        const onAbort = () => {
+            command.kill('SIGKILL');
+            reject(createCancellationError());
+        };
+        const onExit = () => {
+            signal.removeEventListener('abort', onAbort);
+            if (signal.aborted) {
+                fs.unlink(outputPath).catch(() => {});
+            }
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        command
+            // FFmpeg is spawned asynchronously; an abort before the spawn has no process to kill yet
+            .on('start', () => {
+                if (signal.aborted) {
+                    command.kill('SIGKILL');
+                }
+            })
+            .on('end', onExit)
+            .on('error', onExit);
+    }
+
     /**
      * Clean up temporary directory and all files within it
      */
@@ -458,6 +907,100 @@ class AudioProcessor {
         await Promise.allSettled(cleanupPromises);
     }
 
+    /**
+     * Gets the length of an audio file, from its header for PCM WAV files
+     * @param {string} filePath - Path to audio file
+     * @returns {Promise<number>} Duration in milliseconds (0 if unknown)
+     */
+    async getAudioDurationMs(filePath) {
+        const wavInfo = await this.getWavInfo(filePath);
+        if (wavInfo) {
+            return wavInfo.durationMs;
+        }
+
+        const metadata = await this.getAudioInfo(filePath);
+        const duration = Number(metadata.format && metadata.format.duration);
+        return Number.isFinite(duration) ? duration * 1000 : 0;
+    }
+
+    /**
+     * Reads the PCM format and data position of a WAV file from its header
+     * @param {string} filePath - Path to audio file
+     * @returns {Promise<Object|null>} Result of readWavInfo(), or null if the file is not PCM WAV
+     */
+    async getWavInfo(filePath) {
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const { size } = await handle.stat();
+            const header = Buffer.alloc(Math.min(size, 4096));
+            await handle.read(header, 0, header.length, 0);
+            return readWavInfo(header, size);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Copies a stretch of a PCM WAV file into a WAV file of its own, without FFmpeg
+     * Offsets are rounded to whole sample frames; the samples are copied in blocks
+     * so hours of audio never sit in memory.
+     * @param {string} inputPath - PCM WAV file
+     * @param {string} outputPath - Path for the extracted WAV file
+     * @param {number} startMs - Start of the stretch
+     * @param {number} endMs - End of the stretch (clamped to the end of the file)
+     * @param {Object} options - {signal} to cancel; the partial file is deleted
+     * @returns {Promise<string>} Path to the extracted file
+     */
+    async extractWavRange(inputPath, outputPath, startMs, endMs, options = {}) {
+        throwIfCancelled(options.signal);
+
+        const wavInfo = await this.getWavInfo(inputPath);
+        if (!wavInfo) {
+            throw new Error(`Not a PCM WAV file: ${inputPath}`);
+        }
+
+        const blockAlign = wavInfo.channels * (wavInfo.bitsPerSample / 8);
+        const frameOffset = (ms) => Math.min(
+            Math.round((ms / 1000) * wavInfo.sampleRate) * blockAlign,
+            wavInfo.dataLength - (wavInfo.dataLength % blockAlign)
+        );
+        const start = frameOffset(Math.max(0, startMs));
+        const length = Math.max(0, frameOffset(endMs) - start);
+
+        const input = await fs.open(inputPath, 'r');
+        let output = null;
+        try {
+            output = await fs.open(outputPath, 'w');
+            await output.write(createWavHeader(length, wavInfo));
+
+            const block = Buffer.alloc(Math.min(length, 1024 * 1024));
+            let copied = 0;
+            while (copied < length) {
+                throwIfCancelled(options.signal);
+                const { bytesRead } = await input.read(block, 0, Math.min(block.length, length - copied), wavInfo.dataOffset + start + copied);
+                if (bytesRead === 0) {
+                    break;
+                }
+                await output.write(block, 0, bytesRead);
+                copied += bytesRead;
+            }
+        } catch (error) {
+            if (output) {
+                await output.close();
+                output = null;
+            }
+            await fs.unlink(outputPath).catch(() => {});
+            throw error;
+        } finally {
+            await input.close();
+            if (output) {
+                await output.close();
+            }
+        }
+
+        return outputPath;
+    }
+
     /**
      * Gets audio file information using FFprobe
      * @param {string} filePath - Path to audio file
@@ -484,29 +1027,47 @@ class AudioProcessor {
 
     /**
      * Validates audio file format and integrity
+     * The file's leading bytes must match the expected container, so an MP3
+     * stream saved under a .wav name is rejected.
      * @param {string} filePath - Path to audio file
-     * @param {string} expectedFormat - Expected format ('wav' or 'mp3')
+     * @param {string} expectedFormat - Expected container ('wav', 'mp3', 'ogg', 'flac' or 'mp4'); defaults to the one the extension names
      * @returns {Promise<boolean>} True if file is valid
      */
-    async validateAudioFile(filePath, expectedFormat) {
+    async validateAudioFile(filePath, expectedFormat = null) {
         try {
-            const metadata = await this.getAudioInfo(filePath);
-            const actualFormat = metadata.format.format_name.toLowerCase();
-            
-            if (expectedFormat === 'wav' && actualFormat.includes('wav')) {
-                return true;
+            // The extension and the requested format must agree, and the bytes must match both
+            const extensionFormat = getExtensionContainer(filePath);
+            const expected = expectedFormat || extensionFormat;
+            if (!expected || (extensionFormat && extensionFormat !== expected)) {
+                return false;
             }
-            if (expectedFormat === 'mp3' && actualFormat.includes('mp3')) {
-                return true;
+
+            const container = await this.detectContainer(filePath);
+            if (container !== expected) {
+                console.warn(`Audio file ${path.basename(filePath)} contains ${container || 'unknown'} data, expected ${expected}`);
+                return false;
             }
+
+            const metadata = await this.getAudioInfo(filePath);
+            const actualFormat = metadata.format.format_name.toLowerCase();
             
-            return false;
+            // ffprobe names containers like the detector does, e.g. 'ogg', 'flac' or 'mov,mp4,m4a,...'
+            return actualFormat.split(',').includes(expected);
         } catch (error) {
             console.error('Audio validation error:', error);
             return false;
         }
     }
 
+    /**
+     * Identifies the container of an audio file from its leading bytes
+     * @param {string} filePath - Path to audio file
+     * @returns {Promise<string|null>} 'wav', 'mp3', 'ogg', 'flac', 'mp4', 'webm', 'aac' or null
+     */
+    async detectContainer(filePath) {
+        return readAudioContainer(filePath);
+    }
+
     /**
      * Plays an audio file using the system's default audio player
      * @param {string} filePath - Path to audio file to play
@@ -573,6 +1134,7 @@ class AudioProcessor {
             // Reset FFmpeg status
             this.ffmpegPath = null;
             this.isFFmpegValidated = false;
+            this.encoders = null;
             this.ffmpegStatus = {
                 available: false,
                 source: 'none',
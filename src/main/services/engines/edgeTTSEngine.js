@@ -0,0 +1,313 @@
+const { promises: fs } = require('fs');
+const TTSEngine = require('./ttsEngine.js');
+const SSMLProcessor = require('../../utils/ssmlProcessor.js');
+const { getVoiceStyles } = require('./voiceStyles.js');
+
+const SSML_NAMESPACE = 'http://www.w3.org/2001/10/synthesis';
+const MSTTS_NAMESPACE = 'https://www.w3.org/2001/mstts';
+const TICKS_PER_MS = 10000;
+
+// Import edge-tts library functions (ES module)
+let edgeTTS;
+let edgeTTSImportPromise;
+
+/**
+ * Ensure WebCrypto is available for the edge-tts library
+ */
+function ensureCrypto() {
+    const { webcrypto } = require('node:crypto');
+    if (typeof globalThis.crypto === 'undefined') {
+        globalThis.crypto = webcrypto;
+    }
+    // Also set it on global for compatibility
+    if (typeof global.crypto === 'undefined') {
+        global.crypto = webcrypto;
+    }
+}
+
+/**
+ * Microsoft Edge TTS engine adapter
+ * Wraps both the class-based @andresaya/edge-tts package and the
+ * function-based edge-tts fallback package
+ */
+class EdgeTTSEngine extends TTSEngine {
+    constructor() {
+        super('edge', 'Microsoft Edge TTS');
+        this.ssmlProcessor = new SSMLProcessor();
+    }
+
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            requiresNetwork: true,
+            ssml: true,
+            pitch: true,
+            volume: true,
+            styles: true,
+            wordBoundaries: true,
+            outputFormat: 'mp3'
+        };
+    }
+
+    /**
+     * Load the edge-tts ES module once per process
+     */
+    async loadLibrary() {
+        if (!edgeTTSImportPromise) {
+            edgeTTSImportPromise = this.importEdgeTTS().catch(error => {
+                // Allow a later attempt to import again
+                edgeTTSImportPromise = null;
+                throw error;
+            });
+        }
+        return edgeTTSImportPromise;
+    }
+
+    /**
+     * Import edge-tts library using dynamic import for ES modules
+     */
+    async importEdgeTTS() {
+        try {
+            // Ensure crypto is available before importing edge-tts
+            ensureCrypto();
+
+            // Try the newer @andresaya/edge-tts package first
+            try {
+                edgeTTS = await import('@andresaya/edge-tts');
+                console.log('edge-tts library loaded successfully (@andresaya/edge-tts)');
+                return edgeTTS;
+            } catch (newError) {
+                console.warn('Failed to load @andresaya/edge-tts, trying fallback:', newError.message);
+                // Fallback to original package
+                edgeTTS = await import('edge-tts/out/index.js');
+                console.log('edge-tts library loaded successfully (fallback)');
+                return edgeTTS;
+            }
+        } catch (error) {
+            console.warn('Failed to load edge-tts library:', error.message);
+            throw new Error(`edge-tts library not available: ${error.message}`);
+        }
+    }
+
+    async isAvailable() {
+        try {
+            const library = await this.loadLibrary();
+            return Boolean(library && (library.EdgeTTS || library.getVoices));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async listVoices() {
+        const library = await this.loadLibrary();
+        let apiVoices;
+
+        // Check if it's the new @andresaya/edge-tts package (class-based)
+        if (library && library.EdgeTTS) {
+            const ttsInstance = new library.EdgeTTS();
+            apiVoices = await ttsInstance.getVoices();
+        }
+        // Check if it's the original edge-tts package (function-based)
+        else if (library && library.getVoices) {
+            apiVoices = await library.getVoices();
+        }
+        else {
+            throw new Error('edge-tts library not available or not properly imported');
+        }
+
+        if (!apiVoices || apiVoices.length === 0) {
+            throw new Error('No voices returned from edge-tts service');
+        }
+
+        return this.parseVoices(apiVoices);
+    }
+
+    /**
+     * Parse the voice list from edge-tts API response
+     * @param {Array} apiVoices - Raw voice entries from the edge-tts service
+     * @returns {Array} Normalized voice objects
+     */
+    parseVoices(apiVoices) {
+        const voices = [];
+
+        for (const apiVoice of apiVoices) {
+            try {
+                const { styles, roles } = getVoiceStyles(apiVoice.ShortName);
+                voices.push({
+                    id: apiVoice.ShortName || apiVoice.Name,
+                    name: apiVoice.FriendlyName || apiVoice.Name,
+                    gender: apiVoice.Gender || 'Unknown',
+                    language: apiVoice.Locale || 'Unknown',
+                    isDefault: false,
+                    shortName: apiVoice.ShortName,
+                    fullName: apiVoice.Name,
+                    categories: apiVoice.VoiceTag?.ContentCategories || [],
+                    personalities: apiVoice.VoiceTag?.VoicePersonalities || [],
+                    styles,
+                    roles,
+                    engine: this.name
+                });
+            } catch (error) {
+                // Skip malformed voice entries
+                console.warn('Skipping malformed voice entry:', apiVoice, error);
+            }
+        }
+
+        return this.markDefaultVoice(voices);
+    }
+
+    /**
+     * Convert a speed multiplier into the edge-tts relative rate format
+     * @param {number} speed - Speed multiplier (1.0 = normal)
+     * @returns {string} Rate such as '+25%' or '-10%'
+     */
+    formatRate(speed = 1.0) {
+        const ratePercent = Math.round((speed - 1.0) * 100);
+        return ratePercent >= 0 ? `+${ratePercent}%` : `${ratePercent}%`;
+    }
+
+    /**
+     * Convert a relative pitch into the edge-tts Hz format
+     * @param {number} pitch - Pitch offset in Hz (0 = voice default)
+     * @returns {string} Pitch such as '+5Hz' or '-10Hz'
+     */
+    formatPitch(pitch = 0) {
+        const hz = Math.round(pitch);
+        return hz >= 0 ? `+${hz}Hz` : `${hz}Hz`;
+    }
+
+    /**
+     * Convert a relative volume into the edge-tts percent format
+     * @param {number} volume - Volume offset in percent (0 = voice default)
+     * @returns {string} Volume such as '+20%' or '-15%'
+     */
+    formatVolume(volume = 0) {
+        const percent = Math.round(volume);
+        return percent >= 0 ? `+${percent}%` : `${percent}%`;
+    }
+
+    /**
+     * Build the <mstts:express-as> attributes for a speaking style and role
+     * @param {Object} options - Synthesis options with style, styleDegree and role
+     * @returns {string} Attribute string starting with a space
+     */
+    formatExpressAsAttributes(options) {
+        let attributes = '';
+        if (options.style) {
+            attributes += ` style="${this.ssmlProcessor.escapeText(options.style)}"`;
+            if (typeof options.styleDegree === 'number' && options.styleDegree !== 1) {
+                attributes += ` styledegree="${options.styleDegree}"`;
+            }
+        }
+        if (options.role) {
+            attributes += ` role="${this.ssmlProcessor.escapeText(options.role)}"`;
+        }
+        return attributes;
+    }
+
+    /**
+     * Build an SSML document that applies a speaking style and/or role.
+     * Plain text is escaped and wrapped in prosody; SSML input keeps its own
+     * markup and has its content wrapped in the voice and express-as elements.
+     * Documents that already select voices are returned unchanged.
+     * @param {string} text - Plain text or SSML document
+     * @param {string} voiceId - Voice short name
+     * @param {Object} options - Synthesis options
+     * @returns {string} SSML document
+     */
+    buildExpressAsSSML(text, voiceId, options = {}) {
+        const expressAs = this.formatExpressAsAttributes(options);
+
+        if (options.inputMode === 'ssml') {
+            if (/<voice\b/.test(text)) {
+                return text;
+            }
+
+            const rootMatch = text.match(/<speak\b([^>]*?)\/?>/);
+            let rootAttributes = rootMatch ? rootMatch[1] : '';
+            if (!/\sxmlns=/.test(rootAttributes)) {
+                rootAttributes += ` xmlns="${SSML_NAMESPACE}"`;
+            }
+            if (!/\sxmlns:mstts=/.test(rootAttributes)) {
+                rootAttributes += ` xmlns:mstts="${MSTTS_NAMESPACE}"`;
+            }
+
+            const inner = this.ssmlProcessor.getInnerContent(text);
+            return `<speak${rootAttributes}><voice name="${voiceId}"><mstts:express-as${expressAs}>${inner}</mstts:express-as></voice></speak>`;
+        }
+
+        const locale = voiceId.split('-').slice(0, 2).join('-');
+        const prosody = `rate="${this.formatRate(options.speed)}" pitch="${this.formatPitch(options.pitch)}" volume="${this.formatVolume(options.volume)}"`;
+        return `<speak version="1.0" xmlns="${SSML_NAMESPACE}" xmlns:mstts="${MSTTS_NAMESPACE}" xml:lang="${locale}">` +
+            `<voice name="${voiceId}"><mstts:express-as${expressAs}>` +
+            `<prosody ${prosody}>${this.ssmlProcessor.escapeText(text)}</prosody>` +
+            '</mstts:express-as></voice></speak>';
+    }
+
+    /**
+     * Convert edge-tts word boundaries (100-nanosecond ticks) to milliseconds
+     * @param {Array<{offset: number, duration: number, text: string}>} boundaries - Library boundaries
+     * @returns {Array<{type: string, text: string, offsetMs: number, durationMs: number}>} Word timings
+     */
+    parseWordBoundaries(boundaries = []) {
+        return boundaries
+            .filter(boundary => boundary && boundary.text)
+            .map(boundary => ({
+                type: 'word',
+                text: boundary.text,
+                offsetMs: boundary.offset / TICKS_PER_MS,
+                durationMs: boundary.duration / TICKS_PER_MS
+            }));
+    }
+
+    async synthesize(text, voiceId, options = {}, outputPath) {
+        const library = await this.loadLibrary();
+        const rate = this.formatRate(options.speed);
+        const pitch = this.formatPitch(options.pitch);
+        const volume = this.formatVolume(options.volume);
+        const hasExpressAs = Boolean(options.style || options.role);
+        const isSSML = options.inputMode === 'ssml' || hasExpressAs;
+
+        // Check if it's the new @andresaya/edge-tts package (class-based)
+        if (library && library.EdgeTTS) {
+            const ttsInstance = new library.EdgeTTS();
+            const input = hasExpressAs ? this.buildExpressAsSSML(text, voiceId, options) : text;
+
+            // SSML documents are sent as-is; the library adds the voice element when missing
+            await ttsInstance.synthesize(input, voiceId, {
+                rate,
+                volume,
+                pitch,
+                inputType: isSSML ? 'ssml' : 'text'
+            });
+
+            // The library always requests MP3 from the service, whatever options.outputFormat asks for;
+            // TTSService converts the file when a WAV is wanted
+            await fs.writeFile(outputPath, ttsInstance.toBuffer());
+
+            return { outputPath, boundaries: this.parseWordBoundaries(ttsInstance.getWordBoundaries()) };
+        }
+        // Check if it's the original edge-tts package (function-based)
+        else if (library && library.ttsSave) {
+            if (hasExpressAs) {
+                console.warn('Speaking styles are not supported by the fallback edge-tts package; using the default style');
+            }
+
+            // The fallback package builds its own <speak> envelope around the input
+            const input = options.inputMode === 'ssml' ? this.ssmlProcessor.getInnerContent(text) : text;
+            await library.ttsSave(input, outputPath, {
+                voice: voiceId,
+                rate,
+                volume,
+                pitch
+            });
+        }
+        else {
+            throw new Error('edge-tts library not available or not properly imported');
+        }
+
+        return { outputPath };
+    }
+}
+
+module.exports = EdgeTTSEngine;
@@ -0,0 +1,64 @@
+const EdgeTTSEngine = require('./edgeTTSEngine.js');
+const ESpeakEngine = require('./espeakEngine.js');
+const StubEngine = require('./stubEngine.js');
+
+/**
+ * TTS Engine Registry
+ * Maps engine names to adapter classes. 'auto' is not an engine itself:
+ * it prefers the online Edge engine and falls back to the offline one.
+ */
+const ENGINES = {
+    edge: EdgeTTSEngine,
+    espeak: ESpeakEngine,
+    stub: StubEngine
+};
+
+const AUTO_ENGINE = 'auto';
+const AUTO_ENGINE_ORDER = ['edge', 'espeak'];
+
+/**
+ * Names accepted by the engine setting
+ * @returns {string[]} Engine names including 'auto'
+ */
+function getEngineNames() {
+    return [AUTO_ENGINE, ...Object.keys(ENGINES)];
+}
+
+/**
+ * Check whether a name refers to a known engine or 'auto'
+ * @param {string} name - Engine name
+ * @returns {boolean} True if the name is valid
+ */
+function isValidEngineName(name) {
+    return typeof name === 'string' && getEngineNames().includes(name);
+}
+
+/**
+ * Instantiate an engine adapter by name
+ * @param {string} name - Engine name (not 'auto')
+ * @returns {import('./ttsEngine.js')} Engine instance
+ */
+function createEngine(name) {
+    const EngineClass = ENGINES[name];
+    if (!EngineClass) {
+        throw new Error(`Unknown TTS engine: ${name}`);
+    }
+    return new EngineClass();
+}
+
+/**
+ * Engine names to try, in order, for an engine setting
+ * @param {string} name - Engine setting value
+ * @returns {string[]} Concrete engine names
+ */
+function resolveEngineOrder(name) {
+    return name === AUTO_ENGINE ? [...AUTO_ENGINE_ORDER] : [name];
+}
+
+module.exports = {
+    AUTO_ENGINE,
+    getEngineNames,
+    isValidEngineName,
+    createEngine,
+    resolveEngineOrder
+};
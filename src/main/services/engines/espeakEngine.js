@@ -0,0 +1,187 @@
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const TTSEngine = require('./ttsEngine.js');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_WORDS_PER_MINUTE = 175;
+const DEFAULT_PITCH = 50; // espeak-ng -p range is 0-99
+const DEFAULT_AMPLITUDE = 100; // espeak-ng -a range is 0-200
+
+/**
+ * eSpeak NG engine adapter
+ * Offline engine driven through the espeak-ng command line tool.
+ * eSpeak NG writes genuine PCM WAV files and needs no network access.
+ */
+class ESpeakEngine extends TTSEngine {
+    constructor() {
+        super('espeak', 'eSpeak NG (offline)');
+        this.executablePath = null;
+    }
+
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            offline: true,
+            ssml: true,
+            pitch: true,
+            volume: true,
+            outputFormat: 'wav'
+        };
+    }
+
+    /**
+     * Candidate executables in order of preference
+     * @returns {string[]} Executable names or absolute paths
+     */
+    getExecutableCandidates() {
+        const candidates = ['espeak-ng', 'espeak'];
+        if (process.platform === 'win32') {
+            candidates.push(
+                'C:\\Program Files\\eSpeak NG\\espeak-ng.exe',
+                'C:\\Program Files (x86)\\eSpeak NG\\espeak-ng.exe'
+            );
+        }
+        return candidates;
+    }
+
+    /**
+     * Locate a working espeak-ng executable
+     * @returns {Promise<string|null>} Executable path or null when not installed
+     */
+    async detectExecutable() {
+        if (this.executablePath) {
+            return this.executablePath;
+        }
+
+        for (const candidate of this.getExecutableCandidates()) {
+            try {
+                const { stdout } = await execFileAsync(candidate, ['--version'], { timeout: 5000 });
+                if (stdout && /speak/i.test(stdout)) {
+                    this.executablePath = candidate;
+                    return candidate;
+                }
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+
+        return null;
+    }
+
+    async isAvailable() {
+        return (await this.detectExecutable()) !== null;
+    }
+
+    async listVoices() {
+        const executable = await this.detectExecutable();
+        if (!executable) {
+            throw new Error('eSpeak NG is not installed or not available in PATH');
+        }
+
+        const { stdout } = await execFileAsync(executable, ['--voices'], { timeout: 10000 });
+        const voices = this.parseVoices(stdout);
+
+        if (voices.length === 0) {
+            throw new Error('No voices returned from eSpeak NG');
+        }
+
+        return voices;
+    }
+
+    /**
+     * Parse the table printed by `espeak-ng --voices`
+     * @param {string} output - Raw command output
+     * @returns {Array} Normalized voice objects
+     */
+    parseVoices(output) {
+        const voices = [];
+        const lines = (output || '').split(/\r?\n/);
+
+        for (const line of lines) {
+            // Pty Language Age/Gender VoiceName File Other Languages
+            const match = line.match(/^\s*\d+\s+(\S+)\s+\S*\/([MF-])\s+(\S+)\s+(\S+)/);
+            if (!match) {
+                continue;
+            }
+
+            const [, languageCode, genderCode, voiceName] = match;
+            voices.push({
+                id: languageCode,
+                name: `eSpeak ${voiceName.replace(/_/g, ' ')}`,
+                gender: genderCode === 'F' ? 'Female' : genderCode === 'M' ? 'Male' : 'Unknown',
+                language: this.normalizeLocale(languageCode),
+                isDefault: false,
+                engine: this.name
+            });
+        }
+
+        return this.markDefaultVoice(voices);
+    }
+
+    /**
+     * Convert eSpeak language codes (en-us) into BCP 47 casing (en-US)
+     * @param {string} code - eSpeak language code
+     * @returns {string} Normalized locale
+     */
+    normalizeLocale(code) {
+        const [language, region, ...rest] = code.split('-');
+        if (region && region.length === 2) {
+            return [language, region.toUpperCase(), ...rest].join('-');
+        }
+        return code;
+    }
+
+    async synthesize(text, voiceId, options = {}, outputPath) {
+        const executable = await this.detectExecutable();
+        if (!executable) {
+            throw new Error('eSpeak NG is not installed or not available in PATH');
+        }
+
+        const speed = options.speed || 1.0;
+        // eSpeak NG has no Hz scale, so one Hz of pitch offset maps to one pitch step
+        const pitch = Math.min(99, Math.max(0, Math.round(DEFAULT_PITCH + (options.pitch || 0))));
+        const amplitude = Math.min(200, Math.max(0, Math.round(DEFAULT_AMPLITUDE * (1 + (options.volume || 0) / 100))));
+        const args = [
+            '-v', voiceId,
+            '-s', String(Math.round(DEFAULT_WORDS_PER_MINUTE * speed)),
+            '-p', String(pitch),
+            '-a', String(amplitude),
+            '-b', '1', // UTF-8 input
+            '-w', outputPath,
+            '--stdin'
+        ];
+
+        if (options.inputMode === 'ssml') {
+            args.unshift('-m'); // Interpret SSML markup
+        }
+
+        await new Promise((resolve, reject) => {
+            // Cancelling the conversion kills eSpeak NG through the abort signal
+            const espeakProcess = spawn(executable, args, { stdio: ['pipe', 'ignore', 'pipe'], signal: options.signal });
+            let stderr = '';
+
+            espeakProcess.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            espeakProcess.on('error', (error) => {
+                reject(new Error(`Failed to execute eSpeak NG: ${error.message}`));
+            });
+
+            espeakProcess.on('close', (code) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`eSpeak NG exited with code ${code}: ${stderr.trim()}`));
+                }
+            });
+
+            espeakProcess.stdin.end(text, 'utf8');
+        });
+
+        return { outputPath };
+    }
+}
+
+module.exports = ESpeakEngine;
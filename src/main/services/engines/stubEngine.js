@@ -0,0 +1,111 @@
+const { promises: fs } = require('fs');
+const TTSEngine = require('./ttsEngine.js');
+const { encodeWav } = require('../../utils/wavUtils.js');
+
+const STUB_SAMPLE_RATE = 16000;
+const MS_PER_WORD = 400;
+const MIN_DURATION_MS = 200;
+const BASE_AMPLITUDE = 2000;
+
+const STUB_VOICES = [
+    { id: 'stub-en-US-female', name: 'Stub Voice (English, Female)', gender: 'Female', language: 'en-US', frequency: 220 },
+    { id: 'stub-en-US-male', name: 'Stub Voice (English, Male)', gender: 'Male', language: 'en-US', frequency: 140 },
+    { id: 'stub-es-ES-female', name: 'Stub Voice (Spanish, Female)', gender: 'Female', language: 'es-ES', frequency: 240 }
+];
+
+/**
+ * Deterministic in-process engine
+ * Produces a quiet tone whose length depends only on the input text and
+ * speed; pitch shifts the tone frequency and volume scales its amplitude.
+ * Word boundaries are reported in equal slots so captions can be tested.
+ * Used by the test suite and for diagnosing the audio pipeline without any
+ * network or native dependency.
+ */
+class StubEngine extends TTSEngine {
+    constructor() {
+        super('stub', 'Stub engine (testing)');
+    }
+
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            offline: true,
+            wordBoundaries: true,
+            outputFormat: 'wav'
+        };
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    async listVoices() {
+        const voices = STUB_VOICES.map(({ frequency, ...voice }) => ({
+            ...voice,
+            isDefault: false,
+            engine: this.name
+        }));
+        return this.markDefaultVoice(voices);
+    }
+
+    /**
+     * Duration the stub audio will have for a given text
+     * @param {string} text - Input text
+     * @param {number} speed - Speed multiplier
+     * @returns {number} Duration in milliseconds
+     */
+    getDurationMs(text, speed = 1.0) {
+        const wordCount = text.trim().split(/\s+/).filter(Boolean).length;
+        return Math.max(MIN_DURATION_MS, Math.round((wordCount * MS_PER_WORD) / speed));
+    }
+
+    /**
+     * Render the deterministic tone for a text
+     * @param {string} text - Input text
+     * @param {string} voiceId - Stub voice identifier
+     * @param {Object} options - Synthesis options
+     * @returns {Buffer} WAV file contents
+     */
+    renderWav(text, voiceId, options = {}) {
+        const voice = STUB_VOICES.find(v => v.id === voiceId);
+        if (!voice) {
+            throw new Error(`Voice '${voiceId}' not found`);
+        }
+
+        const durationMs = this.getDurationMs(text, options.speed || 1.0);
+        const frameCount = Math.round((durationMs / 1000) * STUB_SAMPLE_RATE);
+        const pcmData = Buffer.alloc(frameCount * 2);
+        const frequency = Math.max(20, voice.frequency + (options.pitch || 0));
+        const amplitude = BASE_AMPLITUDE * Math.max(0, 1 + (options.volume || 0) / 100);
+
+        for (let i = 0; i < frameCount; i++) {
+            const sample = Math.sin((2 * Math.PI * frequency * i) / STUB_SAMPLE_RATE);
+            pcmData.writeInt16LE(Math.round(sample * amplitude), i * 2);
+        }
+
+        return encodeWav(pcmData, { sampleRate: STUB_SAMPLE_RATE, channels: 1, bitsPerSample: 16 });
+    }
+
+    /**
+     * Word timings matching the stub audio: every word gets an equal slot
+     * @param {string} text - Input text
+     * @param {number} speed - Speed multiplier
+     * @returns {Array<{type: string, text: string, offsetMs: number, durationMs: number}>} Word boundaries
+     */
+    getWordBoundaries(text, speed = 1.0) {
+        const slotMs = MS_PER_WORD / speed;
+        return text.trim().split(/\s+/).filter(Boolean).map((word, i) => ({
+            type: 'word',
+            text: word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '') || word,
+            offsetMs: i * slotMs,
+            durationMs: slotMs * 0.8
+        }));
+    }
+
+    async synthesize(text, voiceId, options = {}, outputPath) {
+        await fs.writeFile(outputPath, this.renderWav(text, voiceId, options));
+        return { outputPath, boundaries: this.getWordBoundaries(text, options.speed || 1.0) };
+    }
+}
+
+module.exports = StubEngine;
@@ -0,0 +1,105 @@
+/**
+ * Base TTS Engine
+ * Defines the contract every speech engine adapter implements so that
+ * TTSService can list voices and synthesize chunks without knowing which
+ * backend produces the audio.
+ */
+class TTSEngine {
+    /**
+     * @param {string} name - Registry name of the engine (e.g. 'edge')
+     * @param {string} displayName - Human-readable engine name
+     */
+    constructor(name, displayName = name) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    /**
+     * Describe what the engine supports
+     * outputFormat is the container the engine writes when it cannot produce the one requested.
+     * @returns {{offline: boolean, requiresNetwork: boolean, ssml: boolean, pitch: boolean, volume: boolean, styles: boolean, wordBoundaries: boolean, outputFormat: string}}
+     */
+    getCapabilities() {
+        return {
+            offline: false,
+            requiresNetwork: false,
+            ssml: false,
+            pitch: false,
+            volume: false,
+            styles: false,
+            wordBoundaries: false,
+            outputFormat: 'wav'
+        };
+    }
+
+    /**
+     * Check whether the engine can be used on this machine
+     * @returns {Promise<boolean>} True if the engine is usable
+     */
+    async isAvailable() {
+        return false;
+    }
+
+    /**
+     * List the voices offered by the engine
+     * @returns {Promise<Array<{id: string, name: string, gender: string, language: string, isDefault: boolean, engine: string}>>}
+     */
+    async listVoices() {
+        throw new Error(`${this.displayName} engine does not implement listVoices()`);
+    }
+
+    /**
+     * Synthesize a single chunk of text into an audio file
+     * @param {string} text - Text to speak, or a <speak> document in SSML mode
+     * @param {string} voiceId - Voice identifier returned by listVoices()
+     * @param {Object} options - Synthesis options
+     * @param {number} options.speed - Speed multiplier (1.0 = normal)
+     * @param {number} options.pitch - Relative pitch in Hz (0 = voice default)
+     * @param {number} options.volume - Relative volume in percent (0 = voice default)
+     * @param {string} options.inputMode - 'text' or 'ssml' (only sent when capabilities.ssml is true)
+     * @param {AbortSignal} options.signal - Aborted when the conversion is cancelled; engines that can
+     *   stop a request midway should do so
+     * @param {string} options.outputFormat - Container wanted in outputPath ('wav'). Engines that can
+     *   produce it should ask for it; others write capabilities.outputFormat and TTSService converts the file
+     * @param {string} outputPath - Destination file path
+     * @returns {Promise<{outputPath: string, boundaries?: Array<{type: string, text: string, offsetMs: number, durationMs: number}>}>}
+     *   Synthesis result; engines with capabilities.wordBoundaries include the word timings
+     *   relative to the start of the chunk
+     */
+    async synthesize(text, voiceId, options, outputPath) {
+        throw new Error(`${this.displayName} engine does not implement synthesize()`);
+    }
+
+    /**
+     * Mark the first voice as default when it is an English voice
+     * @param {Array} voices - Parsed voice list
+     * @returns {Array} The same voice list
+     */
+    markDefaultVoice(voices) {
+        if (voices.length > 0 && voices[0].language.startsWith('en')) {
+            voices[0].isDefault = true;
+        }
+        return voices;
+    }
+
+    /**
+     * Summary used by IPC and status reporting
+     * @returns {Object} Engine description
+     */
+    describe() {
+        return {
+            name: this.name,
+            displayName: this.displayName,
+            capabilities: this.getCapabilities()
+        };
+    }
+
+    /**
+     * Release engine resources
+     */
+    cleanup() {
+        // Nothing to release by default
+    }
+}
+
+module.exports = TTSEngine;
@@ -0,0 +1,104 @@
+/**
+ * Speaking styles and roles of Microsoft neural voices
+ * The Edge voice list only reports content categories and personalities, so
+ * the styles and roles accepted by <mstts:express-as> are kept here, keyed by
+ * the voice short name.
+ */
+
+const EMOTIONAL_STYLES = [
+    'angry', 'cheerful', 'excited', 'friendly', 'hopeful',
+    'sad', 'shouting', 'terrified', 'unfriendly', 'whispering'
+];
+
+const CHINESE_CHARACTER_ROLES = [
+    'Boy', 'Girl', 'OlderAdultFemale', 'OlderAdultMale',
+    'SeniorFemale', 'SeniorMale', 'YoungAdultFemale', 'YoungAdultMale'
+];
+
+const VOICE_STYLES = {
+    'en-US-AriaNeural': {
+        styles: [
+            'angry', 'chat', 'cheerful', 'customerservice', 'empathetic', 'excited',
+            'friendly', 'hopeful', 'narration-professional', 'newscast-casual',
+            'newscast-formal', 'sad', 'shouting', 'terrified', 'unfriendly', 'whispering'
+        ]
+    },
+    'en-US-DavisNeural': { styles: ['chat', ...EMOTIONAL_STYLES] },
+    'en-US-GuyNeural': { styles: ['newscast', ...EMOTIONAL_STYLES] },
+    'en-US-JaneNeural': { styles: EMOTIONAL_STYLES },
+    'en-US-JasonNeural': { styles: EMOTIONAL_STYLES },
+    'en-US-JennyNeural': {
+        styles: ['assistant', 'chat', 'customerservice', 'newscast', ...EMOTIONAL_STYLES]
+    },
+    'en-US-NancyNeural': { styles: EMOTIONAL_STYLES },
+    'en-US-SaraNeural': { styles: EMOTIONAL_STYLES },
+    'en-US-TonyNeural': { styles: EMOTIONAL_STYLES },
+    'en-GB-RyanNeural': { styles: ['chat', 'cheerful'] },
+    'en-GB-SoniaNeural': { styles: ['cheerful', 'sad'] },
+    'es-MX-JorgeNeural': { styles: ['chat', 'cheerful'] },
+    'fr-FR-DeniseNeural': { styles: ['cheerful', 'sad'] },
+    'fr-FR-HenriNeural': { styles: ['cheerful', 'sad'] },
+    'it-IT-IsabellaNeural': { styles: ['chat', 'cheerful'] },
+    'ja-JP-NanamiNeural': { styles: ['chat', 'cheerful', 'customerservice'] },
+    'zh-CN-XiaoxiaoNeural': {
+        styles: [
+            'affectionate', 'angry', 'assistant', 'calm', 'chat', 'chat-casual',
+            'cheerful', 'customerservice', 'disgruntled', 'fearful', 'friendly',
+            'gentle', 'lyrical', 'newscast', 'poetry-reading', 'sad', 'serious',
+            'sorry', 'whisper'
+        ]
+    },
+    'zh-CN-XiaomoNeural': {
+        styles: [
+            'affectionate', 'angry', 'calm', 'cheerful', 'depressed', 'disgruntled',
+            'embarrassed', 'envious', 'fearful', 'gentle', 'sad', 'serious'
+        ],
+        roles: CHINESE_CHARACTER_ROLES
+    },
+    'zh-CN-XiaoxuanNeural': {
+        styles: ['angry', 'calm', 'cheerful', 'depressed', 'disgruntled', 'fearful', 'gentle', 'serious'],
+        roles: CHINESE_CHARACTER_ROLES
+    },
+    'zh-CN-YunxiNeural': {
+        styles: [
+            'angry', 'assistant', 'chat', 'cheerful', 'depressed', 'disgruntled',
+            'embarrassed', 'fearful', 'narration-relaxed', 'newscast', 'sad', 'serious'
+        ],
+        roles: ['Boy', 'Narrator', 'YoungAdultMale']
+    },
+    'zh-CN-YunyangNeural': {
+        styles: ['customerservice', 'narration-professional', 'newscast-casual']
+    }
+};
+
+const MIN_STYLE_DEGREE = 0.01;
+const MAX_STYLE_DEGREE = 2;
+
+/**
+ * Look up the speaking styles and roles of a voice
+ * @param {string} shortName - Voice short name such as 'en-US-AriaNeural'
+ * @returns {{styles: string[], roles: string[]}} Supported styles and roles
+ */
+function getVoiceStyles(shortName) {
+    const entry = VOICE_STYLES[shortName];
+    return {
+        styles: entry ? [...entry.styles] : [],
+        roles: entry && entry.roles ? [...entry.roles] : []
+    };
+}
+
+/**
+ * Check whether a style degree is within the range Azure accepts
+ * @param {number} degree - Style intensity (1 = default)
+ * @returns {boolean} True if the degree is valid
+ */
+function isValidStyleDegree(degree) {
+    return typeof degree === 'number' && degree >= MIN_STYLE_DEGREE && degree <= MAX_STYLE_DEGREE;
+}
+
+module.exports = {
+    MIN_STYLE_DEGREE,
+    MAX_STYLE_DEGREE,
+    getVoiceStyles,
+    isValidStyleDegree
+};
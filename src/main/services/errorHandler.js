@@ -21,6 +21,8 @@ class ErrorHandler {
             FILE_ERROR: 'file',
             FFMPEG_ERROR: 'ffmpeg',
             CONVERSION_ERROR: 'conversion',
+            SSML_ERROR: 'ssml',
+            SCRIPT_ERROR: 'script',
             SYSTEM_ERROR: 'system',
             NETWORK_ERROR: 'network',
             PERMISSION_ERROR: 'permission'
@@ -144,6 +146,7 @@ class ErrorHandler {
     /**
      * Handle file validation errors with specific troubleshooting
      * Requirement 5.2: Add file validation errors with specific troubleshooting messages
+     * Set context.access to 'write' when the file was being written.
      */
     handleFileError(error, filePath = '', context = {}) {
         const errorInfo = this.analyzeError(error, this.errorCategories.FILE_ERROR);
@@ -169,6 +172,17 @@ class ErrorHandler {
                 break;
 
             case 'EACCES':
+                if (context.access === 'write') {
+                    userMessage = `Access denied: Cannot write ${fileName}`;
+                    troubleshooting = [
+                        'Check if the file is open in another application',
+                        'Verify you have permission to write to the output folder',
+                        'Choose a different output folder',
+                        'Check if the folder is on a network drive with restricted access'
+                    ];
+                    suggestedAction = 'check_permissions';
+                    break;
+                }
                 userMessage = `Access denied: Cannot read ${fileName}`;
                 troubleshooting = [
                     'Check if the file is open in another application',
@@ -205,7 +219,7 @@ class ErrorHandler {
                 if (error.message.includes('Unsupported file type')) {
                     userMessage = `Unsupported file format: ${fileName}`;
                     troubleshooting = [
-                        'Only .txt files are supported',
+                        'Only .txt and SSML (.ssml, .xml) files are supported',
                         'Convert your file to .txt format using a text editor',
                         'Copy and paste the text directly into the application',
                         'Save your document as plain text (.txt) format'
@@ -281,6 +295,14 @@ class ErrorHandler {
                 'Alternative: Use WAV format which doesn\'t require FFmpeg',
                 'For detailed instructions, visit: https://www.wikihow.com/Install-FFmpeg-on-Windows'
             ];
+        } else if (error.message.includes('encoder is not available')) {
+            userMessage = 'The FFmpeg build in use cannot encode the selected output format.';
+            troubleshooting = [
+                'Choose another output format; formats this FFmpeg cannot encode are disabled',
+                'Install a full FFmpeg build (for example the "full" or "gpl" builds) that includes libopus and libvorbis',
+                'Restart the application after installing FFmpeg'
+            ];
+            suggestedAction = 'use_wav';
         } else if (error.message.includes('MP3 conversion failed')) {
             userMessage = 'MP3 conversion failed. The audio file may be corrupted.';
             troubleshooting = [
@@ -335,6 +357,119 @@ class ErrorHandler {
         return enhancedError;
     }
 
+    /**
+     * Handle invalid SSML input with line and column information
+     * @param {Object} validation - Result of SSMLProcessor.validate()
+     * @param {Object} context - Additional context
+     */
+    handleSSMLError(validation, context = {}) {
+        const validationErrors = validation?.errors || [];
+        const first = validationErrors[0];
+        const error = new Error(first
+            ? `Invalid SSML at line ${first.line}, column ${first.column}: ${first.message}`
+            : 'Invalid SSML');
+        const errorInfo = this.analyzeError(error, this.errorCategories.SSML_ERROR);
+
+        const userMessage = validationErrors.length > 1
+            ? `The SSML markup has ${validationErrors.length} errors. First error at line ${first.line}, column ${first.column}: ${first.message}`
+            : error.message.replace('Invalid SSML', 'The SSML markup has an error');
+
+        const troubleshooting = [
+            ...validationErrors.slice(0, 10).map(e => `Line ${e.line}, column ${e.column}: ${e.message}`),
+            'Make sure the document has a single <speak> root element and every tag is closed',
+            'Escape "&", "<" and ">" in text as &amp;, &lt; and &gt;',
+            'Switch the input mode to plain text to read the content without markup'
+        ];
+
+        const enhancedError = {
+            ...errorInfo,
+            userMessage,
+            troubleshooting,
+            severity: 'error',
+            context,
+            canRetry: false,
+            suggestedAction: 'fix_ssml',
+            validationErrors
+        };
+
+        this.logError(error, this.errorCategories.SSML_ERROR, userMessage, enhancedError);
+        return enhancedError;
+    }
+
+    /**
+     * Handle problems in a multi-speaker dialogue script
+     * @param {Array<{line: number, message: string}>} problems - Parse errors and unassigned speakers
+     * @param {Object} context - Additional context
+     */
+    handleDialogueScriptError(problems = [], context = {}) {
+        const first = problems[0];
+        const error = new Error(first
+            ? `Invalid dialogue script at line ${first.line}: ${first.message}`
+            : 'Invalid dialogue script');
+        const errorInfo = this.analyzeError(error, this.errorCategories.SCRIPT_ERROR);
+
+        const userMessage = problems.length > 1
+            ? `The dialogue script has ${problems.length} problems. First problem at line ${first.line}: ${first.message}`
+            : error.message.replace('Invalid dialogue script', 'The dialogue script has a problem');
+
+        const troubleshooting = [
+            ...problems.slice(0, 10).map(p => `Line ${p.line}: ${p.message}`),
+            'Start every turn with a speaker label, for example "ALICE: Hello"',
+            'Assign a voice to every speaker in the speaker table',
+            'Switch the input mode to plain text to read the script with a single voice'
+        ];
+
+        const enhancedError = {
+            ...errorInfo,
+            userMessage,
+            troubleshooting,
+            severity: 'error',
+            context,
+            canRetry: false,
+            suggestedAction: 'fix_script',
+            scriptErrors: problems
+        };
+
+        this.logError(error, this.errorCategories.SCRIPT_ERROR, userMessage, enhancedError);
+        return enhancedError;
+    }
+
+    /**
+     * Handle a chunk that still failed after its retries
+     * @param {Error|Object} error - Last error from the engine
+     * @param {Object} context - chunkIndex (0-based), totalChunks, attempts and excerpt of the chunk text
+     */
+    handleChunkError(error, context = {}) {
+        const { chunkIndex = 0, totalChunks = 1, attempts = 1, excerpt = '' } = context;
+        const reason = error?.userMessage || error?.message || 'Unknown error';
+        const attemptsText = attempts === 1 ? '1 attempt' : `${attempts} attempts`;
+        const chunkError = new Error(`Chunk ${chunkIndex + 1} of ${totalChunks} failed after ${attemptsText}: ${error?.message || reason}`);
+        const errorInfo = this.analyzeError(chunkError, this.errorCategories.CONVERSION_ERROR);
+
+        const userMessage = totalChunks > 1
+            ? `Part ${chunkIndex + 1} of ${totalChunks} could not be converted after ${attemptsText} ("${excerpt}"): ${reason}`
+            : `The text could not be converted after ${attemptsText}: ${reason}`;
+
+        const enhancedError = {
+            ...errorInfo,
+            userMessage,
+            troubleshooting: [
+                ...(error?.troubleshooting || []),
+                'Check the text near the quoted excerpt for unusual characters or markup',
+                'Check your internet connection if you are using an online voice',
+                'Start the conversion again once the problem is fixed'
+            ],
+            severity: 'error',
+            context,
+            canRetry: true,
+            suggestedAction: 'retry',
+            failedChunk: { index: chunkIndex, total: totalChunks, attempts, excerpt }
+        };
+
+        this.logError(chunkError, this.errorCategories.CONVERSION_ERROR, userMessage, enhancedError);
+        return enhancedError;
+    }
+
     /**
      * Handle conversion failures with retry mechanisms
      * Requirement 5.3: Implement conversion failure recovery and retry mechanisms
@@ -470,6 +605,28 @@ class ErrorHandler {
         );
     }
 
+    /**
+     * Determine if an engine error means the service is overloaded, so
+     * fewer requests should be sent at once
+     */
+    isThrottlingError(error) {
+        const text = `${error?.code || ''} ${error?.message || ''} ${error?.userMessage || ''}`;
+        return /\b(429|503)\b|too many requests|throttl|rate.?limit|service unavailable|timed? ?out|ETIMEDOUT|ESOCKETTIMEDOUT|ECONNRESET/i.test(text);
+    }
+
+    /**
+     * Determine if an engine error may go away when the request is repeated:
+     * throttling, timeouts and lost or refused network connections. Invalid
+     * input, unknown voices and missing engines fail the same way every time.
+     */
+    isTransientError(error) {
+        if (this.isThrottlingError(error)) {
+            return true;
+        }
+        const text = `${error?.code || ''} ${error?.message || ''}`;
+        return /ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH|EPIPE|socket hang up|network/i.test(text);
+    }
+
     /**
      * Handle critical errors that could crash the application
      */
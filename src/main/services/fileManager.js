@@ -3,6 +3,7 @@ const { existsSync, accessSync, constants, statSync } = require('fs');
 const path = require('path');
 const os = require('os');
 const ErrorHandler = require('./errorHandler.js');
+const JobWorkspace = require('../utils/jobWorkspace.js');
 
 /**
  * File Manager Service
@@ -11,9 +12,10 @@ const ErrorHandler = require('./errorHandler.js');
  */
 class FileManager {
     constructor() {
-        this.supportedTextExtensions = ['.txt'];
+        this.supportedTextExtensions = ['.txt', '.ssml', '.xml'];
         this.maxFileSize = 10 * 1024 * 1024; // 10MB limit
         this.errorHandler = new ErrorHandler();
+        this.jobWorkspace = null;
     }
 
     /**
@@ -37,7 +39,7 @@ class FileManager {
             // Validate file extension
             const fileExtension = path.extname(filePath).toLowerCase();
             if (!this.supportedTextExtensions.includes(fileExtension)) {
-                throw new Error(`Unsupported file type: ${fileExtension}. Only .txt files are supported.`);
+                throw new Error(`Unsupported file type: ${fileExtension}. Only .txt and SSML (.ssml, .xml) files are supported.`);
             }
 
             // Check file size
@@ -100,6 +102,17 @@ class FileManager {
         }
     }
 
+    /**
+     * Sorts file paths by file name the way file browsers do, so "Chapter 2" comes before "Chapter 10"
+     * @param {string[]} filePaths - Paths to sort
+     * @returns {string[]} - Sorted copy of the paths
+     */
+    sortByFileName(filePaths) {
+        return [...filePaths].sort((a, b) =>
+            path.basename(a).localeCompare(path.basename(b), undefined, { numeric: true, sensitivity: 'base' })
+        );
+    }
+
     /**
      * Generates a unique filename to prevent overwrites
      * @param {string} outputDirectory - Directory where file will be saved
@@ -184,7 +197,7 @@ class FileManager {
                 if (error.message.includes('Unsupported file type')) {
                     errorDetails.userMessage = error.message;
                     errorDetails.troubleshooting = [
-                        'Only .txt files are supported',
+                        'Only .txt and SSML (.ssml, .xml) files are supported',
                         'Convert your file to .txt format using a text editor',
                         'Copy and paste the text directly into the application'
                     ];
@@ -241,6 +254,74 @@ class FileManager {
         return tempPath;
     }
 
+    /**
+     * Gets the tracker of per-job temp directories
+     * @returns {Promise<JobWorkspace>} - Workspaces under the temporary directory
+     */
+    async getJobWorkspace() {
+        if (!this.jobWorkspace) {
+            this.jobWorkspace = new JobWorkspace(await this.getTempDirectory());
+        }
+        return this.jobWorkspace;
+    }
+
+    /**
+     * Creates a private temp directory for the intermediate files of a conversion
+     * @param {string} jobId - Conversion job id
+     * @returns {Promise<string>} - Path to the job directory
+     */
+    async createJobDirectory(jobId) {
+        const workspace = await this.getJobWorkspace();
+        try {
+            return await workspace.create(jobId);
+        } catch (error) {
+            throw this.errorHandler.handleFileError(error, workspace.rootDirectory, { operation: 'createJobDirectory' });
+        }
+    }
+
+    /**
+     * Deletes a conversion's temp directory with everything in it
+     * @param {string} directoryPath - Path returned by createJobDirectory()
+     * @returns {Promise<void>}
+     */
+    async removeJobDirectory(directoryPath) {
+        const workspace = await this.getJobWorkspace();
+        await workspace.release(directoryPath);
+    }
+
+    /**
+     * Removes temp directories left behind by conversions of processes that have exited
+     * @returns {Promise<string[]>} - Names of the directories removed
+     */
+    async sweepJobDirectories() {
+        const workspace = await this.getJobWorkspace();
+        return workspace.sweep();
+    }
+
+    /**
+     * Writes a UTF-8 text file, such as the playlist and index of split output
+     * @param {string} filePath - Path to the file
+     * @param {string} content - File contents
+     * @returns {Promise<void>}
+     */
+    async writeTextFile(filePath, content) {
+        try {
+            await fs.writeFile(filePath, content, 'utf8');
+        } catch (error) {
+            throw this.errorHandler.handleFileError(error, filePath, { operation: 'writeTextFile', access: 'write' });
+        }
+    }
+
+    /**
+     * Gets the size of a file
+     * @param {string} filePath - Path to the file
+     * @returns {Promise<number>} Size in bytes
+     */
+    async getFileSize(filePath) {
+        const stats = await fs.stat(filePath);
+        return stats.size;
+    }
+
     /**
      * Deletes a file
      * @param {string} filePath - Path to file to delete
@@ -0,0 +1,234 @@
+const { promises: fs } = require('fs');
+const { join, dirname, extname } = require('path');
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const PronunciationLexicon = require('../utils/pronunciationLexicon.js');
+
+/**
+ * Lexicon Manager
+ * Persists the user's pronunciation dictionary in lexicon.json in the user
+ * data directory and notifies listeners whenever the entries change
+ */
+class LexiconManager extends EventEmitter {
+    constructor() {
+        super();
+        this.lexiconPath = null;
+        this.entries = [];
+        this.lexicon = new PronunciationLexicon();
+    }
+
+    /**
+     * Initialize the lexicon path and load saved entries
+     */
+    async initialize() {
+        try {
+            const userDataPath = app.getPath('userData');
+            this.lexiconPath = join(userDataPath, 'lexicon.json');
+
+            await fs.mkdir(dirname(this.lexiconPath), { recursive: true });
+            await this.loadEntries();
+
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize lexicon manager:', error);
+            throw new Error(`Lexicon initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load entries from disk, dropping any that no longer validate
+     * @returns {Promise<Array>} Loaded entries
+     */
+    async loadEntries() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.lexiconPath, 'utf8'));
+            const saved = Array.isArray(data.entries) ? data.entries : [];
+
+            this.entries = [];
+            for (const entry of saved) {
+                try {
+                    this.entries.push({ ...this.lexicon.normalizeEntry(entry), id: entry.id || randomUUID() });
+                } catch (error) {
+                    console.warn('Skipping invalid lexicon entry:', error.message);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load lexicon, starting with an empty dictionary:', error.message);
+            }
+            this.entries = [];
+        }
+
+        this.emit('changed', this.getEntries());
+        return this.getEntries();
+    }
+
+    /**
+     * Write entries to disk and notify listeners
+     */
+    async saveEntries() {
+        if (!this.lexiconPath) {
+            await this.initialize();
+        }
+
+        try {
+            await fs.writeFile(
+                this.lexiconPath,
+                JSON.stringify({ version: 1, entries: this.entries }, null, 2),
+                'utf8'
+            );
+        } catch (error) {
+            console.error('Failed to save lexicon:', error);
+            throw new Error(`Lexicon save failed: ${error.message}`);
+        }
+
+        this.emit('changed', this.getEntries());
+    }
+
+    /**
+     * Get a copy of all entries in application order
+     * @returns {Array} Lexicon entries
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Add an entry
+     * @param {Object} entry - Entry with match and replacement or phoneme
+     * @returns {Promise<Object>} The saved entry
+     */
+    async addEntry(entry) {
+        const normalized = this.lexicon.normalizeEntry(entry);
+        if (this.findDuplicate(normalized)) {
+            throw new Error(`An entry for "${normalized.match}" already exists`);
+        }
+
+        const saved = { ...normalized, id: randomUUID() };
+        this.entries.push(saved);
+        await this.saveEntries();
+        return { ...saved };
+    }
+
+    /**
+     * Update an existing entry
+     * @param {string} id - Entry identifier
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} The updated entry
+     */
+    async updateEntry(id, changes) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            throw new Error('Lexicon entry not found');
+        }
+
+        const normalized = { ...this.lexicon.normalizeEntry({ ...this.entries[index], ...changes }), id };
+        const duplicate = this.findDuplicate(normalized);
+        if (duplicate && duplicate.id !== id) {
+            throw new Error(`An entry for "${normalized.match}" already exists`);
+        }
+
+        this.entries[index] = normalized;
+        await this.saveEntries();
+        return { ...normalized };
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} id - Entry identifier
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async removeEntry(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.entries.length === before) {
+            return false;
+        }
+
+        await this.saveEntries();
+        return true;
+    }
+
+    /**
+     * Find an entry that matches the same text in the same way
+     */
+    findDuplicate(entry) {
+        return this.entries.find(existing =>
+            existing.match === entry.match &&
+            existing.regex === entry.regex &&
+            existing.caseSensitive === entry.caseSensitive
+        );
+    }
+
+    /**
+     * Import entries from a CSV or PLS file. Entries for text already in the
+     * lexicon replace the existing entry.
+     * @param {string} filePath - Path to a .csv, .pls or .xml file
+     * @returns {Promise<{added: number, updated: number, errors: Array}>} Import summary
+     */
+    async importFile(filePath) {
+        const format = this.detectFormat(filePath);
+        const content = await fs.readFile(filePath, 'utf8');
+        const { entries, errors } = format === 'csv'
+            ? this.lexicon.fromCSV(content)
+            : this.lexicon.fromPLS(content);
+
+        let added = 0;
+        let updated = 0;
+        for (const entry of entries) {
+            const duplicate = this.findDuplicate(entry);
+            if (duplicate) {
+                Object.assign(duplicate, entry, { id: duplicate.id });
+                updated++;
+            } else {
+                this.entries.push({ ...entry, id: randomUUID() });
+                added++;
+            }
+        }
+
+        if (added > 0 || updated > 0) {
+            await this.saveEntries();
+        }
+
+        return { added, updated, errors };
+    }
+
+    /**
+     * Export entries to a CSV or PLS file
+     * @param {string} filePath - Destination path; the extension selects the format
+     * @param {string} language - Locale written to PLS files
+     * @returns {Promise<{exported: number, omitted: number}>} Export summary
+     */
+    async exportFile(filePath, language = 'en-US') {
+        const format = this.detectFormat(filePath);
+        let result;
+
+        if (format === 'csv') {
+            result = { content: this.lexicon.toCSV(this.entries), exported: this.entries.length, omitted: 0 };
+        } else {
+            result = this.lexicon.toPLS(this.entries, language);
+        }
+
+        await fs.writeFile(filePath, result.content, 'utf8');
+        return { exported: result.exported, omitted: result.omitted };
+    }
+
+    /**
+     * Determine the lexicon file format from its extension
+     * @param {string} filePath - File path
+     * @returns {string} 'csv' or 'pls'
+     */
+    detectFormat(filePath) {
+        const extension = extname(filePath).toLowerCase();
+        if (extension === '.csv') {
+            return 'csv';
+        }
+        if (extension === '.pls' || extension === '.xml') {
+            return 'pls';
+        }
+        throw new Error(`Unsupported lexicon file type: ${extension || 'none'}. Use .csv or .pls files.`);
+    }
+}
+
+module.exports = LexiconManager;
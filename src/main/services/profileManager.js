@@ -0,0 +1,282 @@
+const { promises: fs } = require('fs');
+const { join, dirname } = require('path');
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const VoiceProfiles = require('../utils/voiceProfiles.js');
+
+/**
+ * Profile Manager
+ * Persists named voice profiles in profiles.json in the user data directory
+ * and notifies listeners whenever the list changes
+ */
+class ProfileManager extends EventEmitter {
+    constructor() {
+        super();
+        this.profilesPath = null;
+        this.profiles = [];
+        this.voiceProfiles = new VoiceProfiles();
+    }
+
+    /**
+     * Initialize the profiles path and load saved profiles
+     */
+    async initialize() {
+        try {
+            const userDataPath = app.getPath('userData');
+            this.profilesPath = join(userDataPath, 'profiles.json');
+
+            await fs.mkdir(dirname(this.profilesPath), { recursive: true });
+            await this.loadProfiles();
+
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize profile manager:', error);
+            throw new Error(`Profile initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load profiles from disk, dropping any that no longer validate
+     * @returns {Promise<Array>} Loaded profiles
+     */
+    async loadProfiles() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.profilesPath, 'utf8'));
+            const saved = Array.isArray(data.profiles) ? data.profiles : [];
+
+            this.profiles = [];
+            for (const profile of saved) {
+                try {
+                    const normalized = this.voiceProfiles.normalizeProfile(profile);
+                    this.profiles.push({
+                        ...normalized,
+                        id: normalized.id || randomUUID(),
+                        name: this.voiceProfiles.uniqueName(normalized.name, this.profiles)
+                    });
+                } catch (error) {
+                    console.warn('Skipping invalid voice profile:', error.message);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load voice profiles, starting with none:', error.message);
+            }
+            this.profiles = [];
+        }
+
+        this.emit('changed', this.getProfiles());
+        return this.getProfiles();
+    }
+
+    /**
+     * Write profiles to disk and notify listeners
+     */
+    async saveProfiles() {
+        if (!this.profilesPath) {
+            await this.initialize();
+        }
+
+        try {
+            await fs.writeFile(
+                this.profilesPath,
+                JSON.stringify({ version: 1, profiles: this.profiles }, null, 2),
+                'utf8'
+            );
+        } catch (error) {
+            console.error('Failed to save voice profiles:', error);
+            throw new Error(`Profile save failed: ${error.message}`);
+        }
+
+        this.emit('changed', this.getProfiles());
+    }
+
+    /**
+     * Get a copy of all profiles sorted by name
+     * @returns {Array} Voice profiles
+     */
+    getProfiles() {
+        return this.profiles
+            .map(profile => this.copyProfile(profile))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get one profile
+     * @param {string} id - Profile identifier
+     * @returns {Object|null} Copy of the profile, or null if there is none with that id
+     */
+    getProfile(id) {
+        const profile = this.profiles.find(existing => existing.id === id);
+        return profile ? this.copyProfile(profile) : null;
+    }
+
+    /**
+     * Create a profile
+     * @param {Object} profile - Profile with a name, a voice and optional conversion options
+     * @returns {Promise<Object>} The saved profile
+     */
+    async createProfile(profile) {
+        const normalized = this.voiceProfiles.normalizeProfile(profile);
+        this.assertNameFree(normalized.name);
+
+        const now = new Date().toISOString();
+        const saved = { ...normalized, id: randomUUID(), createdAt: now, updatedAt: now };
+        this.profiles.push(saved);
+        await this.saveProfiles();
+        return this.copyProfile(saved);
+    }
+
+    /**
+     * Change the options of a profile
+     * @param {string} id - Profile identifier
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} The updated profile
+     */
+    async updateProfile(id, changes) {
+        const index = this.findIndex(id);
+        const current = this.profiles[index];
+        const normalized = this.voiceProfiles.normalizeProfile({ ...current, ...changes, id });
+        this.assertNameFree(normalized.name, id);
+
+        this.profiles[index] = {
+            ...normalized,
+            id,
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        await this.saveProfiles();
+        return this.copyProfile(this.profiles[index]);
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} id - Profile identifier
+     * @param {string} name - New name
+     * @returns {Promise<Object>} The renamed profile
+     */
+    async renameProfile(id, name) {
+        return this.updateProfile(id, { name });
+    }
+
+    /**
+     * Copy a profile under a new name
+     * @param {string} id - Profile to copy
+     * @param {string} name - Name of the copy; defaults to "<name> copy"
+     * @returns {Promise<Object>} The new profile
+     */
+    async duplicateProfile(id, name) {
+        const source = this.profiles[this.findIndex(id)];
+        const copyName = name
+            ? this.voiceProfiles.normalizeName(name)
+            : this.voiceProfiles.uniqueName(`${source.name} copy`, this.profiles);
+
+        return this.createProfile({ ...this.copyProfile(source), id: undefined, name: copyName });
+    }
+
+    /**
+     * Remove a profile
+     * @param {string} id - Profile identifier
+     * @returns {Promise<boolean>} True if a profile was removed
+     */
+    async removeProfile(id) {
+        const before = this.profiles.length;
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.profiles.length === before) {
+            return false;
+        }
+
+        await this.saveProfiles();
+        return true;
+    }
+
+    /**
+     * Import profiles from an exported JSON file. A profile with the same
+     * name as an existing one replaces its options.
+     * @param {string} filePath - Path to a .json file
+     * @returns {Promise<{added: number, updated: number, errors: Array}>} Import summary
+     */
+    async importFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const { profiles, errors } = this.voiceProfiles.fromJSON(content);
+        const now = new Date().toISOString();
+
+        let added = 0;
+        let updated = 0;
+        for (const profile of profiles) {
+            const existing = this.findByName(profile.name);
+            if (existing) {
+                Object.assign(existing, profile, { id: existing.id, createdAt: existing.createdAt, updatedAt: now });
+                updated++;
+            } else {
+                this.profiles.push({ ...profile, id: randomUUID(), createdAt: now, updatedAt: now });
+                added++;
+            }
+        }
+
+        if (added > 0 || updated > 0) {
+            await this.saveProfiles();
+        }
+
+        return { added, updated, errors };
+    }
+
+    /**
+     * Export profiles to a JSON file
+     * @param {string} filePath - Destination path
+     * @param {string[]} ids - Profiles to export; all profiles when omitted
+     * @returns {Promise<{exported: number}>} Export summary
+     */
+    async exportFile(filePath, ids = null) {
+        const selected = Array.isArray(ids)
+            ? this.getProfiles().filter(profile => ids.includes(profile.id))
+            : this.getProfiles();
+
+        if (selected.length === 0) {
+            throw new Error('No voice profiles to export');
+        }
+
+        await fs.writeFile(filePath, this.voiceProfiles.toJSON(selected), 'utf8');
+        return { exported: selected.length };
+    }
+
+    /**
+     * Fill a conversion request in from the profile named by its profileId
+     * @param {Object} data - Conversion request
+     * @returns {Object} Request with the profile's options for fields it does not set
+     * @throws {Error} If the profile does not exist
+     */
+    resolveConversion(data) {
+        const profile = this.profiles.find(existing => existing.id === data.profileId);
+        if (!profile) {
+            throw new Error('Voice profile not found');
+        }
+        return this.voiceProfiles.applyToConversion(data, profile);
+    }
+
+    findIndex(id) {
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            throw new Error('Voice profile not found');
+        }
+        return index;
+    }
+
+    findByName(name) {
+        const key = name.toLowerCase();
+        return this.profiles.find(profile => profile.name.toLowerCase() === key);
+    }
+
+    assertNameFree(name, ownId = null) {
+        const existing = this.findByName(name);
+        if (existing && existing.id !== ownId) {
+            throw new Error(`A profile named "${name}" already exists`);
+        }
+    }
+
+    copyProfile(profile) {
+        return JSON.parse(JSON.stringify(profile));
+    }
+}
+
+module.exports = ProfileManager;
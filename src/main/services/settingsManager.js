@@ -2,6 +2,9 @@ const { promises: fs } = require('fs');
 const { join, dirname } = require('path');
 const { app } = require('electron');
 const os = require('os');
+const { isValidEngineName } = require('./engines/engineRegistry.js');
+const { isOutputFormat, normalizeFormatOptions } = require('../utils/outputFormats.js');
+const { SPLIT_MODES, SPLIT_LIMITS } = require('../utils/outputSplitter.js');
 
 /**
  * Settings Manager Service
@@ -12,10 +15,42 @@ class SettingsManager {
         this.settingsPath = null;
         this.defaultSettings = {
             lastSelectedVoice: null,
+            lastSelectedProfileId: null,
             defaultOutputFormat: 'wav',
+            outputFormatOptions: {},
+            splitMode: 'none',
+            splitMaxMinutes: 60,
+            splitMaxMegabytes: 100,
             defaultOutputPath: null,
             voiceSpeed: 1.0,
+            voicePitch: 0,
+            voiceVolume: 0,
             maxChunkLength: 5000,
+            chunkStrategy: 'sentence',
+            maxConcurrentChunks: 3,
+            synthesisCacheMaxMb: 500,
+            ttsEngine: 'auto',
+            dialogueSpeakers: {},
+            dialogueGapMs: 400,
+            streamPlayback: false,
+            paragraphPauseMs: 0,
+            subtitleFormats: [],
+            subtitleMaxLineLength: 42,
+            subtitleMaxCueDurationMs: 5000,
+            favoriteVoices: [],
+            autoDetectLanguage: false,
+            languageVoices: {},
+            normalizationRules: {
+                numbers: true,
+                currency: true,
+                dates: true,
+                times: true,
+                ordinals: true,
+                units: true,
+                urls: true,
+                emails: true,
+                abbreviations: true
+            },
             windowBounds: {
                 width: 800,
                 height: 600,
@@ -173,11 +208,48 @@ class SettingsManager {
             validated.lastSelectedVoice = settings.lastSelectedVoice;
         }
 
+        // Validate lastSelectedProfileId (null when no voice profile is chosen)
+        if (settings.lastSelectedProfileId === null ||
+            (typeof settings.lastSelectedProfileId === 'string' && settings.lastSelectedProfileId.length > 0)) {
+            validated.lastSelectedProfileId = settings.lastSelectedProfileId;
+        }
+
         // Validate defaultOutputFormat
-        if (settings.defaultOutputFormat && ['wav', 'mp3'].includes(settings.defaultOutputFormat)) {
+        if (settings.defaultOutputFormat && isOutputFormat(settings.defaultOutputFormat)) {
             validated.defaultOutputFormat = settings.defaultOutputFormat;
         }
 
+        // Validate outputFormatOptions (format id -> encoder options); invalid entries fall back to the format defaults
+        validated.outputFormatOptions = {};
+        if (settings.outputFormatOptions && typeof settings.outputFormatOptions === 'object') {
+            for (const [format, options] of Object.entries(settings.outputFormatOptions)) {
+                try {
+                    if (isOutputFormat(format)) {
+                        validated.outputFormatOptions[format] = normalizeFormatOptions(format, options);
+                    }
+                } catch (error) {
+                    console.warn(`Ignoring invalid ${format} options: ${error.message}`);
+                }
+            }
+        }
+
+        // Validate splitMode (one file, or numbered files per chapter, duration or size)
+        if (SPLIT_MODES.includes(settings.splitMode)) {
+            validated.splitMode = settings.splitMode;
+        }
+
+        // Validate splitMaxMinutes and splitMaxMegabytes (limits per part)
+        if (typeof settings.splitMaxMinutes === 'number' &&
+            settings.splitMaxMinutes >= SPLIT_LIMITS.maxMinutes.min &&
+            settings.splitMaxMinutes <= SPLIT_LIMITS.maxMinutes.max) {
+            validated.splitMaxMinutes = settings.splitMaxMinutes;
+        }
+        if (typeof settings.splitMaxMegabytes === 'number' &&
+            settings.splitMaxMegabytes >= SPLIT_LIMITS.maxMegabytes.min &&
+            settings.splitMaxMegabytes <= SPLIT_LIMITS.maxMegabytes.max) {
+            validated.splitMaxMegabytes = settings.splitMaxMegabytes;
+        }
+
         // Validate defaultOutputPath with accessibility check
         if (settings.defaultOutputPath && typeof settings.defaultOutputPath === 'string') {
             // Check if the path is accessible, if not, use default
@@ -199,6 +271,20 @@ class SettingsManager {
             validated.voiceSpeed = settings.voiceSpeed;
         }
 
+        // Validate voicePitch (relative pitch in Hz)
+        if (typeof settings.voicePitch === 'number' &&
+            settings.voicePitch >= -50 &&
+            settings.voicePitch <= 50) {
+            validated.voicePitch = settings.voicePitch;
+        }
+
+        // Validate voiceVolume (relative volume in percent)
+        if (typeof settings.voiceVolume === 'number' &&
+            settings.voiceVolume >= -50 &&
+            settings.voiceVolume <= 50) {
+            validated.voiceVolume = settings.voiceVolume;
+        }
+
         // Validate maxChunkLength
         if (typeof settings.maxChunkLength === 'number' && 
             settings.maxChunkLength >= 1000 && 
@@ -206,6 +292,117 @@ class SettingsManager {
             validated.maxChunkLength = settings.maxChunkLength;
         }
 
+        // Validate chunkStrategy (where long text is split into chunks)
+        if (['paragraph', 'sentence', 'fixed'].includes(settings.chunkStrategy)) {
+            validated.chunkStrategy = settings.chunkStrategy;
+        }
+
+        // Validate maxConcurrentChunks (chunk requests in flight during synthesis)
+        if (Number.isInteger(settings.maxConcurrentChunks) &&
+            settings.maxConcurrentChunks >= 1 &&
+            settings.maxConcurrentChunks <= 8) {
+            validated.maxConcurrentChunks = settings.maxConcurrentChunks;
+        }
+
+        // Validate synthesisCacheMaxMb (size limit of the synthesized chunk cache)
+        if (typeof settings.synthesisCacheMaxMb === 'number' &&
+            settings.synthesisCacheMaxMb >= 50 &&
+            settings.synthesisCacheMaxMb <= 10000) {
+            validated.synthesisCacheMaxMb = Math.round(settings.synthesisCacheMaxMb);
+        }
+
+        // Validate ttsEngine
+        if (isValidEngineName(settings.ttsEngine)) {
+            validated.ttsEngine = settings.ttsEngine;
+        }
+
+        // Validate dialogueSpeakers (speaker label -> voice with optional speed and pitch)
+        validated.dialogueSpeakers = {};
+        if (settings.dialogueSpeakers && typeof settings.dialogueSpeakers === 'object') {
+            for (const [speaker, entry] of Object.entries(settings.dialogueSpeakers)) {
+                if (!entry || typeof entry.voice !== 'string' || !entry.voice) {
+                    continue;
+                }
+                const speakerEntry = { voice: entry.voice };
+                if (typeof entry.speed === 'number' && entry.speed >= 0.5 && entry.speed <= 2.0) {
+                    speakerEntry.speed = entry.speed;
+                }
+                if (typeof entry.pitch === 'number' && entry.pitch >= -50 && entry.pitch <= 50) {
+                    speakerEntry.pitch = entry.pitch;
+                }
+                validated.dialogueSpeakers[speaker] = speakerEntry;
+            }
+        }
+
+        // Validate dialogueGapMs (silence between dialogue turns)
+        if (typeof settings.dialogueGapMs === 'number' &&
+            settings.dialogueGapMs >= 0 &&
+            settings.dialogueGapMs <= 5000) {
+            validated.dialogueGapMs = settings.dialogueGapMs;
+        }
+
+        // Validate streamPlayback (listen while converting)
+        if (typeof settings.streamPlayback === 'boolean') {
+            validated.streamPlayback = settings.streamPlayback;
+        }
+
+        // Validate paragraphPauseMs (silence inserted between paragraphs of plain text)
+        if (Number.isInteger(settings.paragraphPauseMs) &&
+            settings.paragraphPauseMs >= 0 &&
+            settings.paragraphPauseMs <= 5000) {
+            validated.paragraphPauseMs = settings.paragraphPauseMs;
+        }
+
+        // Validate subtitleFormats (captions written next to the audio)
+        validated.subtitleFormats = Array.isArray(settings.subtitleFormats)
+            ? [...new Set(settings.subtitleFormats.filter(format => ['srt', 'vtt'].includes(format)))]
+            : [];
+
+        // Validate subtitleMaxLineLength
+        if (typeof settings.subtitleMaxLineLength === 'number' &&
+            settings.subtitleMaxLineLength >= 20 &&
+            settings.subtitleMaxLineLength <= 80) {
+            validated.subtitleMaxLineLength = settings.subtitleMaxLineLength;
+        }
+
+        // Validate subtitleMaxCueDurationMs
+        if (typeof settings.subtitleMaxCueDurationMs === 'number' &&
+            settings.subtitleMaxCueDurationMs >= 1000 &&
+            settings.subtitleMaxCueDurationMs <= 10000) {
+            validated.subtitleMaxCueDurationMs = settings.subtitleMaxCueDurationMs;
+        }
+
+        // Validate favoriteVoices (voice ids starred in the voice browser)
+        validated.favoriteVoices = Array.isArray(settings.favoriteVoices)
+            ? [...new Set(settings.favoriteVoices.filter(id => typeof id === 'string' && id.length > 0 && id.length <= 200))]
+            : [];
+
+        // Validate autoDetectLanguage (per-paragraph language detection)
+        if (typeof settings.autoDetectLanguage === 'boolean') {
+            validated.autoDetectLanguage = settings.autoDetectLanguage;
+        }
+
+        // Validate languageVoices (language or locale -> preferred voice id)
+        validated.languageVoices = {};
+        if (settings.languageVoices && typeof settings.languageVoices === 'object') {
+            for (const [locale, voiceId] of Object.entries(settings.languageVoices)) {
+                if (/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale) &&
+                    typeof voiceId === 'string' && voiceId.length > 0 && voiceId.length <= 200) {
+                    validated.languageVoices[locale] = voiceId;
+                }
+            }
+        }
+
+        // Validate normalizationRules (text normalization rule switches)
+        validated.normalizationRules = { ...this.defaultSettings.normalizationRules };
+        if (settings.normalizationRules && typeof settings.normalizationRules === 'object') {
+            for (const rule of Object.keys(validated.normalizationRules)) {
+                if (typeof settings.normalizationRules[rule] === 'boolean') {
+                    validated.normalizationRules[rule] = settings.normalizationRules[rule];
+                }
+            }
+        }
+
         // Validate windowBounds
         if (settings.windowBounds && typeof settings.windowBounds === 'object') {
             validated.windowBounds = { ...this.defaultSettings.windowBounds };
@@ -1,34 +1,80 @@
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
 const ErrorHandler = require('./errorHandler.js');
-
-// Import edge-tts library functions (ES module)
-let edgeTTS;
-let edgeTTSImportPromise;
-
-// Polyfill crypto for edge-tts library
-const { webcrypto } = require('node:crypto');
-if (typeof globalThis.crypto === 'undefined') {
-    globalThis.crypto = webcrypto;
-}
-// Also set it on global for compatibility
-if (typeof global.crypto === 'undefined') {
-    global.crypto = webcrypto;
-}
+const SSMLProcessor = require('../utils/ssmlProcessor.js');
+const DialogueScriptParser = require('../utils/dialogueScript.js');
+const SubtitleBuilder = require('../utils/subtitleBuilder.js');
+const PronunciationLexicon = require('../utils/pronunciationLexicon.js');
+const VoiceBrowser = require('../utils/voiceBrowser.js');
+const LanguageDetector = require('../utils/languageDetector.js');
+const TextNormalizer = require('../utils/textNormalizer.js');
+const TextSegmenter = require('../utils/textSegmenter.js');
+const PauseMarkup = require('../utils/pauseMarkup.js');
+const ChapterMarkup = require('../utils/chapterMarkup.js');
+const AdaptiveWorkerPool = require('../utils/adaptiveWorkerPool.js');
+const { createSilenceWav, readWavInfo } = require('../utils/wavUtils.js');
+const { readAudioContainer, getExtensionContainer } = require('../utils/audioContainer.js');
+const { createCancellationError, isCancellationError, throwIfCancelled, cancellableDelay } = require('../utils/cancellation.js');
+const { isValidStyleDegree } = require('./engines/voiceStyles.js');
+const {
+    AUTO_ENGINE,
+    getEngineNames,
+    isValidEngineName,
+    createEngine,
+    resolveEngineOrder
+} = require('./engines/engineRegistry.js');
+
+// Longest chunk when output is split by duration or size, so a sentence break
+// comes about every half minute of speech wherever a part has to end
+const SPLIT_CHUNK_LENGTH = 500;
 
 /**
- * TTS Service for converting text to speech using Microsoft Edge TTS
+ * TTS Service for converting text to speech through pluggable engines
  * Implements requirements 1.1, 1.2, 1.3, and 2.3
  */
 class TTSService extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options - Service options
+     * @param {number} options.chunkRetryDelay - Base delay between chunk attempts in milliseconds (default 1000)
+     */
+    constructor(options = {}) {
         super();
         this.availableVoices = [];
         this.maxChunkLength = 5000; // Maximum characters per chunk to prevent memory issues
+        this.maxConcurrentChunks = 3; // Chunk requests in flight; lowered automatically while throttled
+        this.chunkRetryAttempts = 3; // Attempts per chunk before the conversion fails
+        this.chunkRetryDelay = Number.isFinite(options.chunkRetryDelay) ? options.chunkRetryDelay : 1000; // Base delay between chunk attempts, doubled each time
         this.isInitialized = false;
         this.errorHandler = new ErrorHandler();
+        this.ssmlProcessor = new SSMLProcessor();
+        this.dialogueParser = new DialogueScriptParser();
+        this.subtitleBuilder = new SubtitleBuilder();
+        this.lexicon = new PronunciationLexicon();
+        this.lexiconEntries = [];
+        this.voiceBrowser = new VoiceBrowser();
+        this.sampleDirectory = null;
+        this.languageDetector = new LanguageDetector();
+        this.textNormalizer = new TextNormalizer();
+        this.textSegmenter = new TextSegmenter();
+        this.pauseMarkup = new PauseMarkup();
+        this.chapterMarkup = new ChapterMarkup();
+
+        // Engine management: engineName is the setting ('auto' or a concrete engine),
+        // engine is the adapter currently producing audio
+        this.engineName = AUTO_ENGINE;
+        this.engine = null;
+        this.engines = new Map();
+
+        // Voice catalog cache: voices are served from disk at startup and
+        // refreshed from the engine in the background
+        this.voiceCache = null;
+        this.voiceCatalog = { source: null, updatedAt: null };
+        this.pendingVoiceLoad = null;
+        this.pendingVoiceRefresh = null;
+
+        // Synthesized chunk audio reused when unchanged text is converted again
+        this.synthesisCache = null;
 
         // Voice loading state management
         this.voiceLoadingState = {
@@ -38,51 +84,68 @@ class TTSService extends EventEmitter {
             lastError: null,
             retryDelay: 0
         };
-
-        // Initialize edge-tts library
-        this.initializeEdgeTTS();
     }
 
     /**
-     * Initialize the edge-tts ES module
+     * Select the TTS engine used for voice listing and synthesis
+     * Switching engines invalidates the loaded voice list
+     * @param {string} name - Engine name or 'auto'
      */
-    async initializeEdgeTTS() {
-        if (!edgeTTSImportPromise) {
-            edgeTTSImportPromise = this.importEdgeTTS();
+    setEngine(name) {
+        if (!isValidEngineName(name)) {
+            throw new Error(`Unknown TTS engine: ${name}`);
+        }
+
+        if (name === this.engineName && this.engine) {
+            return;
         }
-        return edgeTTSImportPromise;
+
+        this.engineName = name;
+        this.engine = null;
+        this.isInitialized = false;
+        this.availableVoices = [];
     }
 
     /**
-     * Import edge-tts library using dynamic import for ES modules
+     * Get (and cache) an engine adapter instance by name
+     * @param {string} name - Concrete engine name
+     * @returns {TTSEngine} Engine instance
      */
-    async importEdgeTTS() {
-        try {
-            // Ensure crypto is available before importing edge-tts
-            const { webcrypto } = require('node:crypto');
-            if (typeof globalThis.crypto === 'undefined') {
-                globalThis.crypto = webcrypto;
-            }
-            if (typeof global.crypto === 'undefined') {
-                global.crypto = webcrypto;
-            }
+    getEngineInstance(name) {
+        if (!this.engines.has(name)) {
+            this.engines.set(name, createEngine(name));
+        }
+        return this.engines.get(name);
+    }
 
-            // Try the newer @andresaya/edge-tts package first
-            try {
-                edgeTTS = await import('@andresaya/edge-tts');
-                console.log('edge-tts library loaded successfully (@andresaya/edge-tts)');
-                return edgeTTS;
-            } catch (newError) {
-                console.warn('Failed to load @andresaya/edge-tts, trying fallback:', newError.message);
-                // Fallback to original package
-                edgeTTS = await import('edge-tts/out/index.js');
-                console.log('edge-tts library loaded successfully (fallback)');
-                return edgeTTS;
-            }
-        } catch (error) {
-            console.warn('Failed to load edge-tts library:', error.message);
-            throw new Error(`edge-tts library not available: ${error.message}`);
+    /**
+     * Get the engine currently producing audio
+     * Falls back to the first candidate of the configured engine setting
+     * @returns {TTSEngine} Active engine
+     */
+    getActiveEngine() {
+        if (!this.engine) {
+            this.engine = this.getEngineInstance(resolveEngineOrder(this.engineName)[0]);
         }
+        return this.engine;
+    }
+
+    /**
+     * Describe all registered engines with their availability
+     * @returns {Promise<Array<Object>>} Engine descriptions
+     */
+    async getEngines() {
+        const engineNames = getEngineNames().filter(name => name !== AUTO_ENGINE);
+        const active = this.engine ? this.engine.name : null;
+
+        return Promise.all(engineNames.map(async (name) => {
+            const engine = this.getEngineInstance(name);
+            return {
+                ...engine.describe(),
+                available: await engine.isAvailable(),
+                active: name === active
+            };
+        }));
     }
 
     /**
@@ -96,7 +159,7 @@ class TTSService extends EventEmitter {
         }
 
         try {
-            const result = await this.loadVoicesWithRetry();
+            const result = await this.loadVoicesWithCache();
 
             if (result.success) {
                 this.availableVoices = result.voices;
@@ -132,6 +195,221 @@ class TTSService extends EventEmitter {
         return this.availableVoices;
     }
 
+    /**
+     * Search the available voices for the voice browser
+     * @param {Object} query - Search text and filters, see VoiceBrowser.search()
+     * @param {string[]} favorites - Favorite voice ids, listed first
+     * @returns {Promise<{voices: Array, total: number, offset: number}>} Matching voices
+     */
+    async searchVoices(query = {}, favorites = []) {
+        const voices = await this.getAvailableVoices();
+        return this.voiceBrowser.search(voices, query, favorites);
+    }
+
+    /**
+     * Get the locale, gender, category and personality filter options
+     * @returns {Promise<Object>} Filter options with voice counts
+     */
+    async getVoiceFacets() {
+        const voices = await this.getAvailableVoices();
+        return this.voiceBrowser.getFacets(voices);
+    }
+
+    /**
+     * Set the directory where voice samples are cached
+     * @param {string} directory - Sample cache directory
+     */
+    setSampleDirectory(directory) {
+        this.sampleDirectory = directory;
+    }
+
+    /**
+     * Get a short sample of a voice reading a sentence in its own language.
+     * Samples are synthesized once per engine and voice and then reused.
+     * @param {string} voiceId - Voice identifier
+     * @returns {Promise<{samplePath: string, cached: boolean}>} Sample file
+     */
+    async getVoiceSample(voiceId) {
+        if (!this.sampleDirectory) {
+            throw new Error('Voice sample directory is not configured');
+        }
+
+        const voices = await this.getAvailableVoices();
+        const voice = voices.find(v => v.id === voiceId);
+        if (!voice) {
+            const error = new Error(`Voice '${voiceId}' not found`);
+            throw this.errorHandler.handleTTSVoiceError(error, { operation: 'getVoiceSample', voiceId });
+        }
+
+        const fileName = this.voiceBrowser.getSampleFileName(this.getActiveEngine().name, voiceId);
+        const samplePath = path.join(this.sampleDirectory, fileName);
+
+        try {
+            await fs.promises.access(samplePath);
+            return { samplePath, cached: true };
+        } catch (error) {
+            // Not cached yet
+        }
+
+        // Synthesize to a temporary name so a failed attempt is never served from the cache
+        const tempPath = samplePath.replace(/\.wav$/, '.tmp.wav');
+        try {
+            await this.convertTextToSpeech(this.voiceBrowser.getSampleSentence(voice.language), voiceId, 1.0, tempPath);
+            await fs.promises.rename(tempPath, samplePath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        return { samplePath, cached: false };
+    }
+
+    /**
+     * Set the cache used to keep voice lists between sessions
+     * @param {VoiceCatalogCache} cache - Voice catalog cache
+     */
+    setVoiceCache(cache) {
+        this.voiceCache = cache;
+    }
+
+    /**
+     * Load voices, preferring the cached catalog of the configured engine.
+     * A cached list is returned right away and refreshed in the background;
+     * without one the engine is queried with retries and the result cached.
+     * Concurrent callers share the same load.
+     * @param {number} maxRetries - Attempts when no cached list exists
+     * @returns {Promise<Object>} Result in the shape of loadVoicesWithRetry(), with fromCache and updatedAt
+     */
+    async loadVoicesWithCache(maxRetries = 3) {
+        if (!this.pendingVoiceLoad) {
+            this.pendingVoiceLoad = this.loadVoiceCatalog(maxRetries).finally(() => {
+                this.pendingVoiceLoad = null;
+            });
+        }
+        return this.pendingVoiceLoad;
+    }
+
+    async loadVoiceCatalog(maxRetries) {
+        const cached = await this.loadCachedVoices();
+        if (cached) {
+            this.refreshVoiceCatalog().catch(error => {
+                console.warn('Background voice refresh failed:', error.message);
+            });
+
+            return {
+                success: true,
+                voices: cached.voices,
+                attempt: 1,
+                totalAttempts: maxRetries,
+                fromCache: true,
+                updatedAt: cached.updatedAt
+            };
+        }
+
+        const result = await this.loadVoicesWithRetry(maxRetries);
+        if (result.success) {
+            this.isInitialized = true;
+            await this.storeVoiceCatalog(result.voices);
+        }
+        return { ...result, fromCache: false, updatedAt: this.voiceCatalog.updatedAt };
+    }
+
+    /**
+     * Serve voices from the cache, using the first engine for the current
+     * engine setting that has a cached list
+     * @returns {Promise<{voices: Array, updatedAt: number}|null>} Cached catalog, or null if none
+     */
+    async loadCachedVoices() {
+        if (!this.voiceCache) {
+            return null;
+        }
+
+        for (const engineName of resolveEngineOrder(this.engineName)) {
+            let cached = null;
+            try {
+                cached = await this.voiceCache.get(engineName);
+            } catch (error) {
+                console.warn(`Failed to read cached voices for ${engineName}:`, error.message);
+            }
+
+            if (cached) {
+                this.engine = this.getEngineInstance(engineName);
+                this.availableVoices = cached.voices;
+                this.isInitialized = true;
+                this.voiceCatalog = { source: 'cache', updatedAt: cached.updatedAt };
+                return cached;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Reload voices from the engine and update the cache. Emits
+     * 'voicesUpdated' when voices were added or removed or the engine
+     * changed. When the engine is unreachable the current list is kept.
+     * @returns {Promise<Object>} {success, voices, added, removed} or {success: false, error}
+     */
+    async refreshVoiceCatalog() {
+        if (this.pendingVoiceRefresh) {
+            return this.pendingVoiceRefresh;
+        }
+
+        const refresh = async () => {
+            const previousVoices = this.availableVoices;
+            const previousEngine = this.engine ? this.engine.name : null;
+
+            try {
+                const voices = await this.loadAvailableVoices();
+                this.isInitialized = true;
+                await this.storeVoiceCatalog(voices);
+
+                const { added, removed, changed } = this.voiceCache.diff(previousVoices, voices);
+                if (changed || this.engine.name !== previousEngine) {
+                    this.emit('voicesUpdated', {
+                        voices,
+                        added,
+                        removed,
+                        engine: this.engine.name,
+                        updatedAt: this.voiceCatalog.updatedAt
+                    });
+                }
+
+                return { success: true, voices, added, removed };
+            } catch (error) {
+                const engine = this.getActiveEngine();
+                this.emit('warning', {
+                    message: `Could not refresh voices from ${engine.displayName}; using the saved voice list`,
+                    engine: engine.name
+                });
+                return { success: false, error };
+            }
+        };
+
+        this.pendingVoiceRefresh = refresh().finally(() => {
+            this.pendingVoiceRefresh = null;
+        });
+        return this.pendingVoiceRefresh;
+    }
+
+    /**
+     * Remember a freshly loaded voice list for the active engine
+     * @param {Array} voices - Voices returned by the engine
+     */
+    async storeVoiceCatalog(voices) {
+        this.voiceCatalog = { source: 'engine', updatedAt: Date.now() };
+
+        if (!this.voiceCache || !this.engine) {
+            return;
+        }
+
+        try {
+            this.voiceCatalog.updatedAt = await this.voiceCache.save(this.engine.name, voices);
+        } catch (error) {
+            console.warn('Failed to cache voice list:', error.message);
+        }
+    }
+
     /**
      * Load available voices with retry mechanism and exponential backoff
      * Requirement 2.1, 2.2: Retry voice loading with exponential backoff
@@ -218,10 +496,10 @@ class TTSService extends EventEmitter {
 
     /**
      * Utility function to sleep for a specified number of milliseconds
-     * Used for retry delays with exponential backoff
+     * Used for retry delays with exponential backoff; an aborted signal ends the wait early
      */
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async sleep(ms, signal = null) {
+        return cancellableDelay(ms, signal);
     }
 
     /**
@@ -231,6 +509,7 @@ class TTSService extends EventEmitter {
     getTroubleshootingSteps() {
         return [
             'Check your internet connection (edge-tts requires online access)',
+            'Install eSpeak NG and select the offline engine in Settings to work without internet access',
             'Verify that the edge-tts package is properly installed in node_modules',
             'Restart the application to refresh the TTS service',
             'Check if your firewall or antivirus is blocking network requests',
@@ -241,73 +520,58 @@ class TTSService extends EventEmitter {
     }
 
     /**
-     * Load available voices from edge-tts library
-     * Uses the JavaScript API instead of command line
+     * Load available voices from the configured engine
+     * With the 'auto' engine setting the online Edge engine is tried first and
+     * the offline engine is used when Edge cannot be reached
      */
     async loadAvailableVoices() {
         try {
-            // Ensure edge-tts is loaded
-            await this.initializeEdgeTTS();
+            let lastError = null;
 
-            let voices;
+            for (const engineName of resolveEngineOrder(this.engineName)) {
+                const engine = this.getEngineInstance(engineName);
 
-            // Check if it's the new @andresaya/edge-tts package (class-based)
-            if (edgeTTS && edgeTTS.EdgeTTS) {
-                const ttsInstance = new edgeTTS.EdgeTTS();
-                voices = await ttsInstance.getVoices();
-            }
-            // Check if it's the original edge-tts package (function-based)
-            else if (edgeTTS && edgeTTS.getVoices) {
-                voices = await edgeTTS.getVoices();
-            }
-            else {
-                throw new Error('edge-tts library not available or not properly imported');
-            }
+                try {
+                    const voices = await engine.listVoices();
+                    if (!voices || voices.length === 0) {
+                        throw new Error(`No voices returned from ${engine.displayName}`);
+                    }
 
-            if (!voices || voices.length === 0) {
-                throw new Error('No voices returned from edge-tts service');
+                    if (this.engine !== engine) {
+                        const previousEngine = this.engine ? this.engine.name : null;
+                        this.engine = engine;
+                        this.emit('engineChanged', {
+                            engine: engine.name,
+                            displayName: engine.displayName,
+                            previousEngine,
+                            fallback: engineName !== resolveEngineOrder(this.engineName)[0]
+                        });
+                    }
+
+                    this.availableVoices = voices;
+                    return this.availableVoices;
+                } catch (error) {
+                    console.warn(`Failed to load voices from ${engine.displayName}:`, error.message);
+                    lastError = error;
+                }
             }
 
-            this.availableVoices = this.parseVoiceListFromAPI(voices);
-            return this.availableVoices;
+            throw lastError || new Error(`No TTS engine available for setting '${this.engineName}'`);
         } catch (error) {
-            const enhancedError = this.errorHandler.handleTTSVoiceError(error, { operation: 'loadVoices' });
+            const enhancedError = this.errorHandler.handleTTSVoiceError(error, {
+                operation: 'loadVoices',
+                engine: this.engineName
+            });
             throw enhancedError;
         }
     }
 
     /**
      * Parse the voice list from edge-tts API response
+     * Kept for callers that hold raw edge-tts voice data
      */
     parseVoiceListFromAPI(apiVoices) {
-        const voices = [];
-
-        for (const apiVoice of apiVoices) {
-            try {
-                const voice = {
-                    id: apiVoice.ShortName || apiVoice.Name,
-                    name: apiVoice.FriendlyName || apiVoice.Name,
-                    gender: apiVoice.Gender || 'Unknown',
-                    language: apiVoice.Locale || 'Unknown',
-                    isDefault: false,
-                    shortName: apiVoice.ShortName,
-                    fullName: apiVoice.Name,
-                    categories: apiVoice.VoiceTag?.ContentCategories || [],
-                    personalities: apiVoice.VoiceTag?.VoicePersonalities || []
-                };
-
-                // Mark first English voice as default
-                if (voices.length === 0 && voice.language.startsWith('en')) {
-                    voice.isDefault = true;
-                }
-
-                voices.push(voice);
-            } catch (error) {
-                // Skip malformed voice entries
-                console.warn('Skipping malformed voice entry:', apiVoice, error);
-                continue;
-            }
-        }
+        const voices = this.getEngineInstance('edge').parseVoices(apiVoices);
 
         if (voices.length === 0) {
             const error = new Error('No TTS voices found from edge-tts service.');
@@ -331,12 +595,33 @@ class TTSService extends EventEmitter {
     /**
      * Convert text to speech with specified voice and speed
      * Requirements 1.2, 1.3: Voice selection and Edge TTS usage
+     * @param {Object} options - Conversion options
+     * @param {string} options.inputMode - 'text' (default) or 'ssml'
+     * @param {number} options.pitch - Relative pitch in Hz (-50 to 50, default 0)
+     * @param {number} options.volume - Relative volume in percent (-50 to 50, default 0)
+     * @param {string} options.style - Speaking style supported by the voice (e.g. 'cheerful')
+     * @param {number} options.styleDegree - Style intensity (0.01 to 2, default 1)
+     * @param {string} options.role - Role-play persona supported by the voice
+     * @param {Object} options.subtitles - Caption export: {formats: ['srt', 'vtt'], maxLineLength, maxCueDurationMs}
+     * @param {Object} options.normalization - Normalization rules for plain text (rule name -> boolean); omit to leave text as written
+     * @param {string} options.chunkStrategy - Where long plain text is split: 'sentence' (default), 'paragraph' or 'fixed'
+     * @param {number} options.maxConcurrentChunks - Most chunk requests in flight (1 to 8, default 3)
+     * @param {AbortSignal} options.signal - Cancels the conversion: stops synthesis and FFmpeg, removes temp files
+     * @param {boolean} options.streamChunks - Emit 'chunkAudio' with each chunk's audio as soon as it is synthesized
+     * @param {number} options.paragraphPauseMs - Silence inserted between paragraphs of plain text (0 to 5000, default 0)
+     * @param {string} options.workDir - Job temp directory for intermediate files (default: the output file's folder)
+     * @param {Array} options.chapters - Splits plain text into chapters and is filled with {title, startMs, endMs}
+     *                                   for each; without it chapter markers are removed from the text
+     * @param {Array} options.boundaries - Filled with the offset in milliseconds of every sentence break between
+     *                                     chunks and pauses, for splitting the output into parts
      */
-    async convertTextToSpeech(text, voiceId, speed = 1.0, outputPath) {
+    async convertTextToSpeech(text, voiceId, speed = 1.0, outputPath, options = {}) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
+        throwIfCancelled(options.signal);
+
         if (!text || text.trim().length === 0) {
             throw new Error('Text cannot be empty');
         }
@@ -361,6 +646,69 @@ class TTSService extends EventEmitter {
             throw new Error('Speed must be between 0.5 and 2.0');
         }
 
+        const pitch = options.pitch || 0;
+        if (typeof pitch !== 'number' || pitch < -50 || pitch > 50) {
+            throw new Error('Pitch must be between -50 and 50 Hz');
+        }
+
+        const volume = options.volume || 0;
+        if (typeof volume !== 'number' || volume < -50 || volume > 50) {
+            throw new Error('Volume must be between -50% and 50%');
+        }
+
+        const chunkStrategy = options.chunkStrategy || 'sentence';
+        if (!this.textSegmenter.isValidStrategy(chunkStrategy)) {
+            throw new Error(`Chunk strategy must be one of: ${this.textSegmenter.getStrategies().join(', ')}`);
+        }
+
+        const maxConcurrentChunks = options.maxConcurrentChunks || this.maxConcurrentChunks;
+        if (!Number.isInteger(maxConcurrentChunks) || maxConcurrentChunks < 1 || maxConcurrentChunks > 8) {
+            throw new Error('Concurrent chunks must be a whole number between 1 and 8');
+        }
+
+        const paragraphPauseMs = options.paragraphPauseMs || 0;
+        if (!Number.isInteger(paragraphPauseMs) || paragraphPauseMs < 0 || paragraphPauseMs > 5000) {
+            throw new Error('Paragraph pause must be a whole number between 0 and 5000 ms');
+        }
+
+        const prepared = this.prepareInput(text, options.inputMode, voiceId);
+
+        // Output split into parts needs short chunks, whose seams are the places a part can end
+        const splitting = Array.isArray(options.boundaries);
+        const planOptions = { speed, pitch, volume, normalization: options.normalization, chunkStrategy, maxChunkLength: splitting ? Math.min(this.maxChunkLength, SPLIT_CHUNK_LENGTH) : this.maxChunkLength };
+
+        // Audiobook chapters are planned like text with pauses, each starting with a chapter mark
+        let pauseItems = null;
+        if (options.inputMode !== 'ssml' && Array.isArray(options.chapters)) {
+            pauseItems = this.planChapters(prepared.input, voice, { paragraphPauseMs, ...planOptions });
+        } else if (options.inputMode !== 'ssml' && this.chapterMarkup.hasMarkers(prepared.input)) {
+            prepared.input = this.chapterMarkup.strip(prepared.input);
+        }
+
+        // Pause tokens and paragraph pauses in plain text become silences inserted at merge time
+        if (!pauseItems && options.inputMode !== 'ssml' && (paragraphPauseMs > 0 || splitting || this.pauseMarkup.hasMarkup(prepared.input))) {
+            const parts = this.pauseMarkup.parse(prepared.input, { paragraphPauseMs });
+            if (!parts.some(part => part.text)) {
+                throw new Error('Text cannot be empty');
+            }
+
+            if (this.pauseMarkup.hasPauses(parts) || splitting) {
+                pauseItems = this.planPausedChunks(parts, voice, planOptions);
+            } else {
+                prepared.input = parts[0].text;
+            }
+        }
+
+        if (options.inputMode !== 'ssml' && options.normalization && !pauseItems) {
+            prepared.input = this.textNormalizer.normalize(prepared.input, { locale: voice.language, rules: options.normalization }).text;
+        }
+        const { input, inputMode } = pauseItems ? { input: '', inputMode: 'text' } : this.applyLexicon(prepared.input, prepared.inputMode, voice, { speed, pitch, volume });
+        const chunkOptions = { inputMode, pitch, volume, chunkStrategy, maxConcurrentChunks, signal: options.signal, streamChunks: options.streamChunks, workDir: options.workDir, chapters: pauseItems ? options.chapters : undefined, boundaries: options.boundaries, ...this.resolveSpeakingStyle(voice, options) };
+        const subtitles = this.resolveSubtitleOptions(options.subtitles);
+        if (subtitles) {
+            chunkOptions.timings = [];
+        }
+
         try {
             // Ensure output directory exists
             const outputDir = path.dirname(outputPath);
@@ -368,12 +716,30 @@ class TTSService extends EventEmitter {
 
             // Check if text needs chunking for large files
             // Requirement 2.3: Split large files into manageable chunks
-            if (text.length > this.maxChunkLength) {
-                return await this.convertLargeTextToSpeech(text, voiceId, speed, outputPath);
+            let result;
+            if (pauseItems) {
+                result = await this.convertChunkSequence(pauseItems, voiceId, speed, outputPath, chunkOptions);
+            } else if (input.length > this.maxChunkLength) {
+                result = await this.convertLargeTextToSpeech(input, voiceId, speed, outputPath, chunkOptions);
             } else {
-                return await this.convertSingleChunk(text, voiceId, speed, outputPath);
+                result = await this.convertChunkWithRetry(input, voiceId, speed, outputPath, { ...chunkOptions, chunkIndex: 0, totalChunks: 1 });
+                if (chunkOptions.streamChunks) {
+                    await this.emitChunkAudio(outputPath, 0, 1, outputPath);
+                }
+            }
+
+            if (subtitles) {
+                throwIfCancelled(options.signal);
+                await this.writeSubtitles(outputPath, chunkOptions.timings, subtitles, inputMode);
             }
+
+            return result;
         } catch (error) {
+            // A cancelled conversion is not reported as a failure
+            if (isCancellationError(error) || (options.signal && options.signal.aborted)) {
+                throw createCancellationError();
+            }
+
             // If it's already an enhanced error, just re-throw
             if (error.userMessage) {
                 this.emit('error', error);
@@ -393,207 +759,1092 @@ class TTSService extends EventEmitter {
     }
 
     /**
-     * Convert a single chunk of text to speech using edge-tts library
+     * Validate SSML input and decide how it is sent to the active engine.
+     * SSML is passed through as-is; engines without SSML support receive the
+     * spoken text instead so a conversion never reads markup aloud.
+     * @param {string} text - Text or SSML document
+     * @param {string} inputMode - 'text' or 'ssml'
+     * @param {string} voiceId - Selected voice, for error context
+     * @returns {{input: string, inputMode: string}} Engine input and mode
      */
-    async convertSingleChunk(text, voiceId, speed, outputPath) {
-        try {
-            // Ensure edge-tts is loaded
-            await this.initializeEdgeTTS();
-
-            // Calculate rate parameter for edge-tts (percentage change from normal speed)
-            const ratePercent = Math.round((speed - 1.0) * 100);
-            const rateParam = ratePercent >= 0 ? `+${ratePercent}%` : `${ratePercent}%`;
-
-            // Check if it's the new @andresaya/edge-tts package (class-based)
-            if (edgeTTS && edgeTTS.EdgeTTS) {
-                const ttsInstance = new edgeTTS.EdgeTTS();
-
-                const options = {
-                    rate: rateParam,
-                    volume: '+0%',
-                    pitch: '+0Hz'
-                };
-
-                // Use the new API to synthesize
-                await ttsInstance.synthesize(text, voiceId, options);
-
-                // Get the audio buffer and write to file
-                const audioBuffer = ttsInstance.toBuffer();
-                const fs = require('fs').promises;
-                await fs.writeFile(outputPath, audioBuffer);
-            }
-            // Check if it's the original edge-tts package (function-based)
-            else if (edgeTTS && edgeTTS.ttsSave) {
-                const options = {
-                    voice: voiceId,
-                    rate: rateParam,
-                    volume: '+0%',
-                    pitch: '+0Hz'
-                };
+    prepareInput(text, inputMode = 'text', voiceId = null) {
+        if (inputMode !== 'ssml') {
+            return { input: text, inputMode: 'text' };
+        }
 
-                // Use the original API
-                await edgeTTS.ttsSave(text, outputPath, options);
-            }
-            else {
-                throw new Error('edge-tts library not available or not properly imported');
-            }
+        const validation = this.ssmlProcessor.validate(text);
+        if (!validation.valid) {
+            throw this.errorHandler.handleSSMLError(validation, { operation: 'convertTextToSpeech', voiceId });
+        }
 
-            this.emit('conversionComplete', { outputPath, text: text.substring(0, 50) + '...' });
-            return outputPath;
-        } catch (error) {
-            const enhancedError = this.errorHandler.handleTTSVoiceError(error, {
-                operation: 'convertSingleChunk',
-                voiceId,
-                speed,
-                outputPath
+        const engine = this.getActiveEngine();
+        if (!engine.getCapabilities().ssml) {
+            this.emit('warning', {
+                message: `${engine.displayName} does not support SSML; markup will be ignored`,
+                engine: engine.name
             });
-            throw enhancedError;
+            return { input: this.ssmlProcessor.toPlainText(text), inputMode: 'text' };
         }
+
+        return { input: text.trim(), inputMode: 'ssml' };
     }
 
     /**
-     * Convert large text by splitting into chunks with memory optimization
-     * Requirement 2.3: Handle large files by splitting into manageable chunks
+     * Show how plain text will be read once normalization rules are applied
+     * @param {string} text - Text to normalize
+     * @param {string} voiceId - Voice whose language decides number, date and currency wording
+     * @param {Object} rules - Normalization rules (rule name -> boolean); missing rules are enabled
+     * @returns {{text: string, language: string|null, replacements: number}} Normalized text, the rule language used and the number of replacements
      */
-    async convertLargeTextToSpeech(text, voiceId, speed, outputPath) {
-        const chunks = this.splitTextIntoChunks(text);
-        const tempDir = path.join(path.dirname(outputPath), 'temp_chunks');
-
-        try {
-            // Create temporary directory for chunks
-            await fs.promises.mkdir(tempDir, { recursive: true });
-
-            const chunkPaths = [];
-            const totalChunks = chunks.length;
-            const maxConcurrentChunks = 3; // Limit concurrent processing for memory optimization
-
-            // Process chunks in batches to optimize memory usage
-            for (let batchStart = 0; batchStart < chunks.length; batchStart += maxConcurrentChunks) {
-                const batchEnd = Math.min(batchStart + maxConcurrentChunks, chunks.length);
-                const batchPromises = [];
-
-                // Process batch of chunks concurrently
-                for (let i = batchStart; i < batchEnd; i++) {
-                    const chunkPath = path.join(tempDir, `chunk_${i}.wav`);
-
-                    this.emit('progress', {
-                        current: i + 1,
-                        total: totalChunks,
-                        phase: 'converting',
-                        message: `Converting chunk ${i + 1} of ${totalChunks}`,
-                        memoryOptimized: true
-                    });
+    normalizeText(text, voiceId, rules = {}) {
+        const voice = this.availableVoices.find(v => v.id === voiceId);
+        if (!voice) {
+            throw new Error(`Voice '${voiceId}' not found`);
+        }
 
-                    const chunkPromise = this.convertSingleChunk(chunks[i], voiceId, speed, chunkPath)
-                        .then(() => {
-                            chunkPaths[i] = chunkPath;
-                            // Force garbage collection hint for large text processing
-                            if (global.gc && chunks[i].length > 2000) {
-                                global.gc();
-                            }
-                        });
+        // Pause tokens are left as written; only the text between them is normalized
+        let language = null;
+        let replacements = 0;
+        const normalized = this.pauseMarkup.mapText(text, (part) => {
+            const result = this.textNormalizer.normalize(part, { locale: voice.language, rules });
+            language = result.language;
+            replacements += result.replacements;
+            return result.text;
+        });
 
-                    batchPromises.push(chunkPromise);
-                }
+        return { text: normalized, language, replacements };
+    }
 
-                // Wait for current batch to complete before starting next batch
-                await Promise.all(batchPromises);
+    /**
+     * Turn plain text split at pauses into the chunks and silences of a conversion
+     * Every spoken part is normalized, run through the lexicon and chunked on its
+     * own, so a chunk never spans a pause.
+     * @param {Array<{text: string}|{pauseMs: number}>} parts - Result of PauseMarkup.parse()
+     * @param {Object} voice - Selected voice
+     * @param {Object} options - {speed, pitch, volume, normalization, chunkStrategy, maxChunkLength}
+     * @returns {Array<{text: string, inputMode: string}|{pauseMs: number}>} Chunks and pauses in playback order
+     */
+    planPausedChunks(parts, voice, options = {}) {
+        const { speed, pitch, volume, normalization, chunkStrategy, maxChunkLength = this.maxChunkLength } = options;
+        const items = [];
 
-                // Small delay between batches to prevent system overload
-                if (batchEnd < chunks.length) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
+        for (const part of parts) {
+            if (part.pauseMs !== undefined) {
+                items.push({ pauseMs: part.pauseMs });
+                continue;
             }
 
-            // Filter out any undefined paths and sort
-            const validChunkPaths = chunkPaths.filter(path => path).sort();
-
-            // Merge chunks into final output with streaming approach
-            this.emit('progress', {
-                current: totalChunks,
-                total: totalChunks,
-                phase: 'merging',
-                message: 'Merging audio chunks...'
-            });
-
-            await this.mergeAudioChunksOptimized(validChunkPaths, outputPath);
-
-            // Clean up temporary files
-            await this.cleanupTempFiles(tempDir);
-
-            return outputPath;
-        } catch (error) {
-            // Clean up on error
-            try {
-                await this.cleanupTempFiles(tempDir);
-            } catch (cleanupError) {
-                // Ignore cleanup errors
+            let text = part.text;
+            if (normalization) {
+                text = this.textNormalizer.normalize(text, { locale: voice.language, rules: normalization }).text;
+            }
+            const { input, inputMode } = this.applyLexicon(text, 'text', voice, { speed, pitch, volume });
+            for (const chunk of this.splitTextIntoChunks(input, maxChunkLength, inputMode, chunkStrategy)) {
+                items.push({ text: chunk, inputMode });
             }
-            throw error;
         }
+
+        return items;
     }
 
     /**
-     * Split text into manageable chunks for processing
-     * Requirement 2.3: Implement text chunking for large files to prevent memory issues
+     * Turn plain text into chapter marks followed by the chunks and silences of each chapter
+     * @param {string} text - Plain text with optional chapter markers and pause tokens
+     * @param {Object} voice - Selected voice
+     * @param {Object} options - {paragraphPauseMs, speed, pitch, volume, normalization, chunkStrategy, maxChunkLength}
+     * @returns {Array<{chapter: string}|{text: string, inputMode: string}|{pauseMs: number}>} Items in playback order
      */
-    splitTextIntoChunks(text, maxLength = this.maxChunkLength) {
-        if (text.length <= maxLength) {
-            return [text];
-        }
-
-        const chunks = [];
-        let currentIndex = 0;
+    planChapters(text, voice, options = {}) {
+        const { paragraphPauseMs, ...chunkOptions } = options;
+        const items = [];
 
-        while (currentIndex < text.length) {
-            let endIndex = currentIndex + maxLength;
-
-            // If we're not at the end of the text, try to break at a sentence or word boundary
-            if (endIndex < text.length) {
-                // Look for sentence endings within the last 500 characters of the chunk
-                const searchStart = Math.max(currentIndex + maxLength - 500, currentIndex);
-                const searchText = text.substring(searchStart, endIndex);
-
-                // Try to find sentence boundary (. ! ?)
-                const sentenceMatch = searchText.match(/[.!?]\s+/g);
-                if (sentenceMatch) {
-                    const lastSentenceEnd = searchText.lastIndexOf(sentenceMatch[sentenceMatch.length - 1]);
-                    if (lastSentenceEnd > 0) {
-                        endIndex = searchStart + lastSentenceEnd + sentenceMatch[sentenceMatch.length - 1].length;
-                    }
-                } else {
-                    // Fall back to word boundary
-                    const wordBoundary = text.lastIndexOf(' ', endIndex);
-                    if (wordBoundary > currentIndex) {
-                        endIndex = wordBoundary;
-                    }
-                }
+        for (const chapter of this.chapterMarkup.split(text)) {
+            const parts = this.pauseMarkup.parse(chapter.text, { paragraphPauseMs });
+            if (!parts.some(part => part.text)) {
+                continue;
             }
-
-            chunks.push(text.substring(currentIndex, endIndex).trim());
-            currentIndex = endIndex;
+            items.push({ chapter: chapter.title });
+            items.push(...this.planPausedChunks(parts, voice, chunkOptions));
         }
 
-        return chunks.filter(chunk => chunk.length > 0);
+        if (items.length === 0) {
+            throw new Error('Text cannot be empty');
+        }
+        return items;
     }
 
     /**
-     * Merge multiple audio chunks into a single file with memory optimization
-     * Uses the audio processor service for proper merging
+     * Replace the pronunciation lexicon entries applied to every conversion
+     * @param {Array} entries - Normalized lexicon entries in application order
      */
-    async mergeAudioChunks(chunkPaths, outputPath) {
-        if (chunkPaths.length === 1) {
+    setLexicon(entries) {
+        this.lexiconEntries = Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * Apply the pronunciation lexicon to prepared input before it is chunked.
+     * Phoneme entries are only used when the active engine accepts SSML.
+     * @param {string} input - Prepared text or SSML
+     * @param {string} inputMode - 'text' or 'ssml'
+     * @param {Object} voice - Selected voice, whose locale is used for generated SSML
+     * @param {Object} prosody - Speed, pitch and volume, carried into generated SSML
+     *                           because engines ignore them for SSML input
+     * @returns {{input: string, inputMode: string}} Engine input and mode
+     */
+    applyLexicon(input, inputMode, voice, prosody = {}) {
+        if (this.lexiconEntries.length === 0) {
+            return { input, inputMode };
+        }
+
+        const engine = this.getActiveEngine();
+        const result = this.lexicon.apply(input, this.lexiconEntries, {
+            inputMode,
+            ssml: engine.getCapabilities().ssml,
+            language: /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(voice.language || '') ? voice.language : undefined,
+            prosody: this.formatProsody(prosody)
+        });
+
+        if (result.skipped > 0) {
+            this.emit('warning', {
+                message: `${engine.displayName} does not support phonemes; ${result.skipped} lexicon ${result.skipped === 1 ? 'entry was' : 'entries were'} skipped`,
+                engine: engine.name
+            });
+        }
+
+        return { input: result.input, inputMode: result.inputMode };
+    }
+
+    /**
+     * Express speed, pitch and volume as relative SSML prosody values
+     * @returns {{rate?: string, pitch?: string, volume?: string}} Non-default prosody attributes
+     */
+    formatProsody({ speed = 1.0, pitch = 0, volume = 0 } = {}) {
+        const signed = (value, unit) => `${value >= 0 ? '+' : ''}${value}${unit}`;
+        const attributes = {};
+        const rate = Math.round((speed - 1) * 100);
+
+        if (rate !== 0) attributes.rate = signed(rate, '%');
+        if (pitch !== 0) attributes.pitch = signed(pitch, 'Hz');
+        if (volume !== 0) attributes.volume = signed(volume, '%');
+
+        return attributes;
+    }
+
+    /**
+     * Validate the speaking style and role requested for a voice
+     * Styles are dropped with a warning when the active engine cannot apply them.
+     * @param {Object} voice - Voice from the available voice list
+     * @param {Object} options - Conversion options with style, styleDegree and role
+     * @returns {{style?: string, styleDegree?: number, role?: string}} Options for the engine
+     */
+    resolveSpeakingStyle(voice, options = {}) {
+        const { style, role } = options;
+        const styleDegree = options.styleDegree === undefined ? 1 : options.styleDegree;
+
+        if (!style && !role) {
+            return {};
+        }
+
+        if (style && !(voice.styles || []).includes(style)) {
+            throw new Error(`Voice '${voice.id}' does not support the '${style}' speaking style`);
+        }
+
+        if (role && !(voice.roles || []).includes(role)) {
+            throw new Error(`Voice '${voice.id}' does not support the '${role}' role`);
+        }
+
+        if (!isValidStyleDegree(styleDegree)) {
+            throw new Error('Style degree must be between 0.01 and 2');
+        }
+
+        const engine = this.getActiveEngine();
+        if (!engine.getCapabilities().styles) {
+            this.emit('warning', {
+                message: `${engine.displayName} does not support speaking styles; the default style will be used`,
+                engine: engine.name
+            });
+            return {};
+        }
+
+        return { style, styleDegree, role };
+    }
+
+    /**
+     * Decide whether captions can be produced for a conversion
+     * Captions are skipped with a warning when the active engine does not
+     * report word boundaries.
+     * @param {Object} subtitles - Requested caption options
+     * @returns {Object|null} Caption options, or null when no captions are written
+     */
+    resolveSubtitleOptions(subtitles) {
+        if (!subtitles || !Array.isArray(subtitles.formats) || subtitles.formats.length === 0) {
+            return null;
+        }
+
+        const engine = this.getActiveEngine();
+        if (!engine.getCapabilities().wordBoundaries) {
+            this.emit('warning', {
+                message: `${engine.displayName} does not report word timings; captions will not be created`,
+                engine: engine.name
+            });
+            return null;
+        }
+
+        return subtitles;
+    }
+
+    /**
+     * Build captions from the word timings of every chunk and write them next to the audio
+     * @param {string} outputPath - Path of the merged audio file
+     * @param {Array<{text: string, boundaries: Array, durationMs: number}>} timings - Per-chunk timings in playback order
+     * @param {Object} subtitles - {formats, maxLineLength, maxCueDurationMs, audioPath}; audioPath names the
+     *                             caption files when the audio is written to a temp file first
+     * @param {string} inputMode - 'text' or 'ssml'
+     * @returns {Promise<string[]>} Paths of the subtitle files written
+     */
+    async writeSubtitles(outputPath, timings, subtitles, inputMode = 'text') {
+        const words = [];
+        let offsetMs = 0;
+
+        for (const chunk of timings.filter(Boolean)) {
+            const text = (chunk.inputMode || inputMode) === 'ssml' ? this.ssmlProcessor.toPlainText(chunk.text) : chunk.text;
+            const chunkWords = this.subtitleBuilder.alignWords(chunk.boundaries, text, offsetMs);
+            words.push(...chunkWords);
+
+            const lastWord = chunkWords[chunkWords.length - 1];
+            offsetMs += chunk.durationMs || (lastWord ? lastWord.endMs - offsetMs : 0);
+        }
+
+        if (words.length === 0) {
+            this.emit('warning', { message: 'No word timings were received; captions were not created' });
+            return [];
+        }
+
+        const cues = this.subtitleBuilder.buildCues(words, {
+            maxLineLength: subtitles.maxLineLength,
+            maxCueDurationMs: subtitles.maxCueDurationMs
+        });
+
+        const files = await this.writeSubtitleFiles(cues, subtitles.audioPath || outputPath, subtitles.formats);
+
+        this.emit('subtitlesCreated', { outputPath, files, cueCount: cues.length, cues });
+        return files;
+    }
+
+    /**
+     * Write caption cues next to an audio file, one file per format
+     * @param {Array} cues - Cues from SubtitleBuilder.buildCues()
+     * @param {string} audioPath - Audio file the captions belong to; names the caption files
+     * @param {string[]} formats - 'srt' and/or 'vtt'
+     * @returns {Promise<string[]>} Paths of the subtitle files written
+     */
+    async writeSubtitleFiles(cues, audioPath, formats) {
+        const files = [];
+        for (const format of formats) {
+            const subtitlePath = this.getSubtitlePath(audioPath, format);
+            try {
+                await fs.promises.writeFile(subtitlePath, this.subtitleBuilder.render(cues, format), 'utf8');
+            } catch (error) {
+                throw this.errorHandler.handleFileError(error, subtitlePath, { operation: 'writeSubtitles' });
+            }
+            files.push(subtitlePath);
+        }
+        return files;
+    }
+
+    /**
+     * Path of the subtitle file that accompanies an audio file
+     * @param {string} outputPath - Audio file path
+     * @param {string} format - 'srt' or 'vtt'
+     * @returns {string} Subtitle file path
+     */
+    getSubtitlePath(outputPath, format) {
+        return outputPath.replace(/\.[^.\\/]+$/, '') + `.${format}`;
+    }
+
+    /**
+     * Measure the playback length of an audio file
+     * PCM WAV headers are read directly; other containers are probed with FFmpeg.
+     * @param {string} filePath - Audio file path
+     * @returns {Promise<number|null>} Duration in milliseconds, or null if unknown
+     */
+    async getAudioDurationMs(filePath) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const { size } = await handle.stat();
+            const header = Buffer.alloc(Math.min(size, 4096));
+            await handle.read(header, 0, header.length, 0);
+
+            const wavInfo = readWavInfo(header, size);
+            if (wavInfo) {
+                return wavInfo.durationMs;
+            }
+        } finally {
+            await handle.close();
+        }
+
+        if (this.audioProcessor) {
+            const metadata = await this.audioProcessor.getAudioInfo(filePath);
+            const duration = Number(metadata.format && metadata.format.duration);
+            return Number.isFinite(duration) ? duration * 1000 : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate an SSML document without converting it
+     * @param {string} ssml - SSML document
+     * @returns {{valid: boolean, errors: Array}} Validation result with line/column errors
+     */
+    validateSSML(ssml) {
+        const { valid, errors } = this.ssmlProcessor.validate(ssml);
+        return { valid, errors };
+    }
+
+    /**
+     * Get the text an SSML document reads, for input that only takes plain text such as chapter files
+     * @param {string} ssml - SSML document
+     * @returns {string} Plain text with paragraph breaks
+     */
+    getSSMLText(ssml) {
+        return this.ssmlProcessor.toPlainText(ssml);
+    }
+
+    /**
+     * Parse a dialogue script without converting it
+     * @param {string} script - Script with "SPEAKER: text" lines
+     * @returns {{turns: Array, speakers: string[], errors: Array}} Parsed turns, speakers and line errors
+     */
+    parseDialogueScript(script) {
+        return this.dialogueParser.parse(script);
+    }
+
+    /**
+     * Convert a multi-speaker dialogue script to speech
+     * Each turn is synthesized with the voice assigned to its speaker and the
+     * turns are merged in order with a gap of silence between them.
+     * @param {string} script - Script with "SPEAKER: text" lines
+     * @param {Object} speakerTable - Map of speaker label to {voice, speed?, pitch?}
+     * @param {string} outputPath - Path for the merged WAV file
+     * @param {Object} options - Defaults for speed, pitch and volume, gapMs between turns, normalization rules, chunkStrategy, maxConcurrentChunks,
+     *                           an abort signal and boundaries to fill with the offset where each turn ends
+     * @returns {Promise<string>} Path to the merged audio file
+     */
+    async convertDialogueToSpeech(script, speakerTable, outputPath, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const { turns, speakers, errors } = this.dialogueParser.parse(script);
+        const { assignments, missing } = this.dialogueParser.resolveSpeakers(speakers, speakerTable);
+        const problems = [
+            ...errors,
+            ...missing.map(speaker => ({
+                line: turns.find(turn => turn.speaker === speaker).line,
+                message: `No voice assigned to speaker ${speaker}`
+            }))
+        ];
+
+        for (const speaker of Object.keys(assignments)) {
+            const voiceId = assignments[speaker].voice;
+            if (!this.availableVoices.find(v => v.id === voiceId)) {
+                const line = turns.find(turn => turn.speaker === speaker).line;
+                problems.push({ line, message: `Voice '${voiceId}' for speaker ${speaker} is not available` });
+            }
+        }
+
+        if (problems.length > 0) {
+            problems.sort((a, b) => a.line - b.line);
+            const enhancedError = this.errorHandler.handleDialogueScriptError(problems, {
+                operation: 'convertDialogueToSpeech',
+                outputPath
+            });
+            this.emit('error', enhancedError);
+            throw enhancedError;
+        }
+
+        const gapMs = options.gapMs || 0;
+        if (typeof gapMs !== 'number' || gapMs < 0 || gapMs > 5000) {
+            throw new Error('Gap between turns must be between 0 and 5000 ms');
+        }
+
+        const tempDir = this.getWorkDirectory(outputPath, options, 'temp_dialogue');
+
+        try {
+            await fs.promises.mkdir(tempDir, { recursive: true });
+
+            const turnPaths = [];
+            for (let i = 0; i < turns.length; i++) {
+                const turn = turns[i];
+                const entry = assignments[turn.speaker];
+                const turnPath = path.join(tempDir, `turn_${String(i).padStart(4, '0')}.wav`);
+                throwIfCancelled(options.signal);
+
+                this.emit('progress', {
+                    current: i + 1,
+                    total: turns.length,
+                    phase: 'converting',
+                    message: `Speaking line ${i + 1} of ${turns.length} (${turn.label})`
+                });
+
+                await this.convertTextToSpeech(turn.text, entry.voice, entry.speed || options.speed || 1.0, turnPath, {
+                    pitch: typeof entry.pitch === 'number' ? entry.pitch : (options.pitch || 0),
+                    volume: options.volume || 0,
+                    normalization: options.normalization,
+                    chunkStrategy: options.chunkStrategy,
+                    maxConcurrentChunks: options.maxConcurrentChunks,
+                    signal: options.signal,
+                    workDir: options.workDir
+                });
+                turnPaths.push(turnPath);
+            }
+
+            this.emit('progress', {
+                current: turns.length,
+                total: turns.length,
+                phase: 'merging',
+                message: 'Merging dialogue turns...'
+            });
+
+            await this.mergeAudioChunks(turnPaths, outputPath, { gapMs, signal: options.signal, workDir: options.workDir, boundaries: options.boundaries });
+            await this.cleanupTempFiles(tempDir);
+
+            return outputPath;
+        } catch (error) {
+            try {
+                await this.cleanupTempFiles(tempDir);
+            } catch (cleanupError) {
+                // Ignore cleanup errors
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Convert plain text whose paragraphs may be in different languages
+     * Each paragraph's language is detected offline and read by the preferred
+     * voice for that language; consecutive paragraphs that share a voice are
+     * converted together and the parts are merged in order.
+     * @param {string} text - Plain text with paragraphs separated by blank lines
+     * @param {string} voiceId - Selected voice, used for its own language and whenever detection is inconclusive
+     * @param {number} speed - Speech rate
+     * @param {string} outputPath - Path for the merged WAV file
+     * @param {Object} options - Conversion options plus languageVoices (language or locale -> voice id)
+     * @returns {Promise<string>} Path to the merged audio file
+     */
+    async convertMultilingualToSpeech(text, voiceId, speed, outputPath, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const { languageVoices, ...conversionOptions } = options;
+        const segments = this.planLanguageSegments(text, voiceId, languageVoices);
+
+        // Style and role belong to the selected voice and are not applied to other voices
+        const optionsFor = (segment) => {
+            if (segment.voiceId === voiceId) {
+                return conversionOptions;
+            }
+            const { style, styleDegree, role, ...rest } = conversionOptions;
+            return rest;
+        };
+
+        if (segments.length <= 1) {
+            const segment = segments[0] || { voiceId };
+            return this.convertTextToSpeech(text, segment.voiceId, speed, outputPath, optionsFor(segment));
+        }
+
+        if (conversionOptions.subtitles) {
+            this.emit('warning', { message: 'Captions are not created when paragraphs are read by different voices' });
+        }
+        if (conversionOptions.chapters) {
+            this.emit('warning', { message: 'Chapters are not marked when paragraphs are read by different voices' });
+        }
+
+        const tempDir = this.getWorkDirectory(outputPath, options, 'temp_languages');
+
+        try {
+            await fs.promises.mkdir(tempDir, { recursive: true });
+
+            const segmentPaths = [];
+            for (let i = 0; i < segments.length; i++) {
+                const segment = segments[i];
+                const segmentPath = path.join(tempDir, `segment_${String(i).padStart(4, '0')}.wav`);
+                throwIfCancelled(options.signal);
+
+                this.emit('progress', {
+                    current: i + 1,
+                    total: segments.length,
+                    phase: 'converting',
+                    message: `Speaking part ${i + 1} of ${segments.length} (${segment.language || 'default voice'})`
+                });
+
+                // Segments are written to temp files; their chunks are not streamed, and
+                // split output can only end where the voice changes
+                const { subtitles, streamChunks, chapters, boundaries, ...segmentOptions } = optionsFor(segment);
+                await this.convertTextToSpeech(segment.text, segment.voiceId, speed, segmentPath, segmentOptions);
+                segmentPaths.push(segmentPath);
+            }
+
+            this.emit('progress', {
+                current: segments.length,
+                total: segments.length,
+                phase: 'merging',
+                message: 'Merging language segments...'
+            });
+
+            await this.mergeAudioChunks(segmentPaths, outputPath, { gapMs: options.paragraphPauseMs, signal: options.signal, workDir: options.workDir, boundaries: options.boundaries });
+            await this.cleanupTempFiles(tempDir);
+
+            return outputPath;
+        } catch (error) {
+            try {
+                await this.cleanupTempFiles(tempDir);
+            } catch (cleanupError) {
+                // Ignore cleanup errors
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Detect the language of every paragraph and choose the voice that reads it
+     * @param {string} text - Plain text with paragraphs separated by blank lines
+     * @param {string} voiceId - Selected voice
+     * @param {Object} languageVoices - Preferred voice id per language ('es') or locale ('es-MX')
+     * @returns {Array<{text: string, language: string|null, voiceId: string}>} Segments in reading order,
+     *          with consecutive segments that share a voice combined
+     */
+    planLanguageSegments(text, voiceId, languageVoices = {}) {
+        const voice = this.availableVoices.find(v => v.id === voiceId);
+        const segments = [];
+        const missing = new Set();
+
+        for (const segment of this.languageDetector.segment(text)) {
+            let segmentVoice = voice ? this.resolveLanguageVoice(segment.language, voice, languageVoices) : null;
+            if (!segmentVoice) {
+                missing.add(segment.language);
+                segmentVoice = voice;
+            }
+
+            const id = segmentVoice ? segmentVoice.id : voiceId;
+            const last = segments[segments.length - 1];
+            if (last && last.voiceId === id) {
+                last.text += `\n\n${segment.text}`;
+            } else {
+                segments.push({ text: segment.text, language: segment.language, voiceId: id });
+            }
+        }
+
+        for (const language of missing) {
+            this.emit('warning', {
+                message: `No voice is available for language '${language}'; the selected voice will read it`,
+                language
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Choose the voice for a detected language
+     * The selected voice keeps its own language; otherwise the user's mapping for
+     * the language or one of its locales is used, then any available voice of
+     * that language, preferring the selected voice's gender.
+     * @param {string|null} language - Detected language code
+     * @param {Object} voice - Selected voice
+     * @param {Object} languageVoices - Preferred voice id per language or locale
+     * @returns {Object|null} Voice to use, or null when no voice speaks the language
+     */
+    resolveLanguageVoice(language, voice, languageVoices = {}) {
+        if (!language) {
+            return voice;
+        }
+
+        const speaks = (locale) => {
+            const value = String(locale || '').toLowerCase();
+            return value === language || value.startsWith(`${language}-`);
+        };
+
+        if (speaks(voice.language)) {
+            return voice;
+        }
+
+        // An exact language entry wins over regional ones
+        const mapped = Object.keys(languageVoices || {})
+            .filter(speaks)
+            .sort((a, b) => a.length - b.length)
+            .map(locale => this.availableVoices.find(v => v.id === languageVoices[locale]))
+            .find(Boolean);
+        if (mapped) {
+            return mapped;
+        }
+
+        const candidates = this.availableVoices.filter(v => speaks(v.language));
+        return candidates.find(v => v.gender === voice.gender) || candidates[0] || null;
+    }
+
+    /**
+     * Convert a single chunk of text to speech using the active engine
+     * Audio already in the synthesis cache for the same text and settings is
+     * copied instead of synthesized again.
+     */
+    async convertSingleChunk(text, voiceId, speed, outputPath, options = {}) {
+        const engine = this.getActiveEngine();
+        const inputMode = options.inputMode || 'text';
+        const pitch = options.pitch || 0;
+        const volume = options.volume || 0;
+        const { style, styleDegree, role } = options;
+
+        try {
+            const cacheKey = this.synthesisCache
+                ? this.synthesisCache.createKey({ engine: engine.name, voiceId, inputMode, speed, pitch, volume, style, styleDegree, role, format: path.extname(outputPath), text })
+                : null;
+            let result = cacheKey ? await this.readCachedChunk(cacheKey, outputPath) : null;
+            const fromCache = Boolean(result);
+
+            if (!fromCache) {
+                throwIfCancelled(options.signal);
+                const outputFormat = getExtensionContainer(outputPath);
+                result = await engine.synthesize(text, voiceId, { speed, pitch, volume, inputMode, style, styleDegree, role, outputFormat, signal: options.signal }, outputPath);
+                await this.ensureAudioContainer(outputPath, engine, options.signal);
+                if (cacheKey) {
+                    await this.writeCachedChunk(cacheKey, outputPath, result);
+                }
+            }
+
+            // Keep word timings for captions; chunk offsets are added once the chunks are merged
+            if (options.timings) {
+                options.timings[options.chunkIndex || 0] = {
+                    text,
+                    inputMode,
+                    boundaries: (result && result.boundaries) || [],
+                    durationMs: null
+                };
+            }
+
+            this.emit('conversionComplete', { outputPath, text: text.substring(0, 50) + '...', fromCache });
+            return outputPath;
+        } catch (error) {
+            if (isCancellationError(error) || (options.signal && options.signal.aborted)) {
+                throw createCancellationError();
+            }
+
+            const enhancedError = this.errorHandler.handleTTSVoiceError(error, {
+                operation: 'convertSingleChunk',
+                engine: engine.name,
+                inputMode,
+                voiceId,
+                speed,
+                pitch,
+                volume,
+                style,
+                role,
+                outputPath
+            });
+            throw enhancedError;
+        }
+    }
+
+    /**
+     * Make sure a chunk file holds the container its extension names
+     * Engines that cannot produce WAV (Edge TTS returns MP3 frames) have their
+     * output converted to PCM WAV with FFmpeg. Without FFmpeg the engine's
+     * audio is kept and a warning is emitted. Unrecognized data is left alone.
+     * @param {string} filePath - Chunk file written by the engine
+     * @param {Object} engine - Engine that wrote the file
+     * @param {AbortSignal} signal - Conversion abort signal
+     */
+    async ensureAudioContainer(filePath, engine, signal = null) {
+        const expected = getExtensionContainer(filePath);
+        const actual = await readAudioContainer(filePath);
+        if (expected !== 'wav' || !actual || actual === expected) {
+            return;
+        }
+
+        const canConvert = this.audioProcessor && await this.audioProcessor.validateFFmpegInstallation();
+        if (!canConvert) {
+            if (!this.containerWarningShown) {
+                this.containerWarningShown = true;
+                this.emit('warning', {
+                    message: `${engine.displayName} returned ${actual.toUpperCase()} audio and FFmpeg is not available to convert it; WAV files will contain that audio`,
+                    engine: engine.name
+                });
+            }
+            return;
+        }
+
+        const enginePath = `${filePath}.${actual}`;
+        await fs.promises.rename(filePath, enginePath);
+        try {
+            await this.audioProcessor.transcodeToWav(enginePath, filePath, { signal });
+        } finally {
+            await fs.promises.unlink(enginePath).catch(() => {});
+        }
+    }
+
+    /**
+     * Copy a chunk's audio from the synthesis cache
+     * Cache problems never fail a conversion; the chunk is synthesized instead.
+     * @returns {Promise<{boundaries: Array}|null>} Cached word boundaries, or null on a miss
+     */
+    async readCachedChunk(cacheKey, outputPath) {
+        try {
+            return await this.synthesisCache.get(cacheKey, outputPath);
+        } catch (error) {
+            console.warn('Synthesis cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a synthesized chunk in the synthesis cache
+     */
+    async writeCachedChunk(cacheKey, outputPath, result) {
+        try {
+            await this.synthesisCache.put(cacheKey, outputPath, { boundaries: (result && result.boundaries) || [] });
+        } catch (error) {
+            console.warn('Synthesis cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Set the cache that keeps synthesized chunk audio between conversions
+     * @param {SynthesisCache} cache - Synthesis cache
+     */
+    setSynthesisCache(cache) {
+        this.synthesisCache = cache;
+    }
+
+    /**
+     * Change the synthesis cache size limit; entries that no longer fit are evicted
+     * @param {number} megabytes - New limit in MB
+     */
+    async setSynthesisCacheLimit(megabytes) {
+        if (this.synthesisCache) {
+            await this.synthesisCache.setMaxBytes(megabytes * 1024 * 1024);
+        }
+    }
+
+    /**
+     * Get synthesis cache statistics
+     * @returns {Promise<Object>} Entry count, size and limit in bytes, hits and misses; enabled is false without a cache
+     */
+    async getSynthesisCacheStats() {
+        if (!this.synthesisCache) {
+            return { enabled: false, entries: 0, sizeBytes: 0, maxBytes: 0, hits: 0, misses: 0 };
+        }
+
+        return { enabled: true, ...(await this.synthesisCache.getStats()) };
+    }
+
+    /**
+     * Delete all cached chunk audio
+     * @returns {Promise<Object>} Statistics after clearing
+     */
+    async clearSynthesisCache() {
+        if (this.synthesisCache) {
+            await this.synthesisCache.clear();
+        }
+
+        return this.getSynthesisCacheStats();
+    }
+
+    /**
+     * Convert one chunk, retrying it with exponential backoff on failure
+     * Only the failing chunk is synthesized again, and only for transient
+     * errors (ErrorHandler.isTransientError()); once it runs out of attempts
+     * the error names the chunk and quotes the start of its text. A cancelled
+     * chunk is never retried.
+     * @param {Object} options - convertSingleChunk() options plus chunkIndex and totalChunks
+     * @returns {Promise<string>} Path to the chunk's audio file
+     */
+    async convertChunkWithRetry(text, voiceId, speed, outputPath, options = {}) {
+        const chunkIndex = options.chunkIndex || 0;
+        const totalChunks = options.totalChunks || 1;
+        const maxAttempts = this.chunkRetryAttempts;
+        let lastError;
+        let attempts = 0;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            attempts = attempt;
+            try {
+                return await this.convertSingleChunk(text, voiceId, speed, outputPath, options);
+            } catch (error) {
+                if (isCancellationError(error)) {
+                    throw error;
+                }
+
+                lastError = error;
+
+                // Fewer requests in flight while the service is throttling or timing out
+                if (options.workerPool && this.errorHandler.isThrottlingError(error)) {
+                    options.workerPool.recordThrottle();
+                }
+
+                // Invalid input or an unknown voice fails the same way on every attempt
+                if (!this.errorHandler.isTransientError(error)) {
+                    break;
+                }
+
+                if (attempt < maxAttempts) {
+                    const delay = this.chunkRetryDelay * Math.pow(2, attempt - 1); // 1s, 2s, 4s...
+
+                    this.emit('chunkRetry', {
+                        chunkIndex,
+                        totalChunks,
+                        attempt,
+                        maxAttempts,
+                        delay,
+                        excerpt: this.getChunkExcerpt(text),
+                        error: error.userMessage || error.message
+                    });
+
+                    await this.sleep(delay, options.signal);
+                }
+            }
+        }
+
+        throw this.errorHandler.handleChunkError(lastError, {
+            chunkIndex,
+            totalChunks,
+            attempts,
+            excerpt: this.getChunkExcerpt(text),
+            voiceId,
+            outputPath
+        });
+    }
+
+    /**
+     * Emit a synthesized chunk's audio so playback can start before the conversion finishes
+     * Streaming is best effort; a chunk that cannot be read is only logged.
+     * @param {string} outputPath - Final output path of the conversion, used by listeners to match their job
+     * @param {number} chunkIndex - Position of the chunk in playback order
+     * @param {number} totalChunks - Number of chunks in the conversion
+     * @param {string} chunkPath - Chunk audio file
+     */
+    async emitChunkAudio(outputPath, chunkIndex, totalChunks, chunkPath) {
+        try {
+            const audio = await fs.promises.readFile(chunkPath);
+            this.emit('chunkAudio', { outputPath, chunkIndex, totalChunks, audio });
+        } catch (error) {
+            console.warn('Could not stream chunk audio:', error.message);
+        }
+    }
+
+    /**
+     * Start of a chunk's text for progress and error messages, without SSML tags
+     */
+    getChunkExcerpt(text, maxLength = 60) {
+        const plain = text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        return plain.length > maxLength ? `${plain.substring(0, maxLength - 3).trim()}...` : plain;
+    }
+
+    /**
+     * Convert large text by splitting into chunks with memory optimization
+     * Requirement 2.3: Handle large files by splitting into manageable chunks
+     */
+    async convertLargeTextToSpeech(text, voiceId, speed, outputPath, options = {}) {
+        const chunks = this.splitTextIntoChunks(text, this.maxChunkLength, options.inputMode || 'text', options.chunkStrategy);
+        return this.convertChunkSequence(chunks.map(chunk => ({ text: chunk })), voiceId, speed, outputPath, options);
+    }
+
+    /**
+     * Synthesize chunks and merge them, with silences where the sequence has pauses
+     * Chunks run through an adaptive worker pool; progress events report the
+     * throughput so far (charsPerSecond) and the current concurrency. With
+     * options.streamChunks every finished chunk is also emitted as 'chunkAudio',
+     * in completion order; pauses are emitted as silent WAV audio right away.
+     * Chapter marks take no time; with options.chapters the merge fills it
+     * with the offset of every chapter, and options.boundaries with the
+     * offset where every chunk and pause ends.
+     * @param {Array<{text: string, inputMode?: string}|{pauseMs: number}|{chapter: string}>} items - Chunks, pauses and chapter marks in playback order
+     */
+    async convertChunkSequence(items, voiceId, speed, outputPath, options = {}) {
+        const chunks = items.filter(item => item.text !== undefined);
+        const playback = items.filter(item => item.chapter === undefined);
+        const tempDir = this.getWorkDirectory(outputPath, options, 'temp_chunks');
+
+        try {
+            // Create temporary directory for chunks
+            await fs.promises.mkdir(tempDir, { recursive: true });
+
+            const chunkPaths = [];
+            const totalChunks = chunks.length;
+            const pool = new AdaptiveWorkerPool({ maxConcurrency: options.maxConcurrentChunks || this.maxConcurrentChunks });
+            const startTime = Date.now();
+            let completedChunks = 0;
+            let completedChars = 0;
+
+            // Streamed parts are numbered in playback order, pauses included
+            const streamIndexes = [];
+            playback.forEach((item, index) => {
+                if (item.pauseMs === undefined) {
+                    streamIndexes.push(index);
+                } else if (options.streamChunks) {
+                    this.emit('chunkAudio', { outputPath, chunkIndex: index, totalChunks: playback.length, audio: createSilenceWav(item.pauseMs) });
+                }
+            });
+
+            this.emit('progress', {
+                current: 0,
+                total: totalChunks,
+                phase: 'converting',
+                message: `Converting ${totalChunks} chunks...`,
+                concurrency: pool.getConcurrency(),
+                memoryOptimized: true
+            });
+
+            // Keep up to maxConcurrentChunks requests in flight; throttling lowers the
+            // limit until requests succeed again
+            await pool.run(totalChunks, async (i) => {
+                throwIfCancelled(options.signal);
+                const chunk = chunks[i];
+                const chunkPath = path.join(tempDir, `chunk_${i}.wav`);
+                await this.convertChunkWithRetry(chunk.text, voiceId, speed, chunkPath, {
+                    ...options,
+                    inputMode: chunk.inputMode || options.inputMode,
+                    chunkIndex: i,
+                    totalChunks,
+                    workerPool: pool
+                });
+                chunkPaths[i] = chunkPath;
+
+                if (options.streamChunks) {
+                    await this.emitChunkAudio(outputPath, streamIndexes[i], playback.length, chunkPath);
+                }
+
+                // Force garbage collection hint for large text processing
+                if (global.gc && chunk.text.length > 2000) {
+                    global.gc();
+                }
+
+                completedChunks++;
+                completedChars += chunk.text.length;
+                const charsPerSecond = Math.round(completedChars / Math.max((Date.now() - startTime) / 1000, 0.001));
+
+                this.emit('progress', {
+                    current: completedChunks,
+                    total: totalChunks,
+                    phase: 'converting',
+                    message: `Converted chunk ${completedChunks} of ${totalChunks} (${charsPerSecond} chars/sec)`,
+                    charsPerSecond,
+                    concurrency: pool.getConcurrency(),
+                    memoryOptimized: true
+                });
+            });
+
+            // Filter out any undefined paths; chunkPaths is indexed by chunk so it is already
+            // in playback order (a string sort would put chunk_10 before chunk_2)
+            const validChunkPaths = chunkPaths.filter(path => path);
+            const hasPauses = chunks.length < items.length;
+
+            // Chunk lengths give the offset of each chunk's word timings in the merged audio
+            if (options.timings) {
+                for (let i = 0; i < chunkPaths.length; i++) {
+                    if (options.timings[i]) {
+                        options.timings[i].durationMs = await this.getAudioDurationMs(chunkPaths[i]);
+                    }
+                }
+
+                // Pauses shift the words after them by their length
+                if (chunks.length < playback.length) {
+                    const chunkTimings = options.timings.slice();
+                    let chunkIndex = 0;
+                    const ordered = playback.map(item => item.pauseMs === undefined
+                        ? chunkTimings[chunkIndex++]
+                        : { text: '', boundaries: [], durationMs: item.pauseMs });
+                    options.timings.splice(0, options.timings.length, ...ordered);
+                }
+            }
+
+            // Merge chunks into final output with streaming approach
+            this.emit('progress', {
+                current: totalChunks,
+                total: totalChunks,
+                phase: 'merging',
+                message: 'Merging audio chunks...'
+            });
+
+            if (hasPauses || Array.isArray(options.boundaries)) {
+                let chunkIndex = 0;
+                const mergeItems = items.map(item => {
+                    if (item.text !== undefined) {
+                        return chunkPaths[chunkIndex++];
+                    }
+                    return item.pauseMs !== undefined ? { silenceMs: item.pauseMs } : { chapter: item.chapter };
+                });
+                await this.mergeAudioChunks(mergeItems, outputPath, { signal: options.signal, workDir: options.workDir, chapters: options.chapters, boundaries: options.boundaries });
+            } else {
+                await this.mergeAudioChunksOptimized(validChunkPaths, outputPath, { signal: options.signal, workDir: options.workDir });
+            }
+
+            // Clean up temporary files
+            await this.cleanupTempFiles(tempDir);
+
+            return outputPath;
+        } catch (error) {
+            // Clean up on error
+            try {
+                await this.cleanupTempFiles(tempDir);
+            } catch (cleanupError) {
+                // Ignore cleanup errors
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Directory for a conversion's intermediate files
+     * Jobs started through IPC pass their own temp workspace as options.workDir;
+     * without one the files go next to the output file.
+     * @param {string} outputPath - Output file of the conversion step
+     * @param {Object} options - Conversion options
+     * @param {string} name - Subdirectory for this step
+     * @returns {string} Directory path
+     */
+    getWorkDirectory(outputPath, options, name) {
+        return path.join(options.workDir || path.dirname(outputPath), name);
+    }
+
+    /**
+     * Split text into manageable chunks for processing
+     * Requirement 2.3: Implement text chunking for large files to prevent memory issues
+     * SSML input is split between tags and every chunk is re-wrapped in <speak>.
+     * Plain text is split by the sentence segmenter so seams fall between
+     * sentences or paragraphs, depending on the strategy.
+     * @param {string} strategy - 'sentence' (default), 'paragraph' or 'fixed'; ignored for SSML
+     */
+    splitTextIntoChunks(text, maxLength = this.maxChunkLength, inputMode = 'text', strategy = 'sentence') {
+        if (text.length <= maxLength) {
+            return [text];
+        }
+
+        if (inputMode === 'ssml') {
+            return this.ssmlProcessor.splitIntoChunks(text, maxLength);
+        }
+
+        return this.textSegmenter.split(text, maxLength, strategy);
+    }
+
+    /**
+     * Merge multiple audio chunks into a single file with memory optimization
+     * Uses the audio processor service for proper merging
+     */
+    async mergeAudioChunks(chunkPaths, outputPath, options = {}) {
+        if (chunkPaths.length === 1) {
             // If only one chunk, just copy it
             await fs.promises.copyFile(chunkPaths[0], outputPath);
             return;
         }
 
-        // Use audio processor for proper merging
+        // Use audio processor for proper merging; it also renders {silenceMs} entries
         if (this.audioProcessor) {
-            await this.audioProcessor.mergeAudioChunks(chunkPaths, outputPath, 'wav');
+            await this.audioProcessor.mergeAudioChunks(chunkPaths, outputPath, 'wav', options);
         } else {
             // Fallback: simple concatenation (basic implementation)
-            await fs.promises.copyFile(chunkPaths[0], outputPath);
+            await fs.promises.copyFile(chunkPaths.find(chunkPath => typeof chunkPath === 'string'), outputPath);
             this.emit('warning', 'Audio processor not available. Using first chunk only.');
         }
     }
@@ -601,7 +1852,7 @@ class TTSService extends EventEmitter {
     /**
      * Optimized audio chunk merging for large files
      */
-    async mergeAudioChunksOptimized(chunkPaths, outputPath) {
+    async mergeAudioChunksOptimized(chunkPaths, outputPath, options = {}) {
         if (chunkPaths.length === 1) {
             await fs.promises.copyFile(chunkPaths[0], outputPath);
             return;
@@ -609,10 +1860,10 @@ class TTSService extends EventEmitter {
 
         if (this.audioProcessor) {
             // Use optimized merging with streaming for large files
-            await this.audioProcessor.mergeAudioChunksOptimized(chunkPaths, outputPath, 'wav');
+            await this.audioProcessor.mergeAudioChunksOptimized(chunkPaths, outputPath, 'wav', options);
         } else {
             // Fallback to regular merging
-            await this.mergeAudioChunks(chunkPaths, outputPath);
+            await this.mergeAudioChunks(chunkPaths, outputPath, options);
         }
     }
 
@@ -661,14 +1912,43 @@ class TTSService extends EventEmitter {
 
     /**
      * Manually retry voice loading
-     * Allows users to retry after initial failure
+     * Allows users to retry after initial failure. When the engine is still
+     * unreachable the saved voice list is used; without one the error is thrown.
      */
     async retryVoiceLoading(maxRetries = 3) {
-        // Reset initialization state to allow retry
+        const result = await this.loadVoicesWithRetry(maxRetries);
+
+        if (result.success) {
+            this.availableVoices = result.voices;
+            this.isInitialized = true;
+            await this.storeVoiceCatalog(result.voices);
+            return result;
+        }
+
+        // Keep working from the saved voice list when the engine is unreachable
+        const cached = await this.loadCachedVoices();
+        if (cached) {
+            this.availableVoices = cached.voices;
+            return {
+                ...result,
+                success: true,
+                voices: cached.voices,
+                fromCache: true,
+                updatedAt: cached.updatedAt
+            };
+        }
+
+        // Reset initialization state so the next request tries again
         this.isInitialized = false;
         this.availableVoices = [];
 
-        return await this.initialize();
+        const enhancedError = this.errorHandler.handleTTSVoiceError(result.error, {
+            operation: 'retryVoiceLoading',
+            attempts: result.attempts,
+            troubleshooting: result.troubleshooting
+        });
+        this.emit('error', enhancedError);
+        throw enhancedError;
     }
 
     /**
@@ -679,6 +1959,9 @@ class TTSService extends EventEmitter {
             isInitialized: this.isInitialized,
             voiceCount: this.availableVoices.length,
             maxChunkLength: this.maxChunkLength,
+            engineSetting: this.engineName,
+            activeEngine: this.engine ? this.engine.name : null,
+            voiceCatalog: this.voiceCatalog,
             voiceLoadingState: this.voiceLoadingState
         };
     }
@@ -708,6 +1991,13 @@ class TTSService extends EventEmitter {
             // Clear audio processor reference
             this.audioProcessor = null;
 
+            // Release engine adapters
+            for (const engine of this.engines.values()) {
+                engine.cleanup();
+            }
+            this.engines.clear();
+            this.engine = null;
+
             console.log('TTSService cleanup completed');
         } catch (error) {
             console.error('Error during TTSService cleanup:', error);
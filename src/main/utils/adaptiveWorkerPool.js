@@ -0,0 +1,110 @@
+/**
+ * Adaptive Worker Pool
+ * Runs indexed tasks with a bounded number in flight. The limit is halved
+ * when the caller reports throttling or timeouts and grows back by one after
+ * each full round of successful tasks, up to the configured maximum
+ * (additive increase, multiplicative decrease).
+ */
+
+class AdaptiveWorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} options.maxConcurrency - Most tasks in flight (default 3)
+     */
+    constructor(options = {}) {
+        this.maxConcurrency = Math.max(1, Math.floor(options.maxConcurrency || 3));
+        this.concurrency = this.maxConcurrency;
+        this.successStreak = 0;
+        this.throttleCount = 0;
+    }
+
+    /**
+     * Current number of tasks allowed in flight
+     * @returns {number} Concurrency limit
+     */
+    getConcurrency() {
+        return this.concurrency;
+    }
+
+    /**
+     * Count a finished task; a full round of successes raises the limit by one
+     */
+    recordSuccess() {
+        this.successStreak++;
+        if (this.concurrency < this.maxConcurrency && this.successStreak >= this.concurrency) {
+            this.concurrency++;
+            this.successStreak = 0;
+        }
+    }
+
+    /**
+     * Halve the limit after the service throttled or timed out a request
+     */
+    recordThrottle() {
+        this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+        this.successStreak = 0;
+        this.throttleCount++;
+    }
+
+    /**
+     * Run worker(0) ... worker(count - 1), starting a new task whenever one
+     * finishes and the limit allows. After a failure no new tasks start; the
+     * tasks in flight are allowed to finish before the first error is thrown.
+     * @param {number} count - Number of tasks
+     * @param {function(number): Promise<*>} worker - Runs the task with the given index
+     * @returns {Promise<Array>} Task results in index order
+     */
+    run(count, worker) {
+        const results = new Array(count);
+
+        return new Promise((resolve, reject) => {
+            let next = 0;
+            let running = 0;
+            let failed = false;
+            let failure = null;
+
+            const settle = () => {
+                if (failed) {
+                    reject(failure);
+                } else {
+                    resolve(results);
+                }
+            };
+
+            const launch = () => {
+                while (!failed && next < count && running < this.concurrency) {
+                    const index = next++;
+                    running++;
+
+                    Promise.resolve()
+                        .then(() => worker(index))
+                        .then(result => {
+                            results[index] = result;
+                            this.recordSuccess();
+                        }, error => {
+                            if (!failed) {
+                                failed = true;
+                                failure = error;
+                            }
+                        })
+                        .then(() => {
+                            running--;
+                            if (running === 0 && (failed || next >= count)) {
+                                settle();
+                            } else {
+                                launch();
+                            }
+                        });
+                }
+            };
+
+            if (count === 0) {
+                resolve(results);
+            } else {
+                launch();
+            }
+        });
+    }
+}
+
+module.exports = AdaptiveWorkerPool;
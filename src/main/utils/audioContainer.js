@@ -0,0 +1,94 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+
+/**
+ * Audio Container Detection
+ * Identifies audio files by their leading bytes instead of their name, so a
+ * file that an engine filled with MP3 frames is not taken for a WAV file
+ * because it is called "chunk_0.wav".
+ */
+
+// Container expected for each output file extension
+const EXTENSION_CONTAINERS = {
+    '.wav': 'wav',
+    '.mp3': 'mp3',
+    '.ogg': 'ogg',
+    '.opus': 'ogg',
+    '.flac': 'flac',
+    '.m4a': 'mp4',
+    '.m4b': 'mp4',
+    '.webm': 'webm'
+};
+
+// Enough bytes for every signature below
+const SIGNATURE_LENGTH = 12;
+
+/**
+ * Detect the container of audio data from its first bytes
+ * @param {Buffer} buffer - Start of the file
+ * @returns {string|null} 'wav', 'mp3', 'aac', 'ogg', 'flac', 'mp4', 'webm', or null if unknown
+ */
+function detectAudioContainer(buffer) {
+    if (!buffer || buffer.length < 4) {
+        return null;
+    }
+
+    const ascii = (start, end) => buffer.toString('ascii', start, end);
+
+    if (ascii(0, 4) === 'RIFF' && buffer.length >= 12 && ascii(8, 12) === 'WAVE') {
+        return 'wav';
+    }
+    if (ascii(0, 3) === 'ID3') {
+        return 'mp3';
+    }
+    if (ascii(0, 4) === 'OggS') {
+        return 'ogg';
+    }
+    if (ascii(0, 4) === 'fLaC') {
+        return 'flac';
+    }
+    if (buffer.length >= 8 && ascii(4, 8) === 'ftyp') {
+        return 'mp4';
+    }
+    if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) {
+        return 'webm';
+    }
+
+    // MPEG audio frame sync: eleven set bits; layer bits 00 mark ADTS AAC instead of MP3
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+        return (buffer[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+
+    return null;
+}
+
+/**
+ * Detect the container of an audio file
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<string|null>} Container name (see detectAudioContainer)
+ */
+async function readAudioContainer(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SIGNATURE_LENGTH);
+        const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_LENGTH, 0);
+        return detectAudioContainer(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Container a file should have according to its extension
+ * @param {string} filePath - File path or name
+ * @returns {string|null} Container name, or null for unknown extensions
+ */
+function getExtensionContainer(filePath) {
+    return EXTENSION_CONTAINERS[path.extname(filePath).toLowerCase()] || null;
+}
+
+module.exports = {
+    detectAudioContainer,
+    readAudioContainer,
+    getExtensionContainer
+};
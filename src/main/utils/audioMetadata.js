@@ -0,0 +1,261 @@
+const path = require('path');
+
+/**
+ * Audio Metadata
+ * Validates the tags a conversion writes into its output file (title, artist,
+ * album, track number, genre, comment and cover art) and turns them into
+ * FFmpeg options. FFmpeg maps the generic tag names to ID3v2 frames for MP3,
+ * MP4 atoms for M4A and Vorbis comments for Ogg, Opus and FLAC.
+ */
+
+// Text tags in the order they are written, with their longest allowed value
+const TEXT_FIELDS = {
+    title: 200,
+    artist: 200,
+    album: 200,
+    genre: 100,
+    comment: 1000
+};
+
+const COVER_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+// How each format carries cover art: as an attached picture stream, or as a
+// base64 METADATA_BLOCK_PICTURE comment (Ogg muxers have no picture streams)
+const COVER_EMBEDDING = {
+    mp3: 'stream',
+    m4a: 'stream',
+    m4b: 'stream',
+    flac: 'stream',
+    ogg: 'comment',
+    opus: 'comment'
+};
+
+/**
+ * Validate tags and drop the empty ones
+ * @param {Object} metadata - {title, artist, album, track, genre, comment, cover}
+ * @returns {Object} Trimmed tags that are set; cover is a file path
+ * @throws {Error} If a tag has the wrong type or is too long
+ */
+function normalizeMetadata(metadata) {
+    if (metadata === undefined || metadata === null) {
+        return {};
+    }
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('Metadata must be an object');
+    }
+
+    const allowed = [...Object.keys(TEXT_FIELDS), 'track', 'cover'];
+    const unknown = Object.keys(metadata).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown metadata field: ${unknown[0]}`);
+    }
+
+    const normalized = {};
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+        const value = metadata[field];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value !== 'string') {
+            throw new Error(`Metadata ${field} must be a string`);
+        }
+        // Comments may span lines; line breaks in other tags become spaces
+        const trimmed = field === 'comment' ? value.trim() : value.trim().replace(/\s+/g, ' ');
+        if (trimmed.length > maxLength) {
+            throw new Error(`Metadata ${field} must be at most ${maxLength} characters`);
+        }
+        if (/[\u0000-\u0008\u000b-\u001f\u007f]/.test(trimmed)) {
+            throw new Error(`Metadata ${field} contains control characters`);
+        }
+        if (trimmed) {
+            normalized[field] = trimmed;
+        }
+    }
+
+    if (metadata.track !== undefined && metadata.track !== null && metadata.track !== '') {
+        const track = String(metadata.track).trim();
+        const match = track.match(/^(\d{1,3})(?:\/(\d{1,3}))?$/);
+        if (!match || Number(match[1]) < 1 || (match[2] && Number(match[2]) < Number(match[1]))) {
+            throw new Error('Track number must be a number from 1 to 999, optionally followed by /total');
+        }
+        normalized.track = match[2] ? `${Number(match[1])}/${Number(match[2])}` : String(Number(match[1]));
+    }
+
+    if (metadata.cover !== undefined && metadata.cover !== null && metadata.cover !== '') {
+        if (typeof metadata.cover !== 'string') {
+            throw new Error('Cover art must be a file path');
+        }
+        if (!COVER_EXTENSIONS.includes(path.extname(metadata.cover).toLowerCase())) {
+            throw new Error('Cover art must be a JPEG or PNG image');
+        }
+        normalized.cover = metadata.cover;
+    }
+
+    return normalized;
+}
+
+/**
+ * Derive a title from the name of the file the text came from
+ * @param {string} sourceFile - File name or path, e.g. "C:\\Books\\Chapter 1.txt"
+ * @returns {string|null} Name without folder and extension, or null
+ */
+function titleFromFileName(sourceFile) {
+    if (typeof sourceFile !== 'string') {
+        return null;
+    }
+    const name = sourceFile.split(/[/\\]/).pop().replace(/\.[^.]+$/, '').trim();
+    return name || null;
+}
+
+/**
+ * Validate the tags of a conversion, taking the title from the source file if none is given
+ * @param {Object} metadata - Tags from the request
+ * @param {string} sourceFile - Name of the file the text was loaded from
+ * @returns {Object|null} Normalized tags, or null when nothing is set
+ */
+function resolveMetadata(metadata, sourceFile) {
+    const normalized = normalizeMetadata(metadata);
+    if (!normalized.title) {
+        const title = titleFromFileName(sourceFile);
+        if (title) {
+            normalized.title = title.slice(0, TEXT_FIELDS.title);
+        }
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Check whether a format can carry tags
+ * WAV output is written without FFmpeg and stays untagged.
+ * @param {string} format - Output format id
+ * @returns {boolean}
+ */
+function supportsMetadata(format) {
+    return Object.prototype.hasOwnProperty.call(COVER_EMBEDDING, format);
+}
+
+/**
+ * Build the FFmpeg output arguments for the text tags of a format
+ * @param {string} format - Output format id
+ * @param {Object} metadata - Normalized tags
+ * @returns {string[]} Arguments such as ['-metadata', 'title=Chapter 1']; one value per element
+ */
+function buildMetadataArguments(format, metadata) {
+    const args = [];
+    for (const field of ['title', 'artist', 'album', 'track', 'genre', 'comment']) {
+        if (metadata[field]) {
+            args.push('-metadata', `${field}=${metadata[field]}`);
+        }
+    }
+    // ID3v2.3 is read by more players than FFmpeg's default v2.4, including Windows Explorer
+    if (format === 'mp3' && args.length > 0) {
+        args.push('-id3v2_version', '3');
+    }
+    return args;
+}
+
+/**
+ * Get how a format embeds cover art
+ * @param {string} format - Output format id
+ * @returns {'stream'|'comment'|null}
+ */
+function getCoverEmbedding(format) {
+    return COVER_EMBEDDING[format] || null;
+}
+
+/**
+ * Identify a cover image from its first bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} 'image/jpeg', 'image/png', or null for other files
+ */
+function detectImageType(buffer) {
+    if (buffer && buffer.length >= 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+        return 'image/png';
+    }
+    if (buffer && buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    return null;
+}
+
+/**
+ * Encode a cover image as a FLAC picture block for the METADATA_BLOCK_PICTURE comment
+ * Width, height and color depth are left 0; players read them from the image itself.
+ * @param {Buffer} image - JPEG or PNG data
+ * @param {string} mimeType - Result of detectImageType()
+ * @returns {string} Base64 picture block
+ */
+function buildPictureBlock(image, mimeType) {
+    const mime = Buffer.from(mimeType, 'ascii');
+    const description = Buffer.from('Cover (front)', 'utf8');
+
+    const parts = [];
+    const pushUInt32 = (value) => {
+        const field = Buffer.alloc(4);
+        field.writeUInt32BE(value, 0);
+        parts.push(field);
+    };
+
+    // Picture type 3: front cover
+    pushUInt32(3);
+    pushUInt32(mime.length);
+    parts.push(mime);
+    pushUInt32(description.length);
+    parts.push(description);
+    // Width, height, color depth, indexed colors
+    for (let i = 0; i < 4; i++) {
+        pushUInt32(0);
+    }
+    pushUInt32(image.length);
+    parts.push(image);
+
+    return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Build an FFmpeg metadata file (;FFMETADATA1) with a cover picture comment and chapters
+ * @param {Object} contents - File contents
+ * @param {string} contents.picture - Base64 picture block from buildPictureBlock()
+ * @param {Array<{title: string, startMs: number, endMs: number}>} contents.chapters - Chapters in playback order
+ * @returns {string} File contents
+ */
+function buildMetadataFile({ picture = null, chapters = [] } = {}) {
+    const lines = [';FFMETADATA1'];
+    if (picture) {
+        lines.push(`METADATA_BLOCK_PICTURE=${escapeFFMetadata(picture)}`);
+    }
+    for (const chapter of chapters) {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.startMs)}`,
+            `END=${Math.round(chapter.endMs)}`,
+            `title=${escapeFFMetadata(chapter.title)}`
+        );
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape a value for an FFmpeg metadata file (;FFMETADATA1)
+ * @param {string} value - Tag value
+ * @returns {string} Value with =, ;, #, \ and line breaks escaped
+ */
+function escapeFFMetadata(value) {
+    return String(value).replace(/[=;#\\\n]/g, character => `\\${character}`);
+}
+
+module.exports = {
+    MAX_COVER_BYTES,
+    normalizeMetadata,
+    titleFromFileName,
+    resolveMetadata,
+    supportsMetadata,
+    buildMetadataArguments,
+    getCoverEmbedding,
+    detectImageType,
+    buildPictureBlock,
+    buildMetadataFile,
+    escapeFFMetadata
+};
@@ -0,0 +1,75 @@
+/**
+ * Cancellation Utilities
+ * Conversions are cancelled through an AbortSignal. Every stage that stops
+ * because of it throws the same error, which ErrorHandler reports as a user
+ * cancellation and which retry loops never retry.
+ */
+
+const CANCELLED_MESSAGE = 'Conversion was cancelled';
+
+/**
+ * Creates the error thrown by a cancelled conversion
+ * @returns {Error} Error flagged with cancelled = true
+ */
+function createCancellationError() {
+    const error = new Error(CANCELLED_MESSAGE);
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Checks whether an error was caused by cancelling the conversion
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for cancellation errors
+ */
+function isCancellationError(error) {
+    return Boolean(error) && (error.cancelled === true || error.message === CANCELLED_MESSAGE);
+}
+
+/**
+ * Throws the cancellation error once the signal has been aborted
+ * @param {AbortSignal} signal - Conversion abort signal (may be omitted)
+ */
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw createCancellationError();
+    }
+}
+
+/**
+ * Waits for a number of milliseconds, ending early when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Conversion abort signal (may be omitted)
+ * @returns {Promise<void>} Rejects with the cancellation error when aborted
+ */
+function cancellableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createCancellationError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createCancellationError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+module.exports = {
+    CANCELLED_MESSAGE,
+    createCancellationError,
+    isCancellationError,
+    throwIfCancelled,
+    cancellableDelay
+};
@@ -0,0 +1,162 @@
+/**
+ * Chapter Markup
+ * Splits plain text into the chapters of an audiobook. Chapters start at
+ * explicit [chapter Title] markers; text without markers is split at
+ * detected headings: Markdown headings on any line, and lines such as
+ * "Chapter 3" or "Prologue" that start a paragraph. Marker titles are not
+ * spoken; detected headings are read as part of their chapter. With markers,
+ * headings do not start chapters but are still read without their Markdown hashes.
+ */
+
+// [chapter], [chapter The Storm]; case-insensitive
+const MARKER_PATTERN = /\[\s*chapter(?:\s+([^\]\n]*?))?\s*\]/gi;
+
+// # Title ... ###### Title, with optional closing hashes
+const MARKDOWN_HEADING = /^#{1,6}[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+
+// "Chapter 12", "CHAPTER IV.", "Part Two: The Return", "Chapter Twenty-One", "Prologue"
+const NUMBER_WORD = '(?:one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty)(?:-(?:one|two|three|four|five|six|seven|eight|nine))?';
+const WORD_HEADING = new RegExp(`^(?:(?:chapter|part|book)\\s+(?:\\d+|[ivxlcdm]+|${NUMBER_WORD})\\b|(?:prologue|epilogue|introduction|preface|foreword|afterword|appendix)\\b)[^.!?\\n]{0,60}\\.?$`, 'i');
+
+const PARAGRAPH_BREAK = /\n[ \t]*\n\s*/;
+
+// Longest chapter title kept; players truncate long titles anyway
+const MAX_TITLE_LENGTH = 200;
+
+class ChapterMarkup {
+    /**
+     * Check whether text contains any chapter markers
+     * @param {string} text - Plain text
+     * @returns {boolean} True if at least one marker is present
+     */
+    hasMarkers(text) {
+        MARKER_PATTERN.lastIndex = 0;
+        return MARKER_PATTERN.test(text);
+    }
+
+    /**
+     * Split plain text into chapters
+     * Explicit markers take precedence over detected headings: one marker turns
+     * heading detection off for the whole text. Text before the
+     * first chapter becomes a chapter of its own; chapters without spoken text
+     * are dropped. Untitled chapters are numbered by their position.
+     * @param {string} text - Plain text with optional chapter markers
+     * @returns {Array<{title: string, text: string}>} Chapters in reading order; text is trimmed and never empty
+     */
+    split(text) {
+        const raw = this.hasMarkers(text) ? this.splitAtMarkers(text) : this.splitAtHeadings(text);
+
+        return raw
+            .map(chapter => ({ title: chapter.title, text: chapter.text.trim() }))
+            .filter(chapter => chapter.text)
+            .map((chapter, index) => ({
+                title: chapter.title || `Chapter ${index + 1}`,
+                text: chapter.text
+            }));
+    }
+
+    /**
+     * Split at [chapter Title] markers
+     */
+    splitAtMarkers(text) {
+        const chapters = [{ title: null, text: '' }];
+        let lastIndex = 0;
+        MARKER_PATTERN.lastIndex = 0;
+        let match;
+
+        while ((match = MARKER_PATTERN.exec(text)) !== null) {
+            chapters[chapters.length - 1].text += text.slice(lastIndex, match.index);
+            chapters.push({ title: this.cleanTitle(match[1]), text: '' });
+            lastIndex = match.index + match[0].length;
+        }
+        chapters[chapters.length - 1].text += text.slice(lastIndex);
+
+        return chapters.map(chapter => ({ title: chapter.title, text: this.stripHeadingSyntax(chapter.text) }));
+    }
+
+    /**
+     * Split before heading lines
+     * A heading is read as a paragraph of its own, also when text follows it on the next line.
+     */
+    splitAtHeadings(text) {
+        const chapters = [{ title: null, paragraphs: [] }];
+
+        for (const paragraph of text.split(PARAGRAPH_BREAK)) {
+            let lines = [];
+            const endParagraph = () => {
+                if (lines.some(line => line.trim())) {
+                    chapters[chapters.length - 1].paragraphs.push(lines.join('\n'));
+                }
+                lines = [];
+            };
+
+            paragraph.split('\n').forEach((line, index) => {
+                const heading = this.matchHeading(line.trim(), index === 0);
+                if (heading) {
+                    endParagraph();
+                    chapters.push({ title: heading.title, paragraphs: [heading.spoken] });
+                } else {
+                    lines.push(line);
+                }
+            });
+            endParagraph();
+        }
+
+        return chapters.map(chapter => ({ title: chapter.title, text: chapter.paragraphs.join('\n\n') }));
+    }
+
+    /**
+     * Recognize a heading line
+     * Word headings such as "Chapter 3" only count at the start of a paragraph,
+     * so a wrapped line of prose that happens to begin with "Part 2" is not taken for one.
+     * @param {string} line - Trimmed line
+     * @param {boolean} startsParagraph - Whether the line is the first of its paragraph
+     * @returns {{title: string, spoken: string}|null} Chapter title and the text read aloud, or null
+     */
+    matchHeading(line, startsParagraph) {
+        const markdown = line.match(MARKDOWN_HEADING);
+        if (markdown) {
+            // The hashes are layout, not speech
+            return { title: this.cleanTitle(markdown[1]), spoken: markdown[1].trim() };
+        }
+        if (startsParagraph && WORD_HEADING.test(line)) {
+            return { title: this.cleanTitle(line.replace(/\.$/, '')), spoken: line };
+        }
+        return null;
+    }
+
+    /**
+     * Replace Markdown heading lines with their text
+     * @param {string} text - Plain text
+     * @returns {string} Text without heading hashes
+     */
+    stripHeadingSyntax(text) {
+        return text
+            .split('\n')
+            .map(line => {
+                const markdown = line.trim().match(MARKDOWN_HEADING);
+                return markdown ? markdown[1].trim() : line;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Remove chapter markers for conversions without chapters
+     * A marker ends the paragraph before it, as a heading would.
+     * @param {string} text - Plain text with optional chapter markers
+     * @returns {string} Text without markers
+     */
+    strip(text) {
+        return text.replace(MARKER_PATTERN, '\n\n');
+    }
+
+    /**
+     * Collapse whitespace in a title and limit its length
+     */
+    cleanTitle(title) {
+        const cleaned = (title || '').replace(/\s+/g, ' ').trim();
+        return cleaned ? cleaned.slice(0, MAX_TITLE_LENGTH) : null;
+    }
+}
+
+module.exports = ChapterMarkup;
@@ -0,0 +1,105 @@
+/**
+ * Dialogue Script Parser
+ * Parses multi-speaker scripts such as
+ *
+ *   ALICE: Hello there.
+ *   BOB: Hi! How are you?
+ *
+ * into ordered speaker turns and resolves each speaker against a speaker
+ * table. Kept free of Electron dependencies so it can be unit tested.
+ */
+
+const SPEAKER_LINE_PATTERN = /^\s*([A-Za-z][A-Za-z0-9 _.'-]{0,31}?)\s*:(?!\/\/)\s*(.*)$/;
+const COMMENT_PATTERN = /^\s*#/;
+
+class DialogueScriptParser {
+    /**
+     * Normalize a speaker label for table lookups (case-insensitive, trimmed)
+     * @param {string} label - Speaker label as written in the script
+     * @returns {string} Normalized key
+     */
+    normalizeSpeaker(label) {
+        return String(label).trim().replace(/\s+/g, ' ').toUpperCase();
+    }
+
+    /**
+     * Parse a dialogue script into speaker turns.
+     * Lines without a label continue the previous turn; blank lines and
+     * lines starting with '#' are ignored.
+     * @param {string} script - Script text
+     * @returns {{turns: Array<{speaker: string, label: string, text: string, line: number}>, speakers: string[], errors: Array<{line: number, message: string}>}}
+     */
+    parse(script) {
+        const turns = [];
+        const errors = [];
+        const speakers = [];
+        const lines = String(script || '').split(/\r?\n/);
+
+        lines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+
+            if (rawLine.trim().length === 0 || COMMENT_PATTERN.test(rawLine)) {
+                return;
+            }
+
+            const match = rawLine.match(SPEAKER_LINE_PATTERN);
+            if (match) {
+                const label = match[1].trim();
+                const speaker = this.normalizeSpeaker(label);
+                turns.push({ speaker, label, text: match[2].trim(), line: lineNumber });
+                if (!speakers.includes(speaker)) {
+                    speakers.push(speaker);
+                }
+                return;
+            }
+
+            const previous = turns[turns.length - 1];
+            if (!previous) {
+                errors.push({ line: lineNumber, message: 'Text before the first speaker label (use "NAME: text")' });
+                return;
+            }
+            previous.text = previous.text ? `${previous.text} ${rawLine.trim()}` : rawLine.trim();
+        });
+
+        for (const turn of turns) {
+            if (turn.text.length === 0) {
+                errors.push({ line: turn.line, message: `Speaker ${turn.label} has no text` });
+            }
+        }
+
+        if (turns.length === 0 && errors.length === 0) {
+            errors.push({ line: 1, message: 'No speaker lines found (use "NAME: text")' });
+        }
+
+        errors.sort((a, b) => a.line - b.line);
+        return { turns, speakers, errors };
+    }
+
+    /**
+     * Look up the speaker table entry for every speaker in the script
+     * @param {string[]} speakers - Normalized speaker names
+     * @param {Object} speakerTable - Map of speaker label to {voice, speed?, pitch?}
+     * @returns {{assignments: Object, missing: string[]}} Entries keyed by normalized speaker
+     */
+    resolveSpeakers(speakers, speakerTable = {}) {
+        const normalizedTable = {};
+        for (const [label, entry] of Object.entries(speakerTable || {})) {
+            normalizedTable[this.normalizeSpeaker(label)] = entry;
+        }
+
+        const assignments = {};
+        const missing = [];
+        for (const speaker of speakers) {
+            const entry = normalizedTable[speaker];
+            if (entry && typeof entry.voice === 'string' && entry.voice.length > 0) {
+                assignments[speaker] = entry;
+            } else {
+                missing.push(speaker);
+            }
+        }
+
+        return { assignments, missing };
+    }
+}
+
+module.exports = DialogueScriptParser;
@@ -0,0 +1,188 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Job Workspace
+ * Every conversion writes its intermediate files (chunks, dialogue turns,
+ * merge batches, silences, the WAV before MP3 encoding) into a directory of
+ * its own under the application temp directory, so jobs that save to the
+ * same folder never share temp files and nothing is left in output folders.
+ * The directories are listed in a manifest with the id of the process that
+ * owns them; on startup the directories of processes that are gone are
+ * removed.
+ */
+
+const MANIFEST_FILE = 'workspaces.json';
+const MANIFEST_VERSION = 1;
+const WORKSPACE_PREFIX = 'job_';
+
+// Directories missing from the manifest are only removed once they are this old,
+// so a workspace that another instance is still setting up is left alone
+const UNLISTED_GRACE_MS = 60 * 60 * 1000;
+
+class JobWorkspace {
+    /**
+     * @param {string} rootDirectory - Directory the workspaces are created in
+     */
+    constructor(rootDirectory) {
+        this.rootDirectory = rootDirectory;
+        this.manifestPath = path.join(rootDirectory, MANIFEST_FILE);
+        // Manifest updates are chained so concurrent jobs do not overwrite each other
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Create the workspace of a job
+     * @param {string} jobId - Conversion job id, kept in the directory name for debugging
+     * @returns {Promise<string>} Path of the new, empty directory
+     */
+    async create(jobId) {
+        const safeId = String(jobId || 'job').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 40);
+        const name = `${WORKSPACE_PREFIX}${safeId}_${crypto.randomBytes(4).toString('hex')}`;
+        const directory = path.join(this.rootDirectory, name);
+
+        // The manifest entry is written first, so a crash never leaves an unlisted directory behind
+        await this.updateManifest((jobs) => {
+            jobs[name] = { jobId: String(jobId), pid: process.pid, createdAt: Date.now() };
+        });
+        await fs.mkdir(directory, { recursive: true });
+
+        return directory;
+    }
+
+    /**
+     * Delete a job's workspace and its manifest entry
+     * @param {string} directory - Path returned by create()
+     */
+    async release(directory) {
+        const name = path.basename(directory);
+        await fs.rm(directory, { recursive: true, force: true });
+        await this.updateManifest((jobs) => {
+            delete jobs[name];
+        });
+    }
+
+    /**
+     * Remove the workspaces of jobs whose process is no longer running
+     * Meant to run once at startup; workspaces of the running process and of
+     * other live instances are kept.
+     * @returns {Promise<string[]>} Names of the directories removed
+     */
+    async sweep() {
+        const removed = [];
+        let entries = [];
+
+        try {
+            entries = await fs.readdir(this.rootDirectory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Could not read temp directory for cleanup:', error.message);
+            }
+            return removed;
+        }
+
+        const jobs = await this.readManifest();
+        const names = new Set([
+            ...Object.keys(jobs),
+            ...entries.filter(entry => entry.isDirectory() && entry.name.startsWith(WORKSPACE_PREFIX)).map(entry => entry.name)
+        ]);
+
+        for (const name of names) {
+            if (!(await this.isOrphaned(name, jobs[name]))) {
+                continue;
+            }
+
+            try {
+                await fs.rm(path.join(this.rootDirectory, name), { recursive: true, force: true });
+                removed.push(name);
+            } catch (error) {
+                console.warn(`Could not remove temp directory ${name}:`, error.message);
+            }
+        }
+
+        if (removed.length > 0) {
+            await this.updateManifest((current) => {
+                removed.forEach(name => delete current[name]);
+            });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Whether a workspace belongs to a job that can no longer finish
+     * @param {string} name - Directory name
+     * @param {{pid: number}} job - Manifest entry, if the directory is listed
+     * @returns {Promise<boolean>} True if the directory can be removed
+     */
+    async isOrphaned(name, job) {
+        if (job) {
+            return !this.isProcessRunning(job.pid);
+        }
+
+        try {
+            const stats = await fs.stat(path.join(this.rootDirectory, name));
+            return Date.now() - stats.mtimeMs > UNLISTED_GRACE_MS;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a process id belongs to a running process
+     * @param {number} pid - Process id from the manifest
+     * @returns {boolean} True if the process exists
+     */
+    isProcessRunning(pid) {
+        if (!Number.isInteger(pid) || pid <= 0) {
+            return false;
+        }
+
+        try {
+            // Signal 0 only checks that the process exists
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: the process exists but belongs to another user
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Read the manifest; a missing or unreadable file is treated as empty
+     * @returns {Promise<Object>} Manifest entries keyed by directory name
+     */
+    async readManifest() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+            return data && data.version === MANIFEST_VERSION && data.jobs && typeof data.jobs === 'object'
+                ? data.jobs
+                : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Ignoring unreadable temp workspace manifest:', error.message);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Apply a change to the manifest and write it back
+     * @param {function(Object): void} change - Edits the entries in place
+     */
+    updateManifest(change) {
+        const write = this.pendingWrite.then(async () => {
+            const jobs = await this.readManifest();
+            change(jobs);
+            await fs.mkdir(this.rootDirectory, { recursive: true });
+            await fs.writeFile(this.manifestPath, JSON.stringify({ version: MANIFEST_VERSION, jobs }), 'utf8');
+        });
+
+        // A failed write must not block the writes queued after it
+        this.pendingWrite = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = JobWorkspace;
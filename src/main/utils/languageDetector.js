@@ -0,0 +1,315 @@
+/**
+ * Language Detector
+ * Guesses the language of each paragraph without any network service.
+ * Writing systems used by a single language (Hangul, Thai, Greek...) decide
+ * directly; Latin and Cyrillic text is compared against character trigram
+ * profiles built from short reference texts. Kept free of Electron
+ * dependencies so it can be unit tested.
+ */
+
+// Paragraphs with fewer letters than this are too short to classify reliably
+const MIN_LETTERS = 20;
+
+// Lowest trigram similarity accepted as a match
+const MIN_SCORE = 0.1;
+
+// Writing systems, checked in order; `language` is set when the script identifies the language on its own
+const SCRIPTS = [
+    { script: 'kana', pattern: /[぀-ヿ]/g, language: 'ja' },
+    { script: 'hangul', pattern: /[ᄀ-ᇿ㄰-㆏가-힯]/g, language: 'ko' },
+    { script: 'han', pattern: /[一-鿿㐀-䶿]/g, language: 'zh' },
+    { script: 'thai', pattern: /[฀-๿]/g, language: 'th' },
+    { script: 'devanagari', pattern: /[ऀ-ॿ]/g, language: 'hi' },
+    { script: 'tamil', pattern: /[஀-௿]/g, language: 'ta' },
+    { script: 'greek', pattern: /[Ͱ-Ͽ]/g, language: 'el' },
+    { script: 'hebrew', pattern: /[֐-׿]/g, language: 'he' },
+    { script: 'arabic', pattern: /[؀-ۿ]/g },
+    { script: 'cyrillic', pattern: /[Ѐ-ӿ]/g },
+    { script: 'latin', pattern: /[a-zÀ-ɏ]/gi }
+];
+
+// Letters that only appear in one of the languages written in the Arabic script
+const ARABIC_SCRIPT_HINTS = [
+    { language: 'ur', pattern: /[ٹڈڑںھے]/ },
+    { language: 'fa', pattern: /[پچژگکی]/ }
+];
+
+// Letters that are rare outside one language; finding them adds HINT_BONUS to that language's score
+const LETTER_HINTS = {
+    es: /[ñ¿¡]/,
+    pt: /[ãõ]/,
+    de: /ß/,
+    sv: /å/,
+    pl: /[łąęśźżń]/,
+    cs: /[ěřůčšž]/,
+    tr: /[ığş]/,
+    ro: /[șță]/,
+    hu: /[őű]/,
+    vi: /[ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữự]/,
+    ru: /[ыэё]/,
+    uk: /[іїєґ]/
+};
+
+const HINT_BONUS = 0.1;
+
+// Reference texts for the trigram profiles, grouped by script
+const REFERENCE_TEXTS = {
+    latin: {
+        en: 'The quick brown fox jumps over the lazy dog. This is a short text that shows how the English language is written. ' +
+            'We would like to thank you for all of the help you have given us with the work, and we hope that you will be there ' +
+            'when they come back from their trip. It was the best of times and it was the worst of times, which is what they ' +
+            'said about the weather that morning. There are many things that people should know about their own history.',
+        es: 'El rápido zorro marrón salta sobre el perro perezoso. Este es un texto corto que muestra cómo se escribe el español. ' +
+            'Queremos darte las gracias por toda la ayuda que nos has dado con el trabajo, y esperamos que estés allí cuando ' +
+            'vuelvan de su viaje. Fue el mejor de los tiempos y fue el peor de los tiempos, que es lo que dijeron sobre el tiempo ' +
+            'de aquella mañana. Hay muchas cosas que las personas deberían saber sobre su propia historia.',
+        fr: 'Le renard brun rapide saute par-dessus le chien paresseux. Ceci est un court texte qui montre comment on écrit le ' +
+            'français. Nous voulons vous remercier pour toute l\'aide que vous nous avez apportée dans ce travail, et nous ' +
+            'espérons que vous serez là quand ils reviendront de leur voyage. C\'était le meilleur des temps et c\'était le pire ' +
+            'des temps, c\'est ce qu\'ils ont dit du temps qu\'il faisait ce matin-là. Il y a beaucoup de choses que les gens ' +
+            'devraient savoir sur leur propre histoire.',
+        de: 'Der schnelle braune Fuchs springt über den faulen Hund. Dies ist ein kurzer Text, der zeigt, wie die deutsche ' +
+            'Sprache geschrieben wird. Wir möchten uns für die ganze Hilfe bedanken, die Sie uns bei der Arbeit gegeben haben, ' +
+            'und wir hoffen, dass Sie da sind, wenn sie von ihrer Reise zurückkommen. Es war die beste und die schlechteste ' +
+            'aller Zeiten, und das haben sie auch über das Wetter an jenem Morgen gesagt. Es gibt viele Dinge, die die Menschen ' +
+            'über ihre eigene Geschichte wissen sollten.',
+        it: 'La veloce volpe marrone salta sopra il cane pigro. Questo è un breve testo che mostra come si scrive la lingua ' +
+            'italiana. Vogliamo ringraziarti per tutto l\'aiuto che ci hai dato con il lavoro, e speriamo che tu sia lì quando ' +
+            'torneranno dal loro viaggio. Era il migliore dei tempi ed era il peggiore dei tempi, che è quello che hanno detto ' +
+            'del tempo di quella mattina. Ci sono molte cose che le persone dovrebbero sapere sulla propria storia.',
+        pt: 'A rápida raposa marrom pula sobre o cão preguiçoso. Este é um texto curto que mostra como se escreve a língua ' +
+            'portuguesa. Queremos agradecer por toda a ajuda que você nos deu com o trabalho, e esperamos que você esteja lá ' +
+            'quando eles voltarem da viagem. Foi o melhor dos tempos e foi o pior dos tempos, que é o que disseram sobre o ' +
+            'tempo naquela manhã. Há muitas coisas que as pessoas deveriam saber sobre a sua própria história, não são?',
+        nl: 'De snelle bruine vos springt over de luie hond. Dit is een korte tekst die laat zien hoe de Nederlandse taal wordt ' +
+            'geschreven. We willen je bedanken voor alle hulp die je ons bij het werk hebt gegeven, en we hopen dat je er bent ' +
+            'wanneer ze terugkomen van hun reis. Het was de beste van alle tijden en het was de slechtste van alle tijden, dat is ' +
+            'wat ze zeiden over het weer van die ochtend. Er zijn veel dingen die mensen over hun eigen geschiedenis zouden ' +
+            'moeten weten.',
+        sv: 'Den snabba bruna räven hoppar över den lata hunden. Det här är en kort text som visar hur det svenska språket ' +
+            'skrivs. Vi vill tacka dig för all hjälp som du har gett oss med arbetet, och vi hoppas att du är där när de kommer ' +
+            'tillbaka från sin resa. Det var den bästa av tider och det var den värsta av tider, och det var vad de sa om vädret ' +
+            'den morgonen. Det finns många saker som människor borde veta om sin egen historia.',
+        pl: 'Szybki brązowy lis przeskakuje nad leniwym psem. To jest krótki tekst, który pokazuje, jak pisze się po polsku. ' +
+            'Chcemy ci podziękować za całą pomoc, której nam udzieliłeś przy tej pracy, i mamy nadzieję, że będziesz tam, kiedy ' +
+            'wrócą z podróży. To były najlepsze czasy i to były najgorsze czasy, tak właśnie mówili o pogodzie tego ranka. ' +
+            'Jest wiele rzeczy, które ludzie powinni wiedzieć o swojej własnej historii.',
+        cs: 'Rychlá hnědá liška skáče přes líného psa. Toto je krátký text, který ukazuje, jak se píše česky. Chceme vám ' +
+            'poděkovat za všechnu pomoc, kterou jste nám s prací poskytli, a doufáme, že tam budete, až se vrátí ze své cesty. ' +
+            'Byly to nejlepší časy a byly to nejhorší časy, a to je to, co říkali o počasí toho rána. Je mnoho věcí, které by ' +
+            'lidé měli vědět o své vlastní historii.',
+        tr: 'Hızlı kahverengi tilki tembel köpeğin üzerinden atlar. Bu, Türkçenin nasıl yazıldığını gösteren kısa bir ' +
+            'metindir. İşte bize verdiğiniz tüm yardımlar için teşekkür etmek istiyoruz ve onlar yolculuktan döndüğünde orada ' +
+            'olacağınızı umuyoruz. Zamanların en iyisiydi ve zamanların en kötüsüydü, o sabahki hava hakkında da bunu ' +
+            'söylediler. İnsanların kendi tarihleri hakkında bilmesi gereken birçok şey var.',
+        ro: 'Vulpea maro rapidă sare peste câinele leneș. Acesta este un text scurt care arată cum se scrie limba română. ' +
+            'Vrem să vă mulțumim pentru tot ajutorul pe care ni l-ați dat la această lucrare și sperăm că veți fi acolo când ' +
+            'se vor întoarce din călătorie. A fost cea mai bună dintre vremuri și a fost cea mai rea dintre vremuri, asta au ' +
+            'spus despre vremea din acea dimineață. Sunt multe lucruri pe care oamenii ar trebui să le știe despre propria lor istorie.',
+        id: 'Rubah cokelat yang cepat melompati anjing yang malas. Ini adalah teks pendek yang menunjukkan bagaimana bahasa ' +
+            'Indonesia ditulis. Kami ingin mengucapkan terima kasih atas semua bantuan yang telah Anda berikan kepada kami ' +
+            'dalam pekerjaan ini, dan kami berharap Anda ada di sana ketika mereka kembali dari perjalanan mereka. Itu adalah ' +
+            'masa terbaik dan masa terburuk, dan itulah yang mereka katakan tentang cuaca pagi itu. Ada banyak hal yang harus ' +
+            'diketahui orang tentang sejarah mereka sendiri.',
+        fi: 'Nopea ruskea kettu hyppää laiskan koiran yli. Tämä on lyhyt teksti, joka näyttää, miten suomen kieltä ' +
+            'kirjoitetaan. Haluamme kiittää teitä kaikesta avusta, jota olette antaneet meille työssä, ja toivomme, että olette ' +
+            'paikalla, kun he palaavat matkaltaan. Se oli parasta aikaa ja se oli pahinta aikaa, ja niin he sanoivat sen aamun ' +
+            'säästä. On monia asioita, jotka ihmisten pitäisi tietää omasta historiastaan.',
+        hu: 'A gyors barna róka átugrik a lusta kutya felett. Ez egy rövid szöveg, amely megmutatja, hogyan írják a magyar ' +
+            'nyelvet. Szeretnénk megköszönni minden segítséget, amelyet a munkában adtál nekünk, és reméljük, hogy ott leszel, ' +
+            'amikor visszajönnek az útjukról. Ez volt a legjobb idő és ez volt a legrosszabb idő, ezt mondták annak a reggelnek ' +
+            'az időjárásáról. Sok olyan dolog van, amit az embereknek tudniuk kellene a saját történelmükről.',
+        vi: 'Con cáo nâu nhanh nhẹn nhảy qua con chó lười biếng. Đây là một đoạn văn ngắn cho thấy cách viết tiếng Việt. ' +
+            'Chúng tôi muốn cảm ơn bạn vì tất cả sự giúp đỡ mà bạn đã dành cho chúng tôi trong công việc, và chúng tôi hy vọng ' +
+            'bạn sẽ ở đó khi họ trở về từ chuyến đi. Đó là thời gian tốt nhất và cũng là thời gian tồi tệ nhất, đó là điều họ ' +
+            'nói về thời tiết sáng hôm ấy. Có nhiều điều mà mọi người nên biết về lịch sử của chính mình.'
+    },
+    cyrillic: {
+        ru: 'Быстрая коричневая лиса прыгает через ленивую собаку. Это короткий текст, который показывает, как пишут ' +
+            'по-русски. Мы хотим поблагодарить вас за всю помощь, которую вы нам оказали в работе, и надеемся, что вы будете ' +
+            'там, когда они вернутся из своей поездки. Это были лучшие времена и это были худшие времена, так они говорили о ' +
+            'погоде в то утро. Есть много вещей, которые люди должны знать о своей собственной истории.',
+        uk: 'Швидка коричнева лисиця стрибає через ледачого пса. Це короткий текст, який показує, як пишуть українською ' +
+            'мовою. Ми хочемо подякувати вам за всю допомогу, яку ви нам надали в роботі, і сподіваємося, що ви будете там, ' +
+            'коли вони повернуться зі своєї подорожі. Це були найкращі часи і це були найгірші часи, так вони казали про ' +
+            'погоду того ранку. Є багато речей, які люди повинні знати про свою власну історію.',
+        bg: 'Бързата кафява лисица прескача мързеливото куче. Това е кратък текст, който показва как се пише на български ' +
+            'език. Искаме да ви благодарим за цялата помощ, която ни оказахте в работата, и се надяваме, че ще бъдете там, ' +
+            'когато се върнат от своето пътуване. Това бяха най-хубавите времена и това бяха най-лошите времена, така казаха ' +
+            'за времето онази сутрин. Има много неща, които хората трябва да знаят за своята собствена история.'
+    }
+};
+
+class LanguageDetector {
+    constructor() {
+        this.profiles = {};
+        for (const [script, texts] of Object.entries(REFERENCE_TEXTS)) {
+            this.profiles[script] = Object.entries(texts).map(([language, text]) => ({
+                language,
+                vector: this.buildVector(text)
+            }));
+        }
+    }
+
+    /**
+     * Languages the detector can recognise
+     * @returns {string[]} ISO 639-1 language codes, sorted
+     */
+    getSupportedLanguages() {
+        const languages = new Set(SCRIPTS.filter(entry => entry.language).map(entry => entry.language));
+        ARABIC_SCRIPT_HINTS.forEach(hint => languages.add(hint.language));
+        languages.add('ar');
+        Object.values(REFERENCE_TEXTS).forEach(texts => Object.keys(texts).forEach(language => languages.add(language)));
+        return [...languages].sort();
+    }
+
+    /**
+     * Detect the language of a piece of text
+     * @param {string} text - Text to classify, normally one paragraph
+     * @returns {{language: string|null, script: string|null, confidence: number}} Language code,
+     *          or null when the text is too short or does not resemble any known language
+     */
+    detect(text) {
+        const sample = String(text || '');
+        const counts = SCRIPTS.map(entry => ({ ...entry, count: (sample.match(entry.pattern) || []).length }));
+        const letters = counts.reduce((sum, entry) => sum + entry.count, 0);
+
+        if (letters === 0) {
+            return { language: null, script: null, confidence: 0 };
+        }
+
+        // Japanese mixes kanji with kana, so any noticeable amount of kana wins over Chinese
+        const kana = counts.find(entry => entry.script === 'kana');
+        const han = counts.find(entry => entry.script === 'han');
+        if (kana.count > 0 && kana.count >= (kana.count + han.count) * 0.1) {
+            return { language: 'ja', script: 'kana', confidence: 1 };
+        }
+
+        const dominant = counts.reduce((best, entry) => (entry.count > best.count ? entry : best));
+        const confidence = dominant.count / letters;
+
+        if (dominant.language) {
+            return { language: dominant.language, script: dominant.script, confidence };
+        }
+
+        if (dominant.script === 'arabic') {
+            const hint = ARABIC_SCRIPT_HINTS.find(entry => entry.pattern.test(sample));
+            return { language: hint ? hint.language : 'ar', script: 'arabic', confidence };
+        }
+
+        if (dominant.count < MIN_LETTERS) {
+            return { language: null, script: dominant.script, confidence: 0 };
+        }
+
+        const vector = this.buildVector(sample);
+        const lowered = sample.toLowerCase();
+        const scores = this.profiles[dominant.script]
+            .map(profile => {
+                const hint = LETTER_HINTS[profile.language];
+                const bonus = hint && hint.test(lowered) ? HINT_BONUS : 0;
+                return { language: profile.language, score: this.similarity(vector, profile.vector) + bonus };
+            })
+            .sort((a, b) => b.score - a.score);
+
+        if (scores[0].score < MIN_SCORE) {
+            return { language: null, script: dominant.script, confidence: 0 };
+        }
+
+        return { language: scores[0].language, script: dominant.script, confidence: Math.min(1, scores[0].score) };
+    }
+
+    /**
+     * Split text into paragraphs and group consecutive paragraphs of the same language
+     * Paragraphs too short to classify (headings, list markers) join the paragraph before
+     * them, or the one after when they open the text, as long as both use the same
+     * writing system. A short paragraph in another script keeps a null language so the
+     * selected voice reads it.
+     * @param {string} text - Plain text with paragraphs separated by blank lines
+     * @returns {Array<{text: string, language: string|null}>} Segments in reading order
+     */
+    segment(text) {
+        const paragraphs = String(text || '')
+            .split(/\r?\n\s*\r?\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph.length > 0)
+            .map(paragraph => ({ text: paragraph, ...this.detect(paragraph) }));
+
+        // Text without letters (numbers, separators) fits next to any script
+        const inherits = (paragraph, neighbour) =>
+            Boolean(neighbour) && (!paragraph.script || paragraph.script === neighbour.script);
+
+        // Give undetected paragraphs the language of their neighbours
+        let previous = null;
+        for (const paragraph of paragraphs) {
+            if (paragraph.language) {
+                previous = paragraph;
+            } else if (inherits(paragraph, previous)) {
+                paragraph.language = previous.language;
+            }
+        }
+        const first = paragraphs.find(paragraph => paragraph.language);
+        for (const paragraph of paragraphs) {
+            if (paragraph === first) break;
+            if (inherits(paragraph, first)) {
+                paragraph.language = first.language;
+            }
+        }
+
+        const segments = [];
+        for (const paragraph of paragraphs) {
+            const last = segments[segments.length - 1];
+            if (last && last.language === paragraph.language) {
+                last.text += `\n\n${paragraph.text}`;
+            } else {
+                segments.push({ text: paragraph.text, language: paragraph.language });
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Count the character trigrams of a text, with word edges marked by spaces
+     * @param {string} text - Text to profile
+     * @returns {Map<string, number>} Trigram counts
+     */
+    buildVector(text) {
+        const vector = new Map();
+        const words = text.toLowerCase().match(/[\p{L}\p{M}']+/gu) || [];
+
+        for (const word of words) {
+            const padded = ` ${word} `;
+            for (let i = 0; i < padded.length - 2; i++) {
+                const trigram = padded.substring(i, i + 3);
+                vector.set(trigram, (vector.get(trigram) || 0) + 1);
+            }
+        }
+
+        return vector;
+    }
+
+    /**
+     * Cosine similarity of two trigram count vectors
+     * @returns {number} Similarity between 0 and 1
+     */
+    similarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (const [trigram, count] of a) {
+            normA += count * count;
+            const other = b.get(trigram);
+            if (other) {
+                dot += count * other;
+            }
+        }
+        for (const count of b.values()) {
+            normB += count * count;
+        }
+
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+}
+
+module.exports = LanguageDetector;
@@ -0,0 +1,759 @@
+/**
+ * Normalization Languages
+ * Spelling rules used by TextNormalizer to write out numbers, amounts,
+ * dates, times, units and abbreviations in English, Spanish, French and
+ * German. Every language exposes the same functions so the normalization
+ * rules stay language-independent.
+ */
+
+const MAX_SPELLED_NUMBER = 999999999999;
+
+/**
+ * Read a digit string one digit at a time
+ * @param {string} digits - Digits to read
+ * @param {string[]} names - Names of the digits 0-9
+ * @returns {string} Space-separated digit names
+ */
+function spellDigits(digits, names) {
+    return String(digits).split('').map(digit => names[Number(digit)]).join(' ');
+}
+
+/**
+ * Split a number into groups of three digits from the right
+ * @param {number} n - Non-negative integer
+ * @returns {{billions: number, millions: number, thousands: number, rest: number}} Digit groups
+ */
+function splitGroups(n) {
+    return {
+        billions: Math.floor(n / 1e9),
+        millions: Math.floor(n / 1e6) % 1000,
+        thousands: Math.floor(n / 1000) % 1000,
+        rest: n % 1000
+    };
+}
+
+// ---------------------------------------------------------------------------
+// English
+// ---------------------------------------------------------------------------
+
+const EN_ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const EN_ORDINAL_WORDS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+const EN_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+    'October', 'November', 'December'];
+
+function enBelow1000(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const words = [];
+
+    if (hundreds > 0) {
+        words.push(`${EN_ONES[hundreds]} hundred`);
+    }
+    if (rest > 0 || hundreds === 0) {
+        words.push(rest < 20 ? EN_ONES[rest] : EN_TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${EN_ONES[rest % 10]}` : ''));
+    }
+
+    return words.join(' ');
+}
+
+function enCardinal(n) {
+    if (n === 0) return 'zero';
+
+    const { billions, millions, thousands, rest } = splitGroups(n);
+    return [
+        billions ? `${enBelow1000(billions)} billion` : '',
+        millions ? `${enBelow1000(millions)} million` : '',
+        thousands ? `${enBelow1000(thousands)} thousand` : '',
+        rest ? enBelow1000(rest) : ''
+    ].filter(Boolean).join(' ');
+}
+
+function enOrdinal(n) {
+    return enCardinal(n).replace(/([a-z]+)$/, (word) => {
+        if (EN_ORDINAL_WORDS[word]) return EN_ORDINAL_WORDS[word];
+        if (word.endsWith('y')) return `${word.slice(0, -1)}ieth`;
+        return `${word}th`;
+    });
+}
+
+const english = {
+    code: 'en',
+    decimalSeparator: '.',
+    groupSeparators: [','],
+    digits: EN_ONES.slice(0, 10),
+    minus: 'minus',
+    point: 'point',
+    scales: { million: 'million', billion: 'billion', trillion: 'trillion' },
+    months: EN_MONTHS,
+
+    cardinal: (n) => enCardinal(n),
+    count: (n) => enCardinal(n),
+    ordinal: (n) => enOrdinal(n),
+
+    // Four-digit numbers in this range are usually years: "nineteen ninety-nine"
+    year(n) {
+        if (n < 1100 || n > 2099 || (n >= 2000 && n < 2010)) {
+            return enCardinal(n);
+        }
+        const century = Math.floor(n / 100);
+        const rest = n % 100;
+        if (rest === 0) return `${enCardinal(century)} hundred`;
+        return `${enCardinal(century)} ${rest < 10 ? `oh ${EN_ONES[rest]}` : enCardinal(rest)}`;
+    },
+
+    fraction(numerator, denominator) {
+        const names = { 2: ['half', 'halves'], 4: ['quarter', 'quarters'] };
+        const [singular, plural] = names[denominator] || [enOrdinal(denominator), `${enOrdinal(denominator)}s`];
+        return `${enCardinal(numerator)} ${numerator === 1 ? singular : plural}`;
+    },
+
+    decimals: (digits) => spellDigits(digits, EN_ONES),
+
+    currencies: {
+        USD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+        EUR: { major: ['euro', 'euros'], minor: ['cent', 'cents'] },
+        GBP: { major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+        JPY: { major: ['yen', 'yen'] },
+        INR: { major: ['rupee', 'rupees'], minor: ['paisa', 'paise'] },
+        MXN: { major: ['peso', 'pesos'], minor: ['centavo', 'centavos'] }
+    },
+    money({ major, minor, scale }, currency) {
+        if (scale) return `${major} ${scale} ${currency.major[1]}`;
+        return [major, minor].filter(Boolean).join(' and ');
+    },
+
+    date(day, month, year, region) {
+        const monthName = EN_MONTHS[month - 1];
+        const yearText = year ? this.year(year) : '';
+        if (region === 'US' || !region) {
+            return `${monthName} ${enOrdinal(day)}${yearText ? `, ${yearText}` : ''}`;
+        }
+        return `the ${enOrdinal(day)} of ${monthName}${yearText ? `, ${yearText}` : ''}`;
+    },
+    textDates: [
+        /\b(?<month>January|February|March|April|May|June|July|August|September|October|November|December)\s+(?<day>\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(?<year>\d{4})\b)?/g,
+        /\b(?<day>\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(?<month>January|February|March|April|May|June|July|August|September|October|November|December)\b(?:,?\s+(?<year>\d{4})\b)?/g
+    ],
+
+    time(hours, minutes, period) {
+        const minuteText = minutes < 10 ? `oh ${EN_ONES[minutes]}` : enCardinal(minutes);
+        if (period) {
+            return `${enCardinal(hours)}${minutes ? ` ${minuteText}` : ''} ${period === 'am' ? 'a m' : 'p m'}`;
+        }
+        if (minutes === 0) {
+            return hours <= 12 && hours > 0 ? `${enCardinal(hours)} o'clock` : `${enCardinal(hours)} hundred`;
+        }
+        return `${enCardinal(hours)} ${minuteText}`;
+    },
+
+    ordinalPattern: /\b(\d+)(st|nd|rd|th)\b/gi,
+    ordinalWord: (n) => enOrdinal(n),
+
+    units: {
+        km: ['kilometer', 'kilometers'],
+        m: ['meter', 'meters'],
+        cm: ['centimeter', 'centimeters'],
+        mm: ['millimeter', 'millimeters'],
+        kg: ['kilogram', 'kilograms'],
+        g: ['gram', 'grams'],
+        mg: ['milligram', 'milligrams'],
+        l: ['liter', 'liters'],
+        ml: ['milliliter', 'milliliters'],
+        'km/h': ['kilometer per hour', 'kilometers per hour'],
+        mph: ['mile per hour', 'miles per hour'],
+        mi: ['mile', 'miles'],
+        ft: ['foot', 'feet'],
+        lb: ['pound', 'pounds'],
+        oz: ['ounce', 'ounces'],
+        '°C': ['degree Celsius', 'degrees Celsius'],
+        '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+        '°': ['degree', 'degrees'],
+        '%': ['percent', 'percent'],
+        KB: ['kilobyte', 'kilobytes'],
+        MB: ['megabyte', 'megabytes'],
+        GB: ['gigabyte', 'gigabytes'],
+        TB: ['terabyte', 'terabytes'],
+        Hz: ['hertz', 'hertz'],
+        kHz: ['kilohertz', 'kilohertz'],
+        MHz: ['megahertz', 'megahertz'],
+        GHz: ['gigahertz', 'gigahertz'],
+        W: ['watt', 'watts'],
+        kW: ['kilowatt', 'kilowatts'],
+        kWh: ['kilowatt hour', 'kilowatt hours'],
+        V: ['volt', 'volts'],
+        ms: ['millisecond', 'milliseconds'],
+        sec: ['second', 'seconds'],
+        min: ['minute', 'minutes'],
+        hr: ['hour', 'hours']
+    },
+    // British and most other English locales spell "metre" and "litre"
+    unitName(name, region) {
+        return region && region !== 'US' ? name.replace(/meter/g, 'metre').replace(/liter/g, 'litre') : name;
+    },
+
+    symbols: { dot: 'dot', at: 'at', slash: 'slash', dash: 'dash', underscore: 'underscore', colon: 'colon',
+        question: 'question mark', equals: 'equals', ampersand: 'and', hash: 'hash', plus: 'plus', www: 'w w w' },
+
+    // [abbreviation, expansion, only before a capitalised name]
+    abbreviations: [
+        ['Dr.', 'Doctor', true],
+        ['Mr.', 'Mister', true],
+        ['Mrs.', 'Missus', true],
+        ['Ms.', 'Miz', true],
+        ['Prof.', 'Professor', true],
+        ['St.', 'Saint', true],
+        ['Mt.', 'Mount', true],
+        ['Jr.', 'Junior'],
+        ['Sr.', 'Senior'],
+        ['e.g.', 'for example'],
+        ['i.e.', 'that is'],
+        ['etc.', 'et cetera'],
+        ['vs.', 'versus'],
+        ['approx.', 'approximately'],
+        ['Inc.', 'Incorporated'],
+        ['Ltd.', 'Limited'],
+        ['Dept.', 'Department'],
+        ['No.', 'number', 'number']
+    ]
+};
+
+// ---------------------------------------------------------------------------
+// Spanish
+// ---------------------------------------------------------------------------
+
+const ES_ONES = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+    'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+    'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete',
+    'veintiocho', 'veintinueve'];
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos',
+    'setecientos', 'ochocientos', 'novecientos'];
+const ES_ORDINALS = ['', 'primer', 'segund', 'tercer', 'cuart', 'quint', 'sext', 'séptim', 'octav', 'noven', 'décim'];
+const ES_MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre',
+    'octubre', 'noviembre', 'diciembre'];
+
+function esBelow1000(n) {
+    if (n === 100) return 'cien';
+
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const words = [];
+
+    if (hundreds > 0) words.push(ES_HUNDREDS[hundreds]);
+    if (rest > 0 || hundreds === 0) {
+        words.push(rest < 30 ? ES_ONES[rest] : ES_TENS[Math.floor(rest / 10)] + (rest % 10 ? ` y ${ES_ONES[rest % 10]}` : ''));
+    }
+
+    return words.join(' ');
+}
+
+// "uno" shortens to "un" before a noun: "veintiún mil", "un millón"
+function esApocope(words) {
+    return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function esCardinal(n) {
+    if (n === 0) return 'cero';
+
+    const { billions, millions, thousands, rest } = splitGroups(n);
+    const totalMillions = billions * 1000 + millions;
+    const words = [];
+
+    if (totalMillions > 0) {
+        words.push(totalMillions === 1 ? 'un millón' : `${esApocope(esCardinal(totalMillions))} millones`);
+    }
+    if (thousands > 0) {
+        words.push(thousands === 1 ? 'mil' : `${esApocope(esBelow1000(thousands))} mil`);
+    }
+    if (rest > 0) {
+        words.push(esBelow1000(rest));
+    }
+
+    return words.join(' ');
+}
+
+const spanish = {
+    code: 'es',
+    decimalSeparator: ',',
+    groupSeparators: ['.'],
+    digits: ES_ONES.slice(0, 10),
+    minus: 'menos',
+    point: 'coma',
+    scales: { millón: 'millón', millones: 'millones' },
+    months: ES_MONTHS,
+
+    cardinal: (n) => esCardinal(n),
+    count(n, gender) {
+        const words = esCardinal(n);
+        return gender === 'f' ? words.replace(/uno$/, 'una') : esApocope(words);
+    },
+    ordinal(n, gender) {
+        if (n < 1 || n > 10) return esCardinal(n);
+        return `${ES_ORDINALS[n]}${gender === 'f' ? 'a' : 'o'}`;
+    },
+    year: (n) => esCardinal(n),
+
+    fraction(numerator, denominator) {
+        const names = { 2: 'medio', 3: 'tercio' };
+        const name = names[denominator] || (denominator <= 10 ? `${ES_ORDINALS[denominator]}o` : null);
+        if (!name) return `${esCardinal(numerator)} sobre ${esCardinal(denominator)}`;
+        return `${numerator === 1 ? 'un' : esCardinal(numerator)} ${name}${numerator === 1 ? '' : 's'}`;
+    },
+
+    decimals: (digits) => (digits.startsWith('0') ? spellDigits(digits, ES_ONES) : esCardinal(Number(digits))),
+
+    currencies: {
+        USD: { major: ['dólar', 'dólares'], minor: ['centavo', 'centavos'] },
+        EUR: { major: ['euro', 'euros'], minor: ['céntimo', 'céntimos'] },
+        GBP: { major: ['libra', 'libras'], minor: ['penique', 'peniques'], gender: 'f' },
+        JPY: { major: ['yen', 'yenes'] },
+        INR: { major: ['rupia', 'rupias'], gender: 'f' },
+        MXN: { major: ['peso', 'pesos'], minor: ['centavo', 'centavos'] }
+    },
+    money({ major, minor, scale }, currency) {
+        if (scale) return `${major} ${scale} de ${currency.major[1]}`;
+        return [major, minor].filter(Boolean).join(' con ');
+    },
+    // Regions where "$" means the local peso
+    dollarRegions: { MX: 'MXN', AR: 'MXN', CO: 'MXN', CL: 'MXN', UY: 'MXN' },
+
+    date(day, month, year) {
+        return `${day === 1 ? 'primero' : esCardinal(day)} de ${ES_MONTHS[month - 1]}${year ? ` de ${esCardinal(year)}` : ''}`;
+    },
+    textDates: [],
+
+    time(hours, minutes, period) {
+        const hourText = hours === 1 ? 'una' : this.count(hours, 'f');
+        const text = minutes === 0 ? `${hourText} en punto` : `${hourText} y ${esCardinal(minutes)}`;
+        if (!period) return text;
+        return `${text} ${period === 'am' ? 'de la mañana' : 'de la tarde'}`;
+    },
+
+    ordinalPattern: /\b(\d+)\.?([ºª])/g,
+    ordinalWord: (n, suffix) => spanish.ordinal(n, suffix === 'ª' ? 'f' : 'm'),
+
+    units: {
+        km: ['kilómetro', 'kilómetros'],
+        m: ['metro', 'metros'],
+        cm: ['centímetro', 'centímetros'],
+        mm: ['milímetro', 'milímetros'],
+        kg: ['kilogramo', 'kilogramos'],
+        g: ['gramo', 'gramos'],
+        mg: ['miligramo', 'miligramos'],
+        l: ['litro', 'litros'],
+        ml: ['mililitro', 'mililitros'],
+        'km/h': ['kilómetro por hora', 'kilómetros por hora'],
+        mph: ['milla por hora', 'millas por hora', 'f'],
+        mi: ['milla', 'millas', 'f'],
+        ft: ['pie', 'pies'],
+        lb: ['libra', 'libras', 'f'],
+        oz: ['onza', 'onzas', 'f'],
+        '°C': ['grado Celsius', 'grados Celsius'],
+        '°F': ['grado Fahrenheit', 'grados Fahrenheit'],
+        '°': ['grado', 'grados'],
+        '%': ['por ciento', 'por ciento'],
+        KB: ['kilobyte', 'kilobytes'],
+        MB: ['megabyte', 'megabytes'],
+        GB: ['gigabyte', 'gigabytes'],
+        TB: ['terabyte', 'terabytes'],
+        Hz: ['hercio', 'hercios'],
+        kHz: ['kilohercio', 'kilohercios'],
+        MHz: ['megahercio', 'megahercios'],
+        GHz: ['gigahercio', 'gigahercios'],
+        W: ['vatio', 'vatios'],
+        kW: ['kilovatio', 'kilovatios'],
+        kWh: ['kilovatio hora', 'kilovatios hora'],
+        V: ['voltio', 'voltios'],
+        ms: ['milisegundo', 'milisegundos'],
+        seg: ['segundo', 'segundos'],
+        min: ['minuto', 'minutos']
+    },
+    unitName: (name) => name,
+
+    symbols: { dot: 'punto', at: 'arroba', slash: 'barra', dash: 'guion', underscore: 'guion bajo', colon: 'dos puntos',
+        question: 'signo de interrogación', equals: 'igual', ampersand: 'y', hash: 'almohadilla', plus: 'más', www: 'uve doble uve doble uve doble' },
+
+    abbreviations: [
+        ['Dr.', 'doctor', true],
+        ['Dra.', 'doctora', true],
+        ['Sr.', 'señor', true],
+        ['Sra.', 'señora', true],
+        ['Srta.', 'señorita', true],
+        ['Ud.', 'usted'],
+        ['Uds.', 'ustedes'],
+        ['p. ej.', 'por ejemplo'],
+        ['etc.', 'etcétera'],
+        ['aprox.', 'aproximadamente'],
+        ['núm.', 'número', 'number'],
+        ['nº', 'número', 'number']
+    ]
+};
+
+// ---------------------------------------------------------------------------
+// French
+// ---------------------------------------------------------------------------
+
+const FR_ONES = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+    'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize'];
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+const FR_MONTHS = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre',
+    'octobre', 'novembre', 'décembre'];
+
+function frBelow100(n) {
+    if (n <= 16) return FR_ONES[n];
+    if (n < 20) return `dix-${FR_ONES[n - 10]}`;
+
+    const tens = Math.floor(n / 10);
+    const ones = n % 10;
+
+    if (tens <= 6) {
+        if (ones === 0) return FR_TENS[tens];
+        return ones === 1 ? `${FR_TENS[tens]} et un` : `${FR_TENS[tens]}-${FR_ONES[ones]}`;
+    }
+    if (tens === 7) {
+        return ones === 1 ? 'soixante et onze' : `soixante-${frBelow100(10 + ones)}`;
+    }
+    if (tens === 8) {
+        return ones === 0 ? 'quatre-vingts' : `quatre-vingt-${FR_ONES[ones]}`;
+    }
+    return `quatre-vingt-${frBelow100(10 + ones)}`;
+}
+
+function frBelow1000(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+
+    if (hundreds === 0) return frBelow100(rest);
+
+    const hundredText = hundreds === 1 ? 'cent' : `${FR_ONES[hundreds]} cent${rest === 0 ? 's' : ''}`;
+    return rest === 0 ? hundredText : `${hundredText} ${frBelow100(rest)}`;
+}
+
+function frCardinal(n) {
+    if (n === 0) return 'zéro';
+
+    const { billions, millions, thousands, rest } = splitGroups(n);
+    // "vingts" and "cents" lose their plural s before "mille"
+    const beforeMille = (value) => frBelow1000(value).replace(/(vingt|cent)s$/, '$1');
+
+    return [
+        billions ? `${frBelow1000(billions)} milliard${billions > 1 ? 's' : ''}` : '',
+        millions ? `${frBelow1000(millions)} million${millions > 1 ? 's' : ''}` : '',
+        thousands ? (thousands === 1 ? 'mille' : `${beforeMille(thousands)} mille`) : '',
+        rest ? frBelow1000(rest) : ''
+    ].filter(Boolean).join(' ');
+}
+
+function frOrdinal(n, gender) {
+    if (n === 1) return gender === 'f' ? 'première' : 'premier';
+
+    return frCardinal(n).replace(/([a-zéè]+)$/, (word) => {
+        if (word === 'cinq') return 'cinquième';
+        if (word === 'neuf') return 'neuvième';
+        if (word === 'un') return 'unième';
+        return `${word.replace(/s$/, '').replace(/e$/, '')}ième`;
+    });
+}
+
+const french = {
+    code: 'fr',
+    decimalSeparator: ',',
+    groupSeparators: [' ', ' ', ' ', '.'],
+    digits: FR_ONES.slice(0, 10),
+    minus: 'moins',
+    point: 'virgule',
+    scales: { million: 'million', millions: 'millions', milliard: 'milliard', milliards: 'milliards' },
+    months: FR_MONTHS,
+
+    cardinal: (n) => frCardinal(n),
+    count(n, gender) {
+        const words = frCardinal(n);
+        return gender === 'f' ? words.replace(/\bun$/, 'une') : words;
+    },
+    ordinal: (n, gender) => frOrdinal(n, gender),
+    year: (n) => frCardinal(n),
+
+    fraction(numerator, denominator) {
+        const names = { 2: ['demi', 'demis'], 3: ['tiers', 'tiers'], 4: ['quart', 'quarts'] };
+        const [singular, plural] = names[denominator] || [frOrdinal(denominator), `${frOrdinal(denominator)}s`];
+        return `${frCardinal(numerator)} ${numerator === 1 ? singular : plural}`;
+    },
+
+    decimals: (digits) => (digits.startsWith('0') ? spellDigits(digits, FR_ONES) : frCardinal(Number(digits))),
+
+    currencies: {
+        USD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+        EUR: { major: ['euro', 'euros'], minor: ['centime', 'centimes'] },
+        GBP: { major: ['livre', 'livres'], minor: ['penny', 'pence'], gender: 'f' },
+        JPY: { major: ['yen', 'yens'] },
+        INR: { major: ['roupie', 'roupies'], gender: 'f' },
+        MXN: { major: ['peso', 'pesos'], minor: ['centavo', 'centavos'] }
+    },
+    money({ major, minor, scale }, currency) {
+        if (scale) {
+            const name = currency.major[1];
+            return `${major} ${scale} ${/^[aeiouy]/i.test(name) ? `d'${name}` : `de ${name}`}`;
+        }
+        return [major, minor].filter(Boolean).join(' et ');
+    },
+
+    date(day, month, year) {
+        return `${day === 1 ? 'premier' : frCardinal(day)} ${FR_MONTHS[month - 1]}${year ? ` ${frCardinal(year)}` : ''}`;
+    },
+    textDates: [],
+
+    time(hours, minutes) {
+        const hourText = `${this.count(hours, 'f')} heure${hours > 1 ? 's' : ''}`;
+        return minutes === 0 ? hourText : `${hourText} ${frCardinal(minutes)}`;
+    },
+    timePattern: /\b([01]?\d|2[0-3])\s?h\s?([0-5]\d)?\b/g,
+
+    ordinalPattern: /\b(\d+)(er|re|ère|ème|e)\b/g,
+    ordinalWord: (n, suffix) => frOrdinal(n, suffix === 're' || suffix === 'ère' ? 'f' : 'm'),
+
+    units: {
+        km: ['kilomètre', 'kilomètres'],
+        m: ['mètre', 'mètres'],
+        cm: ['centimètre', 'centimètres'],
+        mm: ['millimètre', 'millimètres'],
+        kg: ['kilogramme', 'kilogrammes'],
+        g: ['gramme', 'grammes'],
+        mg: ['milligramme', 'milligrammes'],
+        l: ['litre', 'litres'],
+        ml: ['millilitre', 'millilitres'],
+        'km/h': ['kilomètre par heure', 'kilomètres par heure'],
+        mph: ['mile par heure', 'miles par heure'],
+        mi: ['mile', 'miles'],
+        ft: ['pied', 'pieds'],
+        lb: ['livre', 'livres', 'f'],
+        oz: ['once', 'onces', 'f'],
+        '°C': ['degré Celsius', 'degrés Celsius'],
+        '°F': ['degré Fahrenheit', 'degrés Fahrenheit'],
+        '°': ['degré', 'degrés'],
+        '%': ['pour cent', 'pour cent'],
+        Ko: ['kilooctet', 'kilooctets'],
+        Mo: ['mégaoctet', 'mégaoctets'],
+        Go: ['gigaoctet', 'gigaoctets'],
+        To: ['téraoctet', 'téraoctets'],
+        Hz: ['hertz', 'hertz'],
+        kHz: ['kilohertz', 'kilohertz'],
+        MHz: ['mégahertz', 'mégahertz'],
+        GHz: ['gigahertz', 'gigahertz'],
+        W: ['watt', 'watts'],
+        kW: ['kilowatt', 'kilowatts'],
+        kWh: ['kilowattheure', 'kilowattheures'],
+        V: ['volt', 'volts'],
+        ms: ['milliseconde', 'millisecondes', 'f'],
+        min: ['minute', 'minutes', 'f']
+    },
+    unitName: (name) => name,
+
+    symbols: { dot: 'point', at: 'arobase', slash: 'barre oblique', dash: 'tiret', underscore: 'tiret bas', colon: 'deux-points',
+        question: 'point d\'interrogation', equals: 'égal', ampersand: 'et', hash: 'dièse', plus: 'plus', www: 'w w w' },
+
+    abbreviations: [
+        ['M.', 'Monsieur', true],
+        ['MM.', 'Messieurs', true],
+        ['Mme', 'Madame', true],
+        ['Mlle', 'Mademoiselle', true],
+        ['Dr', 'docteur', true],
+        ['Pr', 'professeur', true],
+        ['p. ex.', 'par exemple'],
+        ['etc.', 'et cetera'],
+        ['env.', 'environ'],
+        ['n°', 'numéro', 'number']
+    ]
+};
+
+// ---------------------------------------------------------------------------
+// German
+// ---------------------------------------------------------------------------
+
+const DE_ONES = ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+    'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'];
+const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+const DE_MONTHS = ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September',
+    'Oktober', 'November', 'Dezember'];
+
+function deBelow100(n) {
+    if (n < 20) return DE_ONES[n];
+
+    const ones = n % 10;
+    const tens = DE_TENS[Math.floor(n / 10)];
+    if (ones === 0) return tens;
+    return `${ones === 1 ? 'ein' : DE_ONES[ones]}und${tens}`;
+}
+
+function deBelow1000(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const hundredText = hundreds ? `${hundreds === 1 ? 'ein' : DE_ONES[hundreds]}hundert` : '';
+    return hundredText + (rest || !hundreds ? deBelow100(rest) : '');
+}
+
+function deCardinal(n) {
+    if (n === 0) return 'null';
+
+    const { billions, millions, thousands, rest } = splitGroups(n);
+    // "eins" becomes "ein" inside compounds: "einhunderteinstausend" is wrong, "einhunderteintausend" is right
+    const compound = (value) => deBelow1000(value).replace(/eins$/, 'ein');
+    const large = (value, singular, plural) => (value === 1 ? `eine ${singular}` : `${compound(value)} ${plural}`);
+
+    const small = (thousands ? `${compound(thousands)}tausend` : '') + (rest ? deBelow1000(rest) : '');
+    return [
+        billions ? large(billions, 'Milliarde', 'Milliarden') : '',
+        millions ? large(millions, 'Million', 'Millionen') : '',
+        small
+    ].filter(Boolean).join(' ');
+}
+
+function deOrdinal(n) {
+    const irregular = { 1: 'erste', 3: 'dritte', 7: 'siebte', 8: 'achte' };
+    if (irregular[n]) return irregular[n];
+    return n < 20 ? `${deCardinal(n)}te` : `${deCardinal(n)}ste`;
+}
+
+const german = {
+    code: 'de',
+    decimalSeparator: ',',
+    groupSeparators: ['.'],
+    digits: DE_ONES.slice(0, 10),
+    minus: 'minus',
+    point: 'Komma',
+    scales: { Million: 'Million', Millionen: 'Millionen', Milliarde: 'Milliarde', Milliarden: 'Milliarden' },
+    months: DE_MONTHS,
+
+    cardinal: (n) => deCardinal(n),
+    count(n, gender) {
+        if (n === 1) return gender === 'f' ? 'eine' : 'ein';
+        return deCardinal(n);
+    },
+    ordinal: (n) => deOrdinal(n),
+
+    // Years before 2000 are read in hundreds: "neunzehnhundertneunundneunzig"
+    year(n) {
+        if (n < 1100 || n > 1999) return deCardinal(n);
+        const rest = n % 100;
+        return `${deCardinal(Math.floor(n / 100))}hundert${rest ? deBelow100(rest) : ''}`;
+    },
+
+    fraction(numerator, denominator) {
+        const names = { 2: 'halb', 3: 'Drittel', 7: 'Siebtel', 8: 'Achtel' };
+        const name = names[denominator] ||
+            `${deCardinal(denominator).replace(/^./, letter => letter.toUpperCase())}${denominator < 20 ? 'tel' : 'stel'}`;
+        return `${numerator === 1 ? 'ein' : deCardinal(numerator)} ${name}${denominator === 2 && numerator > 1 ? 'e' : ''}`;
+    },
+
+    decimals: (digits) => spellDigits(digits, DE_ONES),
+
+    currencies: {
+        USD: { major: ['Dollar', 'Dollar'], minor: ['Cent', 'Cent'] },
+        EUR: { major: ['Euro', 'Euro'], minor: ['Cent', 'Cent'] },
+        GBP: { major: ['Pfund', 'Pfund'], minor: ['Penny', 'Pence'] },
+        JPY: { major: ['Yen', 'Yen'] },
+        INR: { major: ['Rupie', 'Rupien'], gender: 'f' },
+        MXN: { major: ['Peso', 'Pesos'], minor: ['Centavo', 'Centavos'] }
+    },
+    money({ major, minor, scale }, currency) {
+        if (scale) return `${major} ${scale} ${currency.major[1]}`;
+        return [major, minor].filter(Boolean).join(' und ');
+    },
+
+    date(day, month, year) {
+        return `${deOrdinal(day)}r ${DE_MONTHS[month - 1]}${year ? ` ${this.year(year)}` : ''}`;
+    },
+    textDates: [
+        /\b(?<day>\d{1,2})\.\s?(?<month>Januar|Februar|März|April|Mai|Juni|Juli|August|September|Oktober|November|Dezember)\b(?:\s+(?<year>\d{4})\b)?/g
+    ],
+
+    time(hours, minutes) {
+        const hourText = hours === 1 ? 'ein' : deCardinal(hours);
+        return minutes === 0 ? `${hourText} Uhr` : `${hourText} Uhr ${deCardinal(minutes)}`;
+    },
+    // Written after clock times ("15:00 Uhr") and already part of the spoken time
+    clockWord: 'Uhr',
+
+    // German ordinals ("3.") look like sentence ends, so they are only read inside dates
+    ordinalPattern: null,
+
+    units: {
+        km: ['Kilometer', 'Kilometer'],
+        m: ['Meter', 'Meter'],
+        cm: ['Zentimeter', 'Zentimeter'],
+        mm: ['Millimeter', 'Millimeter'],
+        kg: ['Kilogramm', 'Kilogramm'],
+        g: ['Gramm', 'Gramm'],
+        mg: ['Milligramm', 'Milligramm'],
+        l: ['Liter', 'Liter'],
+        ml: ['Milliliter', 'Milliliter'],
+        'km/h': ['Kilometer pro Stunde', 'Kilometer pro Stunde'],
+        mph: ['Meile pro Stunde', 'Meilen pro Stunde', 'f'],
+        mi: ['Meile', 'Meilen', 'f'],
+        ft: ['Fuß', 'Fuß'],
+        lb: ['Pfund', 'Pfund'],
+        oz: ['Unze', 'Unzen', 'f'],
+        '°C': ['Grad Celsius', 'Grad Celsius'],
+        '°F': ['Grad Fahrenheit', 'Grad Fahrenheit'],
+        '°': ['Grad', 'Grad'],
+        '%': ['Prozent', 'Prozent'],
+        KB: ['Kilobyte', 'Kilobyte'],
+        MB: ['Megabyte', 'Megabyte'],
+        GB: ['Gigabyte', 'Gigabyte'],
+        TB: ['Terabyte', 'Terabyte'],
+        Hz: ['Hertz', 'Hertz'],
+        kHz: ['Kilohertz', 'Kilohertz'],
+        MHz: ['Megahertz', 'Megahertz'],
+        GHz: ['Gigahertz', 'Gigahertz'],
+        W: ['Watt', 'Watt'],
+        kW: ['Kilowatt', 'Kilowatt'],
+        kWh: ['Kilowattstunde', 'Kilowattstunden', 'f'],
+        V: ['Volt', 'Volt'],
+        ms: ['Millisekunde', 'Millisekunden', 'f'],
+        Sek: ['Sekunde', 'Sekunden', 'f'],
+        Min: ['Minute', 'Minuten', 'f'],
+        Std: ['Stunde', 'Stunden', 'f']
+    },
+    unitName: (name) => name,
+
+    symbols: { dot: 'Punkt', at: 'at', slash: 'Schrägstrich', dash: 'Bindestrich', underscore: 'Unterstrich', colon: 'Doppelpunkt',
+        question: 'Fragezeichen', equals: 'gleich', ampersand: 'und', hash: 'Raute', plus: 'plus', www: 'w w w' },
+
+    abbreviations: [
+        ['Dr.', 'Doktor', true],
+        ['Prof.', 'Professor', true],
+        ['Hr.', 'Herr', true],
+        ['Fr.', 'Frau', true],
+        ['z. B.', 'zum Beispiel'],
+        ['z.B.', 'zum Beispiel'],
+        ['d. h.', 'das heißt'],
+        ['d.h.', 'das heißt'],
+        ['u. a.', 'unter anderem'],
+        ['usw.', 'und so weiter'],
+        ['bzw.', 'beziehungsweise'],
+        ['ca.', 'circa'],
+        ['ggf.', 'gegebenenfalls'],
+        ['Nr.', 'Nummer', 'number']
+    ]
+};
+
+const LANGUAGES = { en: english, es: spanish, fr: french, de: german };
+
+/**
+ * Get the spelling rules for a language
+ * @param {string} language - Language code such as 'en'
+ * @returns {Object|null} Language rules, or null when the language is not supported
+ */
+function getLanguage(language) {
+    return LANGUAGES[language] || null;
+}
+
+module.exports = {
+    MAX_SPELLED_NUMBER,
+    getLanguage,
+    spellDigits,
+    SUPPORTED_LANGUAGES: Object.keys(LANGUAGES)
+};
@@ -0,0 +1,247 @@
+/**
+ * Output Formats
+ * Registry of the formats a conversion can be saved as, with the FFmpeg
+ * encoder each one needs and the options it accepts. Format ids double as
+ * file extensions. Kept free of Electron and FFmpeg dependencies so the
+ * main process, settings validation and voice profiles share one list.
+ */
+
+const CHANNEL_OPTIONS = [1, 2];
+
+// Nominal Vorbis bitrate in kbit/s per quality level 0-10
+const VORBIS_BITRATES = [64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 500];
+
+// Share of the PCM size a FLAC file of speech takes, on the safe side
+const FLAC_RATIO = 0.6;
+
+const OUTPUT_FORMATS = {
+    wav: {
+        label: 'WAV',
+        description: 'Uncompressed audio, largest files',
+        encoder: null,
+        container: 'wav',
+        defaults: {}
+    },
+    mp3: {
+        label: 'MP3',
+        description: 'Compressed, plays on every device',
+        encoder: 'libmp3lame',
+        container: 'mp3',
+        ffmpegFormat: 'mp3',
+        bitrates: ['64k', '96k', '128k', '160k', '192k', '256k', '320k'],
+        sampleRates: [22050, 24000, 44100, 48000],
+        defaults: { bitrate: '128k', sampleRate: 44100, channels: null }
+    },
+    opus: {
+        label: 'Opus',
+        description: 'Small files for web players; best quality for speech at low bitrates',
+        encoder: 'libopus',
+        container: 'ogg',
+        ffmpegFormat: 'opus',
+        bitrates: ['24k', '32k', '48k', '64k', '96k', '128k'],
+        // Opus only encodes at these rates; FFmpeg resamples the engine audio
+        sampleRates: [8000, 12000, 16000, 24000, 48000],
+        defaults: { bitrate: '64k', sampleRate: 48000, channels: null },
+        outputOptions: ['-vbr on']
+    },
+    ogg: {
+        label: 'Ogg Vorbis',
+        description: 'Open format with variable bitrate quality levels',
+        encoder: 'libvorbis',
+        container: 'ogg',
+        ffmpegFormat: 'ogg',
+        // Vorbis VBR quality: 0 (about 64 kbit/s) to 10 (about 500 kbit/s)
+        quality: { min: 0, max: 10 },
+        sampleRates: [22050, 24000, 44100, 48000],
+        defaults: { quality: 5, sampleRate: 44100, channels: null }
+    },
+    flac: {
+        label: 'FLAC',
+        description: 'Lossless compression, about half the size of WAV',
+        encoder: 'flac',
+        container: 'flac',
+        ffmpegFormat: 'flac',
+        // FLAC compression level: higher is smaller and slower, never lossy
+        compressionLevel: { min: 0, max: 12 },
+        sampleRates: [22050, 24000, 44100, 48000],
+        defaults: { compressionLevel: 5, sampleRate: 44100, channels: null }
+    },
+    m4a: {
+        label: 'AAC (M4A)',
+        description: 'AAC in an MP4 container for learning platforms and Apple devices',
+        encoder: 'aac',
+        container: 'mp4',
+        ffmpegFormat: 'ipod',
+        bitrates: ['64k', '96k', '128k', '160k', '192k', '256k'],
+        sampleRates: [22050, 24000, 44100, 48000],
+        defaults: { bitrate: '128k', sampleRate: 44100, channels: null },
+        // Move the index to the front so players can start before the download finishes
+        outputOptions: ['-movflags +faststart']
+    },
+    m4b: {
+        label: 'Audiobook (M4B)',
+        description: 'AAC audiobook with chapter markers for audiobook players',
+        encoder: 'aac',
+        container: 'mp4',
+        ffmpegFormat: 'ipod',
+        bitrates: ['32k', '48k', '64k', '96k', '128k'],
+        sampleRates: [22050, 24000, 44100, 48000],
+        defaults: { bitrate: '64k', sampleRate: 44100, channels: null },
+        outputOptions: ['-movflags +faststart'],
+        // Chapters come from the text and are written from an FFmpeg metadata file
+        chapters: true
+    }
+};
+
+/**
+ * List every output format
+ * @returns {Array<{id: string, label: string, description: string, encoder: string|null, requiresFFmpeg: boolean}>}
+ */
+function listOutputFormats() {
+    return Object.entries(OUTPUT_FORMATS).map(([id, format]) => ({
+        id,
+        label: format.label,
+        description: format.description,
+        encoder: format.encoder,
+        requiresFFmpeg: Boolean(format.encoder)
+    }));
+}
+
+/**
+ * Get the registry entry of a format
+ * @param {string} id - Format id, e.g. 'opus'
+ * @returns {Object|null} Format entry, or null for unknown formats
+ */
+function getOutputFormat(id) {
+    return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, id) ? { id, ...OUTPUT_FORMATS[id] } : null;
+}
+
+/**
+ * Check whether a format id is in the registry
+ * @param {string} id - Format id
+ * @returns {boolean}
+ */
+function isOutputFormat(id) {
+    return getOutputFormat(id) !== null;
+}
+
+/**
+ * Check whether a format carries chapter markers
+ * @param {string} id - Format id
+ * @returns {boolean}
+ */
+function supportsChapters(id) {
+    const format = getOutputFormat(id);
+    return Boolean(format && format.chapters);
+}
+
+/**
+ * Describe the encoder options a format accepts, for building settings controls
+ * @param {string} id - Format id
+ * @returns {{bitrates?: string[], quality?: Object, compressionLevel?: Object, sampleRates?: number[], channels?: number[], defaults: Object}|null} Option ranges, or null for unknown formats
+ */
+function getFormatOptionRanges(id) {
+    const format = getOutputFormat(id);
+    if (!format) {
+        return null;
+    }
+
+    const ranges = { defaults: { ...format.defaults } };
+    for (const key of ['bitrates', 'quality', 'compressionLevel', 'sampleRates']) {
+        if (format[key]) {
+            ranges[key] = Array.isArray(format[key]) ? [...format[key]] : { ...format[key] };
+        }
+    }
+    if ('channels' in format.defaults) {
+        ranges.channels = [...CHANNEL_OPTIONS];
+    }
+    return ranges;
+}
+
+/**
+ * Validate encoder options for a format and fill in its defaults
+ * @param {string} id - Format id
+ * @param {Object} options - {bitrate, quality, compressionLevel, sampleRate, channels}; omitted fields use the defaults
+ * @returns {Object} Complete options for the format
+ * @throws {Error} If the format is unknown or an option is not allowed for it
+ */
+function normalizeFormatOptions(id, options = {}) {
+    const format = getOutputFormat(id);
+    if (!format) {
+        throw new Error(`Unsupported output format: ${id}`);
+    }
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`Options for ${format.label} must be an object`);
+    }
+
+    const allowed = Object.keys(format.defaults);
+    const unknown = Object.keys(options).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${format.label} does not support the option${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}`);
+    }
+
+    const normalized = { ...format.defaults };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) {
+            normalized[key] = value;
+        }
+    }
+
+    if (format.bitrates && !format.bitrates.includes(normalized.bitrate)) {
+        throw new Error(`${format.label} bitrate must be one of ${format.bitrates.join(', ')}`);
+    }
+    if (format.quality && !isIntegerInRange(normalized.quality, format.quality)) {
+        throw new Error(`${format.label} quality must be a whole number between ${format.quality.min} and ${format.quality.max}`);
+    }
+    if (format.compressionLevel && !isIntegerInRange(normalized.compressionLevel, format.compressionLevel)) {
+        throw new Error(`${format.label} compression level must be a whole number between ${format.compressionLevel.min} and ${format.compressionLevel.max}`);
+    }
+    if (format.sampleRates && !format.sampleRates.includes(normalized.sampleRate)) {
+        throw new Error(`${format.label} sample rate must be one of ${format.sampleRates.join(', ')} Hz`);
+    }
+    if (normalized.channels !== undefined && normalized.channels !== null && !CHANNEL_OPTIONS.includes(normalized.channels)) {
+        throw new Error(`${format.label} channels must be 1 (mono) or 2 (stereo)`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Estimate how many bytes a second of output takes, for splitting by file size
+ * Bitrate formats use their nominal bitrate, Vorbis the nominal rate of its
+ * quality level and FLAC a share of the PCM size; WAV is exact.
+ * @param {string} id - Format id
+ * @param {Object} options - Encoder options from normalizeFormatOptions()
+ * @param {{sampleRate: number, channels: number, bitsPerSample: number}} source - Format of the PCM WAV being encoded
+ * @returns {number} Bytes per second
+ */
+function estimateBytesPerSecond(id, options, source) {
+    const sampleRate = options.sampleRate || source.sampleRate;
+    const channels = options.channels || source.channels;
+
+    if (id === 'wav') {
+        return source.sampleRate * source.channels * (source.bitsPerSample / 8);
+    }
+    if (options.bitrate) {
+        return parseInt(options.bitrate, 10) * 1000 / 8;
+    }
+    if (options.quality !== undefined) {
+        return VORBIS_BITRATES[options.quality] * 1000 / 8;
+    }
+    return sampleRate * channels * 2 * FLAC_RATIO;
+}
+
+function isIntegerInRange(value, range) {
+    return Number.isInteger(value) && value >= range.min && value <= range.max;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    listOutputFormats,
+    getOutputFormat,
+    isOutputFormat,
+    supportsChapters,
+    getFormatOptionRanges,
+    normalizeFormatOptions,
+    estimateBytesPerSecond
+};
@@ -0,0 +1,210 @@
+/**
+ * Output Splitter
+ * Plans how a long conversion is saved as several numbered files: one per
+ * chapter, or parts that end at the last sentence break before a maximum
+ * duration or file size. Also cuts chapters and captions to each part and
+ * builds the .m3u8 playlist and JSON index written next to the parts. Sentence breaks are the offsets where one
+ * synthesized chunk or pause of the merged audio ends.
+ */
+
+const SPLIT_MODES = ['none', 'chapter', 'duration', 'size'];
+
+// Allowed limits per part
+const SPLIT_LIMITS = {
+    maxMinutes: { min: 1, max: 600 },
+    maxMegabytes: { min: 1, max: 2000 }
+};
+
+/**
+ * Validate split options from a conversion request
+ * @param {Object} options - {mode, maxMinutes, maxMegabytes}; maxMinutes is required for 'duration', maxMegabytes for 'size'
+ * @returns {{mode: string, maxDurationMs?: number, maxBytes?: number}|null} Split settings, or null when output is not split
+ * @throws {Error} If the mode or its limit is invalid
+ */
+function normalizeSplitOptions(options) {
+    if (options === undefined || options === null) {
+        return null;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Split options must be an object');
+    }
+    if (!SPLIT_MODES.includes(options.mode)) {
+        throw new Error(`Split mode must be one of ${SPLIT_MODES.join(', ')}`);
+    }
+
+    if (options.mode === 'none') {
+        return null;
+    }
+    if (options.mode === 'chapter') {
+        return { mode: 'chapter' };
+    }
+    if (options.mode === 'duration') {
+        const { min, max } = SPLIT_LIMITS.maxMinutes;
+        if (!(typeof options.maxMinutes === 'number' && options.maxMinutes >= min && options.maxMinutes <= max)) {
+            throw new Error(`Maximum part length must be between ${min} and ${max} minutes`);
+        }
+        return { mode: 'duration', maxDurationMs: options.maxMinutes * 60 * 1000 };
+    }
+
+    const { min, max } = SPLIT_LIMITS.maxMegabytes;
+    if (!(typeof options.maxMegabytes === 'number' && options.maxMegabytes >= min && options.maxMegabytes <= max)) {
+        throw new Error(`Maximum part size must be between ${min} and ${max} MB`);
+    }
+    return { mode: 'size', maxBytes: options.maxMegabytes * 1024 * 1024 };
+}
+
+/**
+ * Plan the parts of a conversion
+ * Chapter mode gives one part per chapter. Duration and size mode end each
+ * part at the last sentence break that keeps it within the limit; when a
+ * single stretch between breaks is longer than the limit, the part runs on
+ * to the next break. A size limit is turned into a duration with the
+ * estimated bytes per second of the output format.
+ * @param {number} totalMs - Length of the merged audio
+ * @param {Object} split - Result of normalizeSplitOptions()
+ * @param {Object} context - What the merge recorded
+ * @param {Array<{title: string, startMs: number, endMs: number}>} context.chapters - Chapters in playback order
+ * @param {number[]} context.boundaries - Offsets of sentence breaks in milliseconds
+ * @param {number} context.bytesPerSecond - Estimated output size per second, for size mode
+ * @returns {Array<{title: string|null, startMs: number, endMs: number}>} Parts in playback order; chapter parts carry the chapter title
+ */
+function planParts(totalMs, split, { chapters = [], boundaries = [], bytesPerSecond = 0 } = {}) {
+    if (split.mode === 'chapter') {
+        if (chapters.length === 0) {
+            return [{ title: null, startMs: 0, endMs: totalMs }];
+        }
+        // The first part also holds anything before the first chapter
+        return chapters.map((chapter, index) => ({
+            title: chapter.title,
+            startMs: index === 0 ? 0 : chapter.startMs,
+            endMs: index + 1 < chapters.length ? chapters[index + 1].startMs : totalMs
+        }));
+    }
+
+    const maxDurationMs = split.mode === 'size'
+        ? (split.maxBytes / Math.max(bytesPerSecond, 1)) * 1000
+        : split.maxDurationMs;
+    const breaks = [...new Set(boundaries)]
+        .filter(offset => offset > 0 && offset < totalMs)
+        .sort((a, b) => a - b);
+
+    const parts = [];
+    let startMs = 0;
+    while (totalMs - startMs > maxDurationMs) {
+        const limit = startMs + maxDurationMs;
+        const within = breaks.filter(offset => offset > startMs && offset <= limit);
+        const endMs = within.length > 0
+            ? within[within.length - 1]
+            : breaks.find(offset => offset > limit);
+        if (endMs === undefined) {
+            break;
+        }
+        parts.push({ title: null, startMs, endMs });
+        startMs = endMs;
+    }
+    parts.push({ title: null, startMs, endMs: totalMs });
+
+    return parts;
+}
+
+/**
+ * Get the chapters that fall within a part, with offsets from the start of the part
+ * @param {Array<{title: string, startMs: number, endMs: number}>} chapters - Chapters of the whole conversion
+ * @param {{startMs: number, endMs: number}} part - Part from planParts()
+ * @returns {Array<{title: string, startMs: number, endMs: number}>} Chapters of the part; a chapter cut by the part boundary is shortened
+ */
+function getPartChapters(chapters, part) {
+    return (chapters || [])
+        .map(chapter => ({
+            title: chapter.title,
+            startMs: Math.max(chapter.startMs, part.startMs) - part.startMs,
+            endMs: Math.min(chapter.endMs, part.endMs) - part.startMs
+        }))
+        .filter(chapter => chapter.endMs > chapter.startMs);
+}
+
+/**
+ * Get the caption cues that start within a part, with times from the start of the part
+ * @param {Array<{startMs: number, endMs: number, lines: string[]}>} cues - Cues of the whole conversion
+ * @param {{startMs: number, endMs: number}} part - Part from planParts()
+ * @returns {Array<{startMs: number, endMs: number, lines: string[]}>} Cues of the part; a cue running past the part end is cut off there
+ */
+function getPartCues(cues, part) {
+    return (cues || [])
+        .filter(cue => cue.startMs >= part.startMs && cue.startMs < part.endMs)
+        .map(cue => ({
+            startMs: cue.startMs - part.startMs,
+            endMs: Math.min(cue.endMs, part.endMs) - part.startMs,
+            lines: cue.lines
+        }));
+}
+
+/**
+ * Name the file of a part: speech_2024-01-01T10-00-00-000Z.mp3 becomes speech_2024-01-01T10-00-00-000Z_001.mp3
+ * @param {string} fileName - Name the unsplit output would have had
+ * @param {number} number - Part number, starting at 1
+ * @param {number} total - Number of parts, for the width of the number (at least 3 digits)
+ * @returns {string} File name of the part
+ */
+function getPartFileName(fileName, number, total) {
+    const extension = fileName.match(/\.[^.]+$/);
+    const base = extension ? fileName.slice(0, -extension[0].length) : fileName;
+    const digits = Math.max(3, String(total).length);
+    return `${base}_${String(number).padStart(digits, '0')}${extension ? extension[0] : ''}`;
+}
+
+/**
+ * Build an extended M3U playlist (UTF-8) of the parts
+ * @param {Array<{file: string, title: string, durationMs: number}>} parts - Parts in playback order; file names are relative to the playlist
+ * @returns {string} Playlist contents
+ */
+function buildPlaylist(parts) {
+    const lines = ['#EXTM3U'];
+    for (const part of parts) {
+        lines.push(`#EXTINF:${Math.round(part.durationMs / 1000)},${cleanLine(part.title)}`, cleanLine(part.file));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build the JSON index of the parts
+ * @param {Object} index - Index contents
+ * @param {string} index.title - Title of the whole conversion, or null
+ * @param {string} index.format - Output format id
+ * @param {number} index.durationMs - Length of the whole conversion
+ * @param {Array<{file: string, title: string, startMs: number, durationMs: number, bytes: number}>} index.parts - Parts in playback order
+ * @returns {string} Pretty-printed JSON
+ */
+function buildIndex({ title = null, format, durationMs, parts }) {
+    return JSON.stringify({
+        version: 1,
+        title,
+        format,
+        durationMs: Math.round(durationMs),
+        parts: parts.map((part, index) => ({
+            number: index + 1,
+            file: part.file,
+            title: part.title,
+            startMs: Math.round(part.startMs),
+            durationMs: Math.round(part.durationMs),
+            bytes: part.bytes
+        }))
+    }, null, 2) + '\n';
+}
+
+// A playlist entry is one line
+function cleanLine(value) {
+    return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+module.exports = {
+    SPLIT_MODES,
+    SPLIT_LIMITS,
+    normalizeSplitOptions,
+    planParts,
+    getPartChapters,
+    getPartCues,
+    getPartFileName,
+    buildPlaylist,
+    buildIndex
+};
@@ -0,0 +1,159 @@
+/**
+ * Pause Markup
+ * Reads the inline pacing tokens writers can put in plain text instead of
+ * SSML: [pause] and [silence] with an optional length such as [pause 2s] or
+ * [pause 500ms]. Text is split into spoken parts and pauses, optionally with
+ * an automatic pause between paragraphs. The silences themselves are
+ * generated when the audio is merged, so no engine break support is needed.
+ */
+
+// [pause], [pause 2s], [pause 1.5 seconds], [silence 500ms]; case-insensitive
+const TOKEN_PATTERN = /\[\s*(pause|silence)(?:\s+(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?))?\s*\]/gi;
+
+// Length of a token written without one
+const DEFAULT_DURATIONS = {
+    pause: 1000,
+    silence: 2000
+};
+
+// Longest single pause; longer values are clamped
+const MAX_PAUSE_MS = 60000;
+
+const PARAGRAPH_BREAK = /\n[ \t]*\n\s*/;
+
+class PauseMarkup {
+    /**
+     * Length of a pause token in milliseconds
+     * @param {string} kind - 'pause' or 'silence'
+     * @param {string} amount - Number written in the token, if any
+     * @param {string} unit - 'ms', 's' or a longer spelling
+     * @returns {number} Duration in milliseconds
+     */
+    getDuration(kind, amount, unit) {
+        if (amount === undefined) {
+            return DEFAULT_DURATIONS[kind.toLowerCase()];
+        }
+
+        const value = parseFloat(amount) * (/^m/i.test(unit) ? 1 : 1000);
+        return Math.min(MAX_PAUSE_MS, Math.round(value));
+    }
+
+    /**
+     * Check whether text contains any pause tokens
+     * @param {string} text - Plain text
+     * @returns {boolean} True if at least one token is present
+     */
+    hasMarkup(text) {
+        TOKEN_PATTERN.lastIndex = 0;
+        return TOKEN_PATTERN.test(text);
+    }
+
+    /**
+     * Split plain text into spoken parts and pauses
+     * Pauses next to each other are combined. A written token at a paragraph
+     * break replaces the automatic paragraph pause instead of adding to it.
+     * @param {string} text - Plain text with optional pause tokens
+     * @param {Object} options - Parse options
+     * @param {number} options.paragraphPauseMs - Pause inserted between paragraphs (0 for none)
+     * @returns {Array<{text: string}|{pauseMs: number}>} Parts in reading order; text parts are trimmed and never empty
+     */
+    parse(text, options = {}) {
+        const paragraphPauseMs = options.paragraphPauseMs || 0;
+        const paragraphs = paragraphPauseMs > 0 ? text.split(PARAGRAPH_BREAK) : [text];
+        const raw = [];
+
+        paragraphs.forEach((paragraph, index) => {
+            if (index > 0) {
+                raw.push({ pauseMs: paragraphPauseMs, automatic: true });
+            }
+
+            let lastIndex = 0;
+            TOKEN_PATTERN.lastIndex = 0;
+            let match;
+            while ((match = TOKEN_PATTERN.exec(paragraph)) !== null) {
+                raw.push({ text: paragraph.slice(lastIndex, match.index) });
+                raw.push({ pauseMs: this.getDuration(match[1], match[2], match[3]) });
+                lastIndex = match.index + match[0].length;
+            }
+            raw.push({ text: paragraph.slice(lastIndex) });
+        });
+
+        return this.combine(raw);
+    }
+
+    /**
+     * Drop empty text, merge neighbouring text and combine neighbouring pauses
+     */
+    combine(raw) {
+        const parts = [];
+        let pending = null;
+
+        const flushPause = () => {
+            if (pending) {
+                const pauseMs = pending.written > 0 ? pending.written : pending.automatic;
+                if (pauseMs > 0) {
+                    parts.push({ pauseMs });
+                }
+                pending = null;
+            }
+        };
+
+        for (const item of raw) {
+            if (item.text !== undefined) {
+                const spoken = item.text.trim();
+                if (!spoken) {
+                    continue;
+                }
+
+                flushPause();
+                const previous = parts[parts.length - 1];
+                if (previous && previous.text !== undefined) {
+                    previous.text += ` ${spoken}`;
+                } else {
+                    parts.push({ text: spoken });
+                }
+            } else {
+                pending = pending || { written: 0, automatic: 0 };
+                if (item.automatic) {
+                    pending.automatic = Math.max(pending.automatic, item.pauseMs);
+                } else {
+                    pending.written += item.pauseMs;
+                }
+            }
+        }
+
+        flushPause();
+        return parts;
+    }
+
+    /**
+     * Whether parsed parts need silences inserted
+     * @param {Array} parts - Result of parse()
+     * @returns {boolean} True if any pause is present
+     */
+    hasPauses(parts) {
+        return parts.some(part => part.pauseMs !== undefined);
+    }
+
+    /**
+     * Apply a function to the text between tokens, keeping the tokens as written
+     * @param {string} text - Plain text with optional pause tokens
+     * @param {function(string): string} transform - Applied to each stretch of text
+     * @returns {string} Transformed text
+     */
+    mapText(text, transform) {
+        let result = '';
+        let lastIndex = 0;
+        TOKEN_PATTERN.lastIndex = 0;
+        let match;
+
+        while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+            result += transform(text.slice(lastIndex, match.index)) + match[0];
+            lastIndex = match.index + match[0].length;
+        }
+
+        return result + transform(text.slice(lastIndex));
+    }
+}
+
+module.exports = PauseMarkup;
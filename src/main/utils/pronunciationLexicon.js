@@ -0,0 +1,439 @@
+const SSMLProcessor = require('./ssmlProcessor.js');
+
+/**
+ * Pronunciation Lexicon
+ * Applies user dictionary entries (word -> replacement or word -> phoneme)
+ * to text or SSML before it is chunked, and converts entries to and from
+ * CSV and W3C PLS files. Kept free of Electron dependencies so it can be
+ * unit tested; persistence lives in LexiconManager.
+ */
+
+const ALPHABETS = ['ipa', 'sapi'];
+const PLS_ALPHABETS = { ipa: 'ipa', sapi: 'x-microsoft-sapi' };
+const PLS_NAMESPACE = 'http://www.w3.org/2005/01/pronunciation-lexicon';
+const CSV_COLUMNS = ['match', 'replacement', 'phoneme', 'alphabet', 'caseSensitive', 'wholeWord', 'regex', 'enabled'];
+const ATOMIC_ELEMENTS = ['say-as', 'sub', 'phoneme'];
+const MAX_MATCH_LENGTH = 200;
+
+class PronunciationLexicon {
+    constructor() {
+        this.ssmlProcessor = new SSMLProcessor();
+    }
+
+    /**
+     * Validate an entry and fill in default flags
+     * @param {Object} entry - Raw entry
+     * @returns {{id: string, match: string, replacement: string, phoneme: string, alphabet: string, caseSensitive: boolean, wholeWord: boolean, regex: boolean, enabled: boolean}}
+     * @throws {Error} If the entry is invalid
+     */
+    normalizeEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error('Lexicon entry is required');
+        }
+
+        const normalized = {
+            id: typeof entry.id === 'string' ? entry.id : undefined,
+            match: typeof entry.match === 'string' ? entry.match.trim() : '',
+            replacement: typeof entry.replacement === 'string' ? entry.replacement.trim() : '',
+            phoneme: typeof entry.phoneme === 'string' ? entry.phoneme.trim() : '',
+            alphabet: entry.alphabet || 'ipa',
+            caseSensitive: entry.caseSensitive === true,
+            wholeWord: entry.wholeWord !== false,
+            regex: entry.regex === true,
+            enabled: entry.enabled !== false
+        };
+
+        if (!normalized.match) {
+            throw new Error('Word or pattern to match is required');
+        }
+
+        if (normalized.match.length > MAX_MATCH_LENGTH) {
+            throw new Error(`Word or pattern must be at most ${MAX_MATCH_LENGTH} characters`);
+        }
+
+        if (!normalized.replacement && !normalized.phoneme) {
+            throw new Error(`Entry "${normalized.match}" needs a replacement or a phoneme`);
+        }
+
+        if (!ALPHABETS.includes(normalized.alphabet)) {
+            throw new Error(`Phonetic alphabet must be ${ALPHABETS.join(' or ')}`);
+        }
+
+        let matcher;
+        try {
+            matcher = this.createMatcher(normalized);
+        } catch (error) {
+            throw new Error(`Invalid regular expression "${normalized.match}": ${error.message}`);
+        }
+
+        if (matcher.test('')) {
+            throw new Error(`Pattern "${normalized.match}" must not match empty text`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Build the regular expression for an entry
+     * @param {Object} entry - Normalized entry
+     * @returns {RegExp} Global matcher
+     */
+    createMatcher(entry) {
+        const source = entry.regex ? entry.match : entry.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = entry.wholeWord
+            ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`
+            : source;
+        return new RegExp(pattern, entry.caseSensitive ? 'gu' : 'giu');
+    }
+
+    /**
+     * Apply lexicon entries to conversion input
+     * Phoneme entries need SSML; when the engine cannot take SSML their
+     * replacement is used instead, or they are skipped if they have none.
+     * Plain text that receives a phoneme is turned into an SSML document.
+     * @param {string} input - Text or SSML document
+     * @param {Array} entries - Normalized lexicon entries
+     * @param {Object} options - Application options
+     * @param {string} options.inputMode - 'text' or 'ssml'
+     * @param {boolean} options.ssml - Whether the engine accepts SSML
+     * @param {string} options.language - Voice locale for generated SSML
+     * @param {Object} options.prosody - Prosody attributes (rate, pitch, volume) kept when text becomes SSML
+     * @returns {{input: string, inputMode: string, replacements: number, skipped: number}} Result
+     */
+    apply(input, entries = [], options = {}) {
+        const inputMode = options.inputMode || 'text';
+        const usePhonemes = Boolean(options.ssml);
+        const active = entries.filter(entry => entry.enabled !== false);
+        const skipped = active.filter(entry => !entry.replacement && entry.phoneme && !usePhonemes).length;
+        let replacements = 0;
+
+        if (active.length === 0) {
+            return { input, inputMode, replacements, skipped };
+        }
+
+        const applyToText = (text) => {
+            const segments = this.applyEntries(text, active, usePhonemes);
+            replacements += segments.filter(segment => segment.locked).length;
+            return segments;
+        };
+
+        if (inputMode === 'ssml') {
+            return { input: this.applyToSSML(input, applyToText), inputMode, replacements, skipped };
+        }
+
+        const segments = applyToText(input);
+        if (!segments.some(segment => segment.phoneme)) {
+            return { input: segments.map(segment => segment.text).join(''), inputMode, replacements, skipped };
+        }
+
+        const lang = options.language ? ` xml:lang="${this.ssmlProcessor.escapeText(options.language)}"` : '';
+        let body = segments.map(segment => this.serializeSegment(segment)).join('');
+        const prosody = Object.entries(options.prosody || {})
+            .filter(([, value]) => value)
+            .map(([name, value]) => ` ${name}="${this.ssmlProcessor.escapeText(value)}"`)
+            .join('');
+        if (prosody) {
+            body = `<prosody${prosody}>${body}</prosody>`;
+        }
+        return { input: `<speak version="1.0"${lang}>${body}</speak>`, inputMode: 'ssml', replacements, skipped };
+    }
+
+    /**
+     * Run every entry over the text; matched text is locked so later entries
+     * never rewrite the output of earlier ones
+     * @returns {Array<{text: string, locked: boolean, phoneme?: string, alphabet?: string}>} Segments
+     */
+    applyEntries(text, entries, usePhonemes) {
+        let segments = [{ text, locked: false }];
+
+        for (const entry of entries) {
+            const asPhoneme = Boolean(entry.phoneme) && usePhonemes;
+            if (!asPhoneme && !entry.replacement) {
+                continue;
+            }
+
+            const matcher = this.createMatcher(entry);
+            segments = segments.flatMap(segment => (
+                segment.locked ? [segment] : this.splitSegment(segment.text, matcher, entry, asPhoneme)
+            ));
+        }
+
+        return segments.filter(segment => segment.text.length > 0 || segment.locked);
+    }
+
+    /**
+     * Split one unlocked segment around the matches of an entry
+     */
+    splitSegment(text, matcher, entry, asPhoneme) {
+        const pieces = [];
+        let last = 0;
+
+        for (const match of text.matchAll(matcher)) {
+            pieces.push({ text: text.slice(last, match.index), locked: false });
+
+            if (asPhoneme) {
+                pieces.push({ text: match[0], locked: true, phoneme: entry.phoneme, alphabet: entry.alphabet });
+            } else {
+                const replacement = entry.regex
+                    ? entry.replacement.replace(/\$(\d+|&)/g, (token, group) => (
+                        group === '&' ? match[0] : (match[Number(group)] || '')
+                    ))
+                    : entry.replacement;
+                pieces.push({ text: replacement, locked: true });
+            }
+
+            last = match.index + match[0].length;
+        }
+
+        pieces.push({ text: text.slice(last), locked: false });
+        return pieces;
+    }
+
+    /**
+     * Apply entries to the text nodes of an SSML document, leaving markup and
+     * atomic elements such as <say-as> and <phoneme> untouched
+     */
+    applyToSSML(ssml, applyToText) {
+        const { tokens } = this.ssmlProcessor.tokenize(ssml);
+        let atomicDepth = 0;
+
+        return tokens.map(token => {
+            if (token.type === 'open' && ATOMIC_ELEMENTS.includes(token.name)) {
+                atomicDepth++;
+            } else if (token.type === 'close' && ATOMIC_ELEMENTS.includes(token.name)) {
+                atomicDepth = Math.max(0, atomicDepth - 1);
+            }
+
+            if (token.type !== 'text' || atomicDepth > 0 || !token.raw.trim()) {
+                return token.raw;
+            }
+
+            const segments = applyToText(this.ssmlProcessor.decodeEntities(token.raw));
+            return segments.map(segment => this.serializeSegment(segment)).join('');
+        }).join('');
+    }
+
+    /**
+     * Render a segment as SSML text
+     */
+    serializeSegment(segment) {
+        const text = this.ssmlProcessor.escapeText(segment.text);
+        if (!segment.phoneme) {
+            return text;
+        }
+        const ph = this.ssmlProcessor.escapeText(segment.phoneme);
+        return `<phoneme alphabet="${segment.alphabet || 'ipa'}" ph="${ph}">${text}</phoneme>`;
+    }
+
+    /**
+     * Serialize entries as CSV with a header row
+     * @param {Array} entries - Normalized entries
+     * @returns {string} CSV document
+     */
+    toCSV(entries) {
+        const escapeCell = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => escapeCell(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Parse entries from CSV. A header row selects the columns; without one
+     * the columns are read in export order.
+     * @param {string} content - CSV document
+     * @returns {{entries: Array, errors: Array<{line: number, message: string}>}} Parsed entries and row errors
+     */
+    fromCSV(content) {
+        const rows = this.parseCSVRows(String(content || '').replace(/^\uFEFF/, ''));
+        const entries = [];
+        const errors = [];
+
+        if (rows.length === 0) {
+            return { entries, errors };
+        }
+
+        const header = rows[0].cells.map(cell => cell.trim());
+        const hasHeader = header.includes('match');
+        const columns = hasHeader ? header : CSV_COLUMNS;
+        const parseBoolean = (value) => {
+            const normalized = String(value).trim().toLowerCase();
+            if (normalized === '') return undefined;
+            return ['true', '1', 'yes', 'y'].includes(normalized);
+        };
+
+        for (const row of rows.slice(hasHeader ? 1 : 0)) {
+            if (row.cells.every(cell => cell.trim() === '')) {
+                continue;
+            }
+
+            const raw = {};
+            columns.forEach((column, i) => {
+                if (row.cells[i] !== undefined && CSV_COLUMNS.includes(column)) {
+                    raw[column] = row.cells[i];
+                }
+            });
+            for (const flag of ['caseSensitive', 'wholeWord', 'regex', 'enabled']) {
+                raw[flag] = raw[flag] === undefined ? undefined : parseBoolean(raw[flag]);
+            }
+            if (raw.alphabet !== undefined) {
+                raw.alphabet = raw.alphabet.trim().toLowerCase() || undefined;
+            }
+
+            try {
+                entries.push(this.normalizeEntry(raw));
+            } catch (error) {
+                errors.push({ line: row.line, message: error.message });
+            }
+        }
+
+        return { entries, errors };
+    }
+
+    /**
+     * Split CSV into rows of cells, honouring quoted cells with commas and newlines
+     * @returns {Array<{line: number, cells: string[]}>} Rows with their starting line
+     */
+    parseCSVRows(content) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                cells.push(cell);
+                rows.push({ line: rowLine, cells });
+                cells = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || cells.length > 0) {
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Serialize entries as a W3C Pronunciation Lexicon (PLS 1.0) document.
+     * Regular expression entries cannot be expressed in PLS and are left out.
+     * @param {Array} entries - Normalized entries
+     * @param {string} language - Lexicon locale
+     * @returns {{content: string, exported: number, omitted: number}} PLS document and counts
+     */
+    toPLS(entries, language = 'en-US') {
+        const escape = (text) => this.ssmlProcessor.escapeText(text);
+        const exportable = entries.filter(entry => !entry.regex);
+
+        const lexemes = exportable.map(entry => {
+            const lines = ['  <lexeme>', `    <grapheme>${escape(entry.match)}</grapheme>`];
+            if (entry.phoneme) {
+                const alphabet = PLS_ALPHABETS[entry.alphabet] || 'ipa';
+                lines.push(`    <phoneme alphabet="${alphabet}">${escape(entry.phoneme)}</phoneme>`);
+            }
+            if (entry.replacement) {
+                lines.push(`    <alias>${escape(entry.replacement)}</alias>`);
+            }
+            lines.push('  </lexeme>');
+            return lines.join('\n');
+        });
+
+        const content = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<lexicon version="1.0" xmlns="${PLS_NAMESPACE}" alphabet="ipa" xml:lang="${escape(language)}">`,
+            ...lexemes,
+            '</lexicon>'
+        ].join('\n') + '\n';
+
+        return { content, exported: exportable.length, omitted: entries.length - exportable.length };
+    }
+
+    /**
+     * Parse entries from a W3C Pronunciation Lexicon (PLS) document.
+     * Each grapheme of a lexeme becomes a case-sensitive whole-word entry.
+     * @param {string} content - PLS document
+     * @returns {{entries: Array, errors: Array<{line: number, message: string}>}} Parsed entries and lexeme errors
+     */
+    fromPLS(content) {
+        const source = String(content || '');
+        const entries = [];
+        const errors = [];
+
+        const root = source.match(/<lexicon\b([^>]*)>/);
+        if (!root) {
+            return { entries, errors: [{ line: 1, message: 'Not a pronunciation lexicon (missing <lexicon> element)' }] };
+        }
+
+        const readAttribute = (attributes, name) => {
+            const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`));
+            return match ? match[2] : null;
+        };
+        const fromPLSAlphabet = (alphabet) => (
+            Object.keys(PLS_ALPHABETS).find(key => PLS_ALPHABETS[key] === alphabet) || alphabet
+        );
+        const decode = (text) => this.ssmlProcessor.decodeEntities(text.trim());
+        const defaultAlphabet = fromPLSAlphabet(readAttribute(root[1], 'alphabet') || 'ipa');
+
+        const lexemePattern = /<lexeme\b[^>]*>([\s\S]*?)<\/lexeme>/g;
+        for (const lexeme of source.matchAll(lexemePattern)) {
+            const line = source.slice(0, lexeme.index).split('\n').length;
+            const body = lexeme[1];
+            const graphemes = [...body.matchAll(/<grapheme\b[^>]*>([\s\S]*?)<\/grapheme>/g)].map(m => decode(m[1]));
+            const phoneme = body.match(/<phoneme\b([^>]*)>([\s\S]*?)<\/phoneme>/);
+            const alias = body.match(/<alias\b[^>]*>([\s\S]*?)<\/alias>/);
+
+            if (graphemes.length === 0) {
+                errors.push({ line, message: 'Lexeme has no <grapheme>' });
+                continue;
+            }
+
+            for (const grapheme of graphemes) {
+                try {
+                    entries.push(this.normalizeEntry({
+                        match: grapheme,
+                        replacement: alias ? decode(alias[1]) : '',
+                        phoneme: phoneme ? decode(phoneme[2]) : '',
+                        alphabet: phoneme ? fromPLSAlphabet(readAttribute(phoneme[1], 'alphabet') || defaultAlphabet) : 'ipa',
+                        caseSensitive: true,
+                        wholeWord: true
+                    }));
+                } catch (error) {
+                    errors.push({ line, message: error.message });
+                }
+            }
+        }
+
+        return { entries, errors };
+    }
+}
+
+module.exports = PronunciationLexicon;
@@ -0,0 +1,715 @@
+/**
+ * SSML Processor
+ * Validates SSML documents, splits them into engine-sized chunks without
+ * breaking markup and converts them to plain text for engines that cannot
+ * interpret SSML. Kept free of Electron dependencies so it can be unit tested.
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+const BREAK_STRENGTHS = ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'];
+const EMPHASIS_LEVELS = ['strong', 'moderate', 'none', 'reduced'];
+const RATE_KEYWORDS = ['x-slow', 'slow', 'medium', 'fast', 'x-fast', 'default'];
+const PITCH_KEYWORDS = ['x-low', 'low', 'medium', 'high', 'x-high', 'default'];
+const VOLUME_KEYWORDS = ['silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud', 'default'];
+
+const TIME_PATTERN = /^\d+(\.\d+)?(ms|s)$/;
+const RELATIVE_PATTERN = /^[+-]?\d+(\.\d+)?(%|st|Hz|dB)?$/;
+
+/**
+ * Supported elements with their attribute rules. `required` attributes must
+ * be present, `validate` returns an error message for bad values.
+ */
+const ELEMENT_RULES = {
+    speak: {
+        attributes: ['version', 'xmlns', 'xmlns:mstts', 'xml:lang']
+    },
+    break: {
+        empty: true,
+        attributes: ['time', 'strength'],
+        validate: (attributes) => {
+            if (attributes.time !== undefined && !TIME_PATTERN.test(attributes.time)) {
+                return `Invalid break time "${attributes.time}" (use values such as 500ms or 2s)`;
+            }
+            if (attributes.strength !== undefined && !BREAK_STRENGTHS.includes(attributes.strength)) {
+                return `Invalid break strength "${attributes.strength}"`;
+            }
+            return null;
+        }
+    },
+    prosody: {
+        attributes: ['rate', 'pitch', 'volume', 'contour', 'range'],
+        validate: (attributes) => {
+            if (Object.keys(attributes).length === 0) {
+                return '<prosody> requires at least one of rate, pitch or volume';
+            }
+            const checks = [
+                ['rate', RATE_KEYWORDS],
+                ['pitch', PITCH_KEYWORDS],
+                ['volume', VOLUME_KEYWORDS]
+            ];
+            for (const [name, keywords] of checks) {
+                const value = attributes[name];
+                if (value !== undefined && !keywords.includes(value) && !RELATIVE_PATTERN.test(value)) {
+                    return `Invalid prosody ${name} "${value}"`;
+                }
+            }
+            return null;
+        }
+    },
+    emphasis: {
+        attributes: ['level'],
+        validate: (attributes) => {
+            if (attributes.level !== undefined && !EMPHASIS_LEVELS.includes(attributes.level)) {
+                return `Invalid emphasis level "${attributes.level}"`;
+            }
+            return null;
+        }
+    },
+    'say-as': {
+        attributes: ['interpret-as', 'format', 'detail'],
+        required: ['interpret-as'],
+        atomic: true
+    },
+    sub: {
+        attributes: ['alias'],
+        required: ['alias'],
+        atomic: true
+    },
+    phoneme: {
+        attributes: ['alphabet', 'ph'],
+        required: ['ph'],
+        atomic: true
+    },
+    p: { attributes: [] },
+    s: { attributes: [] },
+    voice: {
+        attributes: ['name'],
+        required: ['name']
+    },
+    lang: {
+        attributes: ['xml:lang'],
+        required: ['xml:lang']
+    },
+    mark: {
+        empty: true,
+        attributes: ['name'],
+        required: ['name']
+    }
+};
+
+class SSMLProcessor {
+    /**
+     * Check whether text looks like an SSML document
+     * @param {string} text - Input text
+     * @returns {boolean} True if the text starts with a <speak> root
+     */
+    isSSML(text) {
+        if (typeof text !== 'string') {
+            return false;
+        }
+        const trimmed = text.replace(/^\uFEFF/, '').trim()
+            .replace(/^<\?xml[\s\S]*?\?>\s*/, '');
+        return /^<speak[\s>/]/.test(trimmed);
+    }
+
+    /**
+     * Escape text so it can be embedded in an SSML document
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Decode the XML entities in a text node
+     * @param {string} text - Escaped text
+     * @returns {string} Decoded text
+     */
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+            if (entity[0] === '#') {
+                const codePoint = entity[1] === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+            }
+            return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+        });
+    }
+
+    /**
+     * Split an SSML document into tokens, recording the position of each
+     * token and any well-formedness errors found along the way
+     * @param {string} ssml - SSML source
+     * @returns {{tokens: Array, errors: Array}} Tokens and lexical errors
+     */
+    tokenize(ssml) {
+        const tokens = [];
+        const errors = [];
+        const lineStarts = [0];
+
+        for (let i = 0; i < ssml.length; i++) {
+            if (ssml[i] === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+
+        const positionOf = (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (lineStarts[mid] <= index) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return { line: low + 1, column: index - lineStarts[low] + 1 };
+        };
+
+        const addError = (index, message) => {
+            errors.push({ ...positionOf(index), message });
+        };
+
+        let index = 0;
+        while (index < ssml.length) {
+            if (ssml[index] !== '<') {
+                const end = ssml.indexOf('<', index);
+                const textEnd = end === -1 ? ssml.length : end;
+                const raw = ssml.slice(index, textEnd);
+                this.checkEntities(raw, index, addError);
+                tokens.push({ type: 'text', raw, start: index, ...positionOf(index) });
+                index = textEnd;
+                continue;
+            }
+
+            if (ssml.startsWith('<!--', index)) {
+                const end = ssml.indexOf('-->', index + 4);
+                if (end === -1) {
+                    addError(index, 'Unterminated comment');
+                    break;
+                }
+                tokens.push({ type: 'comment', raw: ssml.slice(index, end + 3), start: index, ...positionOf(index) });
+                index = end + 3;
+                continue;
+            }
+
+            if (ssml.startsWith('<?', index)) {
+                const end = ssml.indexOf('?>', index + 2);
+                if (end === -1) {
+                    addError(index, 'Unterminated processing instruction');
+                    break;
+                }
+                tokens.push({ type: 'declaration', raw: ssml.slice(index, end + 2), start: index, ...positionOf(index) });
+                index = end + 2;
+                continue;
+            }
+
+            if (ssml.startsWith('<![CDATA[', index)) {
+                const end = ssml.indexOf(']]>', index + 9);
+                if (end === -1) {
+                    addError(index, 'Unterminated CDATA section');
+                    break;
+                }
+                tokens.push({ type: 'cdata', raw: ssml.slice(index, end + 3), start: index, ...positionOf(index) });
+                index = end + 3;
+                continue;
+            }
+
+            if (ssml.startsWith('<!', index)) {
+                addError(index, 'DOCTYPE and other declarations are not supported in SSML input');
+                const end = ssml.indexOf('>', index);
+                index = end === -1 ? ssml.length : end + 1;
+                continue;
+            }
+
+            const tag = this.readTag(ssml, index, addError);
+            if (!tag) {
+                break;
+            }
+            tokens.push({ ...tag, start: index, ...positionOf(index) });
+            index = tag.end;
+        }
+
+        return { tokens, errors };
+    }
+
+    /**
+     * Report ampersands that do not start a valid entity reference
+     * @param {string} text - Raw text
+     * @param {number} offset - Offset of the text in the document
+     * @param {Function} addError - Error reporter
+     */
+    checkEntities(text, offset, addError) {
+        const ampersand = /&/g;
+        let match;
+        while ((match = ampersand.exec(text)) !== null) {
+            const rest = text.slice(match.index);
+            const entity = rest.match(/^&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/);
+            if (!entity) {
+                addError(offset + match.index, 'Unescaped "&" (use &amp;)');
+            } else if (entity[1][0] !== '#' && NAMED_ENTITIES[entity[1]] === undefined) {
+                addError(offset + match.index, `Unknown entity "&${entity[1]};"`);
+            }
+        }
+    }
+
+    /**
+     * Read a start, end or self-closing tag beginning at index
+     * @param {string} ssml - SSML source
+     * @param {number} index - Position of '<'
+     * @param {Function} addError - Error reporter
+     * @returns {Object|null} Tag token or null when the tag never ends
+     */
+    readTag(ssml, index, addError) {
+        let position = index + 1;
+        let quote = null;
+
+        // Find the closing '>' while respecting quoted attribute values
+        while (position < ssml.length) {
+            const char = ssml[position];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '<') {
+                addError(index, 'Tag is missing its closing ">"');
+                return { type: 'invalid', raw: ssml.slice(index, position), end: position };
+            } else if (char === '>') {
+                break;
+            }
+            position++;
+        }
+
+        if (position >= ssml.length) {
+            addError(index, 'Tag is missing its closing ">"');
+            return null;
+        }
+
+        const raw = ssml.slice(index, position + 1);
+        const inner = raw.slice(1, -1);
+        const end = position + 1;
+
+        if (inner.startsWith('/')) {
+            const name = inner.slice(1).trim();
+            if (!/^[A-Za-z_][\w.:-]*$/.test(name)) {
+                addError(index, `Malformed closing tag "${raw}"`);
+                return { type: 'invalid', raw, end };
+            }
+            return { type: 'close', name, raw, end };
+        }
+
+        const selfClosing = inner.endsWith('/');
+        const body = selfClosing ? inner.slice(0, -1) : inner;
+        const nameMatch = body.match(/^([A-Za-z_][\w.:-]*)/);
+        if (!nameMatch) {
+            addError(index, `Malformed tag "${raw}"`);
+            return { type: 'invalid', raw, end };
+        }
+
+        const name = nameMatch[1];
+        const attributes = this.parseAttributes(body.slice(name.length), index, name, addError);
+
+        return {
+            type: selfClosing ? 'selfclose' : 'open',
+            name,
+            attributes,
+            raw,
+            end
+        };
+    }
+
+    /**
+     * Parse the attribute list of a tag
+     * @param {string} source - Text following the tag name
+     * @param {number} tagIndex - Position of the tag for error reporting
+     * @param {string} tagName - Tag name for error messages
+     * @param {Function} addError - Error reporter
+     * @returns {Object} Attribute map with decoded values
+     */
+    parseAttributes(source, tagIndex, tagName, addError) {
+        const attributes = {};
+        const attributePattern = /\s+([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/y;
+        let position = 0;
+
+        while (position < source.length) {
+            if (/^\s*$/.test(source.slice(position))) {
+                break;
+            }
+
+            attributePattern.lastIndex = position;
+            const match = attributePattern.exec(source);
+            if (!match) {
+                addError(tagIndex, `Malformed attribute in <${tagName}> (values must be quoted)`);
+                break;
+            }
+
+            const [, name, , doubleQuoted, singleQuoted] = match;
+            const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+            if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+                addError(tagIndex, `Duplicate attribute "${name}" in <${tagName}>`);
+            }
+            if (value.includes('<')) {
+                addError(tagIndex, `Attribute "${name}" in <${tagName}> must not contain "<"`);
+            }
+            attributes[name] = this.decodeEntities(value);
+            position = attributePattern.lastIndex;
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Validate an SSML document
+     * @param {string} ssml - SSML source
+     * @returns {{valid: boolean, errors: Array<{line: number, column: number, message: string}>, rootAttributes: Object}}
+     */
+    validate(ssml) {
+        if (typeof ssml !== 'string' || ssml.trim().length === 0) {
+            return {
+                valid: false,
+                errors: [{ line: 1, column: 1, message: 'SSML document is empty' }],
+                rootAttributes: {}
+            };
+        }
+
+        const { tokens, errors } = this.tokenize(ssml);
+        const stack = [];
+        let rootSeen = false;
+        let rootClosed = false;
+        let rootAttributes = {};
+
+        for (const token of tokens) {
+            const at = { line: token.line, column: token.column };
+
+            if (token.type === 'text' || token.type === 'cdata') {
+                const hasContent = token.type === 'cdata' || token.raw.trim().length > 0;
+                if (hasContent && stack.length === 0) {
+                    errors.push({ ...at, message: 'Text must be inside the <speak> element' });
+                }
+                continue;
+            }
+
+            if (token.type === 'declaration') {
+                const atStart = ssml.slice(0, token.start).replace(/^\uFEFF/, '').trim() === '';
+                if (/^<\?xml[\s?]/.test(token.raw) && !atStart) {
+                    errors.push({ ...at, message: 'XML declaration must be at the start of the document' });
+                }
+                continue;
+            }
+
+            if (token.type === 'comment' || token.type === 'invalid') {
+                continue;
+            }
+
+            if (token.type === 'close') {
+                const matchIndex = stack.map(entry => entry.name).lastIndexOf(token.name);
+                const open = stack[stack.length - 1];
+                if (!open) {
+                    errors.push({ ...at, message: `Unexpected closing tag </${token.name}>` });
+                } else if (matchIndex === -1) {
+                    errors.push({
+                        ...at,
+                        message: `Closing tag </${token.name}> does not match <${open.name}> opened at line ${open.line}, column ${open.column}`
+                    });
+                } else {
+                    // Anything opened after the matching tag was never closed
+                    for (const unclosed of stack.splice(matchIndex).slice(1)) {
+                        errors.push({
+                            line: unclosed.line,
+                            column: unclosed.column,
+                            message: `Unclosed tag <${unclosed.name}> (expected </${unclosed.name}> before </${token.name}>)`
+                        });
+                    }
+                    if (stack.length === 0 && token.name === 'speak') {
+                        rootClosed = true;
+                    }
+                }
+                continue;
+            }
+
+            // open or selfclose
+            if (!rootSeen) {
+                rootSeen = true;
+                if (token.name !== 'speak') {
+                    errors.push({ ...at, message: `Root element must be <speak>, found <${token.name}>` });
+                } else {
+                    rootAttributes = token.attributes;
+                }
+            } else if (stack.length === 0) {
+                errors.push({
+                    ...at,
+                    message: rootClosed
+                        ? `Content after the closing </speak> tag: <${token.name}>`
+                        : `Element <${token.name}> must be inside <speak>`
+                });
+            } else if (token.name === 'speak') {
+                errors.push({ ...at, message: '<speak> cannot be nested' });
+            }
+
+            this.validateElement(token, errors);
+
+            if (token.type === 'open') {
+                stack.push({ name: token.name, line: token.line, column: token.column });
+            } else if (token.name === 'speak' && stack.length === 0) {
+                rootClosed = true;
+            }
+        }
+
+        for (const open of stack.reverse()) {
+            errors.push({ line: open.line, column: open.column, message: `Unclosed tag <${open.name}>` });
+        }
+
+        if (!rootSeen) {
+            errors.push({ line: 1, column: 1, message: 'Missing <speak> root element' });
+        }
+
+        errors.sort((a, b) => a.line - b.line || a.column - b.column);
+
+        return { valid: errors.length === 0, errors, rootAttributes };
+    }
+
+    /**
+     * Check an element against the supported element rules
+     * @param {Object} token - Open or self-closing tag token
+     * @param {Array} errors - Error list to append to
+     */
+    validateElement(token, errors) {
+        const at = { line: token.line, column: token.column };
+        const rules = ELEMENT_RULES[token.name];
+
+        // Vendor extensions such as <mstts:express-as> are passed through to the engine
+        if (!rules) {
+            if (!token.name.includes(':')) {
+                errors.push({ ...at, message: `Unsupported SSML element <${token.name}>` });
+            }
+            return;
+        }
+
+        if (rules.empty && token.type === 'open') {
+            errors.push({ ...at, message: `<${token.name}> must be self-closing (<${token.name} ... />)` });
+        }
+
+        for (const name of Object.keys(token.attributes)) {
+            if (!rules.attributes.includes(name) && !name.startsWith('xmlns')) {
+                errors.push({ ...at, message: `Unsupported attribute "${name}" on <${token.name}>` });
+            }
+        }
+
+        for (const name of rules.required || []) {
+            if (token.attributes[name] === undefined || token.attributes[name].trim() === '') {
+                errors.push({ ...at, message: `<${token.name}> requires the "${name}" attribute` });
+            }
+        }
+
+        if (rules.validate) {
+            const message = rules.validate(token.attributes);
+            if (message) {
+                errors.push({ ...at, message });
+            }
+        }
+    }
+
+    /**
+     * Split a valid SSML document into chunks no longer than maxLength.
+     * Chunks are cut between tokens or at whitespace inside text, never inside
+     * a tag or inside atomic elements such as <say-as>. Every chunk is wrapped
+     * in the original <speak> tag and re-opens the elements that were open
+     * when the previous chunk ended.
+     * @param {string} ssml - Valid SSML document
+     * @param {number} maxLength - Maximum chunk length in characters
+     * @returns {string[]} Self-contained SSML documents
+     */
+    splitIntoChunks(ssml, maxLength) {
+        const { tokens } = this.tokenize(ssml);
+        const rootIndex = tokens.findIndex(token => token.type === 'open' && token.name === 'speak');
+        if (rootIndex === -1) {
+            throw new Error('SSML document has no <speak> root element');
+        }
+
+        const rootOpen = tokens[rootIndex].raw;
+        const rootClose = '</speak>';
+        const body = tokens.slice(rootIndex + 1);
+        const lastClose = body.map(token => token.type === 'close' && token.name === 'speak').lastIndexOf(true);
+        const content = lastClose === -1 ? body : body.slice(0, lastClose);
+
+        const envelopeLength = rootOpen.length + rootClose.length;
+        const chunks = [];
+        const openStack = [];
+        let current = '';
+        let currentHasSpeech = false;
+
+        const reopenTags = () => openStack.map(entry => entry.raw).join('');
+        const closeTags = () => openStack.slice().reverse().map(entry => `</${entry.name}>`).join('');
+        const overhead = () => envelopeLength + reopenTags().length + closeTags().length;
+
+        const flush = () => {
+            if (currentHasSpeech) {
+                chunks.push(`${rootOpen}${current}${closeTags()}${rootClose}`);
+            }
+            current = reopenTags();
+            currentHasSpeech = false;
+        };
+
+        const append = (piece, isSpeech) => {
+            if (current.length + piece.length + overhead() > maxLength && currentHasSpeech) {
+                flush();
+            }
+            current += piece;
+            currentHasSpeech = currentHasSpeech || isSpeech;
+        };
+
+        // Group atomic elements into a single unit so they are never split
+        const units = [];
+        for (let i = 0; i < content.length; i++) {
+            const token = content[i];
+            if (token.type === 'open' && ELEMENT_RULES[token.name]?.atomic) {
+                let depth = 0;
+                let raw = '';
+                let j = i;
+                for (; j < content.length; j++) {
+                    const inner = content[j];
+                    raw += inner.raw;
+                    if (inner.type === 'open' && inner.name === token.name) depth++;
+                    if (inner.type === 'close' && inner.name === token.name) depth--;
+                    if (depth === 0) break;
+                }
+                units.push({ type: 'atomic', raw });
+                i = j;
+            } else {
+                units.push(token);
+            }
+        }
+
+        for (const unit of units) {
+            if (unit.type === 'text') {
+                const available = Math.max(1, maxLength - overhead());
+                for (const piece of this.splitText(unit.raw, available)) {
+                    append(piece, piece.trim().length > 0);
+                }
+            } else if (unit.type === 'open') {
+                append(unit.raw, false);
+                openStack.push({ name: unit.name, raw: unit.raw });
+            } else if (unit.type === 'close') {
+                current += unit.raw;
+                openStack.pop();
+            } else if (unit.type === 'comment' || unit.type === 'declaration') {
+                continue;
+            } else {
+                append(unit.raw, true);
+            }
+        }
+
+        flush();
+        return chunks;
+    }
+
+    /**
+     * Split raw SSML text into pieces of at most maxLength characters,
+     * preferring sentence ends, then whitespace, and never cutting an entity
+     * @param {string} text - Escaped text node
+     * @param {number} maxLength - Maximum piece length
+     * @returns {string[]} Text pieces that concatenate back to the input
+     */
+    splitText(text, maxLength) {
+        const pieces = [];
+        let remaining = text;
+
+        while (remaining.length > maxLength) {
+            const window = remaining.slice(0, maxLength + 1);
+            let cut = -1;
+
+            const sentenceEnd = window.search(/[.!?](?=\s)[^.!?]*$/);
+            if (sentenceEnd > 0) {
+                cut = sentenceEnd + 1;
+            } else {
+                const lastSpace = window.lastIndexOf(' ');
+                cut = lastSpace > 0 ? lastSpace : maxLength;
+            }
+
+            // Do not cut inside an entity such as &amp;
+            const ampersand = remaining.lastIndexOf('&', cut - 1);
+            if (ampersand !== -1 && remaining.indexOf(';', ampersand) >= cut) {
+                cut = ampersand > 0 ? ampersand : remaining.indexOf(';', ampersand) + 1;
+            }
+
+            pieces.push(remaining.slice(0, cut));
+            remaining = remaining.slice(cut);
+        }
+
+        if (remaining.length > 0) {
+            pieces.push(remaining);
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Convert SSML into the plain text an engine without SSML support should read
+     * @param {string} ssml - SSML source
+     * @returns {string} Plain text
+     */
+    toPlainText(ssml) {
+        const { tokens } = this.tokenize(ssml);
+        let text = '';
+        let skipDepth = 0;
+
+        for (const token of tokens) {
+            if (token.type === 'open' && token.name === 'sub') {
+                text += token.attributes.alias || '';
+                skipDepth++;
+            } else if (token.type === 'close' && token.name === 'sub') {
+                skipDepth = Math.max(0, skipDepth - 1);
+            } else if (skipDepth > 0) {
+                continue;
+            } else if (token.type === 'text') {
+                text += this.decodeEntities(token.raw);
+            } else if (token.type === 'cdata') {
+                text += token.raw.slice(9, -3);
+            } else if (token.type === 'selfclose' && token.name === 'break') {
+                text += ' ';
+            } else if ((token.type === 'close' && (token.name === 'p' || token.name === 's'))) {
+                text += '\n';
+            }
+        }
+
+        return text.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n\n').trim();
+    }
+
+    /**
+     * Remove the <speak> envelope and return the inner markup
+     * @param {string} ssml - SSML document
+     * @returns {string} Markup between <speak> and </speak>
+     */
+    getInnerContent(ssml) {
+        const match = ssml.match(/<speak\b[^>]*>([\s\S]*)<\/speak>/);
+        return match ? match[1] : ssml;
+    }
+
+    /**
+     * Format validation errors for display
+     * @param {Array} errors - Validation errors
+     * @returns {string[]} Messages prefixed with their position
+     */
+    formatErrors(errors) {
+        return errors.map(error => `Line ${error.line}, column ${error.column}: ${error.message}`);
+    }
+}
+
+module.exports = SSMLProcessor;
@@ -0,0 +1,193 @@
+/**
+ * Subtitle Builder
+ * Turns the word boundary timings reported by speech engines into SRT and
+ * WebVTT captions. Boundaries are aligned back to the source text so the
+ * captions keep the original punctuation, and cues are broken at sentence
+ * ends, at the maximum line length and at the maximum cue duration.
+ */
+
+const DEFAULT_SUBTITLE_OPTIONS = {
+    maxLineLength: 42,
+    maxLines: 2,
+    maxCueDurationMs: 5000
+};
+
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’)\]]*$/;
+
+class SubtitleBuilder {
+    /**
+     * Match word boundaries to the text they were synthesized from
+     * @param {Array<{text: string, offsetMs: number, durationMs: number}>} boundaries - Boundaries relative to the chunk start
+     * @param {string} text - Plain text of the chunk
+     * @param {number} chunkOffsetMs - Start of the chunk in the merged audio
+     * @returns {Array<{text: string, startMs: number, endMs: number}>} Timed words with attached punctuation
+     */
+    alignWords(boundaries, text = '', chunkOffsetMs = 0) {
+        const spans = [];
+        let cursor = 0;
+
+        for (const boundary of boundaries) {
+            const index = boundary.text ? text.indexOf(boundary.text, cursor) : -1;
+            if (index === -1) {
+                spans.push(null);
+            } else {
+                spans.push({ start: index, end: index + boundary.text.length });
+                cursor = index + boundary.text.length;
+            }
+        }
+
+        return boundaries.map((boundary, i) => {
+            const startMs = chunkOffsetMs + boundary.offsetMs;
+            const endMs = startMs + Math.max(0, boundary.durationMs || 0);
+            const span = spans[i];
+
+            if (!span) {
+                return { text: boundary.text || '', startMs, endMs };
+            }
+
+            // Attach punctuation touching the word, without crossing into a neighbouring word
+            const previous = spans.slice(0, i).reverse().find(Boolean);
+            const next = spans.slice(i + 1).find(Boolean);
+            let start = span.start;
+            let end = span.end;
+            while (start > (previous ? previous.end : 0) && !/\s/.test(text[start - 1])) {
+                start--;
+            }
+            while (end < (next ? next.start : text.length) && !/\s/.test(text[end])) {
+                end++;
+            }
+
+            return { text: text.slice(start, end), startMs, endMs };
+        }).filter(word => word.text.length > 0);
+    }
+
+    /**
+     * Group timed words into caption cues
+     * @param {Array<{text: string, startMs: number, endMs: number}>} words - Timed words in playback order
+     * @param {Object} options - Cue layout options
+     * @param {number} options.maxLineLength - Maximum characters per line
+     * @param {number} options.maxLines - Maximum lines per cue
+     * @param {number} options.maxCueDurationMs - Maximum cue duration in milliseconds
+     * @returns {Array<{startMs: number, endMs: number, lines: string[]}>} Cues
+     */
+    buildCues(words, options = {}) {
+        const { maxLineLength, maxLines, maxCueDurationMs } = { ...DEFAULT_SUBTITLE_OPTIONS, ...options };
+        const cues = [];
+        let current = null;
+
+        for (const word of words) {
+            if (current) {
+                const lines = this.appendWord(current.lines, word.text, maxLineLength, maxLines);
+                const tooLong = word.endMs - current.startMs > maxCueDurationMs;
+
+                if (lines && !tooLong && !current.sentenceEnded) {
+                    current.lines = lines;
+                    current.endMs = Math.max(current.endMs, word.endMs);
+                    current.sentenceEnded = SENTENCE_END_PATTERN.test(word.text);
+                    continue;
+                }
+
+                cues.push(current);
+            }
+
+            current = {
+                startMs: word.startMs,
+                endMs: word.endMs,
+                lines: [word.text],
+                sentenceEnded: SENTENCE_END_PATTERN.test(word.text)
+            };
+        }
+
+        if (current) {
+            cues.push(current);
+        }
+
+        // Keep cues from overlapping and never let one end before it starts
+        return cues.map((cue, i) => {
+            const next = cues[i + 1];
+            const endMs = next ? Math.min(cue.endMs, next.startMs) : cue.endMs;
+            return {
+                startMs: Math.round(cue.startMs),
+                endMs: Math.round(Math.max(endMs, cue.startMs + 1)),
+                lines: cue.lines
+            };
+        });
+    }
+
+    /**
+     * Add a word to the last line, or start a new line when it does not fit
+     * @returns {string[]|null} New lines, or null if the cue is full
+     */
+    appendWord(lines, text, maxLineLength, maxLines) {
+        const last = lines[lines.length - 1];
+        if (last.length + 1 + text.length <= maxLineLength) {
+            return [...lines.slice(0, -1), `${last} ${text}`];
+        }
+        if (lines.length < maxLines) {
+            return [...lines, text];
+        }
+        return null;
+    }
+
+    /**
+     * Format milliseconds as a subtitle timestamp
+     * @param {number} ms - Time in milliseconds
+     * @param {string} separator - ',' for SRT, '.' for WebVTT
+     * @returns {string} Timestamp such as 00:01:02,345
+     */
+    formatTimestamp(ms, separator = ',') {
+        const total = Math.max(0, Math.round(ms));
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor((total % 3600000) / 60000);
+        const seconds = Math.floor((total % 60000) / 1000);
+        const millis = total % 1000;
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+    }
+
+    /**
+     * Render cues as SubRip (.srt)
+     * @param {Array} cues - Cues from buildCues()
+     * @returns {string} SRT document
+     */
+    toSRT(cues) {
+        return cues.map((cue, i) => [
+            String(i + 1),
+            `${this.formatTimestamp(cue.startMs, ',')} --> ${this.formatTimestamp(cue.endMs, ',')}`,
+            ...cue.lines
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Render cues as WebVTT (.vtt)
+     * @param {Array} cues - Cues from buildCues()
+     * @returns {string} WebVTT document
+     */
+    toVTT(cues) {
+        const body = cues.map(cue => [
+            `${this.formatTimestamp(cue.startMs, '.')} --> ${this.formatTimestamp(cue.endMs, '.')}`,
+            ...cue.lines
+        ].join('\n')).join('\n\n');
+
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    /**
+     * Render cues in a subtitle format
+     * @param {Array} cues - Cues from buildCues()
+     * @param {string} format - 'srt' or 'vtt'
+     * @returns {string} Subtitle document
+     */
+    render(cues, format) {
+        if (format === 'srt') {
+            return this.toSRT(cues);
+        }
+        if (format === 'vtt') {
+            return this.toVTT(cues);
+        }
+        throw new Error(`Unsupported subtitle format: ${format}`);
+    }
+}
+
+module.exports = SubtitleBuilder;
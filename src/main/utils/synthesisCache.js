@@ -0,0 +1,229 @@
+const { promises: fs } = require('fs');
+const { join, extname } = require('path');
+const crypto = require('crypto');
+
+/**
+ * Synthesis Cache
+ * Keeps the audio of synthesized chunks on disk, keyed by a hash of
+ * everything that changes the audio (text after normalization and lexicon,
+ * voice, rate, pitch, volume, style and engine). Re-converting an edited
+ * script only synthesizes the chunks that changed. The least recently used
+ * entries are removed once the cache grows past its size limit. The cache
+ * directory is supplied by the caller so this class has no Electron dependency.
+ */
+
+// 2: engine MP3 output is converted before it is stored, so entries of version 1 may hold MP3 data in .wav files
+const INDEX_VERSION = 2;
+const INDEX_FILE = 'index.json';
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+
+class SynthesisCache {
+    /**
+     * @param {string} directory - Directory holding the audio files and index
+     * @param {number} maxBytes - Size limit for the cached audio
+     */
+    constructor(directory, maxBytes = DEFAULT_MAX_BYTES) {
+        this.directory = directory;
+        this.indexPath = join(directory, INDEX_FILE);
+        this.maxBytes = maxBytes;
+        this.entries = null;
+        this.loadingPromise = null;
+        this.hits = 0;
+        this.misses = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Build the cache key for a chunk
+     * @param {Object} params - text, voiceId, speed, pitch, volume, inputMode, style, styleDegree, role, engine and format
+     * @returns {string} Hex SHA-256 digest
+     */
+    createKey(params) {
+        const fields = ['engine', 'voiceId', 'inputMode', 'speed', 'pitch', 'volume', 'style', 'styleDegree', 'role', 'format', 'text'];
+        const normalized = fields.map(field => (params[field] === undefined ? null : params[field]));
+        return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+    }
+
+    /**
+     * Read the index once. Chunks synthesized in parallel share the pending
+     * read so they all write into the same entries object.
+     * @returns {Promise<Object>} Entries keyed by cache key
+     */
+    async load() {
+        if (!this.entries) {
+            if (!this.loadingPromise) {
+                this.loadingPromise = this.readIndex();
+            }
+            const entries = await this.loadingPromise;
+            // clear() may have emptied the cache while the index was read
+            if (!this.entries) {
+                this.entries = entries;
+            }
+        }
+
+        return this.entries;
+    }
+
+    /**
+     * Read the index from disk. A missing index means an empty cache; an
+     * unreadable or outdated one empties the directory so no file is left untracked.
+     * @returns {Promise<Object>} Entries keyed by cache key
+     */
+    async readIndex() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+            if (!data || data.version !== INDEX_VERSION || !data.entries || typeof data.entries !== 'object') {
+                throw new Error('Unsupported synthesis cache index');
+            }
+            return data.entries;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Resetting unreadable synthesis cache:', error.message);
+                await fs.rm(this.directory, { recursive: true, force: true });
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Copy cached audio for a key to the output path
+     * @param {string} key - Cache key from createKey()
+     * @param {string} outputPath - Where the chunk's audio is expected
+     * @returns {Promise<{boundaries: Array}|null>} Word boundaries stored with the audio, or null on a miss
+     */
+    async get(key, outputPath) {
+        const entries = await this.load();
+        const entry = entries[key];
+
+        if (entry) {
+            try {
+                await fs.copyFile(join(this.directory, entry.file), outputPath);
+                entry.lastUsed = Date.now();
+                this.hits++;
+                await this.saveIndex();
+                return { boundaries: entry.boundaries || [] };
+            } catch (error) {
+                // The audio file is gone; forget the entry
+                delete entries[key];
+                await this.saveIndex();
+            }
+        }
+
+        this.misses++;
+        return null;
+    }
+
+    /**
+     * Store synthesized audio under a key and evict old entries past the limit
+     * @param {string} key - Cache key from createKey()
+     * @param {string} sourcePath - Synthesized chunk audio
+     * @param {Object} metadata - Word boundaries reported by the engine
+     * @returns {Promise<boolean>} False when the audio alone exceeds the size limit
+     */
+    async put(key, sourcePath, metadata = {}) {
+        const entries = await this.load();
+        const { size } = await fs.stat(sourcePath);
+
+        if (size > this.maxBytes) {
+            return false;
+        }
+
+        const file = `${key}${extname(sourcePath)}`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.copyFile(sourcePath, join(this.directory, file));
+
+        entries[key] = {
+            file,
+            size,
+            lastUsed: Date.now(),
+            boundaries: metadata.boundaries && metadata.boundaries.length > 0 ? metadata.boundaries : undefined
+        };
+
+        await this.evict();
+        await this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Remove least recently used entries until the cache fits its limit
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async evict() {
+        const entries = await this.load();
+        const byAge = Object.entries(entries).sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+        let total = byAge.reduce((sum, [, entry]) => sum + entry.size, 0);
+        let removed = 0;
+
+        for (const [key, entry] of byAge) {
+            if (total <= this.maxBytes) {
+                break;
+            }
+
+            delete entries[key];
+            total -= entry.size;
+            removed++;
+            await fs.rm(join(this.directory, entry.file), { force: true });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Change the size limit and evict entries that no longer fit
+     * @param {number} maxBytes - New size limit
+     */
+    async setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        if (await this.evict() > 0) {
+            await this.saveIndex();
+        }
+    }
+
+    /**
+     * Delete every cached chunk
+     * @returns {Promise<Object>} Statistics of the empty cache
+     */
+    async clear() {
+        await this.writeQueue;
+        await fs.rm(this.directory, { recursive: true, force: true });
+        this.entries = {};
+        this.hits = 0;
+        this.misses = 0;
+        return this.getStats();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<{entries: number, sizeBytes: number, maxBytes: number, hits: number, misses: number}>}
+     *          Hits and misses are counted since the app started or the cache was cleared
+     */
+    async getStats() {
+        const entries = Object.values(await this.load());
+
+        return {
+            entries: entries.length,
+            sizeBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+
+    /**
+     * Write the index; writes are queued so parallel chunks do not interleave
+     */
+    saveIndex() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.mkdir(this.directory, { recursive: true });
+                await fs.writeFile(this.indexPath, JSON.stringify({ version: INDEX_VERSION, entries: this.entries }), 'utf8');
+            })
+            .catch(error => {
+                console.warn('Failed to write synthesis cache index:', error.message);
+            });
+
+        return this.writeQueue;
+    }
+}
+
+module.exports = SynthesisCache;
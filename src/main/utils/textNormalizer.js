@@ -0,0 +1,443 @@
+/**
+ * Text Normalizer
+ * Rewrites numbers, amounts, dates, times, units, addresses and
+ * abbreviations as the words a voice should say, so every voice reads
+ * "3/4" or "Dr." the same way. Each rule can be switched off on its own.
+ * The spelling for each language lives in normalizationLanguages.js; text
+ * in other languages passes through unchanged. Kept free of Electron
+ * dependencies so it can be unit tested.
+ */
+
+const { getLanguage, spellDigits, MAX_SPELLED_NUMBER, SUPPORTED_LANGUAGES } = require('./normalizationLanguages');
+
+// Rules in the order they run; earlier rules write out the numbers they consume
+const RULES = ['emails', 'urls', 'currency', 'dates', 'times', 'units', 'ordinals', 'abbreviations', 'numbers'];
+
+// Locales that write numeric dates month first
+const MONTH_FIRST_LOCALES = ['en-US', 'en-PH'];
+
+const CURRENCY_SYMBOLS = { 'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'INR', 'MXN'];
+
+// Alternative spellings of unit symbols
+const UNIT_ALIASES = { L: 'l', mL: 'ml', lbs: 'lb', kph: 'km/h', hrs: 'hr', 'ºC': '°C', 'ºF': '°F' };
+
+const TIME_PERIOD = '([AaPp])\\.?\\s?[Mm](?![A-Za-z])\\.?';
+
+const ADDRESS_SYMBOLS = { '.': 'dot', '@': 'at', '/': 'slash', '-': 'dash', '_': 'underscore', ':': 'colon',
+    '?': 'question', '=': 'equals', '&': 'ampersand', '#': 'hash', '+': 'plus' };
+
+const URL_PATTERN = new RegExp(
+    '\\b(?:https?:\\/\\/|www\\.)[^\\s<>"\'()]+' +
+    '|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:com|org|net|edu|gov|info|io|dev|app|co\\.uk|co|uk|de|fr|es|ca|au|mx)\\b(?:\\/[^\\s<>"\'()]*)?',
+    'gi'
+);
+
+const EMAIL_PATTERN = /(?<![\w.+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+class TextNormalizer {
+    constructor() {
+        // Regular expressions that depend on a language's number format, built on first use
+        this.patternCache = new Map();
+    }
+
+    /**
+     * Get the names of the normalization rules in the order they run
+     * @returns {string[]} Rule names
+     */
+    getRules() {
+        return [...RULES];
+    }
+
+    /**
+     * Get a rule set with every rule enabled
+     * @returns {Object} Map of rule name to true
+     */
+    getDefaultRules() {
+        return Object.fromEntries(RULES.map(rule => [rule, true]));
+    }
+
+    /**
+     * Get the languages that have normalization rules
+     * @returns {string[]} Language codes
+     */
+    getSupportedLanguages() {
+        return [...SUPPORTED_LANGUAGES];
+    }
+
+    /**
+     * Check whether text in a locale can be normalized
+     * @param {string} locale - Locale such as 'en-US'
+     * @returns {boolean} True when the locale's language has rules
+     */
+    isSupported(locale) {
+        return Boolean(getLanguage(this.parseLocale(locale).language));
+    }
+
+    /**
+     * Rewrite text as it should be spoken
+     * @param {string} text - Plain text to normalize
+     * @param {Object} options - Normalization options
+     * @param {string} options.locale - Locale of the voice reading the text, e.g. 'en-GB'
+     * @param {Object} [options.rules] - Map of rule name to boolean; missing rules are enabled
+     * @returns {{text: string, language: string|null, replacements: number}} Normalized text and how many replacements were made
+     */
+    normalize(text, options = {}) {
+        const { language, region } = this.parseLocale(options.locale);
+        const lang = getLanguage(language);
+
+        if (!lang || typeof text !== 'string' || !text) {
+            return { text: typeof text === 'string' ? text : '', language: lang ? lang.code : null, replacements: 0 };
+        }
+
+        const rules = { ...this.getDefaultRules(), ...(options.rules || {}) };
+        const context = { lang, region, locale: `${language}-${region}`, patterns: this.getPatterns(lang), replacements: 0 };
+        let result = text;
+
+        for (const rule of RULES) {
+            if (rules[rule]) {
+                result = this.applyRule(rule, result, context);
+            }
+        }
+
+        return { text: result, language: lang.code, replacements: context.replacements };
+    }
+
+    /**
+     * Split a locale into language and region
+     * @param {string} locale - Locale such as 'en-US' or 'es_MX'
+     * @returns {{language: string, region: string}} Lower-case language and upper-case region
+     */
+    parseLocale(locale) {
+        const [language = '', region = ''] = String(locale || '').split(/[-_]/);
+        return { language: language.toLowerCase(), region: region.toUpperCase() };
+    }
+
+    /**
+     * Run one rule over the text
+     * @param {string} rule - Rule name
+     * @param {string} text - Text to rewrite
+     * @param {Object} context - Language, region, patterns and replacement counter
+     * @returns {string} Rewritten text
+     */
+    applyRule(rule, text, context) {
+        const replace = (source, pattern, callback) => source.replace(pattern, (...args) => {
+            const match = args[0];
+            const replacement = callback(...args);
+            if (replacement !== match) context.replacements++;
+            return replacement;
+        });
+
+        switch (rule) {
+            case 'emails':
+                return replace(text, EMAIL_PATTERN, (email) => this.speakAddress(email, context.lang));
+            case 'urls':
+                return replace(text, URL_PATTERN, (url) => this.speakUrl(url, context.lang));
+            case 'currency':
+                text = replace(text, context.patterns.currencyBefore, (match, sign, symbol, amount, scale) =>
+                    this.speakMoney(symbol.trim(), sign, amount, scale, context) || match);
+                return replace(text, context.patterns.currencyAfter, (match, sign, amount, symbol) =>
+                    this.speakMoney(symbol, sign, amount, null, context) || match);
+            case 'dates':
+                return this.applyDates(text, context, replace);
+            case 'times':
+                return this.applyTimes(text, context, replace);
+            case 'units':
+                return replace(text, context.patterns.units, (match, sign, amount, unit) => this.speakUnit(sign, amount, unit, context) || match);
+            case 'ordinals':
+                if (!context.lang.ordinalPattern) return text;
+                return replace(text, context.lang.ordinalPattern, (match, digits, suffix) =>
+                    (Number(digits) <= MAX_SPELLED_NUMBER ? context.lang.ordinalWord(Number(digits), suffix) : match));
+            case 'abbreviations':
+                for (const { pattern, expansion, keepsStop } of context.patterns.abbreviations) {
+                    text = replace(text, pattern, (match, offset, source) =>
+                        (keepsStop && this.endsSentence(source, offset + match.length) ? `${expansion}.` : expansion));
+                }
+                return text;
+            case 'numbers':
+                text = replace(text, context.patterns.fraction, (match, numerator, denominator) => {
+                    const top = Number(numerator);
+                    const bottom = Number(denominator);
+                    return top > 0 && top < bottom ? context.lang.fraction(top, bottom) : match;
+                });
+                return replace(text, context.patterns.number, (match, sign, amount) =>
+                    this.speakNumber(sign, amount, context.lang, { allowYear: true }));
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Build the regular expressions that depend on a language's number format
+     * @param {Object} lang - Language rules
+     * @returns {Object} Compiled patterns
+     */
+    getPatterns(lang) {
+        if (this.patternCache.has(lang.code)) {
+            return this.patternCache.get(lang.code);
+        }
+
+        const groups = lang.groupSeparators.map(escapeRegExp).join('');
+        const decimal = escapeRegExp(lang.decimalSeparator);
+        const amount = `(\\d{1,3}(?:[${groups}]\\d{3})+|\\d+)(?:${decimal}(\\d+))?`;
+        const amountText = `((?:\\d{1,3}(?:[${groups}]\\d{3})+|\\d+)(?:${decimal}\\d+)?)`;
+        const sign = '(-)?';
+        const space = '[ \\u00a0\\u202f]?';
+        const end = '(?![\\w]|[.,]\\d)';
+
+        const symbols = Object.keys(CURRENCY_SYMBOLS).map(escapeRegExp).join('|');
+        const codes = CURRENCY_CODES.join('|');
+        const scales = Object.keys(lang.scales).join('|');
+
+        const units = [...Object.keys(lang.units), ...Object.keys(UNIT_ALIASES)]
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|');
+
+        const patterns = {
+            amount: new RegExp(`^${amount}$`),
+            currencyBefore: new RegExp(`(?:(?<![\\w.,])(-))?(${symbols}|\\b(?:${codes})${space})${amountText}(?:\\s+(${scales})\\b)?${end}`, 'g'),
+            currencyAfter: new RegExp(`(?<![\\w.,])${sign}${amountText}${space}(${symbols}|(?:${codes})\\b)`, 'g'),
+            units: new RegExp(`(?<![\\w.,])${sign}${amountText}${space}(${units})(?![\\w/])`, 'g'),
+            fraction: /(?<![\w/.,])(\d{1,3})\/(\d{1,3})(?![\w/]|[.,]\d)/g,
+            number: new RegExp(`(?<![\\w.,])${sign}${amountText}${end}`, 'g'),
+            abbreviations: lang.abbreviations.map(([abbreviation, expansion, mode]) => {
+                const boundary = /\w$/.test(abbreviation) ? '(?![\\w])' : '';
+                const context = mode === true ? '(?=\\s+\\p{Lu})' : mode === 'number' ? '(?=\\s*\\d)' : '';
+                return {
+                    pattern: new RegExp(`(?<![\\w.])${escapeRegExp(abbreviation)}${boundary}${context}`, 'gu'),
+                    expansion,
+                    keepsStop: abbreviation.endsWith('.') && !mode
+                };
+            })
+        };
+
+        this.patternCache.set(lang.code, patterns);
+        return patterns;
+    }
+
+    /**
+     * Split a written amount into its integer and decimal digits
+     * @param {string} amount - Amount as written, e.g. '1,250.50'
+     * @param {Object} lang - Language rules
+     * @returns {{integer: string, decimals: string|null, grouped: boolean}|null} Digits, or null when the amount does not parse
+     */
+    parseAmount(amount, lang) {
+        const match = this.getPatterns(lang).amount.exec(amount);
+        if (!match) return null;
+
+        const integer = match[1].replace(/\D/g, '');
+        return { integer, decimals: match[2] || null, grouped: integer !== match[1] };
+    }
+
+    /**
+     * Write out a number
+     * @param {string} sign - '-' for negative numbers
+     * @param {string} amount - Amount as written
+     * @param {Object} lang - Language rules
+     * @param {Object} [options] - Reading options
+     * @param {boolean} [options.allowYear] - Read plain four-digit numbers as years
+     * @param {string} [options.gender] - Gender of the noun being counted
+     * @returns {string} Spoken form
+     */
+    speakNumber(sign, amount, lang, options = {}) {
+        const parsed = this.parseAmount(amount, lang);
+        if (!parsed) return `${sign || ''}${amount}`;
+
+        const { integer, decimals, grouped } = parsed;
+        const value = Number(integer);
+        let words;
+
+        if ((integer.length > 1 && integer.startsWith('0') && !decimals) || value > MAX_SPELLED_NUMBER) {
+            // Codes and very long numbers are read digit by digit
+            words = spellDigits(integer, lang.digits);
+        } else if (options.allowYear && !grouped && !decimals && !sign && integer.length === 4) {
+            words = lang.year(value);
+        } else if (!decimals && options.gender !== undefined) {
+            words = lang.count(value, options.gender);
+        } else {
+            words = lang.cardinal(value);
+        }
+
+        if (decimals) {
+            words += ` ${lang.point} ${lang.decimals(decimals)}`;
+        }
+
+        return sign ? `${lang.minus} ${words}` : words;
+    }
+
+    /**
+     * Write out an amount of money
+     * @param {string} symbol - Currency symbol or ISO code
+     * @param {string} sign - '-' for negative amounts
+     * @param {string} amount - Amount as written
+     * @param {string|null} scale - Scale word following the amount, e.g. 'million'
+     * @param {Object} context - Normalization context
+     * @returns {string|null} Spoken form, or null when the currency is unknown
+     */
+    speakMoney(symbol, sign, amount, scale, context) {
+        const { lang, region } = context;
+        let code = CURRENCY_SYMBOLS[symbol] || symbol.toUpperCase();
+        if (symbol === '$' && lang.dollarRegions && lang.dollarRegions[region]) {
+            code = lang.dollarRegions[region];
+        }
+
+        const currency = lang.currencies[code];
+        const parsed = this.parseAmount(amount, lang);
+        if (!currency || !parsed) return null;
+
+        const negative = sign ? `${lang.minus} ` : '';
+
+        if (scale) {
+            return negative + lang.money({ major: this.speakNumber('', amount, lang), scale }, currency);
+        }
+
+        const { integer, decimals } = parsed;
+        const value = Number(integer);
+        if (value > MAX_SPELLED_NUMBER || (decimals && (!currency.minor || decimals.length > 2))) {
+            return `${negative}${this.speakNumber('', amount, lang)} ${currency.major[1]}`;
+        }
+
+        const minorValue = decimals ? Number(decimals.padEnd(2, '0')) : 0;
+        const major = value > 0 || minorValue === 0
+            ? `${lang.count(value, currency.gender)} ${value === 1 ? currency.major[0] : currency.major[1]}`
+            : '';
+        const minor = minorValue > 0
+            ? `${lang.count(minorValue)} ${minorValue === 1 ? currency.minor[0] : currency.minor[1]}`
+            : '';
+
+        return negative + lang.money({ major, minor }, currency);
+    }
+
+    /**
+     * Write out numeric dates (2024-03-04, 04/03/2024) and dates with month names
+     * @param {string} text - Text to rewrite
+     * @param {Object} context - Normalization context
+     * @param {Function} replace - Replace helper that counts replacements: (text, pattern, callback)
+     * @returns {string} Rewritten text
+     */
+    applyDates(text, context, replace) {
+        const { lang, region } = context;
+        const speak = (match, day, month, year) => {
+            if (month < 1 || month > 12 || day < 1 || day > 31) return match;
+            return lang.date(day, month, year, region);
+        };
+
+        text = replace(text, /(?<![\d/.-])(\d{4})-(\d{1,2})-(\d{1,2})(?![\d/-])/g, (match, year, month, day) =>
+            speak(match, Number(day), Number(month), Number(year)));
+
+        const monthFirst = MONTH_FIRST_LOCALES.includes(context.locale);
+        text = replace(text, /(?<![\d/.-])(\d{1,2})([/.-])(\d{1,2})\2(\d{4})(?![\d/-])/g, (match, first, separator, second, year) =>
+            (monthFirst
+                ? speak(match, Number(second), Number(first), Number(year))
+                : speak(match, Number(first), Number(second), Number(year))));
+
+        for (const pattern of lang.textDates) {
+            text = replace(text, pattern, (...args) => {
+                const { day, month, year } = args[args.length - 1];
+                return speak(args[0], Number(day), lang.months.indexOf(month) + 1, year ? Number(year) : null);
+            });
+        }
+
+        return text;
+    }
+
+    /**
+     * Write out clock times (15:30, 3:30 pm, 9am)
+     * @param {string} text - Text to rewrite
+     * @param {Object} context - Normalization context
+     * @param {Function} replace - Replace helper that counts replacements: (text, pattern, callback)
+     * @returns {string} Rewritten text
+     */
+    applyTimes(text, context, replace) {
+        const { lang } = context;
+        const speak = (match, hours, minutes, period, offset, source) => {
+            const periodName = period ? (period.toLowerCase() === 'a' ? 'am' : 'pm') : null;
+            if (periodName && (hours < 1 || hours > 12)) return match;
+
+            const spoken = lang.time(hours, minutes, periodName);
+            return match.endsWith('.') && this.endsSentence(source, offset + match.length) ? `${spoken}.` : spoken;
+        };
+
+        const clockWord = lang.clockWord ? `(?:\\s?${lang.clockWord}\\b)?` : '';
+        text = replace(text, new RegExp(`(?<![\\d:.,])([01]?\\d|2[0-3]):([0-5]\\d)(?::[0-5]\\d)?(?:\\s?${TIME_PERIOD})?${clockWord}(?![\\d:])`, 'g'),
+            (match, hours, minutes, period, offset, source) => speak(match, Number(hours), Number(minutes), period, offset, source));
+
+        text = replace(text, new RegExp(`(?<![\\w:.,])(1[0-2]|0?[1-9])\\s?${TIME_PERIOD}`, 'g'),
+            (match, hours, period, offset, source) => speak(match, Number(hours), 0, period, offset, source));
+
+        if (lang.timePattern) {
+            text = replace(text, lang.timePattern, (match, hours, minutes, offset, source) =>
+                speak(match, Number(hours), Number(minutes || 0), null, offset, source));
+        }
+
+        return text;
+    }
+
+    /**
+     * Write out a measurement
+     * @param {string} sign - '-' for negative values
+     * @param {string} amount - Amount as written
+     * @param {string} unit - Unit symbol
+     * @param {Object} context - Normalization context
+     * @returns {string|null} Spoken form, or null when the unit is unknown
+     */
+    speakUnit(sign, amount, unit, context) {
+        const { lang, region } = context;
+        const names = lang.units[UNIT_ALIASES[unit] || unit];
+        const parsed = this.parseAmount(amount, lang);
+        if (!names || !parsed) return null;
+
+        const [singular, plural, gender = 'm'] = names;
+        const isOne = !sign && !parsed.decimals && parsed.integer === '1';
+        const quantity = this.speakNumber(sign, amount, lang, { gender });
+
+        return `${quantity} ${lang.unitName(isOne ? singular : plural, region)}`;
+    }
+
+    /**
+     * Spell out a web address, dropping the protocol
+     * @param {string} url - URL as written
+     * @param {Object} lang - Language rules
+     * @returns {string} Spoken form followed by any trailing punctuation
+     */
+    speakUrl(url, lang) {
+        const [, address, trailing] = /^(.*?)([.,;:!?]*)$/.exec(url);
+        const spoken = this.speakAddress(address.replace(/^https?:\/\//i, '').replace(/\/$/, ''), lang);
+        return spoken + trailing;
+    }
+
+    /**
+     * Spell out an e-mail or web address symbol by symbol
+     * @param {string} address - Address without protocol
+     * @param {Object} lang - Language rules
+     * @returns {string} Spoken form
+     */
+    speakAddress(address, lang) {
+        return address
+            .split(/([.@/_\-:?=&#+])/)
+            .filter(Boolean)
+            .map(part => {
+                if (ADDRESS_SYMBOLS[part]) return lang.symbols[ADDRESS_SYMBOLS[part]];
+                return part.toLowerCase() === 'www' ? lang.symbols.www : part;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Check whether a full stop at this position also ends the sentence
+     * @param {string} text - Source text
+     * @param {number} index - Position just after the full stop
+     * @returns {boolean} True at the end of the text or before a capitalised word
+     */
+    endsSentence(text, index) {
+        const following = /\s*(\S|$)/uy;
+        following.lastIndex = index;
+        const [spacing, next] = following.exec(text);
+        return next === '' || (spacing.length > 1 && /\p{Lu}/u.test(next));
+    }
+}
+
+module.exports = TextNormalizer;
@@ -0,0 +1,344 @@
+/**
+ * Text Segmenter
+ * Splits plain text into sentences and packs them into chunks no longer
+ * than the engine limit, so chunk seams fall where a reader would pause
+ * anyway. Handles abbreviations, initials, decimals, closing quotes,
+ * paragraph breaks and the sentence punctuation of CJK, Arabic-script and
+ * Indic text. Kept free of Electron dependencies so it can be unit tested.
+ */
+
+// Ways of choosing chunk boundaries
+const STRATEGIES = ['paragraph', 'sentence', 'fixed'];
+
+const DEFAULT_STRATEGY = 'sentence';
+
+// Sentence-ending punctuation: Latin, CJK full-width, Arabic/Urdu, Devanagari, Armenian and Ethiopic
+const TERMINATOR_PATTERN = /[.!?…‼⁇⁈⁉。！？｡．؟۔।॥։።]+/gu;
+
+// Full-width terminators end a sentence even when no space follows
+const FULL_WIDTH_TERMINATORS = /^[。！？｡．‼]+$/u;
+
+// Closing quotes and brackets that belong to the sentence before them, including French spaced guillemets
+const CLOSING_PUNCTUATION = /^(?:[ \u00a0\u202f]*[»›])?["'”’»›)\]}」』）】〕〉》]*/u;
+
+// Characters read past the limit so the word crossing it is segmented whole
+const LOOKAHEAD = 32;
+
+// Clause punctuation tried before spaces when a single sentence is too long
+const CLAUSE_BREAK_PATTERN = /[,;:–—]\s+|[，、；：]/gu;
+
+// Words that end with a full stop without ending the sentence (compared in lower case, without the final stop)
+const ABBREVIATIONS = new Set([
+    // English
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'mt', 'vs', 'fig', 'figs', 'vol', 'cf', 'approx',
+    'e.g', 'i.e', 'jan', 'feb', 'apr', 'aug', 'sept', 'oct', 'nov', 'dec',
+    // Spanish
+    'sra', 'srta', 'dra', 'ud', 'uds', 'ej', 'pág', 'aprox',
+    // French
+    'mme', 'mlle', 'env', 'av', 'p.ex',
+    // German
+    'hr', 'bzw', 'ca', 'vgl', 'z.b', 'd.h', 'u.a', 'ggf'
+]);
+
+// Abbreviations that only continue the sentence before a number: "No. 5", "Nr. 3"
+const NUMBER_ABBREVIATIONS = new Set(['no', 'nos', 'nr', 'núm', 'art', 'pp']);
+
+const hasSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+
+class TextSegmenter {
+    constructor() {
+        // Word and grapheme segmenters find safe cut points in text without spaces (CJK, Thai)
+        this.wordSegmenter = hasSegmenter ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+        this.graphemeSegmenter = hasSegmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+    }
+
+    /**
+     * Get the names of the chunking strategies
+     * @returns {string[]} Strategy names
+     */
+    getStrategies() {
+        return [...STRATEGIES];
+    }
+
+    /**
+     * Check whether a chunking strategy exists
+     * @param {string} strategy - Strategy name
+     * @returns {boolean} True for 'paragraph', 'sentence' and 'fixed'
+     */
+    isValidStrategy(strategy) {
+        return STRATEGIES.includes(strategy);
+    }
+
+    /**
+     * Split text into chunks no longer than maxLength
+     * 'paragraph' keeps paragraphs whole where they fit, 'sentence' keeps
+     * sentences whole and prefers to end chunks at paragraph breaks, 'fixed'
+     * fills each chunk and only keeps words whole.
+     * @param {string} text - Plain text
+     * @param {number} maxLength - Maximum characters per chunk
+     * @param {string} strategy - 'paragraph', 'sentence' (default) or 'fixed'
+     * @returns {string[]} Trimmed, non-empty chunks in order
+     */
+    split(text, maxLength, strategy = DEFAULT_STRATEGY) {
+        if (text.length <= maxLength) {
+            return [text];
+        }
+
+        if (strategy === 'fixed') {
+            return this.splitRange(text, 0, text.length, maxLength, false);
+        }
+
+        const units = [];
+        for (const paragraph of this.findParagraphs(text)) {
+            if (strategy === 'paragraph' && paragraph.end - paragraph.start <= maxLength) {
+                units.push({ ...paragraph, paragraphEnd: true });
+            } else {
+                units.push(...this.findSentences(text, paragraph.start, paragraph.end));
+            }
+        }
+
+        return this.packUnits(text, units, maxLength);
+    }
+
+    /**
+     * Split text into sentences
+     * @param {string} text - Plain text
+     * @returns {string[]} Trimmed sentences in order
+     */
+    segment(text) {
+        return this.findParagraphs(text)
+            .flatMap(paragraph => this.findSentences(text, paragraph.start, paragraph.end))
+            .map(sentence => text.slice(sentence.start, sentence.end));
+    }
+
+    /**
+     * Find paragraphs, which are separated by blank lines
+     * @param {string} text - Plain text
+     * @returns {Array<{start: number, end: number}>} Trimmed paragraph ranges
+     */
+    findParagraphs(text) {
+        const paragraphs = [];
+        const separator = /\n[ \t\r]*\n\s*/g;
+        let start = 0;
+        let match;
+
+        while ((match = separator.exec(text)) !== null) {
+            this.pushTrimmedRange(paragraphs, text, start, match.index);
+            start = match.index + match[0].length;
+        }
+        this.pushTrimmedRange(paragraphs, text, start, text.length);
+
+        return paragraphs;
+    }
+
+    /**
+     * Find the sentences of one paragraph
+     * @param {string} text - Plain text
+     * @param {number} start - Paragraph start
+     * @param {number} end - Paragraph end
+     * @returns {Array<{start: number, end: number, paragraphEnd: boolean}>} Trimmed sentence ranges; the last one ends the paragraph
+     */
+    findSentences(text, start, end) {
+        const paragraph = text.slice(start, end);
+        const sentences = [];
+        let sentenceStart = 0;
+        let match;
+
+        TERMINATOR_PATTERN.lastIndex = 0;
+        while ((match = TERMINATOR_PATTERN.exec(paragraph)) !== null) {
+            const closing = CLOSING_PUNCTUATION.exec(paragraph.slice(match.index + match[0].length));
+            const boundary = match.index + match[0].length + (closing ? closing[0].length : 0);
+
+            if (this.isSentenceEnd(paragraph, match.index, match[0], boundary)) {
+                this.pushTrimmedRange(sentences, text, start + sentenceStart, start + boundary);
+                sentenceStart = boundary;
+            }
+        }
+        this.pushTrimmedRange(sentences, text, start + sentenceStart, end);
+
+        return sentences.map((sentence, index) => ({ ...sentence, paragraphEnd: index === sentences.length - 1 }));
+    }
+
+    /**
+     * Decide whether punctuation ends a sentence
+     * @param {string} paragraph - Paragraph text
+     * @param {number} index - Position of the punctuation
+     * @param {string} terminator - Run of sentence punctuation
+     * @param {number} boundary - Position after the punctuation and any closing quotes
+     * @returns {boolean} True when a new sentence starts at boundary
+     */
+    isSentenceEnd(paragraph, index, terminator, boundary) {
+        if (FULL_WIDTH_TERMINATORS.test(terminator)) {
+            return true;
+        }
+
+        const following = /^(\s*)(\S?)/u.exec(paragraph.slice(boundary, boundary + 16));
+        if (following[2] === '') return true;
+        // "3.14", "e.g.," and "Yahoo!'s" continue the sentence
+        if (following[1] === '') return false;
+        // A lower-case word after the stop continues the sentence: '"Stop!" he said'
+        if (/\p{Ll}/u.test(following[2])) return false;
+
+        if (terminator === '.') {
+            const word = /[\p{L}.]+$/u.exec(paragraph.slice(Math.max(0, index - 20), index));
+            if (word) {
+                const token = word[0].toLowerCase();
+                // Initials such as "J. R. R. Tolkien"
+                if (/^\p{L}$/u.test(token) || ABBREVIATIONS.has(token)) return false;
+                if (NUMBER_ABBREVIATIONS.has(token) && /\d/.test(following[2])) return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Pack sentence or paragraph ranges into chunks
+     * @param {string} text - Plain text
+     * @param {Array<{start: number, end: number, paragraphEnd: boolean}>} units - Ranges in order
+     * @param {number} maxLength - Maximum characters per chunk
+     * @returns {string[]} Chunks
+     */
+    packUnits(text, units, maxLength) {
+        const chunks = [];
+        let i = 0;
+
+        while (i < units.length) {
+            const first = units[i];
+
+            if (first.end - first.start > maxLength) {
+                chunks.push(...this.splitRange(text, first.start, first.end, maxLength, true));
+                i++;
+                continue;
+            }
+
+            let last = i;
+            while (last + 1 < units.length && units[last + 1].end - first.start <= maxLength) {
+                last++;
+            }
+
+            // End at a paragraph break instead when that still fills half the chunk
+            if (last + 1 < units.length && !units[last].paragraphEnd) {
+                for (let k = last - 1; k >= i; k--) {
+                    if (units[k].paragraphEnd && units[k].end - first.start >= maxLength / 2) {
+                        last = k;
+                        break;
+                    }
+                }
+            }
+
+            chunks.push(text.slice(first.start, units[last].end));
+            i = last + 1;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Split a range that has no usable sentence boundary
+     * Cuts after clause punctuation (when preferClauses is set), then at
+     * spaces, then between words of scripts written without spaces, and only
+     * splits a word when nothing else fits.
+     * @param {string} text - Plain text
+     * @param {number} start - Range start
+     * @param {number} end - Range end
+     * @param {number} maxLength - Maximum characters per chunk
+     * @param {boolean} preferClauses - Try clause punctuation before spaces
+     * @returns {string[]} Trimmed, non-empty pieces
+     */
+    splitRange(text, start, end, maxLength, preferClauses) {
+        const pieces = [];
+        let position = start;
+
+        while (end - position > maxLength) {
+            const window = text.slice(position, Math.min(end, position + maxLength + LOOKAHEAD));
+            const cut = (preferClauses ? this.findLastClauseBreak(window, maxLength) : 0) ||
+                this.findLastSpace(window, maxLength) ||
+                this.findLastWordBreak(window, maxLength) ||
+                this.findLastGraphemeBreak(window, maxLength);
+
+            this.pushTrimmedPiece(pieces, text.slice(position, position + cut));
+            position += cut;
+        }
+        this.pushTrimmedPiece(pieces, text.slice(position, end));
+
+        return pieces;
+    }
+
+    /**
+     * Find the last clause break in the second half of a window
+     * @returns {number} Cut offset, or 0 when there is none
+     */
+    findLastClauseBreak(window, maxLength) {
+        let cut = 0;
+        let match;
+
+        CLAUSE_BREAK_PATTERN.lastIndex = 0;
+        while ((match = CLAUSE_BREAK_PATTERN.exec(window)) !== null) {
+            const offset = match.index + match[0].length;
+            if (offset > maxLength) break;
+            if (offset >= maxLength / 2) cut = offset;
+        }
+
+        return cut;
+    }
+
+    /**
+     * Find the last space that keeps the piece within maxLength
+     * @returns {number} Cut offset, or 0 when there is none
+     */
+    findLastSpace(window, maxLength) {
+        for (let i = Math.min(maxLength, window.length - 1); i > 0; i--) {
+            if (/\s/.test(window[i])) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * Find the last word boundary in text written without spaces
+     * @returns {number} Cut offset, or 0 when there is none
+     */
+    findLastWordBreak(window, maxLength) {
+        if (!this.wordSegmenter) return 0;
+
+        let cut = 0;
+        for (const { index } of this.wordSegmenter.segment(window)) {
+            if (index > maxLength) break;
+            cut = index;
+        }
+        return cut;
+    }
+
+    /**
+     * Find the last character boundary that does not split a surrogate pair or combining mark
+     * @returns {number} Cut offset, at least one character
+     */
+    findLastGraphemeBreak(window, maxLength) {
+        if (this.graphemeSegmenter) {
+            let cut = 0;
+            for (const { index } of this.graphemeSegmenter.segment(window)) {
+                if (index > maxLength) break;
+                cut = index;
+            }
+            if (cut > 0) return cut;
+        } else {
+            let cut = maxLength;
+            while (cut > 1 && /[\uDC00-\uDFFF\p{M}]/u.test(window[cut])) cut--;
+            return cut;
+        }
+        return maxLength;
+    }
+
+    pushTrimmedRange(ranges, text, start, end) {
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        if (end > start) ranges.push({ start, end });
+    }
+
+    pushTrimmedPiece(pieces, piece) {
+        const trimmed = piece.trim();
+        if (trimmed.length > 0) pieces.push(trimmed);
+    }
+}
+
+module.exports = TextSegmenter;
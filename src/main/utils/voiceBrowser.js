@@ -0,0 +1,168 @@
+/**
+ * Voice Browser
+ * Searches and filters the voice list for the voice browser panel, builds
+ * the filter options shown to the user and picks the sample sentence each
+ * voice reads. Kept free of Electron dependencies so it can be unit tested.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Short sample sentences by language code; regional variants share their language's sentence
+const SAMPLE_SENTENCES = {
+    ar: 'مرحبًا، هذا مثال على صوتي.',
+    bg: 'Здравейте, това е пример за моя глас.',
+    ca: 'Hola, aquesta és una mostra de la meva veu.',
+    cs: 'Dobrý den, toto je ukázka mého hlasu.',
+    cy: 'Helo, dyma enghraifft o fy llais.',
+    da: 'Hej, dette er en prøve på min stemme.',
+    de: 'Hallo, so klingt meine Stimme.',
+    el: 'Γεια σας, αυτό είναι ένα δείγμα της φωνής μου.',
+    en: 'Hello, this is a sample of my voice.',
+    es: 'Hola, esta es una muestra de mi voz.',
+    fa: 'سلام، این نمونه‌ای از صدای من است.',
+    fi: 'Hei, tämä on näyte äänestäni.',
+    fil: 'Kumusta, ito ay isang halimbawa ng aking boses.',
+    fr: 'Bonjour, voici un exemple de ma voix.',
+    he: 'שלום, זו דוגמה של הקול שלי.',
+    hi: 'नमस्ते, यह मेरी आवाज़ का एक नमूना है।',
+    hr: 'Bok, ovo je uzorak mog glasa.',
+    hu: 'Helló, ez a hangom mintája.',
+    id: 'Halo, ini adalah contoh suara saya.',
+    it: 'Ciao, questo è un esempio della mia voce.',
+    ja: 'こんにちは、これは私の声のサンプルです。',
+    ko: '안녕하세요, 제 목소리 샘플입니다.',
+    ms: 'Helo, ini ialah contoh suara saya.',
+    nb: 'Hei, dette er en prøve på stemmen min.',
+    nl: 'Hallo, dit is een voorbeeld van mijn stem.',
+    pl: 'Dzień dobry, to jest próbka mojego głosu.',
+    pt: 'Olá, esta é uma amostra da minha voz.',
+    ro: 'Bună ziua, aceasta este o mostră a vocii mele.',
+    ru: 'Здравствуйте, это образец моего голоса.',
+    sk: 'Dobrý deň, toto je ukážka môjho hlasu.',
+    sv: 'Hej, det här är ett prov på min röst.',
+    ta: 'வணக்கம், இது என் குரலின் மாதிரி.',
+    th: 'สวัสดีครับ นี่คือตัวอย่างเสียงของฉัน',
+    tr: 'Merhaba, bu sesimden bir örnek.',
+    uk: 'Привіт, це зразок мого голосу.',
+    ur: 'ہیلو، یہ میری آواز کا نمونہ ہے۔',
+    vi: 'Xin chào, đây là mẫu giọng nói của tôi.',
+    zh: '你好，这是我的声音示例。'
+};
+
+class VoiceBrowser {
+    /**
+     * Collect the filter options for a voice list with the number of voices for each
+     * @param {Array} voices - Voice list
+     * @returns {{locales: Array, genders: Array, categories: Array, personalities: Array}} Options as {value, count}, sorted by value
+     */
+    getFacets(voices = []) {
+        const count = (values) => {
+            const counts = new Map();
+            for (const value of values) {
+                if (value) {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                }
+            }
+            return [...counts.entries()]
+                .map(([value, total]) => ({ value, count: total }))
+                .sort((a, b) => a.value.localeCompare(b.value));
+        };
+
+        return {
+            locales: count(voices.map(voice => voice.language)),
+            genders: count(voices.map(voice => voice.gender)),
+            categories: count(voices.flatMap(voice => voice.categories || [])),
+            personalities: count(voices.flatMap(voice => voice.personalities || []))
+        };
+    }
+
+    /**
+     * Search and filter voices
+     * @param {Array} voices - Voice list
+     * @param {Object} query - Search options
+     * @param {string} query.text - Words that must all appear in the voice's id, name, locale or tags
+     * @param {string} query.locale - Exact locale ('en-GB') or language ('en')
+     * @param {string} query.gender - Gender
+     * @param {string} query.category - Content category
+     * @param {string} query.personality - Voice personality
+     * @param {boolean} query.favoritesOnly - Only return favorite voices
+     * @param {number} query.offset - Index of the first result to return
+     * @param {number} query.limit - Maximum number of results (default 50)
+     * @param {string[]} favorites - Favorite voice ids
+     * @returns {{voices: Array, total: number, offset: number}} Matching voices with an isFavorite flag; favorites are listed first
+     */
+    search(voices = [], query = {}, favorites = []) {
+        const favoriteIds = new Set(favorites);
+        const terms = String(query.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const locale = String(query.locale || '').toLowerCase();
+        const offset = Math.max(0, Math.floor(Number(query.offset) || 0));
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.limit) || DEFAULT_PAGE_SIZE)));
+
+        const matches = voices.filter(voice => {
+            const language = String(voice.language || '').toLowerCase();
+            if (locale && language !== locale && !language.startsWith(`${locale}-`)) {
+                return false;
+            }
+            if (query.gender && voice.gender !== query.gender) {
+                return false;
+            }
+            if (query.category && !(voice.categories || []).includes(query.category)) {
+                return false;
+            }
+            if (query.personality && !(voice.personalities || []).includes(query.personality)) {
+                return false;
+            }
+            if (query.favoritesOnly && !favoriteIds.has(voice.id)) {
+                return false;
+            }
+            if (terms.length > 0) {
+                const haystack = [
+                    voice.id,
+                    voice.name,
+                    voice.language,
+                    voice.gender,
+                    ...(voice.categories || []),
+                    ...(voice.personalities || [])
+                ].join(' ').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            }
+            return true;
+        });
+
+        // Favorites first, otherwise keep the engine's order
+        const ordered = [
+            ...matches.filter(voice => favoriteIds.has(voice.id)),
+            ...matches.filter(voice => !favoriteIds.has(voice.id))
+        ];
+
+        return {
+            voices: ordered.slice(offset, offset + limit).map(voice => ({ ...voice, isFavorite: favoriteIds.has(voice.id) })),
+            total: ordered.length,
+            offset
+        };
+    }
+
+    /**
+     * Get the sample sentence for a locale, falling back to English
+     * @param {string} locale - Voice locale such as 'fr-CA'
+     * @returns {string} Sample sentence
+     */
+    getSampleSentence(locale) {
+        const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+        return SAMPLE_SENTENCES[language] || SAMPLE_SENTENCES.en;
+    }
+
+    /**
+     * Build a file name for a cached voice sample
+     * @param {string} engineName - Engine that produced the sample
+     * @param {string} voiceId - Voice identifier
+     * @returns {string} Safe file name such as 'edge_en-US-AriaNeural.wav'
+     */
+    getSampleFileName(engineName, voiceId) {
+        const safe = (value) => String(value).replace(/[^A-Za-z0-9_.-]/g, '_');
+        return `${safe(engineName)}_${safe(voiceId)}.wav`;
+    }
+}
+
+module.exports = VoiceBrowser;
@@ -0,0 +1,102 @@
+const { promises: fs } = require('fs');
+const { dirname } = require('path');
+
+/**
+ * Voice Catalog Cache
+ * Keeps the last voice list of every engine on disk so the app can offer
+ * voices immediately at startup and keep working while the engine is
+ * unreachable. The cache file path is supplied by the caller (normally the
+ * user data directory) so this class has no Electron dependency.
+ */
+
+const CACHE_VERSION = 1;
+
+class VoiceCatalogCache {
+    /**
+     * @param {string} cachePath - Path of the JSON cache file
+     */
+    constructor(cachePath) {
+        this.cachePath = cachePath;
+        this.catalogs = null;
+    }
+
+    /**
+     * Read the cache file. A missing, unreadable or outdated file is treated
+     * as an empty cache.
+     * @returns {Promise<Object>} Catalogs keyed by engine name
+     */
+    async load() {
+        if (this.catalogs) {
+            return this.catalogs;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+            this.catalogs = data && data.version === CACHE_VERSION && data.engines && typeof data.engines === 'object'
+                ? data.engines
+                : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Ignoring unreadable voice cache:', error.message);
+            }
+            this.catalogs = {};
+        }
+
+        return this.catalogs;
+    }
+
+    /**
+     * Get the cached voice list of an engine
+     * @param {string} engineName - Concrete engine name
+     * @returns {Promise<{voices: Array, updatedAt: number}|null>} Cached catalog, or null if none
+     */
+    async get(engineName) {
+        const catalogs = await this.load();
+        const catalog = catalogs[engineName];
+
+        if (!catalog || !Array.isArray(catalog.voices) || catalog.voices.length === 0) {
+            return null;
+        }
+
+        return { voices: catalog.voices, updatedAt: catalog.updatedAt || 0 };
+    }
+
+    /**
+     * Store the voice list of an engine
+     * @param {string} engineName - Concrete engine name
+     * @param {Array} voices - Parsed voice list
+     * @returns {Promise<number>} Timestamp stored with the list
+     */
+    async save(engineName, voices) {
+        const catalogs = await this.load();
+        const updatedAt = Date.now();
+        catalogs[engineName] = { updatedAt, voices };
+
+        await fs.mkdir(dirname(this.cachePath), { recursive: true });
+        await fs.writeFile(
+            this.cachePath,
+            JSON.stringify({ version: CACHE_VERSION, engines: catalogs }),
+            'utf8'
+        );
+
+        return updatedAt;
+    }
+
+    /**
+     * Compare two voice lists by voice id
+     * @param {Array} previous - Earlier voice list
+     * @param {Array} current - New voice list
+     * @returns {{added: Array, removed: Array, changed: boolean}} Voices only in the new or only in the old list
+     */
+    diff(previous = [], current = []) {
+        const previousIds = new Set(previous.map(voice => voice.id));
+        const currentIds = new Set(current.map(voice => voice.id));
+
+        const added = current.filter(voice => !previousIds.has(voice.id));
+        const removed = previous.filter(voice => !currentIds.has(voice.id));
+
+        return { added, removed, changed: added.length > 0 || removed.length > 0 };
+    }
+}
+
+module.exports = VoiceCatalogCache;
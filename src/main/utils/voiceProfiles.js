@@ -0,0 +1,275 @@
+const { listOutputFormats, normalizeFormatOptions } = require('./outputFormats.js');
+
+/**
+ * Voice Profiles
+ * Validates named bundles of conversion options (voice, rate, pitch, volume,
+ * speaking style, output format and encoder options, pauses, normalization
+ * and captions), fills conversion requests in from a profile and reads and
+ * writes the JSON exchange format. Kept free of Electron dependencies so it
+ * can be unit tested; persistence lives in ProfileManager.
+ */
+
+const EXPORT_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+const OUTPUT_FORMATS = listOutputFormats().map(format => format.id);
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// Conversion fields a profile can supply, in the order they are listed in exports
+const PROFILE_FIELDS = [
+    'voice', 'speed', 'pitch', 'volume', 'style', 'styleDegree', 'role',
+    'outputFormat', 'formatOptions', 'paragraphPauseMs', 'normalization', 'subtitles'
+];
+
+class VoiceProfiles {
+    /**
+     * Validate a profile and fill in defaults
+     * Ranges match the ones the settings dialog allows.
+     * @param {Object} profile - Raw profile
+     * @returns {Object} Profile with name, every field in PROFILE_FIELDS and the id if it had one
+     * @throws {Error} If the profile is invalid
+     */
+    normalizeProfile(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('Voice profile is required');
+        }
+
+        const name = this.normalizeName(profile.name);
+
+        if (typeof profile.voice !== 'string' || profile.voice.trim().length === 0) {
+            throw new Error(`Profile "${name}" needs a voice`);
+        }
+
+        const normalized = {
+            id: typeof profile.id === 'string' ? profile.id : undefined,
+            name,
+            voice: profile.voice.trim(),
+            speed: this.readNumber(profile.speed, 1.0, 0.5, 2.0, `Speed in profile "${name}" must be between 0.5 and 2.0`),
+            pitch: this.readNumber(profile.pitch, 0, -50, 50, `Pitch in profile "${name}" must be between -50 and 50 Hz`),
+            volume: this.readNumber(profile.volume, 0, -50, 50, `Volume in profile "${name}" must be between -50% and 50%`),
+            style: this.readOptionalString(profile.style, `Speaking style in profile "${name}" must be a string`),
+            styleDegree: this.readNumber(profile.styleDegree, 1, 0.01, 2, `Style degree in profile "${name}" must be between 0.01 and 2`),
+            role: this.readOptionalString(profile.role, `Role in profile "${name}" must be a string`),
+            outputFormat: profile.outputFormat || 'wav',
+            formatOptions: null,
+            paragraphPauseMs: profile.paragraphPauseMs === undefined || profile.paragraphPauseMs === null ? 0 : profile.paragraphPauseMs,
+            normalization: this.normalizeRules(profile.normalization, name),
+            subtitles: this.normalizeSubtitles(profile.subtitles, name)
+        };
+
+        if (!OUTPUT_FORMATS.includes(normalized.outputFormat)) {
+            throw new Error(`Output format in profile "${name}" must be one of ${OUTPUT_FORMATS.join(', ')}`);
+        }
+
+        if (profile.formatOptions !== undefined && profile.formatOptions !== null) {
+            try {
+                normalized.formatOptions = normalizeFormatOptions(normalized.outputFormat, profile.formatOptions);
+            } catch (error) {
+                throw new Error(`${error.message} (profile "${name}")`);
+            }
+        }
+
+        if (!Number.isInteger(normalized.paragraphPauseMs) || normalized.paragraphPauseMs < 0 || normalized.paragraphPauseMs > 5000) {
+            throw new Error(`Paragraph pause in profile "${name}" must be a whole number between 0 and 5000 ms`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Trim a profile name and check its length
+     * @param {string} name - Raw name
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty or too long
+     */
+    normalizeName(name) {
+        const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Profile name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Read an optional number within a range
+     */
+    readNumber(value, fallback, min, max, message) {
+        if (value === undefined || value === null) {
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            throw new Error(message);
+        }
+        return value;
+    }
+
+    /**
+     * Read an optional string; empty strings mean "not set"
+     */
+    readOptionalString(value, message) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            throw new Error(message);
+        }
+        return value;
+    }
+
+    /**
+     * Validate normalization rule switches; null keeps the rules of the request
+     */
+    normalizeRules(rules, name) {
+        if (rules === undefined || rules === null) {
+            return null;
+        }
+        if (typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error(`Normalization rules in profile "${name}" must map rule names to booleans`);
+        }
+
+        const normalized = {};
+        for (const [rule, enabled] of Object.entries(rules)) {
+            if (!/^[a-z]+$/.test(rule) || typeof enabled !== 'boolean') {
+                throw new Error(`Invalid normalization rule in profile "${name}": ${rule}`);
+            }
+            normalized[rule] = enabled;
+        }
+        return normalized;
+    }
+
+    /**
+     * Validate caption options; null or no formats means no captions
+     */
+    normalizeSubtitles(subtitles, name) {
+        if (subtitles === undefined || subtitles === null) {
+            return null;
+        }
+        if (typeof subtitles !== 'object' || !Array.isArray(subtitles.formats)) {
+            throw new Error(`Caption formats in profile "${name}" are required`);
+        }
+        if (subtitles.formats.some(format => !SUBTITLE_FORMATS.includes(format))) {
+            throw new Error(`Caption format in profile "${name}" must be srt or vtt`);
+        }
+        if (subtitles.formats.length === 0) {
+            return null;
+        }
+
+        return {
+            formats: [...new Set(subtitles.formats)],
+            maxLineLength: this.readNumber(subtitles.maxLineLength, 42, 20, 80,
+                `Caption line length in profile "${name}" must be between 20 and 80 characters`),
+            maxCueDurationMs: this.readNumber(subtitles.maxCueDurationMs, 5000, 1000, 10000,
+                `Caption cue duration in profile "${name}" must be between 1 and 10 seconds`)
+        };
+    }
+
+    /**
+     * Fill a conversion request in from a profile
+     * Fields the request sets itself are kept, so a caller can use a profile
+     * and still override single values.
+     * @param {Object} data - Conversion request
+     * @param {Object} profile - Normalized profile
+     * @returns {Object} New request with the profile's values added
+     */
+    applyToConversion(data, profile) {
+        const result = { ...data };
+        for (const field of PROFILE_FIELDS) {
+            if (result[field] !== undefined || profile[field] === null || profile[field] === undefined) {
+                continue;
+            }
+            // Encoder options only fit the format they were saved with
+            if (field === 'formatOptions' && result.outputFormat !== profile.outputFormat) {
+                continue;
+            }
+            const value = profile[field];
+            result[field] = typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+        }
+        return result;
+    }
+
+    /**
+     * Pick a name that no other profile uses, adding " 2", " 3"... if needed
+     * Names are compared without regard to case.
+     * @param {string} name - Preferred name
+     * @param {Array} profiles - Existing profiles
+     * @param {string} ignoreId - Profile whose own name does not count (when renaming)
+     * @returns {string} Free name
+     */
+    uniqueName(name, profiles, ignoreId = null) {
+        const base = this.normalizeName(name);
+        const taken = new Set(profiles
+            .filter(profile => profile.id !== ignoreId)
+            .map(profile => profile.name.toLowerCase()));
+
+        let candidate = base;
+        for (let counter = 2; taken.has(candidate.toLowerCase()); counter++) {
+            const suffix = ` ${counter}`;
+            candidate = base.slice(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+        }
+        return candidate;
+    }
+
+    /**
+     * Serialize profiles for export; ids are left out so imports get new ones
+     * @param {Array} profiles - Normalized profiles
+     * @returns {string} JSON document
+     */
+    toJSON(profiles) {
+        const exported = profiles.map(profile => {
+            const entry = { name: profile.name };
+            for (const field of PROFILE_FIELDS) {
+                if (profile[field] !== null && profile[field] !== undefined) {
+                    entry[field] = profile[field];
+                }
+            }
+            return entry;
+        });
+
+        return JSON.stringify({ version: EXPORT_VERSION, profiles: exported }, null, 2) + '\n';
+    }
+
+    /**
+     * Parse profiles from an export. A single profile object is accepted too.
+     * @param {string} content - JSON document
+     * @returns {{profiles: Array, errors: Array<{index: number, message: string}>}} Valid profiles and the problems of the rest
+     * @throws {Error} If the document is not a profile export
+     */
+    fromJSON(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Profile file is not valid JSON: ${error.message}`);
+        }
+
+        let entries;
+        if (data && Array.isArray(data.profiles)) {
+            if (data.version !== undefined && data.version > EXPORT_VERSION) {
+                throw new Error(`Profile file version ${data.version} is newer than this version of SpeechMaker supports`);
+            }
+            entries = data.profiles;
+        } else if (data && typeof data === 'object' && !Array.isArray(data) && data.name !== undefined) {
+            entries = [data];
+        } else {
+            throw new Error('File does not contain voice profiles');
+        }
+
+        const profiles = [];
+        const errors = [];
+        entries.forEach((entry, index) => {
+            try {
+                const profile = this.normalizeProfile(entry);
+                delete profile.id;
+                profiles.push(profile);
+            } catch (error) {
+                errors.push({ index, message: error.message });
+            }
+        });
+
+        return { profiles, errors };
+    }
+}
+
+module.exports = VoiceProfiles;
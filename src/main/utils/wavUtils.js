@@ -0,0 +1,118 @@
+/**
+ * WAV Utilities
+ * Helpers for building PCM RIFF/WAVE buffers without FFmpeg
+ */
+
+const DEFAULT_WAV_FORMAT = {
+    sampleRate: 24000,
+    channels: 1,
+    bitsPerSample: 16
+};
+
+/**
+ * Builds a 44-byte canonical RIFF/WAVE header for PCM data
+ * @param {number} dataLength - Length of the PCM payload in bytes
+ * @param {Object} format - PCM format
+ * @param {number} format.sampleRate - Samples per second
+ * @param {number} format.channels - Channel count
+ * @param {number} format.bitsPerSample - Bits per sample
+ * @returns {Buffer} WAV header
+ */
+function createWavHeader(dataLength, format = {}) {
+    const { sampleRate, channels, bitsPerSample } = { ...DEFAULT_WAV_FORMAT, ...format };
+    const blockAlign = channels * (bitsPerSample / 8);
+    const byteRate = sampleRate * blockAlign;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+}
+
+/**
+ * Wraps raw PCM samples in a WAV container
+ * @param {Buffer} pcmData - Little-endian PCM samples
+ * @param {Object} format - PCM format (see createWavHeader)
+ * @returns {Buffer} Complete WAV file contents
+ */
+function encodeWav(pcmData, format = {}) {
+    return Buffer.concat([createWavHeader(pcmData.length, format), pcmData]);
+}
+
+/**
+ * Creates a silent 16-bit PCM WAV buffer
+ * @param {number} durationMs - Duration of the silence in milliseconds
+ * @param {Object} format - PCM format (see createWavHeader)
+ * @returns {Buffer} WAV file contents
+ */
+function createSilenceWav(durationMs, format = {}) {
+    const { sampleRate, channels, bitsPerSample } = { ...DEFAULT_WAV_FORMAT, ...format };
+    const frameCount = Math.max(0, Math.round((durationMs / 1000) * sampleRate));
+    const pcmData = Buffer.alloc(frameCount * channels * (bitsPerSample / 8));
+    return encodeWav(pcmData, { sampleRate, channels, bitsPerSample });
+}
+
+/**
+ * Reads the PCM format and data size from the start of a WAV file
+ * @param {Buffer} buffer - Leading bytes of the file (the header chunks are enough)
+ * @param {number} fileSize - Total file size, used when the data chunk size is unset
+ * @returns {{sampleRate: number, channels: number, bitsPerSample: number, dataOffset: number, dataLength: number, durationMs: number}|null}
+ *   Format information, or null if the buffer is not a PCM WAV file; dataOffset is where the samples start
+ */
+function readWavInfo(buffer, fileSize = buffer.length) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+
+        if (chunkId === 'fmt ' && offset + 24 <= buffer.length) {
+            format = {
+                sampleRate: buffer.readUInt32LE(offset + 12),
+                channels: buffer.readUInt16LE(offset + 10),
+                bitsPerSample: buffer.readUInt16LE(offset + 22)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                return null;
+            }
+            const dataLength = Math.min(chunkSize, Math.max(0, fileSize - offset - 8));
+            const byteRate = format.sampleRate * format.channels * (format.bitsPerSample / 8);
+            return {
+                ...format,
+                dataOffset: offset + 8,
+                dataLength,
+                durationMs: byteRate > 0 ? (dataLength / byteRate) * 1000 : 0
+            };
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+}
+
+module.exports = {
+    DEFAULT_WAV_FORMAT,
+    createWavHeader,
+    encodeWav,
+    createSilenceWav,
+    readWavInfo
+};
@@ -633,10 +633,10 @@ class ErrorDisplay {
      * Handle continue with WAV action
      */
     handleContinueWithWav() {
-        const wavRadio = document.querySelector('input[name="outputFormat"][value="wav"]');
-        if (wavRadio) {
-            wavRadio.checked = true;
-            wavRadio.dispatchEvent(new Event('change'));
+        const formatSelect = document.getElementById('outputFormat');
+        if (formatSelect) {
+            formatSelect.value = 'wav';
+            formatSelect.dispatchEvent(new Event('change'));
             
             this.showErrorToast(
                 'Switched to WAV format - no FFmpeg required',
@@ -851,10 +851,11 @@ class ErrorDisplay {
     }
 
     /**
-     * Show retry notification
+     * Show retry notification for the conversion or one of its chunks
      */
-    showRetryNotification(attempt, maxRetries, delay) {
-        const message = `Retrying... (${attempt}/${maxRetries}) - Next attempt in ${Math.ceil(delay/1000)}s`;
+    showRetryNotification(attempt, maxRetries, delay, chunk = null) {
+        const subject = chunk && chunk.total > 1 ? `Retrying part ${chunk.index + 1} of ${chunk.total}` : 'Retrying';
+        const message = `${subject}... (${attempt}/${maxRetries}) - Next attempt in ${Math.ceil(delay/1000)}s`;
         this.showErrorToast(message, delay);
     }
 
@@ -1069,10 +1070,10 @@ class ErrorDisplay {
         if (error.suggestedAction === 'use_wav') {
             enhancedRetryCallback = () => {
                 // Switch to WAV format
-                const wavRadio = document.querySelector('input[name="outputFormat"][value="wav"]');
-                if (wavRadio) {
-                    wavRadio.checked = true;
-                    wavRadio.dispatchEvent(new Event('change'));
+                const formatSelect = document.getElementById('outputFormat');
+                if (formatSelect) {
+                    formatSelect.value = 'wav';
+                    formatSelect.dispatchEvent(new Event('change'));
                 }
                 if (retryCallback) retryCallback();
             };
@@ -1080,7 +1081,7 @@ class ErrorDisplay {
             toastActions = [
                 { id: 'continue_with_wav', label: 'Use WAV Format' },
                 { id: 'install_ffmpeg', label: 'Install FFmpeg' },
-                { id: 'learn_more', label: 'About MP3 Support' }
+                { id: 'learn_more', label: 'About Output Formats' }
             ];
             
             this.showError(enhancedError, enhancedRetryCallback);
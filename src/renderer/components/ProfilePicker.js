@@ -0,0 +1,247 @@
+/**
+ * ProfilePicker - Voice profile dropdown and the controls that manage profiles
+ *
+ * Profiles are stored by the main process through the profiles:* IPC
+ * channels. Choosing a profile hands it to onApply, which copies its values
+ * into the voice controls and settings; saving reads the current values
+ * back through getCurrentOptions.
+ */
+class ProfilePicker {
+    /**
+     * @param {Object} options - Picker options
+     * @param {Function} options.getCurrentOptions - Returns the voice, rate, pitch, volume, style, format and post-processing options now in effect
+     * @param {Function} options.onApply - Called with a profile the user chose
+     * @param {Function} options.onSelectionChanged - Called with the selected profile id, or null
+     * @param {Function} options.onNotify - Called with a message and a type ('success' or 'error')
+     */
+    constructor(options = {}) {
+        this.getCurrentOptions = options.getCurrentOptions || (() => ({}));
+        this.onApply = options.onApply || (() => {});
+        this.onSelectionChanged = options.onSelectionChanged || (() => {});
+        this.onNotify = options.onNotify || ((message) => console.log(message));
+
+        this.elements = {
+            select: document.getElementById('profileSelect'),
+            updateBtn: document.getElementById('profileUpdateBtn'),
+            manageBtn: document.getElementById('profileManageBtn'),
+            panel: document.getElementById('profilePanel'),
+            nameInput: document.getElementById('profileNameInput'),
+            createBtn: document.getElementById('profileCreateBtn'),
+            renameBtn: document.getElementById('profileRenameBtn'),
+            duplicateBtn: document.getElementById('profileDuplicateBtn'),
+            deleteBtn: document.getElementById('profileDeleteBtn'),
+            importBtn: document.getElementById('profileImportBtn'),
+            exportBtn: document.getElementById('profileExportBtn'),
+            error: document.getElementById('profileError')
+        };
+
+        this.profiles = [];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { select, updateBtn, manageBtn, createBtn, renameBtn, duplicateBtn, deleteBtn, importBtn, exportBtn } = this.elements;
+        if (!select) return;
+
+        select.addEventListener('change', () => this.choose(select.value));
+        updateBtn.addEventListener('click', () => this.updateSelected());
+        manageBtn.addEventListener('click', () => this.togglePanel());
+        createBtn.addEventListener('click', () => this.create());
+        renameBtn.addEventListener('click', () => this.renameSelected());
+        duplicateBtn.addEventListener('click', () => this.duplicateSelected());
+        deleteBtn.addEventListener('click', () => this.removeSelected());
+        importBtn.addEventListener('click', () => this.importProfiles());
+        exportBtn.addEventListener('click', () => this.exportProfiles());
+    }
+
+    /**
+     * Load the saved profiles and show the given one as selected without applying it
+     * @param {string|null} selectedId - Profile chosen in an earlier session
+     */
+    async load(selectedId = null) {
+        try {
+            this.profiles = await window.electronAPI.profiles.list();
+        } catch (error) {
+            console.error('Failed to load voice profiles:', error);
+            this.profiles = [];
+        }
+        this.render(selectedId);
+    }
+
+    getSelectedId() {
+        return this.elements.select ? this.elements.select.value || null : null;
+    }
+
+    getSelected() {
+        const id = this.getSelectedId();
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Rebuild the dropdown, keeping the given profile selected when it still exists
+     */
+    render(selectedId = this.getSelectedId()) {
+        const { select } = this.elements;
+        if (!select) return;
+
+        select.innerHTML = '';
+        select.appendChild(new Option('No profile', ''));
+        this.profiles.forEach(profile => select.appendChild(new Option(profile.name, profile.id)));
+
+        const exists = this.profiles.some(profile => profile.id === selectedId);
+        select.value = exists ? selectedId : '';
+        if (selectedId && !exists) {
+            this.onSelectionChanged(null);
+        }
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        const hasSelection = Boolean(this.getSelectedId());
+        const { updateBtn, renameBtn, duplicateBtn, deleteBtn, exportBtn } = this.elements;
+        [updateBtn, renameBtn, duplicateBtn, deleteBtn].forEach(button => {
+            button.disabled = !hasSelection;
+        });
+        exportBtn.disabled = this.profiles.length === 0;
+        exportBtn.textContent = hasSelection ? 'Export Profile...' : 'Export All...';
+    }
+
+    togglePanel() {
+        const { panel, manageBtn, nameInput } = this.elements;
+        const open = panel.style.display === 'none';
+        panel.style.display = open ? 'flex' : 'none';
+        manageBtn.textContent = open ? 'Done' : 'Manage...';
+        if (open) {
+            const selected = this.getSelected();
+            nameInput.value = selected ? selected.name : '';
+            this.showError('');
+        }
+    }
+
+    choose(id) {
+        const profile = this.profiles.find(existing => existing.id === id) || null;
+        if (profile) {
+            this.onApply(profile);
+            this.elements.nameInput.value = profile.name;
+        }
+        this.onSelectionChanged(profile ? profile.id : null);
+        this.updateButtons();
+    }
+
+    /**
+     * Run a profile edit, showing its validation error next to the controls
+     * @param {Function} action - Returns the IPC result ({success, profile, error})
+     * @param {string} message - Notification shown on success
+     */
+    async runEdit(action, message) {
+        this.showError('');
+        try {
+            const result = await action();
+            if (!result.success) {
+                this.showError(result.error);
+                return null;
+            }
+
+            await this.load(result.profile.id);
+            this.onSelectionChanged(result.profile.id);
+            this.elements.nameInput.value = result.profile.name;
+            this.onNotify(message.replace('{name}', result.profile.name), 'success');
+            return result.profile;
+        } catch (error) {
+            this.showError(error.message);
+            return null;
+        }
+    }
+
+    create() {
+        return this.runEdit(
+            () => window.electronAPI.profiles.create({ ...this.getCurrentOptions(), name: this.elements.nameInput.value }),
+            'Saved profile "{name}"'
+        );
+    }
+
+    updateSelected() {
+        const selected = this.getSelected();
+        if (!selected) return null;
+        return this.runEdit(
+            () => window.electronAPI.profiles.update(selected.id, this.getCurrentOptions()),
+            'Updated profile "{name}" with the current settings'
+        );
+    }
+
+    renameSelected() {
+        const selected = this.getSelected();
+        if (!selected) return null;
+        return this.runEdit(
+            () => window.electronAPI.profiles.rename(selected.id, this.elements.nameInput.value),
+            'Renamed profile to "{name}"'
+        );
+    }
+
+    duplicateSelected() {
+        const selected = this.getSelected();
+        if (!selected) return null;
+        const name = this.elements.nameInput.value.trim();
+        return this.runEdit(
+            () => window.electronAPI.profiles.duplicate(selected.id, name && name !== selected.name ? name : undefined),
+            'Created profile "{name}"'
+        );
+    }
+
+    async removeSelected() {
+        const selected = this.getSelected();
+        if (!selected || !confirm(`Delete the voice profile "${selected.name}"?`)) return;
+
+        try {
+            await window.electronAPI.profiles.remove(selected.id);
+            this.onSelectionChanged(null);
+            this.elements.nameInput.value = '';
+            await this.load(null);
+            this.onNotify(`Deleted profile "${selected.name}"`, 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async importProfiles() {
+        this.showError('');
+        try {
+            const result = await window.electronAPI.profiles.import();
+            if (!result) return;
+
+            this.profiles = result.profiles;
+            this.render();
+
+            let message = `Imported ${result.added} new and ${result.updated} updated profile${result.added + result.updated === 1 ? '' : 's'}`;
+            if (result.errors.length > 0) {
+                message += `; ${result.errors.length} skipped (first: ${result.errors[0].message})`;
+            }
+            this.onNotify(message, result.errors.length > 0 ? 'error' : 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async exportProfiles() {
+        this.showError('');
+        const id = this.getSelectedId();
+        try {
+            const result = await window.electronAPI.profiles.export(id ? [id] : undefined);
+            if (!result) return;
+
+            this.onNotify(`Exported ${result.exported} profile${result.exported === 1 ? '' : 's'} to ${result.filePath}`, 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    showError(message) {
+        const { error } = this.elements;
+        error.textContent = message || '';
+        error.style.display = message ? 'block' : 'none';
+    }
+}
+
+// Export for use in other modules
+export default ProfilePicker;
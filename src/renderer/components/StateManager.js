@@ -1,9 +1,21 @@
+// Output formats shown until the main process reports which encoders its FFmpeg has
+const DEFAULT_OUTPUT_FORMATS = [
+    { id: 'wav', label: 'WAV', description: 'Uncompressed audio, largest files', requiresFFmpeg: false },
+    { id: 'mp3', label: 'MP3', description: 'Compressed, plays on every device', requiresFFmpeg: true },
+    { id: 'opus', label: 'Opus', description: 'Small files for web players; best quality for speech at low bitrates', requiresFFmpeg: true },
+    { id: 'ogg', label: 'Ogg Vorbis', description: 'Open format with variable bitrate quality levels', requiresFFmpeg: true },
+    { id: 'flac', label: 'FLAC', description: 'Lossless compression, about half the size of WAV', requiresFFmpeg: true },
+    { id: 'm4a', label: 'AAC (M4A)', description: 'AAC in an MP4 container for learning platforms and Apple devices', requiresFFmpeg: true },
+    { id: 'm4b', label: 'Audiobook (M4B)', description: 'AAC audiobook with chapter markers for audiobook players', requiresFFmpeg: true }
+];
+
 /**
  * StateManager - Manages application state and UI synchronization
  * 
  * This class coordinates the state of various application components including:
  * - Voice loading status and retry mechanisms
  * - FFmpeg availability and source detection
+ * - Output formats the detected FFmpeg can encode
  * - Application readiness indicators
  * - UI element states and visual feedback
  * 
@@ -24,6 +36,9 @@ class StateManager {
             ffmpegSource: 'none', // 'bundled', 'system', 'none'
             ffmpegValidated: false,
             
+            // Output formats with encoder support reported by the main process (null until reported)
+            outputFormats: null,
+            
             // Output folder state
             outputFolderSet: false,
             defaultOutputFolder: null,
@@ -57,11 +72,14 @@ class StateManager {
         this.elements = {
             // Voice elements
             voiceSelect: document.getElementById('voiceSelect'),
+            voiceStyleGroup: document.getElementById('voiceStyleGroup'),
+            voiceStyle: document.getElementById('voiceStyle'),
+            voiceRole: document.getElementById('voiceRole'),
+            styleDegree: document.getElementById('styleDegree'),
             
             // Format elements
-            formatWav: document.getElementById('formatWav'),
-            formatMp3: document.getElementById('formatMp3'),
-            formatMp3Label: document.querySelector('label[for="formatMp3"]'),
+            formatSelect: document.getElementById('outputFormat'),
+            formatDescription: document.getElementById('outputFormatDescription'),
             
             // Output folder elements
             outputFolder: document.getElementById('outputFolder'),
@@ -125,94 +143,84 @@ class StateManager {
      */
     updateFFmpegState(available, source = 'none', validated = false) {
         const previousState = { ...this.state };
-        const previousMp3Available = this.canConvertToMp3();
+        const previousFormats = this.getAvailableFormatIds();
         
         this.state.ffmpegAvailable = available;
         this.state.ffmpegSource = source;
         this.state.ffmpegValidated = validated;
         
-        // Check if MP3 availability changed
-        const currentMp3Available = this.canConvertToMp3();
-        const mp3AvailabilityChanged = previousMp3Available !== currentMp3Available;
-        
         // Update UI with format option changes
         this.updateReadyState();
         this.updateUI();
         
         // Handle real-time format option updates
-        if (mp3AvailabilityChanged) {
-            this.handleMp3AvailabilityChange(currentMp3Available, previousMp3Available);
-        }
+        this.handleFormatAvailabilityChange(previousFormats, this.getAvailableFormatIds());
         
         this.notifyStateChange('ffmpeg', previousState, this.state);
     }
     
     /**
-     * Handle changes in MP3 format availability
-     * @param {boolean} currentAvailable - Current MP3 availability
-     * @param {boolean} previousAvailable - Previous MP3 availability
-     */
-    handleMp3AvailabilityChange(currentAvailable, previousAvailable) {
-        if (currentAvailable && !previousAvailable) {
-            // MP3 became available
-            this.handleMp3BecameAvailable();
-        } else if (!currentAvailable && previousAvailable) {
-            // MP3 became unavailable
-            this.handleMp3BecameUnavailable();
-        }
-    }
-    
-    /**
-     * Handle MP3 format becoming available
+     * Update the output formats the main process can encode
+     * @param {Array<{id: string, label: string, description: string, requiresFFmpeg: boolean, available: boolean, reason: string|null, options: Object}>} formats - Result of getOutputFormats()
      */
-    handleMp3BecameAvailable() {
-        console.log('MP3 format became available');
-        
-        // Show success notification
-        this.showFormatStatusNotification(
-            'MP3 format is now available!',
-            'success',
-            `FFmpeg is ready via ${this.getFFmpegSourceDescription()}`
-        );
+    updateOutputFormats(formats) {
+        if (!Array.isArray(formats) || formats.length === 0) return;
+        
+        const previousState = { ...this.state };
+        const previousFormats = this.getAvailableFormatIds();
+        const firstReport = this.state.outputFormats === null;
+        
+        this.state.outputFormats = formats;
+        this.updateFormatUI();
         
-        // Notify listeners
-        this.notifyFormatAvailabilityChange(true);
+        // Until encoders are reported every FFmpeg format is assumed to work,
+        // so formats missing from the first report are not announced as lost
+        this.handleFormatAvailabilityChange(previousFormats, this.getAvailableFormatIds(), !firstReport);
+        
+        this.notifyStateChange('outputFormats', previousState, this.state);
     }
     
     /**
-     * Handle MP3 format becoming unavailable
+     * Announce output formats that became available or unavailable
+     * @param {string[]} previousFormats - Format ids available before the change
+     * @param {string[]} currentFormats - Format ids available now
+     * @param {boolean} announceLost - Whether to show a notification for formats that went away
      */
-    handleMp3BecameUnavailable() {
-        console.log('MP3 format became unavailable');
-        
-        // Check if MP3 is currently selected and auto-switch to WAV
-        const mp3Option = this.elements.formatMp3;
-        const wavOption = this.elements.formatWav;
+    handleFormatAvailabilityChange(previousFormats, currentFormats, announceLost = true) {
+        const gained = currentFormats.filter(id => !previousFormats.includes(id));
+        const lost = previousFormats.filter(id => !currentFormats.includes(id));
         
-        if (mp3Option && mp3Option.checked && wavOption) {
-            mp3Option.checked = false;
-            wavOption.checked = true;
-            
-            // Show notification about automatic switch
+        if (gained.length > 0) {
+            console.log('Output formats became available:', gained);
             this.showFormatStatusNotification(
-                'Switched to WAV format',
-                'warning',
-                'MP3 format is no longer available - FFmpeg connection lost'
+                `${this.describeFormats(gained)} ${gained.length === 1 ? 'format is' : 'formats are'} now available!`,
+                'success',
+                `FFmpeg is ready via ${this.getFFmpegSourceDescription()}`
             );
-            
-            // Notify about automatic format change
-            this.notifyAutomaticFormatChange('wav');
-        } else {
-            // Show general unavailability notification
+        }
+        
+        if (lost.length > 0 && announceLost) {
+            console.log('Output formats became unavailable:', lost);
             this.showFormatStatusNotification(
-                'MP3 format is no longer available',
+                `${this.describeFormats(lost)} ${lost.length === 1 ? 'format is' : 'formats are'} no longer available`,
                 'warning',
-                'FFmpeg connection lost - only WAV format is supported'
+                this.canUseFFmpeg()
+                    ? 'The FFmpeg build in use cannot encode them'
+                    : 'FFmpeg connection lost - only WAV format is supported'
             );
         }
-        
-        // Notify listeners
-        this.notifyFormatAvailabilityChange(false);
+    }
+    
+    /**
+     * Join format labels for messages, e.g. "MP3, Opus and FLAC"
+     * @param {string[]} ids - Format ids
+     * @returns {string} Readable list of labels
+     */
+    describeFormats(ids) {
+        const labels = ids.map(id => this.getFormatDefinition(id)?.label || id.toUpperCase());
+        return labels.length > 1
+            ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+            : labels[0];
     }
     
     /**
@@ -354,7 +362,8 @@ class StateManager {
             voiceSelect.classList.remove('error');
             
         } else if (this.state.voicesLoaded && this.state.voices.length > 0) {
-            // Show available voices
+            // Show available voices, keeping the selection when the list is refreshed
+            const selectedVoice = voiceSelect.value;
             voiceSelect.innerHTML = '';
             voiceSelect.disabled = false;
             voiceSelect.classList.remove('loading', 'error');
@@ -364,11 +373,16 @@ class StateManager {
             this.state.voices.forEach(voice => {
                 const option = document.createElement('option');
                 option.value = voice.id;
-                option.textContent = `${voice.name} (${voice.language})`;
+                option.textContent = this.formatVoiceLabel(voice);
+                option.title = this.formatVoiceDetails(voice);
                 fragment.appendChild(option);
             });
             voiceSelect.appendChild(fragment);
             
+            if (this.state.voices.some(voice => voice.id === selectedVoice)) {
+                voiceSelect.value = selectedVoice;
+            }
+            
         } else {
             // Show error state with detailed message
             let errorMessage = 'No voices available';
@@ -388,6 +402,122 @@ class StateManager {
         // Add retry button and troubleshooting if needed
         this.updateVoiceRetryButton();
         this.updateVoiceLoadingIndicator();
+        this.updateVoiceStyleUI(voiceSelect.value);
+    }
+    
+    /**
+     * Build the dropdown label for a voice, noting its speaking styles
+     * @param {Object} voice - Voice object
+     * @returns {string} Option label
+     */
+    formatVoiceLabel(voice) {
+        const label = `${voice.name} (${voice.language})`;
+        const styleCount = voice.styles ? voice.styles.length : 0;
+        if (styleCount === 0) {
+            return label;
+        }
+        return `${label} · ${styleCount} ${styleCount === 1 ? 'style' : 'styles'}`;
+    }
+    
+    /**
+     * Build the tooltip listing a voice's categories, personalities, styles and roles
+     * @param {Object} voice - Voice object
+     * @returns {string} Multi-line description
+     */
+    formatVoiceDetails(voice) {
+        const details = [];
+        const addDetail = (label, values) => {
+            if (values && values.length > 0) {
+                details.push(`${label}: ${values.join(', ')}`);
+            }
+        };
+        
+        addDetail('Categories', voice.categories);
+        addDetail('Personalities', voice.personalities);
+        addDetail('Styles', voice.styles);
+        addDetail('Roles', voice.roles);
+        
+        return details.join('\n');
+    }
+    
+    /**
+     * Find a loaded voice by its identifier
+     * @param {string} voiceId - Voice identifier
+     * @returns {Object|null} Voice object or null
+     */
+    getVoiceById(voiceId) {
+        return this.state.voices.find(voice => voice.id === voiceId) || null;
+    }
+    
+    /**
+     * Show the speaking style controls for the selected voice
+     * The controls are hidden for voices without styles or roles.
+     * @param {string} voiceId - Selected voice identifier
+     */
+    updateVoiceStyleUI(voiceId) {
+        const { voiceStyleGroup, voiceStyle, voiceRole, styleDegree } = this.elements;
+        if (!voiceStyleGroup || !voiceStyle || !voiceRole) return;
+        
+        const voice = this.getVoiceById(voiceId);
+        const styles = voice?.styles || [];
+        const roles = voice?.roles || [];
+        
+        if (styles.length === 0 && roles.length === 0) {
+            voiceStyleGroup.style.display = 'none';
+            voiceStyle.value = '';
+            voiceRole.value = '';
+            return;
+        }
+        
+        const fillOptions = (select, values, defaultLabel) => {
+            const previous = select.value;
+            select.innerHTML = '';
+            
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = defaultLabel;
+            select.appendChild(defaultOption);
+            
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+            
+            select.value = values.includes(previous) ? previous : '';
+            select.style.display = values.length > 0 ? '' : 'none';
+        };
+        
+        fillOptions(voiceStyle, styles, 'Default');
+        fillOptions(voiceRole, roles, 'Default role');
+        
+        if (styleDegree) {
+            styleDegree.disabled = !voiceStyle.value;
+        }
+        
+        voiceStyleGroup.style.display = 'block';
+    }
+    
+    /**
+     * Get the speaking style options selected for the current conversion
+     * @returns {{style?: string, styleDegree?: number, role?: string}} Style options
+     */
+    getSelectedVoiceStyle() {
+        const { voiceStyleGroup, voiceStyle, voiceRole, styleDegree } = this.elements;
+        if (!voiceStyleGroup || voiceStyleGroup.style.display === 'none') {
+            return {};
+        }
+        
+        const selection = {};
+        if (voiceStyle && voiceStyle.value) {
+            selection.style = voiceStyle.value;
+            selection.styleDegree = styleDegree ? parseFloat(styleDegree.value) : 1;
+        }
+        if (voiceRole && voiceRole.value) {
+            selection.role = voiceRole.value;
+        }
+        return selection;
     }
     
     /**
@@ -468,84 +598,85 @@ class StateManager {
      * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5
      */
     updateFormatUI() {
-        const mp3Option = this.elements.formatMp3;
-        const mp3Label = this.elements.formatMp3Label;
-        const wavOption = this.elements.formatWav;
-        
-        if (!mp3Option || !mp3Label) return;
+        const formatSelect = this.elements.formatSelect;
+        if (!formatSelect) return;
         
-        // Check if MP3 format should be available
-        const canConvertToMp3 = this.state.ffmpegAvailable && this.state.ffmpegValidated;
+        const formats = this.getAvailableFormats();
+        this.renderFormatOptions(formats);
         
-        if (canConvertToMp3) {
-            // Enable MP3 option with detailed status
-            this.enableMp3Format();
-        } else {
-            // Disable MP3 option with automatic WAV selection
-            this.disableMp3Format();
+        // Automatically select WAV if the selected format is no longer available
+        const selected = formats.find(format => format.value === formatSelect.value);
+        if (selected && !selected.available) {
+            formatSelect.value = 'wav';
+            this.notifyAutomaticFormatChange('wav', selected.value);
         }
+        this.updateFormatDescription();
         
         // Update format option container styling
-        this.updateFormatContainerStyling(canConvertToMp3);
+        this.updateFormatContainerStyling(formats);
         
         // Add real-time format availability indicators
-        this.updateFormatAvailabilityIndicators(canConvertToMp3);
+        this.updateFormatAvailabilityIndicators(formats);
+        
+        if (this.canUseFFmpeg()) {
+            this.updateFFmpegStatusIndicator(true, `Compressed formats ready via ${this.getFFmpegSourceDescription()}`);
+        } else {
+            this.updateFFmpegStatusIndicator(false, this.getFFmpegUnavailableInfo().helpText);
+        }
+        
+        // Trigger format availability change event when the set of usable formats changes
+        const availableKey = formats.filter(format => format.available).map(format => format.value).join(',');
+        if (availableKey !== this.lastAvailableFormats) {
+            this.lastAvailableFormats = availableKey;
+            this.notifyFormatAvailabilityChange(formats);
+        }
     }
     
     /**
-     * Enable MP3 format option with enhanced visual feedback
+     * Fill the format dropdown, disabling formats that cannot be produced
+     * @param {Array} formats - Result of getAvailableFormats()
      */
-    enableMp3Format() {
-        const mp3Option = this.elements.formatMp3;
-        const mp3Label = this.elements.formatMp3Label;
-        
-        // Enable the option
-        mp3Option.disabled = false;
-        mp3Label.classList.remove('disabled');
-        mp3Label.classList.add('enabled');
-        
-        // Set detailed tooltip with FFmpeg source information
+    renderFormatOptions(formats) {
+        const formatSelect = this.elements.formatSelect;
+        const selectedValue = formatSelect.value || 'wav';
         const sourceInfo = this.getFFmpegSourceDescription();
-        mp3Label.title = `MP3 format available (${sourceInfo})`;
         
-        // Add success visual indicator
-        this.updateFFmpegStatusIndicator(true, `MP3 conversion ready via ${sourceInfo}`);
+        // Rebuilding closes an open dropdown, so only do it when something changed
+        const renderKey = JSON.stringify([sourceInfo, formats.map(format => [format.value, format.label, format.available, format.reason])]);
+        if (renderKey === this.renderedFormatsKey) return;
+        this.renderedFormatsKey = renderKey;
+        
+        formatSelect.innerHTML = '';
+        formats.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.value;
+            option.disabled = !format.available;
+            
+            if (format.available) {
+                option.textContent = format.label;
+                option.title = format.requiresFFmpeg
+                    ? `${format.label} format available (using ${sourceInfo}) - ${format.description}`
+                    : `${format.label} format available - ${format.description}`;
+            } else {
+                option.textContent = `${format.label} (unavailable)`;
+                option.title = `${format.label} format unavailable - ${format.reason}`;
+            }
+            
+            formatSelect.appendChild(option);
+        });
         
-        // Trigger format availability change event
-        this.notifyFormatAvailabilityChange(true);
+        formatSelect.value = formats.some(format => format.value === selectedValue) ? selectedValue : 'wav';
     }
     
     /**
-     * Disable MP3 format option with automatic WAV selection
+     * Show the description of the selected format below the dropdown
      */
-    disableMp3Format() {
-        const mp3Option = this.elements.formatMp3;
-        const mp3Label = this.elements.formatMp3Label;
-        const wavOption = this.elements.formatWav;
-        
-        // Disable the option
-        mp3Option.disabled = true;
-        mp3Label.classList.add('disabled');
-        mp3Label.classList.remove('enabled');
-        
-        // Automatically select WAV if MP3 was selected
-        if (mp3Option.checked && wavOption) {
-            mp3Option.checked = false;
-            wavOption.checked = true;
-            
-            // Notify about automatic format change
-            this.notifyAutomaticFormatChange('wav');
-        }
-        
-        // Set detailed tooltip based on FFmpeg status
-        const { tooltipMessage, helpText } = this.getFFmpegUnavailableInfo();
-        mp3Label.title = tooltipMessage;
-        
-        // Add warning visual indicator
-        this.updateFFmpegStatusIndicator(false, helpText);
+    updateFormatDescription() {
+        const description = this.elements.formatDescription;
+        if (!description) return;
         
-        // Trigger format availability change event
-        this.notifyFormatAvailabilityChange(false);
+        const selected = this.getAvailableFormats().find(format => format.value === this.getSelectedFormat());
+        description.textContent = selected ? selected.description : '';
     }
     
     /**
@@ -564,45 +695,45 @@ class StateManager {
     
     /**
      * Get detailed information about FFmpeg unavailability
+     * @returns {{reason: string, helpText: string}} Short reason for tooltips and a longer explanation
      */
     getFFmpegUnavailableInfo() {
-        let tooltipMessage = 'MP3 format unavailable';
-        let helpText = '';
+        let reason = 'FFmpeg not available';
+        let helpText = 'FFmpeg is not currently available. Only WAV format is supported.';
         
         if (this.state.ffmpegSource === 'none') {
-            tooltipMessage += ' - FFmpeg not found';
-            helpText = 'FFmpeg is required for MP3 conversion. Only WAV format is available.';
+            reason = 'FFmpeg not found';
+            helpText = 'FFmpeg is required for compressed formats (MP3, Opus, Vorbis, FLAC and AAC). Only WAV format is available.';
         } else if (!this.state.ffmpegValidated) {
-            tooltipMessage += ' - FFmpeg validation failed';
+            reason = 'FFmpeg validation failed';
             helpText = 'FFmpeg was found but failed validation. Please check your FFmpeg installation.';
-        } else if (!this.state.ffmpegAvailable) {
-            tooltipMessage += ' - FFmpeg not available';
-            helpText = 'FFmpeg is not currently available. Only WAV format is supported.';
         }
         
-        return { tooltipMessage, helpText };
+        return { reason, helpText };
     }
     
     /**
      * Update format container styling based on availability
      */
-    updateFormatContainerStyling(mp3Available) {
-        const formatContainer = this.elements.formatMp3?.closest('.radio-group');
+    updateFormatContainerStyling(formats) {
+        const formatContainer = this.elements.formatSelect?.closest('.format-selection');
         if (!formatContainer) return;
         
+        const compressedAvailable = formats.some(format => format.requiresFFmpeg && format.available);
+        
         // Add/remove availability classes
-        formatContainer.classList.toggle('mp3-available', mp3Available);
-        formatContainer.classList.toggle('mp3-unavailable', !mp3Available);
+        formatContainer.classList.toggle('compressed-available', compressedAvailable);
+        formatContainer.classList.toggle('compressed-unavailable', !compressedAvailable);
         
         // Update container attributes for CSS styling
-        formatContainer.setAttribute('data-mp3-available', mp3Available.toString());
+        formatContainer.setAttribute('data-compressed-available', compressedAvailable.toString());
     }
     
     /**
      * Update format availability indicators with real-time feedback
      */
-    updateFormatAvailabilityIndicators(mp3Available) {
-        const formatContainer = this.elements.formatMp3?.closest('.radio-group');
+    updateFormatAvailabilityIndicators(formats) {
+        const formatContainer = this.elements.formatSelect?.closest('.format-selection');
         if (!formatContainer) return;
         
         // Update or create availability indicator
@@ -614,24 +745,26 @@ class StateManager {
             formatContainer.appendChild(availabilityIndicator);
         }
         
-        if (mp3Available) {
-            availabilityIndicator.innerHTML = `
-                <div class="availability-content availability-success">
-                    <span class="availability-icon">✓</span>
-                    <span class="availability-text">Both WAV and MP3 formats available</span>
-                </div>
-            `;
-            availabilityIndicator.className = 'format-availability-indicator success';
-        } else {
-            availabilityIndicator.innerHTML = `
-                <div class="availability-content availability-warning">
-                    <span class="availability-icon">⚠️</span>
-                    <span class="availability-text">Only WAV format available - MP3 requires FFmpeg</span>
-                </div>
-            `;
-            availabilityIndicator.className = 'format-availability-indicator warning';
+        const unavailable = formats.filter(format => !format.available).map(format => format.value);
+        let type = 'success';
+        let message = 'All output formats available';
+        
+        if (!this.canUseFFmpeg()) {
+            type = 'warning';
+            message = 'Only WAV format available - other formats require FFmpeg';
+        } else if (unavailable.length > 0) {
+            type = 'warning';
+            message = `${this.describeFormats(unavailable)} unavailable - the FFmpeg build in use lacks ${unavailable.length === 1 ? 'its encoder' : 'their encoders'}`;
         }
         
+        availabilityIndicator.innerHTML = `
+            <div class="availability-content availability-${type}">
+                <span class="availability-icon">${type === 'success' ? '✓' : '⚠️'}</span>
+                <span class="availability-text">${message}</span>
+            </div>
+        `;
+        availabilityIndicator.className = `format-availability-indicator ${type}`;
+        
         // Show the indicator
         availabilityIndicator.style.display = 'block';
     }
@@ -639,9 +772,10 @@ class StateManager {
     /**
      * Notify listeners about format availability changes
      */
-    notifyFormatAvailabilityChange(mp3Available) {
+    notifyFormatAvailabilityChange(formats) {
         const eventData = {
-            mp3Available,
+            availableFormats: formats.filter(format => format.available).map(format => format.value),
+            formats,
             ffmpegSource: this.state.ffmpegSource,
             ffmpegValidated: this.state.ffmpegValidated,
             timestamp: Date.now()
@@ -660,16 +794,19 @@ class StateManager {
         }
         
         // Also notify general state change listeners
-        this.notifyStateChange('formatAvailability', { mp3Available: !mp3Available }, { mp3Available });
+        this.notifyStateChange('formatAvailability', {}, { availableFormats: eventData.availableFormats });
     }
     
     /**
      * Notify about automatic format changes
+     * @param {string} newFormat - Format that was selected instead
+     * @param {string} previousFormat - Format that became unavailable
      */
-    notifyAutomaticFormatChange(newFormat) {
+    notifyAutomaticFormatChange(newFormat, previousFormat) {
         const eventData = {
             newFormat,
-            reason: 'mp3_unavailable',
+            previousFormat,
+            reason: `${previousFormat}_unavailable`,
             timestamp: Date.now()
         };
         
@@ -686,13 +823,13 @@ class StateManager {
         }
         
         // Show user notification about automatic change
-        this.showFormatChangeNotification(newFormat);
+        this.showFormatChangeNotification(newFormat, previousFormat);
     }
     
     /**
      * Show notification about automatic format change
      */
-    showFormatChangeNotification(newFormat) {
+    showFormatChangeNotification(newFormat, previousFormat) {
         // Create a temporary notification element
         const notification = document.createElement('div');
         notification.className = 'format-change-notification';
@@ -700,13 +837,13 @@ class StateManager {
             <div class="notification-content">
                 <span class="notification-icon">ℹ️</span>
                 <span class="notification-message">
-                    Automatically switched to ${newFormat.toUpperCase()} format (MP3 unavailable)
+                    Automatically switched to ${newFormat.toUpperCase()} format (${this.describeFormats([previousFormat])} unavailable)
                 </span>
             </div>
         `;
         
         // Add to format container
-        const formatContainer = this.elements.formatMp3?.closest('.radio-group');
+        const formatContainer = this.elements.formatSelect?.closest('.format-selection');
         if (formatContainer) {
             formatContainer.appendChild(notification);
             
@@ -849,103 +986,137 @@ class StateManager {
         return this.state.voicesLoaded && this.state.voices.length > 0;
     }
     
+    /**
+     * Check if FFmpeg can be used for encoding
+     * @returns {boolean} True if FFmpeg is available and validated
+     */
+    canUseFFmpeg() {
+        return this.state.ffmpegAvailable && this.state.ffmpegValidated;
+    }
+    
     /**
      * Check if MP3 format is available
      * @returns {boolean} True if FFmpeg is available for MP3 conversion
      */
     canConvertToMp3() {
-        return this.state.ffmpegAvailable && this.state.ffmpegValidated;
+        return this.isFormatAvailable('mp3');
+    }
+    
+    /**
+     * Check if an output format can be produced now
+     * @param {string} format - Format id, e.g. 'opus'
+     * @returns {boolean} True if the format is available
+     */
+    isFormatAvailable(format) {
+        const entry = this.getAvailableFormats().find(available => available.value === format);
+        return Boolean(entry && entry.available);
+    }
+    
+    /**
+     * Get the ids of the formats that can be produced now
+     * @returns {string[]} Format ids
+     */
+    getAvailableFormatIds() {
+        return this.getAvailableFormats().filter(format => format.available).map(format => format.value);
+    }
+    
+    /**
+     * Get a format as reported by the main process, or its built-in description
+     * @param {string} format - Format id
+     * @returns {Object|null} Format entry
+     */
+    getFormatDefinition(format) {
+        const formats = this.state.outputFormats || DEFAULT_OUTPUT_FORMATS;
+        return formats.find(entry => entry.id === format) || null;
     }
     
     /**
      * Get currently selected output format
-     * @returns {string} Currently selected format ('wav' or 'mp3')
+     * @returns {string} Currently selected format id, e.g. 'wav' or 'opus'
      */
     getSelectedFormat() {
-        const mp3Option = this.elements.formatMp3;
-        const wavOption = this.elements.formatWav;
-        
-        if (mp3Option && mp3Option.checked) {
-            return 'mp3';
-        } else if (wavOption && wavOption.checked) {
-            return 'wav';
-        }
+        const formatSelect = this.elements.formatSelect;
         
         // Default to WAV if nothing is selected
-        return 'wav';
+        return (formatSelect && formatSelect.value) || 'wav';
     }
     
     /**
      * Set the selected output format with validation
-     * @param {string} format - Format to select ('wav' or 'mp3')
+     * @param {string} format - Format id to select
      * @param {boolean} force - Force selection even if format is unavailable
      * @returns {boolean} True if format was successfully selected
      */
     setSelectedFormat(format, force = false) {
-        const mp3Option = this.elements.formatMp3;
-        const wavOption = this.elements.formatWav;
+        const formatSelect = this.elements.formatSelect;
         
-        if (!mp3Option || !wavOption) {
-            console.warn('Format options not found');
+        if (!formatSelect) {
+            console.warn('Format selector not found');
             return false;
         }
         
-        if (format === 'mp3') {
-            // Check if MP3 is available
-            if (!this.canConvertToMp3() && !force) {
-                console.warn('Cannot select MP3 format - FFmpeg not available');
-                
-                // Show notification about unavailability
-                this.showFormatStatusNotification(
-                    'MP3 format not available',
-                    'warning',
-                    'FFmpeg is required for MP3 conversion'
-                );
-                
-                // Auto-select WAV instead
-                wavOption.checked = true;
-                mp3Option.checked = false;
-                return false;
-            }
+        const entry = this.getAvailableFormats().find(available => available.value === format);
+        if (!entry) {
+            console.warn(`Invalid format: ${format}`);
+            return false;
+        }
+        
+        if (!entry.available && !force) {
+            console.warn(`Cannot select ${entry.label} format - ${entry.reason}`);
             
-            mp3Option.checked = true;
-            wavOption.checked = false;
-            return true;
+            // Show notification about unavailability
+            this.showFormatStatusNotification(
+                `${entry.label} format not available`,
+                'warning',
+                entry.description
+            );
             
-        } else if (format === 'wav') {
-            wavOption.checked = true;
-            mp3Option.checked = false;
-            return true;
+            // Auto-select WAV instead
+            formatSelect.value = 'wav';
+            this.updateFormatDescription();
+            return false;
         }
         
-        console.warn(`Invalid format: ${format}`);
-        return false;
+        formatSelect.value = format;
+        this.updateFormatDescription();
+        return true;
     }
     
     /**
-     * Get available output formats
-     * @returns {Array<{value: string, label: string, available: boolean}>} Available formats
+     * Get output formats with their current availability
+     * Availability comes from the encoders the main process reported; before
+     * that report every FFmpeg format is assumed to work when FFmpeg does.
+     * @returns {Array<{value: string, label: string, available: boolean, description: string, requiresFFmpeg: boolean, reason: string|null, options: Object|undefined}>} Output formats
      */
     getAvailableFormats() {
-        const mp3Available = this.canConvertToMp3();
-        
-        return [
-            {
-                value: 'wav',
-                label: 'WAV (Uncompressed)',
-                available: true,
-                description: 'High quality uncompressed audio format'
-            },
-            {
-                value: 'mp3',
-                label: 'MP3 (Compressed)',
-                available: mp3Available,
-                description: mp3Available 
-                    ? 'Compressed audio format with smaller file size'
-                    : 'Requires FFmpeg for conversion',
-                requiresFFmpeg: true
+        const ffmpegReady = this.canUseFFmpeg();
+        const formats = this.state.outputFormats || DEFAULT_OUTPUT_FORMATS;
+        
+        return formats.map(format => {
+            let reason = null;
+            if (format.requiresFFmpeg && !ffmpegReady) {
+                reason = this.getFFmpegUnavailableInfo().reason;
+            } else if (format.available === false) {
+                reason = format.reason || 'encoder not available';
             }
-        ];
+            
+            let description = format.description;
+            if (reason && !ffmpegReady) {
+                description = 'Requires FFmpeg for conversion';
+            } else if (reason) {
+                description = `Unavailable - ${reason}`;
+            }
+            
+            return {
+                value: format.id,
+                label: format.label,
+                available: reason === null,
+                description,
+                requiresFFmpeg: format.requiresFFmpeg,
+                reason,
+                options: format.options
+            };
+        });
     }
     
     /**
@@ -954,25 +1125,25 @@ class StateManager {
      * @returns {{valid: boolean, reason?: string, suggestedFormat?: string}}
      */
     validateFormatSelection(format) {
-        if (format === 'wav') {
-            return { valid: true };
+        const entry = this.getAvailableFormats().find(available => available.value === format);
+        
+        if (!entry) {
+            return {
+                valid: false,
+                reason: `Invalid format: ${format}`,
+                suggestedFormat: 'wav'
+            };
         }
         
-        if (format === 'mp3') {
-            if (this.canConvertToMp3()) {
-                return { valid: true };
-            } else {
-                return {
-                    valid: false,
-                    reason: 'FFmpeg is required for MP3 conversion but is not available',
-                    suggestedFormat: 'wav'
-                };
-            }
+        if (entry.available) {
+            return { valid: true };
         }
         
         return {
             valid: false,
-            reason: `Invalid format: ${format}`,
+            reason: this.canUseFFmpeg()
+                ? `${entry.label} is not available: ${entry.reason}`
+                : `FFmpeg is required for ${entry.label} conversion but is not available`,
             suggestedFormat: 'wav'
         };
     }
@@ -982,16 +1153,18 @@ class StateManager {
      * @returns {Object} Format recommendations
      */
     getFormatRecommendations() {
-        const mp3Available = this.canConvertToMp3();
+        const formats = this.getAvailableFormats();
+        const reasons = {};
+        formats.forEach(format => {
+            reasons[format.value] = format.available
+                ? format.description
+                : `Not available - ${format.reason}`;
+        });
+        reasons.wav = 'Always available, highest quality, larger file size';
         
         return {
-            recommended: mp3Available ? 'mp3' : 'wav',
-            reasons: {
-                mp3: mp3Available 
-                    ? 'Smaller file size, good quality'
-                    : 'Not available - FFmpeg required',
-                wav: 'Always available, highest quality, larger file size'
-            },
+            recommended: this.isFormatAvailable('mp3') ? 'mp3' : 'wav',
+            reasons,
             ffmpegStatus: {
                 available: this.state.ffmpegAvailable,
                 source: this.state.ffmpegSource,
@@ -1110,7 +1283,7 @@ class StateManager {
      * Update or create FFmpeg status indicator
      */
     updateFFmpegStatusIndicator(available, helpText = '') {
-        const formatContainer = this.elements.formatMp3?.closest('.radio-group');
+        const formatContainer = this.elements.formatSelect?.closest('.format-selection');
         if (!formatContainer) return;
         
         let statusIndicator = formatContainer.querySelector('.ffmpeg-status-indicator');
@@ -1135,7 +1308,7 @@ class StateManager {
                 statusIndicator.innerHTML = `
                     <div class="status-content status-warning">
                         <span class="status-icon">⚠️</span>
-                        <span class="status-text">${helpText || 'MP3 format unavailable'}</span>
+                        <span class="status-text">${helpText || 'Only WAV format available'}</span>
                     </div>
                 `;
             }
@@ -1214,18 +1387,18 @@ class StateManager {
      */
     handleFeatureDegradation(feature, reason, fallbackOptions = {}) {
         const degradationStrategies = {
-            mp3_conversion: {
-                fallbackMessage: 'MP3 conversion unavailable. Using WAV format instead.',
+            format_conversion: {
+                fallbackMessage: 'The selected output format is unavailable. Using WAV format instead.',
                 fallbackAction: () => {
-                    const wavOption = document.querySelector('input[name="outputFormat"][value="wav"]');
-                    if (wavOption) {
-                        wavOption.checked = true;
-                        wavOption.dispatchEvent(new Event('change'));
+                    const formatSelect = document.getElementById('outputFormat');
+                    if (formatSelect) {
+                        formatSelect.value = 'wav';
+                        formatSelect.dispatchEvent(new Event('change'));
                     }
                 },
                 userGuidance: [
                     'WAV format provides excellent audio quality',
-                    'Install FFmpeg to enable MP3 conversion',
+                    'Install FFmpeg to enable MP3, Opus, Vorbis, FLAC and AAC output',
                     'WAV files work on all audio players'
                 ]
             },
@@ -1433,16 +1606,13 @@ class StateManager {
      * Check if graceful degradation is needed for current state
      */
     checkForDegradationNeeds() {
-        // Check MP3 conversion availability
-        if (!this.canConvertToMp3()) {
-            const mp3Option = document.querySelector('input[name="outputFormat"][value="mp3"]');
-            if (mp3Option && mp3Option.checked) {
-                this.handleFeatureDegradation(
-                    'mp3_conversion',
-                    'FFmpeg not available',
-                    { showRetry: false, showSettings: true }
-                );
-            }
+        // Check that the selected output format can be produced
+        if (!this.isFormatAvailable(this.getSelectedFormat())) {
+            this.handleFeatureDegradation(
+                'format_conversion',
+                this.canUseFFmpeg() ? 'Encoder not available' : 'FFmpeg not available',
+                { showRetry: false, showSettings: true }
+            );
         }
 
         // Check voice availability
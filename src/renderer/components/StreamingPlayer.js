@@ -0,0 +1,224 @@
+/**
+ * StreamingPlayer - Plays a conversion while later chunks are still being synthesized
+ *
+ * Chunk audio arrives on the tts:audioChunk channel in the order chunks
+ * finish, which is not always playback order. Each chunk is decoded as soon
+ * as it arrives and scheduled right after the previous one on a single Web
+ * Audio timeline, so playback is gapless as long as synthesis stays ahead
+ * of the listener.
+ */
+
+// Lead time when playback starts or has run dry, so the first samples are not cut off
+const START_LEAD_SECONDS = 0.05;
+
+class StreamingPlayer {
+    /**
+     * @param {Object} options - Player options
+     * @param {Function} options.createContext - Returns a new AudioContext
+     * @param {Function} options.onError - Called with a message when a chunk cannot be played
+     */
+    constructor(options = {}) {
+        this.createContext = options.createContext || (() => new AudioContext());
+        this.onError = options.onError || ((message) => console.error(message));
+
+        this.elements = {
+            panel: document.getElementById('streamPlayer'),
+            playPauseBtn: document.getElementById('streamPlayPauseBtn'),
+            stopBtn: document.getElementById('streamStopBtn'),
+            status: document.getElementById('streamPlayerStatus')
+        };
+
+        this.context = null;
+        this.jobId = null;
+        this.resetQueue();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { playPauseBtn, stopBtn } = this.elements;
+        if (playPauseBtn) {
+            playPauseBtn.addEventListener('click', () => this.togglePause());
+        }
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => this.stop());
+        }
+    }
+
+    resetQueue() {
+        this.nextIndex = 0;
+        this.total = null;
+        this.decoded = new Map();
+        this.sources = [];
+        this.nextStartTime = 0;
+    }
+
+    /**
+     * Get ready to play a conversion; a previous one is stopped
+     * @param {string} jobId - Conversion job whose chunks are accepted
+     */
+    start(jobId) {
+        this.stop();
+
+        this.jobId = jobId;
+        this.context = this.createContext();
+        this.resetQueue();
+
+        if (this.elements.panel) {
+            this.elements.panel.style.display = 'block';
+        }
+        this.updateControls();
+        this.updateStatus();
+    }
+
+    /**
+     * Decode a chunk from the tts:audioChunk channel and schedule every chunk that is now in order
+     * @param {{jobId: string, index: number, total: number, audio: Uint8Array}} data - Chunk audio
+     */
+    async addChunk(data) {
+        if (!this.context || data.jobId !== this.jobId) {
+            return;
+        }
+
+        const context = this.context;
+        this.total = data.total;
+
+        let buffer = null;
+        try {
+            const bytes = data.audio;
+            // decodeAudioData detaches its input, so decode a copy of just this chunk's bytes
+            buffer = await context.decodeAudioData(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        } catch (error) {
+            this.onError(`Part ${data.index + 1} of ${data.total} could not be played: ${error.message}`);
+        }
+
+        // The player was stopped or restarted while decoding
+        if (context !== this.context) {
+            return;
+        }
+
+        // A part that failed to decode is skipped so the parts after it still play
+        this.decoded.set(data.index, buffer);
+        this.scheduleReady();
+    }
+
+    /**
+     * Schedule decoded chunks for as long as the next chunk in playback order is available
+     */
+    scheduleReady() {
+        while (this.decoded.has(this.nextIndex)) {
+            const buffer = this.decoded.get(this.nextIndex);
+            this.decoded.delete(this.nextIndex);
+            this.nextIndex++;
+
+            if (buffer) {
+                this.schedule(buffer);
+            }
+        }
+
+        this.updateStatus();
+    }
+
+    /**
+     * Start a decoded chunk when the chunk before it ends
+     * @param {AudioBuffer} buffer - Decoded chunk audio
+     */
+    schedule(buffer) {
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.context.destination);
+
+        const startAt = Math.max(this.nextStartTime, this.context.currentTime + START_LEAD_SECONDS);
+        source.start(startAt);
+        this.nextStartTime = startAt + buffer.duration;
+
+        this.sources.push(source);
+        source.onended = () => {
+            this.sources = this.sources.filter(item => item !== source);
+            this.updateStatus();
+        };
+    }
+
+    /**
+     * Pause or resume playback
+     */
+    async togglePause() {
+        if (!this.context) {
+            return;
+        }
+
+        if (this.context.state === 'running') {
+            await this.context.suspend();
+        } else {
+            await this.context.resume();
+        }
+
+        this.updateControls();
+        this.updateStatus();
+    }
+
+    /**
+     * Stop playback and release the audio context
+     */
+    stop() {
+        if (!this.context) {
+            return;
+        }
+
+        const context = this.context;
+        this.context = null;
+        this.jobId = null;
+
+        for (const source of this.sources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // Sources that already ended cannot be stopped
+            }
+        }
+        this.resetQueue();
+        context.close().catch(() => {});
+
+        if (this.elements.panel) {
+            this.elements.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Whether every chunk of the conversion has been played
+     * @returns {boolean} True once the last chunk has ended
+     */
+    isFinished() {
+        return this.total !== null && this.nextIndex >= this.total && this.sources.length === 0;
+    }
+
+    updateControls() {
+        if (this.elements.playPauseBtn) {
+            this.elements.playPauseBtn.textContent = this.context && this.context.state === 'suspended' ? 'Play' : 'Pause';
+        }
+    }
+
+    updateStatus() {
+        if (!this.elements.status || !this.context) {
+            return;
+        }
+
+        let message;
+        if (this.isFinished()) {
+            message = 'Finished';
+        } else if (this.context.state === 'suspended') {
+            message = 'Paused';
+        } else if (this.sources.length === 0) {
+            message = this.nextIndex === 0
+                ? 'Waiting for the first part...'
+                : `Waiting for part ${this.nextIndex + 1} of ${this.total}...`;
+        } else {
+            message = `Playing (${this.nextIndex} of ${this.total} parts ready)`;
+        }
+
+        this.elements.status.textContent = message;
+    }
+}
+
+// Export for use in other modules
+export default StreamingPlayer;
@@ -0,0 +1,259 @@
+/**
+ * VoiceBrowser - Searchable voice picker shown under the voice dropdown
+ *
+ * Searching, filtering and favorites are handled by the main process through
+ * the voices:* IPC channels; this component only renders one page of results
+ * at a time. Choosing a voice updates the voice dropdown so the rest of the
+ * UI keeps working from its change event.
+ */
+class VoiceBrowser {
+    /**
+     * @param {Object} options - Browser options
+     * @param {HTMLSelectElement} options.voiceSelect - Voice dropdown kept in sync with the browser
+     * @param {Function} options.onFavoritesChanged - Called with the updated favorite voice ids
+     * @param {Function} options.onError - Called with a message when an action fails
+     */
+    constructor(options = {}) {
+        this.voiceSelect = options.voiceSelect;
+        this.onFavoritesChanged = options.onFavoritesChanged || (() => {});
+        this.onError = options.onError || ((message) => console.error(message));
+
+        this.elements = {
+            toggleBtn: document.getElementById('browseVoicesBtn'),
+            panel: document.getElementById('voiceBrowser'),
+            search: document.getElementById('voiceSearch'),
+            locale: document.getElementById('voiceLocaleFilter'),
+            gender: document.getElementById('voiceGenderFilter'),
+            category: document.getElementById('voiceCategoryFilter'),
+            personality: document.getElementById('voicePersonalityFilter'),
+            favoritesOnly: document.getElementById('voiceFavoritesOnly'),
+            summary: document.getElementById('voiceBrowserSummary'),
+            list: document.getElementById('voiceBrowserList'),
+            moreBtn: document.getElementById('voiceBrowserMoreBtn')
+        };
+
+        this.pageSize = 50;
+        this.results = [];
+        this.total = 0;
+        this.searchTimer = null;
+        this.requestId = 0;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { toggleBtn, search, locale, gender, category, personality, favoritesOnly, moreBtn } = this.elements;
+        if (!toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => this.toggle());
+
+        // Debounce typing so every keystroke doesn't trigger a search
+        search.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(), 200);
+        });
+
+        [locale, gender, category, personality, favoritesOnly].forEach(control => {
+            control.addEventListener('change', () => this.search());
+        });
+
+        moreBtn.addEventListener('click', () => this.search(true));
+
+        // Keep the highlighted voice in sync with the dropdown
+        this.voiceSelect.addEventListener('change', () => this.highlightSelection());
+    }
+
+    isOpen() {
+        return this.elements.panel.style.display !== 'none';
+    }
+
+    async toggle() {
+        if (this.isOpen()) {
+            this.elements.panel.style.display = 'none';
+            this.elements.toggleBtn.textContent = 'Browse Voices';
+            return;
+        }
+
+        this.elements.panel.style.display = 'block';
+        this.elements.toggleBtn.textContent = 'Hide Voice Browser';
+        await this.refresh();
+    }
+
+    /**
+     * Reload the filter options and results, e.g. after the voice list changed
+     */
+    async refresh() {
+        if (!this.isOpen()) return;
+
+        await this.loadFacets();
+        await this.search();
+    }
+
+    async loadFacets() {
+        try {
+            const facets = await window.electronAPI.voices.getFacets();
+            this.fillFilter(this.elements.locale, facets.locales, 'All locales');
+            this.fillFilter(this.elements.gender, facets.genders, 'All genders');
+            this.fillFilter(this.elements.category, facets.categories, 'All categories');
+            this.fillFilter(this.elements.personality, facets.personalities, 'All personalities');
+        } catch (error) {
+            console.error('Failed to load voice filters:', error);
+        }
+    }
+
+    /**
+     * Replace the options of a filter, keeping the current choice when it still exists
+     */
+    fillFilter(select, options, allLabel) {
+        const current = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, ''));
+        options.forEach(({ value, count }) => {
+            select.appendChild(new Option(`${value} (${count})`, value));
+        });
+        select.value = options.some(option => option.value === current) ? current : '';
+        select.disabled = options.length === 0;
+    }
+
+    getQuery() {
+        const { search, locale, gender, category, personality, favoritesOnly } = this.elements;
+        return {
+            text: search.value.trim(),
+            locale: locale.value,
+            gender: gender.value,
+            category: category.value,
+            personality: personality.value,
+            favoritesOnly: favoritesOnly.checked
+        };
+    }
+
+    /**
+     * Run the current query
+     * @param {boolean} append - Load the next page instead of starting over
+     */
+    async search(append = false) {
+        const requestId = ++this.requestId;
+        const offset = append ? this.results.length : 0;
+
+        try {
+            const result = await window.electronAPI.voices.search({
+                ...this.getQuery(),
+                offset,
+                limit: this.pageSize
+            });
+
+            // Ignore responses to searches that have since been replaced
+            if (requestId !== this.requestId) return;
+
+            this.results = append ? [...this.results, ...result.voices] : result.voices;
+            this.total = result.total;
+            this.render();
+        } catch (error) {
+            console.error('Voice search failed:', error);
+            this.onError('Voice search failed: ' + error.message);
+        }
+    }
+
+    render() {
+        const { list, summary, moreBtn } = this.elements;
+        list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'voice-browser-empty';
+            empty.textContent = 'No voices match the current search.';
+            list.appendChild(empty);
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.results.forEach(voice => fragment.appendChild(this.renderVoice(voice)));
+        list.appendChild(fragment);
+
+        summary.textContent = `Showing ${this.results.length} of ${this.total} voices`;
+        moreBtn.style.display = this.results.length < this.total ? 'inline-block' : 'none';
+        this.highlightSelection();
+    }
+
+    renderVoice(voice) {
+        const item = document.createElement('li');
+        item.className = 'voice-browser-item';
+        item.dataset.voiceId = voice.id;
+
+        const favoriteBtn = document.createElement('button');
+        favoriteBtn.type = 'button';
+        favoriteBtn.className = `voice-favorite-btn${voice.isFavorite ? ' active' : ''}`;
+        favoriteBtn.textContent = voice.isFavorite ? '★' : '☆';
+        favoriteBtn.title = voice.isFavorite ? 'Remove from favorites' : 'Add to favorites';
+        favoriteBtn.addEventListener('click', () => this.setFavorite(voice, !voice.isFavorite));
+
+        const info = document.createElement('div');
+        info.className = 'voice-browser-info';
+        const name = document.createElement('div');
+        name.className = 'voice-browser-name';
+        name.textContent = voice.name;
+        const meta = document.createElement('div');
+        meta.className = 'voice-browser-meta';
+        meta.textContent = [
+            voice.language,
+            voice.gender,
+            ...(voice.categories || []),
+            ...(voice.personalities || [])
+        ].filter(Boolean).join(' · ');
+        meta.title = meta.textContent;
+        info.append(name, meta);
+
+        const playBtn = document.createElement('button');
+        playBtn.type = 'button';
+        playBtn.textContent = '▶ Sample';
+        playBtn.title = 'Play a short sample of this voice';
+        playBtn.addEventListener('click', () => this.playSample(voice, playBtn));
+
+        const useBtn = document.createElement('button');
+        useBtn.type = 'button';
+        useBtn.textContent = 'Use';
+        useBtn.addEventListener('click', () => this.selectVoice(voice));
+
+        item.append(favoriteBtn, info, playBtn, useBtn);
+        return item;
+    }
+
+    highlightSelection() {
+        this.elements.list.querySelectorAll('.voice-browser-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.voiceId === this.voiceSelect.value);
+        });
+    }
+
+    selectVoice(voice) {
+        this.voiceSelect.value = voice.id;
+        this.voiceSelect.dispatchEvent(new Event('change'));
+    }
+
+    async setFavorite(voice, favorite) {
+        try {
+            const favorites = await window.electronAPI.voices.setFavorite(voice.id, favorite);
+            this.onFavoritesChanged(favorites);
+            await this.search();
+        } catch (error) {
+            console.error('Failed to update favorites:', error);
+            this.onError('Failed to update favorites: ' + error.message);
+        }
+    }
+
+    async playSample(voice, button) {
+        const label = button.textContent;
+        try {
+            button.disabled = true;
+            button.textContent = 'Playing...';
+            await window.electronAPI.voices.playSample(voice.id);
+        } catch (error) {
+            console.error('Voice sample failed:', error);
+            this.onError('Could not play a sample of ' + voice.name + ': ' + error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+}
+
+// Export for use in other modules
+export default VoiceBrowser;
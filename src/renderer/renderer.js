@@ -1,13 +1,32 @@
 // Import StateManager
 import StateManager from './components/StateManager.js';
+import VoiceBrowser from './components/VoiceBrowser.js';
+import StreamingPlayer from './components/StreamingPlayer.js';
+import ProfilePicker from './components/ProfilePicker.js';
 
 // DOM Elements
 const textInput = document.getElementById('textInput');
 const selectFileBtn = document.getElementById('selectFileBtn');
 const selectedFileName = document.getElementById('selectedFileName');
+const selectChapterFilesBtn = document.getElementById('selectChapterFilesBtn');
+const validateSsmlBtn = document.getElementById('validateSsmlBtn');
+const detectSpeakersBtn = document.getElementById('detectSpeakersBtn');
+const speakerTableSection = document.getElementById('speakerTableSection');
+const speakerTableBody = document.getElementById('speakerTableBody');
+const dialogueGap = document.getElementById('dialogueGap');
 const voiceSelect = document.getElementById('voiceSelect');
+const voiceStyle = document.getElementById('voiceStyle');
+const voiceRole = document.getElementById('voiceRole');
+const styleDegree = document.getElementById('styleDegree');
+const styleDegreeValue = document.getElementById('styleDegreeValue');
+const outputFormatSelect = document.getElementById('outputFormat');
 const outputFolder = document.getElementById('outputFolder');
 const selectFolderBtn = document.getElementById('selectFolderBtn');
+const streamPlayback = document.getElementById('streamPlayback');
+const metaTitle = document.getElementById('metaTitle');
+const coverFileName = document.getElementById('coverFileName');
+const selectCoverBtn = document.getElementById('selectCoverBtn');
+const clearCoverBtn = document.getElementById('clearCoverBtn');
 const convertBtn = document.getElementById('convertBtn');
 const settingsBtn = document.getElementById('settingsBtn');
 const progressSection = document.getElementById('progressSection');
@@ -16,16 +35,54 @@ const progressText = document.getElementById('progressText');
 const statusText = document.getElementById('statusText');
 
 // Application State
+const defaultNormalizationRules = {
+    numbers: true,
+    currency: true,
+    dates: true,
+    times: true,
+    ordinals: true,
+    units: true,
+    urls: true,
+    emails: true,
+    abbreviations: true
+};
+
 let currentSettings = {
     lastSelectedVoice: '',
+    lastSelectedProfileId: null,
     defaultOutputFormat: 'wav',
     defaultOutputPath: '',
     voiceSpeed: 1.0,
-    maxChunkLength: 5000
+    voicePitch: 0,
+    voiceVolume: 0,
+    maxChunkLength: 5000,
+    chunkStrategy: 'sentence',
+    maxConcurrentChunks: 3,
+    synthesisCacheMaxMb: 500,
+    ttsEngine: 'auto',
+    dialogueSpeakers: {},
+    dialogueGapMs: 400,
+    streamPlayback: false,
+    paragraphPauseMs: 0,
+    subtitleFormats: [],
+    subtitleMaxLineLength: 42,
+    subtitleMaxCueDurationMs: 5000,
+    favoriteVoices: [],
+    autoDetectLanguage: false,
+    languageVoices: {},
+    normalizationRules: { ...defaultNormalizationRules },
+    outputFormatOptions: {},
+    splitMode: 'none',
+    splitMaxMinutes: 60,
+    splitMaxMegabytes: 100
 };
 
 let currentConversionJob = null;
 
+// Tags for the next conversion: the loaded text file names the title, the cover is a file path
+let sourceFileName = null;
+let coverImagePath = null;
+
 // Progress Manager Class
 class ProgressManager {
     constructor() {
@@ -240,6 +297,11 @@ let errorDisplay;
 // Initialize state manager
 let stateManager;
 
+// Initialize voice browser
+let voiceBrowser;
+let streamingPlayer;
+let profilePicker;
+
 // Initialize Application with optimized loading
 document.addEventListener('DOMContentLoaded', async () => {
     // Initialize state manager first
@@ -251,10 +313,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Setup state manager event listeners
     setupStateManagerListeners();
     
+    // Initialize voice browser panel
+    voiceBrowser = new VoiceBrowser({
+        voiceSelect,
+        onFavoritesChanged: (favorites) => {
+            // Favorites are saved by the main process; keep the local copy in step
+            currentSettings.favoriteVoices = favorites;
+        },
+        onError: (message) => progressManager.showNotification(message, 'error')
+    });
+
+    // Player for audio streamed while a conversion is running
+    streamingPlayer = new StreamingPlayer({
+        onError: (message) => progressManager.showNotification(message, 'error')
+    });
+    
+    // Saved voice profiles
+    profilePicker = new ProfilePicker({
+        getCurrentOptions: getVoiceProfileOptions,
+        onApply: applyVoiceProfile,
+        onSelectionChanged: async (profileId) => {
+            currentSettings.lastSelectedProfileId = profileId;
+            await saveSettings();
+        },
+        onNotify: (message, type) => progressManager.showNotification(message, type)
+    });
+    
     // Load components asynchronously for better performance
     try {
         // Load settings first (fastest)
         await loadSettings();
+        await profilePicker.load(currentSettings.lastSelectedProfileId);
         
         // Setup event listeners early
         setupEventListeners();
@@ -297,10 +386,10 @@ function setupStateManagerListeners() {
         console.log('Format availability changed:', eventData);
         
         // Update UI elements based on format availability
-        updateFormatDependentUI(eventData.mp3Available);
+        updateFormatDependentUI(eventData.formats);
         
         // Update settings if needed
-        if (!eventData.mp3Available && currentSettings.defaultOutputFormat === 'mp3') {
+        if (!eventData.availableFormats.includes(currentSettings.defaultOutputFormat)) {
             currentSettings.defaultOutputFormat = 'wav';
             saveSettings().catch(error => {
                 console.error('Failed to save format change:', error);
@@ -324,45 +413,29 @@ function setupStateManagerListeners() {
 }
 
 // Update UI elements that depend on format availability
-function updateFormatDependentUI(mp3Available) {
+function updateFormatDependentUI(formats) {
+    const available = formats.filter(format => format.available);
+    
     // Update convert button tooltip
     const convertBtn = document.getElementById('convertBtn');
     if (convertBtn) {
-        if (mp3Available) {
-            convertBtn.title = 'Convert text to speech (WAV and MP3 formats available)';
+        if (available.length === formats.length) {
+            convertBtn.title = 'Convert text to speech (all output formats available)';
+        } else if (available.length === 1) {
+            convertBtn.title = 'Convert text to speech (WAV format only - other formats require FFmpeg)';
         } else {
-            convertBtn.title = 'Convert text to speech (WAV format only - MP3 requires FFmpeg)';
+            convertBtn.title = `Convert text to speech (${available.map(format => format.label).join(', ')})`;
         }
     }
     
     // Update settings modal format options
-    updateSettingsModalFormatOptions(mp3Available);
+    updateSettingsModalFormatOptions(formats);
 }
 
 // Update format options in settings modal
-function updateSettingsModalFormatOptions(mp3Available) {
-    const defaultFormatMp3 = document.getElementById('defaultFormatMp3');
-    const defaultFormatMp3Label = document.querySelector('label[for="defaultFormatMp3"]');
-    
-    if (defaultFormatMp3 && defaultFormatMp3Label) {
-        defaultFormatMp3.disabled = !mp3Available;
-        
-        if (mp3Available) {
-            defaultFormatMp3Label.classList.remove('disabled');
-            defaultFormatMp3Label.title = 'MP3 format available';
-        } else {
-            defaultFormatMp3Label.classList.add('disabled');
-            defaultFormatMp3Label.title = 'MP3 format requires FFmpeg';
-            
-            // Auto-select WAV if MP3 was selected
-            if (defaultFormatMp3.checked) {
-                defaultFormatMp3.checked = false;
-                const defaultFormatWav = document.getElementById('defaultFormatWav');
-                if (defaultFormatWav) {
-                    defaultFormatWav.checked = true;
-                }
-            }
-        }
+function updateSettingsModalFormatOptions(formats) {
+    if (settingsModal) {
+        settingsModal.populateFormatOptions(formats);
     }
 }
 
@@ -497,6 +570,7 @@ function setupServiceListeners() {
                         data.data.status.source || 'none',
                         data.data.status.validated || false
                     );
+                    loadOutputFormats();
                     break;
                 case 'voices-complete':
                     stateManager.updateVoiceState(
@@ -509,6 +583,7 @@ function setupServiceListeners() {
                     break;
                 case 'ffmpeg-error':
                     stateManager.updateFFmpegState(false, 'none', false);
+                    loadOutputFormats();
                     break;
                 case 'voices-error':
                     stateManager.updateVoiceState(
@@ -544,6 +619,7 @@ function setupServiceListeners() {
                     data.ffmpeg.source || 'none',
                     data.ffmpeg.validated || false
                 );
+                loadOutputFormats();
             }
             
             // Update voice state
@@ -592,6 +668,7 @@ function setupServiceListeners() {
                 status.source || 'none',
                 status.validated || false
             );
+            loadOutputFormats();
         }
     });
     
@@ -608,6 +685,20 @@ function setupServiceListeners() {
                 null // no error
             );
         }
+        
+        // Background refresh of the cached voice list found new or retired voices
+        const added = (data.added || []).length;
+        const removed = (data.removed || []).length;
+        if (added > 0 || removed > 0) {
+            const changes = [added > 0 ? `${added} added` : '', removed > 0 ? `${removed} removed` : '']
+                .filter(Boolean)
+                .join(', ');
+            progressManager.showNotification(`Voice list updated: ${changes}.`, 'info');
+        }
+        
+        if (voiceBrowser) {
+            voiceBrowser.refresh();
+        }
     });
     
     // Listen for voice loading failures (real-time updates during initialization)
@@ -649,6 +740,20 @@ function setupServiceListeners() {
     });
 }
 
+// Ask the main process which output formats the detected FFmpeg can encode
+async function loadOutputFormats() {
+    if (!window.electronAPI.getOutputFormats) return;
+    
+    try {
+        const formats = await window.electronAPI.getOutputFormats();
+        if (stateManager && Array.isArray(formats)) {
+            stateManager.updateOutputFormats(formats);
+        }
+    } catch (error) {
+        console.error('Failed to load output formats:', error);
+    }
+}
+
 // Load user settings
 async function loadSettings() {
     try {
@@ -666,10 +771,12 @@ async function loadSettings() {
                 outputFolder.placeholder = 'Select output folder or use default...';
             }
             
-            // Set output format
-            const formatRadio = document.querySelector(`input[name="outputFormat"][value="${currentSettings.defaultOutputFormat}"]`);
-            if (formatRadio) {
-                formatRadio.checked = true;
+            dialogueGap.value = currentSettings.dialogueGapMs;
+            streamPlayback.checked = !!currentSettings.streamPlayback;
+
+            // Set output format; availability is checked once FFmpeg detection reports
+            if (stateManager) {
+                stateManager.setSelectedFormat(currentSettings.defaultOutputFormat, true);
             }
         }
     } catch (error) {
@@ -695,7 +802,7 @@ async function loadVoices() {
     voices.forEach(voice => {
         const option = document.createElement('option');
         option.value = voice.id;
-        option.textContent = `${voice.name} (${voice.language})`;
+        option.textContent = stateManager ? stateManager.formatVoiceLabel(voice) : `${voice.name} (${voice.language})`;
         fragment.appendChild(option);
     });
     
@@ -751,6 +858,13 @@ function setupEventListeners() {
             if (result && result.content) {
                 textInput.value = result.content;
                 selectedFileName.textContent = result.fileName;
+                sourceFileName = result.fileName;
+                metaTitle.placeholder = result.fileName.replace(/\.[^.]+$/, '');
+
+                // SSML documents switch the input mode automatically
+                if (/\.(ssml|xml)$/i.test(result.fileName)) {
+                    setInputMode('ssml');
+                }
             }
         } catch (error) {
             console.error('File selection error:', error);
@@ -762,6 +876,81 @@ function setupEventListeners() {
         }
     });
     
+    // Several text files become the chapters of one audiobook, one [chapter] marker per file
+    selectChapterFilesBtn.addEventListener('click', async () => {
+        try {
+            const result = await window.electronAPI.selectChapterFiles();
+            if (result && result.files.length > 0) {
+                textInput.value = result.files
+                    .map(file => `[chapter ${file.fileName.replace(/\.[^.]+$/, '').replace(/[\[\]]/g, '')}]\n${file.content.trim()}`)
+                    .join('\n\n');
+                selectedFileName.textContent = result.files.length === 1
+                    ? result.files[0].fileName
+                    : `${result.files.length} chapter files`;
+                sourceFileName = null;
+                metaTitle.placeholder = '';
+                setInputMode('text');
+            }
+        } catch (error) {
+            console.error('Chapter file selection error:', error);
+            if (errorDisplay) {
+                errorDisplay.handleFileError(error, () => selectChapterFilesBtn.click());
+            } else {
+                alert('Failed to load files: ' + error.message);
+            }
+        }
+    });
+
+    // Cover art for the tags
+    selectCoverBtn.addEventListener('click', async () => {
+        try {
+            const result = await window.electronAPI.selectCoverImage();
+            if (result) {
+                setCoverImage(result.filePath, result.fileName);
+            }
+        } catch (error) {
+            console.error('Cover image selection error:', error);
+            progressManager.showErrorNotification('Failed to select cover image: ' + error.message);
+        }
+    });
+
+    clearCoverBtn.addEventListener('click', () => setCoverImage(null));
+    
+    // Input mode selection
+    document.querySelectorAll('input[name="inputMode"]').forEach(radio => {
+        radio.addEventListener('change', () => setInputMode(getInputMode()));
+    });
+
+    validateSsmlBtn.addEventListener('click', async () => {
+        const valid = await validateSSMLInput();
+        if (valid) {
+            progressManager.showSuccessNotification('SSML is valid.');
+        }
+    });
+
+    // Dialogue speaker table
+    detectSpeakersBtn.addEventListener('click', () => refreshSpeakerTable());
+
+    speakerTableBody.addEventListener('change', async () => {
+        currentSettings.dialogueSpeakers = {
+            ...currentSettings.dialogueSpeakers,
+            ...readSpeakerTable()
+        };
+        await saveSettings();
+    });
+
+    dialogueGap.addEventListener('change', async () => {
+        const gap = parseInt(dialogueGap.value, 10);
+        currentSettings.dialogueGapMs = Number.isNaN(gap) ? 400 : Math.min(5000, Math.max(0, gap));
+        dialogueGap.value = currentSettings.dialogueGapMs;
+        await saveSettings();
+    });
+
+    streamPlayback.addEventListener('change', async () => {
+        currentSettings.streamPlayback = streamPlayback.checked;
+        await saveSettings();
+    });
+    
     // Output folder selection
     selectFolderBtn.addEventListener('click', async () => {
         try {
@@ -805,45 +994,53 @@ function setupEventListeners() {
     // Voice selection change
     voiceSelect.addEventListener('change', async () => {
         currentSettings.lastSelectedVoice = voiceSelect.value;
+        if (stateManager) {
+            stateManager.updateVoiceStyleUI(voiceSelect.value);
+        }
         await saveSettings();
     });
     
+    // Speaking style selection
+    voiceStyle.addEventListener('change', () => {
+        styleDegree.disabled = !voiceStyle.value;
+    });
+    
+    styleDegree.addEventListener('input', () => {
+        styleDegreeValue.textContent = parseFloat(styleDegree.value).toFixed(1);
+    });
+    
     // Enhanced output format change with intelligent management
-    document.querySelectorAll('input[name="outputFormat"]').forEach(radio => {
-        radio.addEventListener('change', async (event) => {
-            const selectedFormat = radio.value;
+    outputFormatSelect.addEventListener('change', async () => {
+        const selectedFormat = outputFormatSelect.value;
+        
+        // Validate format selection with StateManager
+        if (stateManager) {
+            const validation = stateManager.validateFormatSelection(selectedFormat);
             
-            // Validate format selection with StateManager
-            if (stateManager) {
-                const validation = stateManager.validateFormatSelection(selectedFormat);
+            if (!validation.valid) {
+                // Show error notification
+                stateManager.showFormatStatusNotification(
+                    `Cannot select ${selectedFormat.toUpperCase()} format`,
+                    'warning',
+                    validation.reason
+                );
                 
-                if (!validation.valid) {
-                    // Prevent invalid selection
-                    event.preventDefault();
-                    
-                    // Show error notification
-                    stateManager.showFormatStatusNotification(
-                        `Cannot select ${selectedFormat.toUpperCase()} format`,
-                        'warning',
-                        validation.reason
-                    );
-                    
-                    // Auto-select suggested format
-                    if (validation.suggestedFormat) {
-                        stateManager.setSelectedFormat(validation.suggestedFormat);
-                        currentSettings.defaultOutputFormat = validation.suggestedFormat;
-                    }
-                } else {
-                    // Valid selection
-                    currentSettings.defaultOutputFormat = selectedFormat;
+                // Auto-select suggested format
+                if (validation.suggestedFormat) {
+                    stateManager.setSelectedFormat(validation.suggestedFormat);
+                    currentSettings.defaultOutputFormat = validation.suggestedFormat;
                 }
             } else {
-                // Fallback for when StateManager is not available
+                // Valid selection
+                stateManager.updateFormatDescription();
                 currentSettings.defaultOutputFormat = selectedFormat;
             }
-            
-            await saveSettings();
-        });
+        } else {
+            // Fallback for when StateManager is not available
+            currentSettings.defaultOutputFormat = selectedFormat;
+        }
+        
+        await saveSettings();
     });
     
     // Progress updates from main process
@@ -867,22 +1064,275 @@ function setupEventListeners() {
     // Enhanced error handling
     window.electronAPI.onRetryAttempt && window.electronAPI.onRetryAttempt((_, data) => {
         if (errorDisplay) {
-            errorDisplay.showRetryNotification(data.attempt, data.maxRetries, data.delay);
+            errorDisplay.showRetryNotification(data.attempt, data.maxRetries, data.delay, data.chunk);
         }
     });
     
     // Conversion cancelled
     window.electronAPI.onConversionCancelled && window.electronAPI.onConversionCancelled((_, data) => {
+        streamingPlayer.stop();
         progressManager.error('Conversion was cancelled');
         currentConversionJob = null;
     });
+
+    // Chunk audio for listening while the conversion runs
+    window.electronAPI.onAudioChunk && window.electronAPI.onAudioChunk((_, data) => {
+        streamingPlayer.addChunk(data);
+    });
+}
+
+// Collect the options a voice profile stores from the current controls and settings
+function getVoiceProfileOptions() {
+    const selection = stateManager ? stateManager.getSelectedVoiceStyle() : {};
+    return {
+        voice: voiceSelect.value,
+        speed: currentSettings.voiceSpeed,
+        pitch: currentSettings.voicePitch,
+        volume: currentSettings.voiceVolume,
+        style: selection.style || null,
+        styleDegree: selection.styleDegree || 1,
+        role: selection.role || null,
+        outputFormat: outputFormatSelect.value,
+        formatOptions: currentSettings.outputFormatOptions[outputFormatSelect.value] || null,
+        paragraphPauseMs: currentSettings.paragraphPauseMs || 0,
+        normalization: { ...currentSettings.normalizationRules },
+        subtitles: currentSettings.subtitleFormats.length > 0 ? {
+            formats: currentSettings.subtitleFormats,
+            maxLineLength: currentSettings.subtitleMaxLineLength,
+            maxCueDurationMs: currentSettings.subtitleMaxCueDurationMs
+        } : null
+    };
+}
+
+// Copy a voice profile into the voice controls and settings
+async function applyVoiceProfile(profile) {
+    const voiceAvailable = Array.from(voiceSelect.options).some(option => option.value === profile.voice);
+    if (voiceAvailable) {
+        voiceSelect.value = profile.voice;
+        currentSettings.lastSelectedVoice = profile.voice;
+        if (stateManager) {
+            stateManager.updateVoiceStyleUI(profile.voice);
+        }
+        voiceBrowser.highlightSelection();
+    } else {
+        progressManager.showNotification(`The voice of profile "${profile.name}" is not available with the current speech engine`, 'error');
+    }
+    
+    voiceStyle.value = profile.style || '';
+    voiceRole.value = profile.role || '';
+    styleDegree.value = profile.styleDegree || 1;
+    styleDegree.disabled = !voiceStyle.value;
+    styleDegreeValue.textContent = parseFloat(styleDegree.value).toFixed(1);
+    
+    currentSettings.voiceSpeed = profile.speed;
+    currentSettings.voicePitch = profile.pitch;
+    currentSettings.voiceVolume = profile.volume;
+    currentSettings.paragraphPauseMs = profile.paragraphPauseMs || 0;
+    if (profile.normalization) {
+        currentSettings.normalizationRules = { ...defaultNormalizationRules, ...profile.normalization };
+    }
+    currentSettings.subtitleFormats = profile.subtitles ? [...profile.subtitles.formats] : [];
+    if (profile.subtitles) {
+        currentSettings.subtitleMaxLineLength = profile.subtitles.maxLineLength;
+        currentSettings.subtitleMaxCueDurationMs = profile.subtitles.maxCueDurationMs;
+    }
+    
+    if (!stateManager || stateManager.setSelectedFormat(profile.outputFormat)) {
+        currentSettings.defaultOutputFormat = profile.outputFormat;
+    }
+    if (profile.formatOptions) {
+        currentSettings.outputFormatOptions = {
+            ...currentSettings.outputFormatOptions,
+            [profile.outputFormat]: { ...profile.formatOptions }
+        };
+    }
+    
+    await saveSettings();
+}
+
+// Format a relative adjustment such as +5 Hz or -10%
+function formatSignedValue(value, unit) {
+    return `${value >= 0 ? '+' : ''}${value}${unit}`;
+}
+
+// Get the selected input mode ('text', 'ssml' or 'dialogue')
+function getInputMode() {
+    const selected = document.querySelector('input[name="inputMode"]:checked');
+    return selected ? selected.value : 'text';
+}
+
+// Select an input mode and update the related controls
+function setInputMode(mode) {
+    const radioIds = { ssml: 'inputModeSsml', dialogue: 'inputModeDialogue' };
+    const radio = document.getElementById(radioIds[mode] || 'inputModeText');
+    radio.checked = true;
+
+    const isSSML = mode === 'ssml';
+    const isDialogue = mode === 'dialogue';
+    validateSsmlBtn.style.display = isSSML ? 'inline-block' : 'none';
+    detectSpeakersBtn.style.display = isDialogue ? 'inline-block' : 'none';
+    speakerTableSection.style.display = isDialogue ? 'block' : 'none';
+    textInput.classList.toggle('ssml-mode', isSSML);
+
+    if (isSSML) {
+        textInput.placeholder = '<speak>Hello <break time="500ms"/> <emphasis level="strong">world</emphasis></speak>';
+    } else if (isDialogue) {
+        textInput.placeholder = 'ALICE: Hello, Bob.\nBOB: Hi Alice! How are you?';
+        refreshSpeakerTable();
+    } else {
+        textInput.placeholder = 'Enter text to convert to speech...';
+    }
+}
+
+// Parse the dialogue script and rebuild the speaker table.
+// Returns the parse result, or null when the script could not be parsed.
+async function refreshSpeakerTable() {
+    if (!textInput.value.trim()) {
+        return null;
+    }
+
+    try {
+        const result = await window.electronAPI.parseDialogue(textInput.value);
+        renderSpeakerTable(result.speakers);
+        return result;
+    } catch (error) {
+        console.error('Dialogue parsing error:', error);
+        progressManager.showErrorNotification('Failed to read speakers: ' + error.message);
+        return null;
+    }
+}
+
+// Render one row per speaker with its saved voice, speed and pitch
+function renderSpeakerTable(speakers) {
+    speakerTableBody.innerHTML = '';
+
+    if (speakers.length === 0) {
+        const row = document.createElement('tr');
+        row.className = 'speaker-table-empty';
+        row.innerHTML = '<td colspan="4">No speakers found. Start lines with a label such as "ALICE:".</td>';
+        speakerTableBody.appendChild(row);
+        return;
+    }
+
+    speakers.forEach(speaker => {
+        const saved = currentSettings.dialogueSpeakers[speaker] || {};
+        const row = document.createElement('tr');
+        row.dataset.speaker = speaker;
+
+        const nameCell = document.createElement('td');
+        nameCell.textContent = speaker;
+
+        const voiceCell = document.createElement('td');
+        const voiceInput = document.createElement('select');
+        voiceInput.className = 'speaker-voice';
+        Array.from(voiceSelect.options).forEach(option => {
+            voiceInput.appendChild(new Option(option.textContent, option.value));
+        });
+        voiceInput.value = saved.voice || voiceSelect.value;
+        voiceCell.appendChild(voiceInput);
+
+        const speedCell = document.createElement('td');
+        const speedInput = document.createElement('input');
+        Object.assign(speedInput, { type: 'number', className: 'speaker-speed', min: 0.5, max: 2.0, step: 0.1 });
+        speedInput.value = saved.speed || currentSettings.voiceSpeed;
+        speedCell.appendChild(speedInput);
+
+        const pitchCell = document.createElement('td');
+        const pitchInput = document.createElement('input');
+        Object.assign(pitchInput, { type: 'number', className: 'speaker-pitch', min: -50, max: 50, step: 1 });
+        pitchInput.value = typeof saved.pitch === 'number' ? saved.pitch : currentSettings.voicePitch;
+        pitchCell.appendChild(pitchInput);
+
+        row.append(nameCell, voiceCell, speedCell, pitchCell);
+        speakerTableBody.appendChild(row);
+    });
+}
+
+// Read the speaker table into a map of speaker -> {voice, speed, pitch}
+function readSpeakerTable() {
+    const speakers = {};
+
+    speakerTableBody.querySelectorAll('tr[data-speaker]').forEach(row => {
+        const voice = row.querySelector('.speaker-voice').value;
+        if (!voice) {
+            return;
+        }
+
+        const entry = { voice };
+        const speed = parseFloat(row.querySelector('.speaker-speed').value);
+        const pitch = parseInt(row.querySelector('.speaker-pitch').value, 10);
+        if (speed >= 0.5 && speed <= 2.0) {
+            entry.speed = speed;
+        }
+        if (pitch >= -50 && pitch <= 50) {
+            entry.pitch = pitch;
+        }
+        speakers[row.dataset.speaker] = entry;
+    });
+
+    return speakers;
+}
+
+// Read the tag fields into {title, artist, album, track, genre, comment, cover}, leaving out empty ones
+function readMetadataFields() {
+    const metadata = {};
+    for (const field of ['title', 'artist', 'album', 'track', 'genre', 'comment']) {
+        const input = document.getElementById(`meta${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+        const value = input.value.trim();
+        if (value) {
+            metadata[field] = value;
+        }
+    }
+    if (coverImagePath) {
+        metadata.cover = coverImagePath;
+    }
+    return metadata;
+}
+
+// Show the chosen cover image, or none
+function setCoverImage(filePath, fileName = null) {
+    coverImagePath = filePath;
+    coverFileName.textContent = filePath ? fileName : 'None';
+    coverFileName.title = filePath || '';
+    clearCoverBtn.style.display = filePath ? '' : 'none';
+}
+
+// Validate the SSML in the text input and show line/column errors
+async function validateSSMLInput() {
+    try {
+        const result = await window.electronAPI.validateSSML(textInput.value);
+        if (result.valid) {
+            return true;
+        }
+
+        const first = result.errors[0];
+        const ssmlError = {
+            category: 'ssml',
+            severity: 'error',
+            userMessage: `Invalid SSML at line ${first.line}, column ${first.column}: ${first.message}`,
+            troubleshooting: result.errors.slice(0, 10).map(e => `Line ${e.line}, column ${e.column}: ${e.message}`),
+            canRetry: false,
+            context: { operation: 'validateSSML' }
+        };
+
+        if (errorDisplay) {
+            errorDisplay.showError(ssmlError);
+        } else {
+            progressManager.showErrorNotification(ssmlError.userMessage);
+        }
+        return false;
+    } catch (error) {
+        console.error('SSML validation error:', error);
+        progressManager.showErrorNotification('Failed to validate SSML: ' + error.message);
+        return false;
+    }
 }
 
 // Start text-to-speech conversion
 async function startConversion() {
     const text = textInput.value.trim();
     const voice = voiceSelect.value;
-    const outputFormat = document.querySelector('input[name="outputFormat"]:checked').value;
+    const outputFormat = stateManager.getSelectedFormat();
     const outputPath = outputFolder.value;
     
     // Validation using StateManager
@@ -909,12 +1359,39 @@ async function startConversion() {
         return;
     }
     
-    // Check MP3 format availability
-    if (outputFormat === 'mp3' && !stateManager.canConvertToMp3()) {
-        progressManager.showErrorNotification('MP3 format is not available. FFmpeg is required for MP3 conversion.');
+    // Check output format availability
+    const formatValidation = stateManager.validateFormatSelection(outputFormat);
+    if (!formatValidation.valid) {
+        progressManager.showErrorNotification(`${formatValidation.reason}. Choose another output format.`);
         return;
     }
     
+    // SSML must be well-formed before it is sent to the engine
+    const inputMode = getInputMode();
+    if (inputMode === 'ssml' && !(await validateSSMLInput())) {
+        textInput.focus();
+        return;
+    }
+    
+    // Dialogue scripts need a voice for every speaker
+    let dialogueOptions = {};
+    if (inputMode === 'dialogue') {
+        const script = await refreshSpeakerTable();
+        if (!script) {
+            return;
+        }
+        if (script.errors.length > 0) {
+            const first = script.errors[0];
+            progressManager.showErrorNotification(`Dialogue script error at line ${first.line}: ${first.message}`);
+            textInput.focus();
+            return;
+        }
+        dialogueOptions = {
+            speakers: readSpeakerTable(),
+            gapMs: currentSettings.dialogueGapMs
+        };
+    }
+    
     try {
         // Define conversion phases
         const phases = [
@@ -935,9 +1412,70 @@ async function startConversion() {
             voice: voice,
             outputFormat: outputFormat,
             outputPath: outputPath,
-            speed: currentSettings.voiceSpeed
+            speed: currentSettings.voiceSpeed,
+            pitch: currentSettings.voicePitch,
+            volume: currentSettings.voiceVolume,
+            inputMode: inputMode,
+            maxConcurrentChunks: currentSettings.maxConcurrentChunks || 3,
+            ...stateManager.getSelectedVoiceStyle(),
+            ...dialogueOptions
         };
         
+        // Encoder options saved in settings for the chosen format
+        if (currentSettings.outputFormatOptions[outputFormat]) {
+            currentConversionJob.formatOptions = currentSettings.outputFormatOptions[outputFormat];
+        }
+        
+        // Tags; the main process takes the title from the source file when none is typed
+        const metadata = readMetadataFields();
+        if (Object.keys(metadata).length > 0) {
+            currentConversionJob.metadata = metadata;
+        }
+        if (sourceFileName) {
+            currentConversionJob.sourceFile = sourceFileName;
+        }
+        
+        // Long output can be saved as numbered parts with a playlist
+        if (currentSettings.splitMode && currentSettings.splitMode !== 'none') {
+            currentConversionJob.splitOutput = {
+                mode: currentSettings.splitMode,
+                maxMinutes: currentSettings.splitMaxMinutes,
+                maxMegabytes: currentSettings.splitMaxMegabytes
+            };
+        }
+        
+        // Plain text paragraphs can be read by a voice matching their language
+        if (inputMode === 'text' && currentSettings.autoDetectLanguage) {
+            currentConversionJob.autoDetectLanguage = true;
+            currentConversionJob.languageVoices = currentSettings.languageVoices || {};
+        }
+        
+        // Plain text is normalized and split at the chosen boundaries before synthesis; SSML is left as written
+        if (inputMode !== 'ssml') {
+            currentConversionJob.normalization = currentSettings.normalizationRules || { ...defaultNormalizationRules };
+            currentConversionJob.chunkStrategy = currentSettings.chunkStrategy || 'sentence';
+        }
+        
+        // Pause tokens are read in plain text; paragraph pauses apply to it as well
+        if (inputMode === 'text' && currentSettings.paragraphPauseMs > 0) {
+            currentConversionJob.paragraphPauseMs = currentSettings.paragraphPauseMs;
+        }
+        
+        // Captions are built from word timings of text and SSML conversions
+        if (inputMode !== 'dialogue' && currentSettings.subtitleFormats.length > 0) {
+            currentConversionJob.subtitles = {
+                formats: currentSettings.subtitleFormats,
+                maxLineLength: currentSettings.subtitleMaxLineLength,
+                maxCueDurationMs: currentSettings.subtitleMaxCueDurationMs
+            };
+        }
+        
+        // Text and SSML chunks can be played while later chunks are synthesized
+        if (inputMode !== 'dialogue' && currentSettings.streamPlayback) {
+            currentConversionJob.streamPlayback = true;
+            streamingPlayer.start(currentConversionJob.id);
+        }
+        
         // Start conversion
         const result = await window.electronAPI.convertTextToSpeech(currentConversionJob);
         
@@ -954,13 +1492,26 @@ async function startConversion() {
 
 // Handle conversion completion
 function onConversionComplete(data) {
-    const message = `Conversion completed! File saved to: ${data.outputFile}`;
+    let message = data.outputFiles
+        ? `Conversion completed! ${data.outputFiles.length} part${data.outputFiles.length > 1 ? 's' : ''} saved with playlist: ${data.outputFile}`
+        : `Conversion completed! File saved to: ${data.outputFile}`;
+    if (data.subtitleFiles && data.subtitleFiles.length > 0) {
+        message += ` (captions: ${data.subtitleFiles.length} file${data.subtitleFiles.length > 1 ? 's' : ''})`;
+    }
     progressManager.complete(message);
     currentConversionJob = null;
 }
 
 // Handle conversion error
 function onConversionError(error) {
+    // The tts:cancelled event has already reported a cancelled job
+    const message = typeof error === 'string' ? error : (error && error.message) || '';
+    if (message.includes('Conversion was cancelled')) {
+        currentConversionJob = null;
+        return;
+    }
+
+    streamingPlayer.stop();
     progressManager.hide();
     currentConversionJob = null;
     
@@ -1004,13 +1555,76 @@ class SettingsModal {
         // Settings controls
         this.speedSlider = document.getElementById('speedSlider');
         this.speedValue = document.getElementById('speedValue');
+        this.pitchSlider = document.getElementById('pitchSlider');
+        this.pitchValue = document.getElementById('pitchValue');
+        this.volumeSlider = document.getElementById('volumeSlider');
+        this.volumeValue = document.getElementById('volumeValue');
         this.previewBtn = document.getElementById('previewSpeedBtn');
-        this.defaultFormatWav = document.getElementById('defaultFormatWav');
-        this.defaultFormatMp3 = document.getElementById('defaultFormatMp3');
+        this.defaultOutputFormatSelect = document.getElementById('defaultOutputFormatSelect');
+        this.formatBitrate = document.getElementById('formatBitrate');
+        this.formatQuality = document.getElementById('formatQuality');
+        this.formatCompressionLevel = document.getElementById('formatCompressionLevel');
+        this.formatSampleRate = document.getElementById('formatSampleRate');
+        this.formatChannels = document.getElementById('formatChannels');
+        this.formatOptionRows = {
+            bitrates: document.getElementById('formatBitrateRow'),
+            quality: document.getElementById('formatQualityRow'),
+            compressionLevel: document.getElementById('formatCompressionLevelRow'),
+            sampleRates: document.getElementById('formatSampleRateRow'),
+            channels: document.getElementById('formatChannelsRow')
+        };
+        this.splitMode = document.getElementById('splitMode');
+        this.splitMaxMinutes = document.getElementById('splitMaxMinutes');
+        this.splitMaxMegabytes = document.getElementById('splitMaxMegabytes');
+        this.splitMaxMinutesRow = document.getElementById('splitMaxMinutesRow');
+        this.splitMaxMegabytesRow = document.getElementById('splitMaxMegabytesRow');
         this.defaultOutputPath = document.getElementById('defaultOutputPath');
         this.browseDefaultPathBtn = document.getElementById('browseDefaultPathBtn');
         this.clearDefaultPathBtn = document.getElementById('clearDefaultPathBtn');
         this.maxChunkLength = document.getElementById('maxChunkLength');
+        this.chunkStrategy = document.getElementById('chunkStrategy');
+        this.maxConcurrentChunks = document.getElementById('maxConcurrentChunks');
+        this.paragraphPauseMs = document.getElementById('paragraphPauseMs');
+        this.ttsEngine = document.getElementById('ttsEngine');
+        this.synthesisCacheMaxMb = document.getElementById('synthesisCacheMaxMb');
+        this.synthesisCacheStats = document.getElementById('synthesisCacheStats');
+        this.clearSynthesisCacheBtn = document.getElementById('clearSynthesisCacheBtn');
+        this.subtitleSrt = document.getElementById('subtitleSrt');
+        this.subtitleVtt = document.getElementById('subtitleVtt');
+        this.subtitleMaxLineLength = document.getElementById('subtitleMaxLineLength');
+        this.subtitleMaxCueDuration = document.getElementById('subtitleMaxCueDuration');
+        
+        // Language detection controls
+        this.autoDetectLanguage = document.getElementById('autoDetectLanguage');
+        this.languageVoiceLocale = document.getElementById('languageVoiceLocale');
+        this.languageVoiceSelect = document.getElementById('languageVoiceSelect');
+        this.languageVoiceAddBtn = document.getElementById('languageVoiceAddBtn');
+        this.languageVoiceError = document.getElementById('languageVoiceError');
+        this.languageVoiceTableBody = document.getElementById('languageVoiceTableBody');
+        
+        // Text normalization controls
+        this.normalizationRuleInputs = Array.from(document.querySelectorAll('[data-normalization-rule]'));
+        this.normalizationPreviewBtn = document.getElementById('normalizationPreviewBtn');
+        this.normalizationPreviewError = document.getElementById('normalizationPreviewError');
+        this.normalizationPreview = document.getElementById('normalizationPreview');
+        
+        // Pronunciation lexicon controls
+        this.lexiconMatch = document.getElementById('lexiconMatch');
+        this.lexiconReplacement = document.getElementById('lexiconReplacement');
+        this.lexiconPhoneme = document.getElementById('lexiconPhoneme');
+        this.lexiconAlphabet = document.getElementById('lexiconAlphabet');
+        this.lexiconCaseSensitive = document.getElementById('lexiconCaseSensitive');
+        this.lexiconWholeWord = document.getElementById('lexiconWholeWord');
+        this.lexiconRegex = document.getElementById('lexiconRegex');
+        this.lexiconFormError = document.getElementById('lexiconFormError');
+        this.lexiconSaveEntryBtn = document.getElementById('lexiconSaveEntryBtn');
+        this.lexiconCancelEditBtn = document.getElementById('lexiconCancelEditBtn');
+        this.lexiconTableBody = document.getElementById('lexiconTableBody');
+        this.lexiconImportBtn = document.getElementById('lexiconImportBtn');
+        this.lexiconExportCsvBtn = document.getElementById('lexiconExportCsvBtn');
+        this.lexiconExportPlsBtn = document.getElementById('lexiconExportPlsBtn');
+        this.lexiconEntries = [];
+        this.editingLexiconId = null;
         
         this.tempSettings = {};
         this.setupEventListeners();
@@ -1042,20 +1656,47 @@ class SettingsModal {
             this.tempSettings.voiceSpeed = speed;
         });
         
-        // Speed preview
+        // Pitch slider
+        this.pitchSlider.addEventListener('input', () => {
+            const pitch = parseInt(this.pitchSlider.value, 10);
+            this.pitchValue.textContent = formatSignedValue(pitch, ' Hz');
+            this.tempSettings.voicePitch = pitch;
+        });
+        
+        // Volume slider
+        this.volumeSlider.addEventListener('input', () => {
+            const volume = parseInt(this.volumeSlider.value, 10);
+            this.volumeValue.textContent = formatSignedValue(volume, '%');
+            this.tempSettings.voiceVolume = volume;
+        });
+        
+        // Voice preview
         this.previewBtn.addEventListener('click', () => this.previewSpeed());
         
-        // Default format radio buttons
-        this.defaultFormatWav.addEventListener('change', () => {
-            if (this.defaultFormatWav.checked) {
-                this.tempSettings.defaultOutputFormat = 'wav';
-            }
+        // Default format and its encoder options
+        this.defaultOutputFormatSelect.addEventListener('change', () => {
+            this.tempSettings.defaultOutputFormat = this.defaultOutputFormatSelect.value;
+            this.renderFormatOptionControls();
         });
         
-        this.defaultFormatMp3.addEventListener('change', () => {
-            if (this.defaultFormatMp3.checked) {
-                this.tempSettings.defaultOutputFormat = 'mp3';
-            }
+        this.formatBitrate.addEventListener('change', () => {
+            this.setFormatOption('bitrate', this.formatBitrate.value);
+        });
+        
+        this.formatQuality.addEventListener('change', () => {
+            this.setFormatOption('quality', parseInt(this.formatQuality.value, 10));
+        });
+        
+        this.formatCompressionLevel.addEventListener('change', () => {
+            this.setFormatOption('compressionLevel', parseInt(this.formatCompressionLevel.value, 10));
+        });
+        
+        this.formatSampleRate.addEventListener('change', () => {
+            this.setFormatOption('sampleRate', parseInt(this.formatSampleRate.value, 10));
+        });
+        
+        this.formatChannels.addEventListener('change', () => {
+            this.setFormatOption('channels', this.formatChannels.value ? parseInt(this.formatChannels.value, 10) : null);
         });
         
         // Default output path
@@ -1070,6 +1711,86 @@ class SettingsModal {
             }
         });
         
+        // Chunk strategy
+        this.chunkStrategy.addEventListener('change', () => {
+            this.tempSettings.chunkStrategy = this.chunkStrategy.value;
+        });
+        
+        // Concurrent chunk requests
+        this.maxConcurrentChunks.addEventListener('change', () => {
+            this.tempSettings.maxConcurrentChunks = parseInt(this.maxConcurrentChunks.value, 10);
+        });
+        
+        // Split output into parts
+        this.splitMode.addEventListener('change', () => {
+            this.tempSettings.splitMode = this.splitMode.value;
+            this.updateSplitRows();
+        });
+        this.splitMaxMinutes.addEventListener('change', () => {
+            this.tempSettings.splitMaxMinutes = parseFloat(this.splitMaxMinutes.value);
+        });
+        this.splitMaxMegabytes.addEventListener('change', () => {
+            this.tempSettings.splitMaxMegabytes = parseFloat(this.splitMaxMegabytes.value);
+        });
+        
+        // Pause between paragraphs
+        this.paragraphPauseMs.addEventListener('change', () => {
+            this.tempSettings.paragraphPauseMs = parseInt(this.paragraphPauseMs.value, 10) || 0;
+        });
+        
+        // Speech engine
+        this.ttsEngine.addEventListener('change', () => {
+            this.tempSettings.ttsEngine = this.ttsEngine.value;
+        });
+        
+        // Synthesis cache (clearing is immediate, the size limit is applied on save)
+        this.synthesisCacheMaxMb.addEventListener('change', () => {
+            this.tempSettings.synthesisCacheMaxMb = parseInt(this.synthesisCacheMaxMb.value, 10);
+        });
+        this.clearSynthesisCacheBtn.addEventListener('click', () => this.clearSynthesisCache());
+        
+        // Caption formats and layout
+        [this.subtitleSrt, this.subtitleVtt].forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.tempSettings.subtitleFormats = [this.subtitleSrt, this.subtitleVtt]
+                    .filter(input => input.checked)
+                    .map(input => input.value);
+            });
+        });
+        
+        this.subtitleMaxLineLength.addEventListener('change', () => {
+            this.tempSettings.subtitleMaxLineLength = parseInt(this.subtitleMaxLineLength.value, 10);
+        });
+        
+        this.subtitleMaxCueDuration.addEventListener('change', () => {
+            this.tempSettings.subtitleMaxCueDurationMs = Math.round(parseFloat(this.subtitleMaxCueDuration.value) * 1000);
+        });
+        
+        // Language detection and preferred voice per language
+        this.autoDetectLanguage.addEventListener('change', () => {
+            this.tempSettings.autoDetectLanguage = this.autoDetectLanguage.checked;
+        });
+        this.languageVoiceLocale.addEventListener('input', () => this.populateLanguageVoiceOptions());
+        this.languageVoiceAddBtn.addEventListener('click', () => this.addLanguageVoice());
+        
+        // Text normalization rules and preview
+        this.normalizationRuleInputs.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.tempSettings.normalizationRules = {
+                    ...(this.tempSettings.normalizationRules || defaultNormalizationRules),
+                    [checkbox.dataset.normalizationRule]: checkbox.checked
+                };
+            });
+        });
+        this.normalizationPreviewBtn.addEventListener('click', () => this.previewNormalization());
+        
+        // Pronunciation lexicon (saved immediately, independent of Save Settings)
+        this.lexiconSaveEntryBtn.addEventListener('click', () => this.saveLexiconEntry());
+        this.lexiconCancelEditBtn.addEventListener('click', () => this.resetLexiconForm());
+        this.lexiconImportBtn.addEventListener('click', () => this.importLexicon());
+        this.lexiconExportCsvBtn.addEventListener('click', () => this.exportLexicon('csv'));
+        this.lexiconExportPlsBtn.addEventListener('click', () => this.exportLexicon('pls'));
+        
         // Save and reset buttons
         this.saveBtn.addEventListener('click', () => this.saveSettings());
         this.resetBtn.addEventListener('click', () => this.resetToDefaults());
@@ -1081,6 +1802,9 @@ class SettingsModal {
         
         // Populate form with current settings
         this.populateForm();
+        this.resetLexiconForm();
+        this.loadLexicon();
+        this.loadSynthesisCacheStats();
         
         // Show modal
         this.modal.style.display = 'block';
@@ -1100,12 +1824,16 @@ class SettingsModal {
         this.speedSlider.value = this.tempSettings.voiceSpeed;
         this.speedValue.textContent = `${this.tempSettings.voiceSpeed.toFixed(1)}x`;
         
+        // Voice pitch and volume
+        const pitch = this.tempSettings.voicePitch || 0;
+        const volume = this.tempSettings.voiceVolume || 0;
+        this.pitchSlider.value = pitch;
+        this.pitchValue.textContent = formatSignedValue(pitch, ' Hz');
+        this.volumeSlider.value = volume;
+        this.volumeValue.textContent = formatSignedValue(volume, '%');
+        
         // Default output format
-        if (this.tempSettings.defaultOutputFormat === 'wav') {
-            this.defaultFormatWav.checked = true;
-        } else {
-            this.defaultFormatMp3.checked = true;
-        }
+        this.populateFormatOptions(stateManager ? stateManager.getAvailableFormats() : []);
         
         // Default output path - show current path or indicate if none set
         const outputPath = this.tempSettings.defaultOutputPath || '';
@@ -1121,10 +1849,518 @@ class SettingsModal {
         
         // Max chunk length
         this.maxChunkLength.value = this.tempSettings.maxChunkLength || 5000;
+        this.chunkStrategy.value = this.tempSettings.chunkStrategy || 'sentence';
+        this.maxConcurrentChunks.value = this.tempSettings.maxConcurrentChunks || 3;
+        this.paragraphPauseMs.value = this.tempSettings.paragraphPauseMs || 0;
+        
+        // Split output
+        this.splitMode.value = this.tempSettings.splitMode || 'none';
+        this.splitMaxMinutes.value = this.tempSettings.splitMaxMinutes || 60;
+        this.splitMaxMegabytes.value = this.tempSettings.splitMaxMegabytes || 100;
+        this.updateSplitRows();
+        
+        // Speech engine
+        this.ttsEngine.value = this.tempSettings.ttsEngine || 'auto';
+        
+        // Synthesis cache
+        this.synthesisCacheMaxMb.value = this.tempSettings.synthesisCacheMaxMb || 500;
+        
+        // Captions
+        const subtitleFormats = this.tempSettings.subtitleFormats || [];
+        this.subtitleSrt.checked = subtitleFormats.includes('srt');
+        this.subtitleVtt.checked = subtitleFormats.includes('vtt');
+        this.subtitleMaxLineLength.value = this.tempSettings.subtitleMaxLineLength || 42;
+        this.subtitleMaxCueDuration.value = (this.tempSettings.subtitleMaxCueDurationMs || 5000) / 1000;
+        
+        // Languages
+        this.autoDetectLanguage.checked = !!this.tempSettings.autoDetectLanguage;
+        this.languageVoiceLocale.value = '';
+        this.showLanguageVoiceError('');
+        this.populateLanguageVoiceOptions();
+        this.renderLanguageVoices();
+        
+        // Text normalization
+        const normalizationRules = this.tempSettings.normalizationRules || defaultNormalizationRules;
+        this.normalizationRuleInputs.forEach(checkbox => {
+            checkbox.checked = normalizationRules[checkbox.dataset.normalizationRule] !== false;
+        });
+        this.showNormalizationPreview('', '');
+    }
+    
+    // Show the main screen text as the selected voice will read it with the rules chosen here
+    async previewNormalization() {
+        const text = textInput.value.trim();
+        if (!text) {
+            this.showNormalizationPreview('', 'Enter some text on the main screen to preview.');
+            return;
+        }
+        if (!voiceSelect.value) {
+            this.showNormalizationPreview('', 'Select a voice on the main screen to preview.');
+            return;
+        }
+        
+        try {
+            const result = await window.electronAPI.normalizeText({
+                text,
+                voice: voiceSelect.value,
+                rules: this.tempSettings.normalizationRules || defaultNormalizationRules
+            });
+            const message = result.language ? '' : 'Normalization is not available for the language of this voice; the text will be read as written.';
+            this.showNormalizationPreview(result.text, message);
+        } catch (error) {
+            console.error('Failed to preview normalized text:', error);
+            this.showNormalizationPreview('', 'Failed to preview normalized text: ' + error.message);
+        }
+    }
+    
+    /**
+     * Fill the default format dropdown, disabling formats that cannot be produced
+     * @param {Array} formats - Result of StateManager.getAvailableFormats()
+     */
+    populateFormatOptions(formats) {
+        this.defaultOutputFormatSelect.innerHTML = '';
+        formats.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.value;
+            option.disabled = !format.available;
+            option.textContent = format.available ? format.label : `${format.label} (unavailable)`;
+            option.title = format.available ? format.description : `${format.label} format unavailable - ${format.reason}`;
+            this.defaultOutputFormatSelect.appendChild(option);
+        });
+        
+        // Temp settings are cleared when the dialog closes
+        if (!this.tempSettings.defaultOutputFormat) return;
+        
+        const selected = formats.find(format => format.value === this.tempSettings.defaultOutputFormat);
+        if (!selected || !selected.available) {
+            this.tempSettings.defaultOutputFormat = 'wav';
+        }
+        this.defaultOutputFormatSelect.value = this.tempSettings.defaultOutputFormat;
+        this.renderFormatOptionControls();
+    }
+    
+    /**
+     * Show the encoder options of the selected default format
+     * Controls are filled from the option ranges the main process reported.
+     */
+    renderFormatOptionControls() {
+        const format = stateManager
+            ? stateManager.getAvailableFormats().find(entry => entry.value === this.defaultOutputFormatSelect.value)
+            : null;
+        const ranges = format && format.options ? format.options : {};
+        const options = { ...(ranges.defaults || {}), ...this.getFormatOptions(this.defaultOutputFormatSelect.value) };
+        
+        Object.entries(this.formatOptionRows).forEach(([key, row]) => {
+            if (row) {
+                row.style.display = ranges[key] ? '' : 'none';
+            }
+        });
+        
+        if (ranges.bitrates) {
+            this.formatBitrate.innerHTML = ranges.bitrates
+                .map(bitrate => `<option value="${bitrate}">${bitrate.replace('k', ' kbit/s')}</option>`)
+                .join('');
+            this.formatBitrate.value = options.bitrate;
+        }
+        if (ranges.quality) {
+            this.formatQuality.min = ranges.quality.min;
+            this.formatQuality.max = ranges.quality.max;
+            this.formatQuality.value = options.quality;
+        }
+        if (ranges.compressionLevel) {
+            this.formatCompressionLevel.min = ranges.compressionLevel.min;
+            this.formatCompressionLevel.max = ranges.compressionLevel.max;
+            this.formatCompressionLevel.value = options.compressionLevel;
+        }
+        if (ranges.sampleRates) {
+            this.formatSampleRate.innerHTML = ranges.sampleRates
+                .map(rate => `<option value="${rate}">${rate}</option>`)
+                .join('');
+            this.formatSampleRate.value = String(options.sampleRate);
+        }
+        if (ranges.channels) {
+            this.formatChannels.value = options.channels ? String(options.channels) : '';
+        }
+    }
+    
+    /**
+     * Show the limit that belongs to the selected split mode
+     */
+    updateSplitRows() {
+        this.splitMaxMinutesRow.style.display = this.splitMode.value === 'duration' ? '' : 'none';
+        this.splitMaxMegabytesRow.style.display = this.splitMode.value === 'size' ? '' : 'none';
+    }
+    
+    /**
+     * Get the encoder options saved for a format
+     * @param {string} format - Format id
+     * @returns {Object} Saved options, empty when the defaults are used
+     */
+    getFormatOptions(format) {
+        return (this.tempSettings.outputFormatOptions || {})[format] || {};
+    }
+    
+    /**
+     * Change one encoder option of the selected default format
+     * @param {string} key - Option name, e.g. 'bitrate'
+     * @param {*} value - New value
+     */
+    setFormatOption(key, value) {
+        const format = this.defaultOutputFormatSelect.value;
+        this.tempSettings.outputFormatOptions = {
+            ...this.tempSettings.outputFormatOptions,
+            [format]: { ...this.getFormatOptions(format), [key]: value }
+        };
+    }
+    
+    /**
+     * Check the encoder options of the selected default format against its ranges
+     * @returns {string|null} Error message, or null when the options are valid
+     */
+    validateFormatOptions() {
+        const format = stateManager
+            ? stateManager.getAvailableFormats().find(entry => entry.value === this.tempSettings.defaultOutputFormat)
+            : null;
+        if (!format || !format.options) return null;
+        
+        const options = this.getFormatOptions(format.value);
+        for (const [key, label] of [['quality', 'VBR quality'], ['compressionLevel', 'Compression level']]) {
+            const range = format.options[key];
+            const value = options[key];
+            if (range && value !== undefined && !(Number.isInteger(value) && value >= range.min && value <= range.max)) {
+                return `${format.label} ${label.toLowerCase()} must be between ${range.min} and ${range.max}.`;
+            }
+        }
+        return null;
+    }
+    
+    showNormalizationPreview(text, message) {
+        this.normalizationPreview.value = text;
+        this.normalizationPreview.style.display = text ? 'block' : 'none';
+        this.normalizationPreviewError.textContent = message;
+        this.normalizationPreviewError.style.display = message ? 'block' : 'none';
+    }
+    
+    async loadSynthesisCacheStats() {
+        try {
+            this.showSynthesisCacheStats(await window.electronAPI.cache.getStats());
+        } catch (error) {
+            console.error('Failed to load synthesis cache statistics:', error);
+            this.synthesisCacheStats.textContent = 'Cache usage is unavailable.';
+        }
+    }
+    
+    showSynthesisCacheStats(stats) {
+        if (!stats.enabled) {
+            this.synthesisCacheStats.textContent = 'The cache is not available.';
+            this.clearSynthesisCacheBtn.disabled = true;
+            return;
+        }
+        
+        const usedMb = (stats.sizeBytes / (1024 * 1024)).toFixed(1);
+        const limitMb = Math.round(stats.maxBytes / (1024 * 1024));
+        const chunks = `${stats.entries} ${stats.entries === 1 ? 'chunk' : 'chunks'}`;
+        const reuse = stats.hits + stats.misses > 0 ? `, ${stats.hits} of ${stats.hits + stats.misses} reused this session` : '';
+        this.synthesisCacheStats.textContent = `${chunks}, ${usedMb} MB of ${limitMb} MB${reuse}`;
+        this.clearSynthesisCacheBtn.disabled = stats.entries === 0;
+    }
+    
+    async clearSynthesisCache() {
+        const confirmed = confirm('Delete all cached audio? The next conversions will synthesize every chunk again.');
+        if (!confirmed) return;
+        
+        try {
+            this.showSynthesisCacheStats(await window.electronAPI.cache.clear());
+            this.showNotification('Synthesis cache cleared.', 'success');
+        } catch (error) {
+            console.error('Failed to clear synthesis cache:', error);
+            this.showNotification('Failed to clear cache: ' + error.message, 'error');
+        }
+    }
+    
+    // Offer the voices of the language typed so far, or every voice
+    populateLanguageVoiceOptions() {
+        const locale = this.languageVoiceLocale.value.trim().toLowerCase().replace(/_/g, '-');
+        const voices = stateManager ? stateManager.getState().voices : [];
+        const matching = voices.filter(voice => {
+            const language = (voice.language || '').toLowerCase();
+            return !locale || language === locale || language.startsWith(`${locale}-`);
+        });
+        
+        this.languageVoiceSelect.innerHTML = '';
+        if (matching.length === 0) {
+            this.languageVoiceSelect.appendChild(new Option('No matching voices', ''));
+            return;
+        }
+        matching.forEach(voice => {
+            this.languageVoiceSelect.appendChild(new Option(stateManager.formatVoiceLabel(voice), voice.id));
+        });
+    }
+    
+    renderLanguageVoices() {
+        const languageVoices = this.tempSettings.languageVoices || {};
+        const locales = Object.keys(languageVoices).sort();
+        this.languageVoiceTableBody.innerHTML = '';
+        
+        if (locales.length === 0) {
+            const row = document.createElement('tr');
+            row.className = 'language-voice-empty';
+            row.innerHTML = '<td colspan="3">No preferred voices yet.</td>';
+            this.languageVoiceTableBody.appendChild(row);
+            return;
+        }
+        
+        locales.forEach(locale => {
+            const row = document.createElement('tr');
+            
+            const localeCell = document.createElement('td');
+            localeCell.textContent = locale;
+            
+            const voiceCell = document.createElement('td');
+            const voice = stateManager ? stateManager.getVoiceById(languageVoices[locale]) : null;
+            voiceCell.textContent = voice ? stateManager.formatVoiceLabel(voice) : `${languageVoices[locale]} (not available)`;
+            
+            const actionsCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'lexicon-btn lexicon-delete';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeLanguageVoice(locale));
+            actionsCell.appendChild(removeBtn);
+            
+            row.append(localeCell, voiceCell, actionsCell);
+            this.languageVoiceTableBody.appendChild(row);
+        });
+    }
+    
+    showLanguageVoiceError(message) {
+        this.languageVoiceError.textContent = message || '';
+        this.languageVoiceError.style.display = message ? 'block' : 'none';
+    }
+    
+    addLanguageVoice() {
+        // Accept "es", "es-MX" or "es_mx"; the language part is lower case, the region upper case
+        const [language, ...rest] = this.languageVoiceLocale.value.trim().replace(/_/g, '-').split('-');
+        const locale = [language.toLowerCase(), ...rest.map(part => part.length === 2 ? part.toUpperCase() : part)].join('-');
+        
+        if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale)) {
+            this.showLanguageVoiceError('Enter a language code such as "es" or a locale such as "es-MX".');
+            return;
+        }
+        if (!this.languageVoiceSelect.value) {
+            this.showLanguageVoiceError('Choose a voice for this language.');
+            return;
+        }
+        
+        this.tempSettings.languageVoices = {
+            ...(this.tempSettings.languageVoices || {}),
+            [locale]: this.languageVoiceSelect.value
+        };
+        this.languageVoiceLocale.value = '';
+        this.showLanguageVoiceError('');
+        this.populateLanguageVoiceOptions();
+        this.renderLanguageVoices();
+    }
+    
+    removeLanguageVoice(locale) {
+        const { [locale]: removed, ...rest } = this.tempSettings.languageVoices || {};
+        this.tempSettings.languageVoices = rest;
+        this.renderLanguageVoices();
+    }
+    
+    async loadLexicon() {
+        try {
+            this.lexiconEntries = await window.electronAPI.lexicon.list();
+        } catch (error) {
+            console.error('Failed to load pronunciation lexicon:', error);
+            this.lexiconEntries = [];
+        }
+        this.renderLexicon();
+    }
+    
+    renderLexicon() {
+        this.lexiconTableBody.innerHTML = '';
+        
+        if (this.lexiconEntries.length === 0) {
+            const row = document.createElement('tr');
+            row.className = 'lexicon-table-empty';
+            row.innerHTML = '<td colspan="5">No entries yet. Add a word and how it should be spoken.</td>';
+            this.lexiconTableBody.appendChild(row);
+            return;
+        }
+        
+        this.lexiconEntries.forEach(entry => {
+            const row = document.createElement('tr');
+            
+            const enabledCell = document.createElement('td');
+            const enabledInput = document.createElement('input');
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = entry.enabled;
+            enabledInput.title = 'Apply this entry';
+            enabledInput.addEventListener('change', () => this.toggleLexiconEntry(entry, enabledInput.checked));
+            enabledCell.appendChild(enabledInput);
+            
+            const matchCell = document.createElement('td');
+            matchCell.textContent = entry.match;
+            
+            const spokenCell = document.createElement('td');
+            spokenCell.textContent = [
+                entry.replacement,
+                entry.phoneme ? `/${entry.phoneme}/ (${entry.alphabet.toUpperCase()})` : ''
+            ].filter(Boolean).join(' · ');
+            
+            const optionsCell = document.createElement('td');
+            optionsCell.textContent = [
+                entry.caseSensitive ? 'Match case' : '',
+                entry.wholeWord ? 'Whole word' : '',
+                entry.regex ? 'Regex' : ''
+            ].filter(Boolean).join(', ');
+            
+            const actionsCell = document.createElement('td');
+            const editBtn = document.createElement('button');
+            editBtn.className = 'lexicon-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.editLexiconEntry(entry));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'lexicon-btn lexicon-delete';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.removeLexiconEntry(entry));
+            actionsCell.append(editBtn, deleteBtn);
+            
+            row.append(enabledCell, matchCell, spokenCell, optionsCell, actionsCell);
+            this.lexiconTableBody.appendChild(row);
+        });
+    }
+    
+    readLexiconForm() {
+        return {
+            match: this.lexiconMatch.value,
+            replacement: this.lexiconReplacement.value,
+            phoneme: this.lexiconPhoneme.value,
+            alphabet: this.lexiconAlphabet.value,
+            caseSensitive: this.lexiconCaseSensitive.checked,
+            wholeWord: this.lexiconWholeWord.checked,
+            regex: this.lexiconRegex.checked
+        };
+    }
+    
+    showLexiconError(message) {
+        this.lexiconFormError.textContent = message || '';
+        this.lexiconFormError.style.display = message ? 'block' : 'none';
+    }
+    
+    resetLexiconForm() {
+        this.editingLexiconId = null;
+        this.lexiconMatch.value = '';
+        this.lexiconReplacement.value = '';
+        this.lexiconPhoneme.value = '';
+        this.lexiconAlphabet.value = 'ipa';
+        this.lexiconCaseSensitive.checked = false;
+        this.lexiconWholeWord.checked = true;
+        this.lexiconRegex.checked = false;
+        this.lexiconSaveEntryBtn.textContent = 'Add Entry';
+        this.lexiconCancelEditBtn.style.display = 'none';
+        this.showLexiconError('');
+    }
+    
+    editLexiconEntry(entry) {
+        this.editingLexiconId = entry.id;
+        this.lexiconMatch.value = entry.match;
+        this.lexiconReplacement.value = entry.replacement;
+        this.lexiconPhoneme.value = entry.phoneme;
+        this.lexiconAlphabet.value = entry.alphabet;
+        this.lexiconCaseSensitive.checked = entry.caseSensitive;
+        this.lexiconWholeWord.checked = entry.wholeWord;
+        this.lexiconRegex.checked = entry.regex;
+        this.lexiconSaveEntryBtn.textContent = 'Update Entry';
+        this.lexiconCancelEditBtn.style.display = 'inline-block';
+        this.showLexiconError('');
+        this.lexiconMatch.focus();
+    }
+    
+    async saveLexiconEntry() {
+        try {
+            const entry = this.readLexiconForm();
+            const result = this.editingLexiconId
+                ? await window.electronAPI.lexicon.update(this.editingLexiconId, entry)
+                : await window.electronAPI.lexicon.add(entry);
+            
+            if (!result.success) {
+                this.showLexiconError(result.error);
+                return;
+            }
+            
+            this.resetLexiconForm();
+            await this.loadLexicon();
+        } catch (error) {
+            console.error('Failed to save lexicon entry:', error);
+            this.showLexiconError('Failed to save entry: ' + error.message);
+        }
+    }
+    
+    async toggleLexiconEntry(entry, enabled) {
+        try {
+            const result = await window.electronAPI.lexicon.update(entry.id, { enabled });
+            if (!result.success) {
+                this.showNotification('Failed to update entry: ' + result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to update lexicon entry:', error);
+        }
+        await this.loadLexicon();
+    }
+    
+    async removeLexiconEntry(entry) {
+        const confirmed = confirm(`Remove the pronunciation for "${entry.match}"?`);
+        if (!confirmed) return;
+        
+        try {
+            await window.electronAPI.lexicon.remove(entry.id);
+            if (this.editingLexiconId === entry.id) {
+                this.resetLexiconForm();
+            }
+            await this.loadLexicon();
+        } catch (error) {
+            console.error('Failed to remove lexicon entry:', error);
+            this.showNotification('Failed to remove entry: ' + error.message, 'error');
+        }
+    }
+    
+    async importLexicon() {
+        try {
+            const result = await window.electronAPI.lexicon.import();
+            if (!result) return;
+            
+            this.lexiconEntries = result.entries;
+            this.renderLexicon();
+            
+            const skipped = result.errors.length > 0 ? `, ${result.errors.length} skipped` : '';
+            this.showNotification(`Imported ${result.added} new and ${result.updated} updated entries${skipped}.`,
+                result.errors.length > 0 ? 'info' : 'success');
+            if (result.errors.length > 0) {
+                console.warn('Lexicon import problems:', result.errors);
+            }
+        } catch (error) {
+            console.error('Failed to import lexicon:', error);
+            this.showNotification('Failed to import lexicon: ' + error.message, 'error');
+        }
+    }
+    
+    async exportLexicon(format) {
+        try {
+            const voice = stateManager ? stateManager.getVoiceById(voiceSelect.value) : null;
+            const result = await window.electronAPI.lexicon.export(format, voice ? voice.language : undefined);
+            if (!result) return;
+            
+            const omitted = result.omitted > 0 ? ` (${result.omitted} regular expression entries left out)` : '';
+            this.showNotification(`Exported ${result.exported} entries${omitted}.`, 'success');
+        } catch (error) {
+            console.error('Failed to export lexicon:', error);
+            this.showNotification('Failed to export lexicon: ' + error.message, 'error');
+        }
     }
     
     async previewSpeed() {
-        const previewText = "This is a preview of the voice speed setting.";
+        const previewText = "This is a preview of the voice speed, pitch and volume settings.";
         const selectedVoice = voiceSelect.value;
         
         if (!selectedVoice) {
@@ -1140,7 +2376,9 @@ class SettingsModal {
             await window.electronAPI.previewVoiceSpeed({
                 text: previewText,
                 voice: selectedVoice,
-                speed: this.tempSettings.voiceSpeed
+                speed: this.tempSettings.voiceSpeed,
+                pitch: this.tempSettings.voicePitch || 0,
+                volume: this.tempSettings.voiceVolume || 0
             });
             
         } catch (error) {
@@ -1148,7 +2386,7 @@ class SettingsModal {
             this.showNotification('Preview failed: ' + error.message, 'error');
         } finally {
             this.previewBtn.disabled = false;
-            this.previewBtn.textContent = 'Preview Speed';
+            this.previewBtn.textContent = 'Preview Voice';
         }
     }
     
@@ -1180,6 +2418,53 @@ class SettingsModal {
                 return;
             }
             
+            if (!(this.tempSettings.subtitleMaxLineLength >= 20 && this.tempSettings.subtitleMaxLineLength <= 80)) {
+                this.showNotification('Caption line length must be between 20 and 80 characters.', 'error');
+                return;
+            }
+            
+            if (!(this.tempSettings.subtitleMaxCueDurationMs >= 1000 && this.tempSettings.subtitleMaxCueDurationMs <= 10000)) {
+                this.showNotification('Caption duration must be between 1 and 10 seconds.', 'error');
+                return;
+            }
+            
+            if (!(Number.isInteger(this.tempSettings.maxConcurrentChunks) && this.tempSettings.maxConcurrentChunks >= 1 && this.tempSettings.maxConcurrentChunks <= 8)) {
+                this.showNotification('Concurrent chunks must be between 1 and 8.', 'error');
+                return;
+            }
+            
+            const paragraphPauseMs = this.tempSettings.paragraphPauseMs || 0;
+            if (!(Number.isInteger(paragraphPauseMs) && paragraphPauseMs >= 0 && paragraphPauseMs <= 5000)) {
+                this.showNotification('Paragraph pause must be between 0 and 5000 ms.', 'error');
+                return;
+            }
+            
+            if (this.tempSettings.splitMode === 'duration' &&
+                !(this.tempSettings.splitMaxMinutes >= 1 && this.tempSettings.splitMaxMinutes <= 600)) {
+                this.showNotification('Longest part must be between 1 and 600 minutes.', 'error');
+                return;
+            }
+            
+            if (this.tempSettings.splitMode === 'size' &&
+                !(this.tempSettings.splitMaxMegabytes >= 1 && this.tempSettings.splitMaxMegabytes <= 2000)) {
+                this.showNotification('Largest part must be between 1 and 2,000 MB.', 'error');
+                return;
+            }
+            
+            if (!(this.tempSettings.synthesisCacheMaxMb >= 50 && this.tempSettings.synthesisCacheMaxMb <= 10000)) {
+                this.showNotification('Cache size limit must be between 50 and 10,000 MB.', 'error');
+                return;
+            }
+            
+            const formatOptionsError = this.validateFormatOptions();
+            if (formatOptionsError) {
+                this.showNotification(formatOptionsError, 'error');
+                return;
+            }
+            
+            const engineChanged = this.tempSettings.ttsEngine !== currentSettings.ttsEngine;
+            const cacheLimitChanged = this.tempSettings.synthesisCacheMaxMb !== currentSettings.synthesisCacheMaxMb;
+            
             // Update current settings
             Object.assign(currentSettings, this.tempSettings);
             
@@ -1189,6 +2474,16 @@ class SettingsModal {
             // Apply settings to main UI
             this.applySettingsToUI();
             
+            // Reload voices from the newly selected engine
+            if (engineChanged) {
+                await this.switchEngine(currentSettings.ttsEngine);
+            }
+            
+            // Evict cached audio that no longer fits the new limit
+            if (cacheLimitChanged) {
+                this.showSynthesisCacheStats(await window.electronAPI.cache.setLimit(currentSettings.synthesisCacheMaxMb));
+            }
+            
             // Show success message
             this.showNotification('Settings saved successfully!', 'success');
             
@@ -1203,11 +2498,22 @@ class SettingsModal {
         }
     }
     
+    async switchEngine(engineName) {
+        if (stateManager) {
+            stateManager.updateVoiceState(true, false, [], 1);
+        }
+        
+        // Voice list updates arrive through the voices:loaded / voices:load-failed events
+        const result = await window.electronAPI.setEngine(engineName);
+        if (result && !result.success) {
+            this.showNotification('Speech engine unavailable: ' + result.error, 'error');
+        }
+    }
+    
     applySettingsToUI() {
         // Update output format in main UI
-        const formatRadio = document.querySelector(`input[name="outputFormat"][value="${currentSettings.defaultOutputFormat}"]`);
-        if (formatRadio) {
-            formatRadio.checked = true;
+        if (stateManager) {
+            stateManager.setSelectedFormat(currentSettings.defaultOutputFormat);
         }
         
         // Update output folder in main UI
@@ -1230,10 +2536,28 @@ class SettingsModal {
             // Get default settings
             const defaultSettings = {
                 lastSelectedVoice: '',
+                lastSelectedProfileId: null,
                 defaultOutputFormat: 'wav',
                 defaultOutputPath: '',
                 voiceSpeed: 1.0,
-                maxChunkLength: 5000
+                voicePitch: 0,
+                voiceVolume: 0,
+                maxChunkLength: 5000,
+                chunkStrategy: 'sentence',
+                maxConcurrentChunks: 3,
+                paragraphPauseMs: 0,
+                synthesisCacheMaxMb: 500,
+                ttsEngine: 'auto',
+                subtitleFormats: [],
+                subtitleMaxLineLength: 42,
+                subtitleMaxCueDurationMs: 5000,
+                autoDetectLanguage: false,
+                languageVoices: {},
+                normalizationRules: { ...defaultNormalizationRules },
+                outputFormatOptions: {},
+                splitMode: 'none',
+                splitMaxMinutes: 60,
+                splitMaxMegabytes: 100
             };
             
             // Update temp settings
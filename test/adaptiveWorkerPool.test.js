@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import AdaptiveWorkerPool from '../src/main/utils/adaptiveWorkerPool.js';
+
+/**
+ * Adaptive worker pool tests
+ * Covers the in-flight limit, result order, failure handling and how the
+ * limit reacts to throttling and success
+ */
+describe('AdaptiveWorkerPool', () => {
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('should keep up to the limit in flight and return results in order', async () => {
+        const pool = new AdaptiveWorkerPool({ maxConcurrency: 3 });
+        let running = 0;
+        let peak = 0;
+
+        const results = await pool.run(10, async (index) => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(index % 2 === 0 ? 15 : 5);
+            running--;
+            return index * 2;
+        });
+
+        expect(results).toEqual([0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+        expect(peak).toBe(3);
+    });
+
+    it('should start the next task as soon as one finishes instead of waiting for a batch', async () => {
+        const pool = new AdaptiveWorkerPool({ maxConcurrency: 2 });
+        const started = [];
+
+        await pool.run(3, async (index) => {
+            started.push(index);
+            await delay(index === 0 ? 60 : 5);
+        });
+
+        // Task 2 starts once task 1 is done, while task 0 is still running
+        expect(started).toEqual([0, 1, 2]);
+        expect(await pool.run(0, async () => {})).toEqual([]);
+    });
+
+    it('should stop starting tasks after a failure and wait for running ones', async () => {
+        const pool = new AdaptiveWorkerPool({ maxConcurrency: 2 });
+        const finished = [];
+
+        const error = await pool.run(6, async (index) => {
+            if (index === 1) {
+                throw new Error('chunk 1 failed');
+            }
+            await delay(20);
+            finished.push(index);
+        }).catch(e => e);
+
+        expect(error.message).toBe('chunk 1 failed');
+        expect(finished).toEqual([0]);
+    });
+
+    it('should halve the limit on throttling and ramp up after a round of successes', () => {
+        const pool = new AdaptiveWorkerPool({ maxConcurrency: 6 });
+
+        pool.recordThrottle();
+        expect(pool.getConcurrency()).toBe(3);
+        pool.recordThrottle();
+        pool.recordThrottle();
+        expect(pool.getConcurrency()).toBe(1);
+        pool.recordThrottle();
+        expect(pool.getConcurrency()).toBe(1);
+
+        pool.recordSuccess();
+        expect(pool.getConcurrency()).toBe(2);
+        pool.recordSuccess();
+        expect(pool.getConcurrency()).toBe(2);
+        pool.recordSuccess();
+        expect(pool.getConcurrency()).toBe(3);
+
+        for (let i = 0; i < 20; i++) {
+            pool.recordSuccess();
+        }
+        expect(pool.getConcurrency()).toBe(6);
+        expect(pool.throttleCount).toBe(4);
+    });
+
+    it('should run fewer tasks at once while the service keeps throttling', async () => {
+        const pool = new AdaptiveWorkerPool({ maxConcurrency: 4 });
+        let running = 0;
+        let peakAfterThrottle = 0;
+
+        await pool.run(12, async (index) => {
+            running++;
+            if (index >= 4) {
+                peakAfterThrottle = Math.max(peakAfterThrottle, running);
+            }
+            pool.recordThrottle();
+            await delay(5);
+            running--;
+        });
+
+        // The first four start at the full limit; later tasks only start below the lowered limit
+        expect(peakAfterThrottle).toBeGreaterThan(0);
+        expect(peakAfterThrottle).toBeLessThan(4);
+    });
+});
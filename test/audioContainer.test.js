@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectAudioContainer, readAudioContainer, getExtensionContainer } from '../src/main/utils/audioContainer.js';
+
+/**
+ * Audio container detection tests
+ * Covers recognizing audio data by its signature rather than its file name
+ */
+describe('audioContainer', () => {
+    it('should recognize common containers from their first bytes', () => {
+        expect(detectAudioContainer(Buffer.from('RIFF\0\0\0\0WAVEfmt ', 'binary'))).toBe('wav');
+        expect(detectAudioContainer(Buffer.from('ID3\x04\0\0\0\0', 'binary'))).toBe('mp3');
+        expect(detectAudioContainer(Buffer.from([0xff, 0xf3, 0x64, 0xc4]))).toBe('mp3');
+        expect(detectAudioContainer(Buffer.from([0xff, 0xf1, 0x50, 0x80]))).toBe('aac');
+        expect(detectAudioContainer(Buffer.from('OggS\0\x02', 'binary'))).toBe('ogg');
+        expect(detectAudioContainer(Buffer.from('fLaC\0\0\0\x22', 'binary'))).toBe('flac');
+        expect(detectAudioContainer(Buffer.from('\0\0\0\x20ftypM4A ', 'binary'))).toBe('mp4');
+        expect(detectAudioContainer(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))).toBe('webm');
+    });
+
+    it('should return null for unknown or too short data', () => {
+        expect(detectAudioContainer(Buffer.from('audio for Hello.'))).toBeNull();
+        expect(detectAudioContainer(Buffer.from('RIFF\0\0\0\0AVI ', 'binary'))).toBeNull();
+        expect(detectAudioContainer(Buffer.from('ID'))).toBeNull();
+        expect(detectAudioContainer(null)).toBeNull();
+    });
+
+    it('should read the container of a file regardless of its extension', async () => {
+        const filePath = path.join(os.tmpdir(), `container-${Date.now()}.wav`);
+        fs.writeFileSync(filePath, Buffer.from([0xff, 0xfb, 0x90, 0x64, 0, 0]));
+
+        try {
+            expect(await readAudioContainer(filePath)).toBe('mp3');
+            expect(getExtensionContainer(filePath)).toBe('wav');
+        } finally {
+            fs.unlinkSync(filePath);
+        }
+    });
+
+    it('should map output extensions to containers', () => {
+        expect(getExtensionContainer('out.MP3')).toBe('mp3');
+        expect(getExtensionContainer('book.m4b')).toBe('mp4');
+        expect(getExtensionContainer('voice.opus')).toBe('ogg');
+        expect(getExtensionContainer('notes.txt')).toBeNull();
+    });
+});
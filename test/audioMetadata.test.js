@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeMetadata, titleFromFileName, resolveMetadata, supportsMetadata, buildMetadataArguments, getCoverEmbedding, detectImageType, buildPictureBlock, buildMetadataFile, escapeFFMetadata } from '../src/main/utils/audioMetadata.js';
+
+/**
+ * Audio metadata tests
+ * Covers tag validation, the title default and the FFmpeg arguments per format
+ */
+describe('Audio metadata', () => {
+    it('should trim tags and drop the empty ones', () => {
+        expect(normalizeMetadata({ title: '  Chapter   One ', artist: '', album: 'Book', comment: 'Line 1\nLine 2 ' }))
+            .toEqual({ title: 'Chapter One', album: 'Book', comment: 'Line 1\nLine 2' });
+        expect(normalizeMetadata({ title: 'Part\r\nOne' })).toEqual({ title: 'Part One' });
+        expect(normalizeMetadata(undefined)).toEqual({});
+        expect(normalizeMetadata({ track: '03/12', cover: 'C:\\Covers\\front.PNG' })).toEqual({ track: '3/12', cover: 'C:\\Covers\\front.PNG' });
+        expect(normalizeMetadata({ track: 7 })).toEqual({ track: '7' });
+    });
+
+    it('should reject invalid tags', () => {
+        expect(() => normalizeMetadata('title')).toThrow('Metadata must be an object');
+        expect(() => normalizeMetadata({ year: '2024' })).toThrow('Unknown metadata field: year');
+        expect(() => normalizeMetadata({ artist: 5 })).toThrow('Metadata artist must be a string');
+        expect(() => normalizeMetadata({ genre: 'x'.repeat(101) })).toThrow('Metadata genre must be at most 100 characters');
+        expect(() => normalizeMetadata({ title: 'One\u0007Two' })).toThrow('Metadata title contains control characters');
+        expect(() => normalizeMetadata({ track: '0' })).toThrow('Track number must be a number from 1 to 999');
+        expect(() => normalizeMetadata({ track: '5/3' })).toThrow('Track number must be a number from 1 to 999');
+        expect(() => normalizeMetadata({ cover: 'cover.gif' })).toThrow('Cover art must be a JPEG or PNG image');
+    });
+
+    it('should take the title from the source file unless one is given', () => {
+        expect(titleFromFileName('C:\\Books\\Chapter 1.txt')).toBe('Chapter 1');
+        expect(titleFromFileName('/home/user/notes.ssml')).toBe('notes');
+        expect(resolveMetadata({ artist: 'Narrator' }, 'Chapter 1.txt')).toEqual({ title: 'Chapter 1', artist: 'Narrator' });
+        expect(resolveMetadata({ title: 'Prologue' }, 'Chapter 1.txt')).toEqual({ title: 'Prologue' });
+        expect(resolveMetadata(null, undefined)).toBeNull();
+    });
+
+    it('should build one FFmpeg argument per value and ID3v2.3 for MP3', () => {
+        const tags = { comment: 'Read aloud', title: 'Chapter 1', track: '1/12', cover: 'cover.jpg' };
+
+        expect(buildMetadataArguments('mp3', tags)).toEqual([
+            '-metadata', 'title=Chapter 1',
+            '-metadata', 'track=1/12',
+            '-metadata', 'comment=Read aloud',
+            '-id3v2_version', '3'
+        ]);
+        expect(buildMetadataArguments('flac', tags)).not.toContain('-id3v2_version');
+        expect(buildMetadataArguments('mp3', {})).toEqual([]);
+    });
+
+    it('should embed cover art as a picture stream or an Ogg comment', () => {
+        expect(getCoverEmbedding('mp3')).toBe('stream');
+        expect(getCoverEmbedding('flac')).toBe('stream');
+        expect(getCoverEmbedding('opus')).toBe('comment');
+        expect(getCoverEmbedding('wav')).toBeNull();
+        expect(supportsMetadata('m4a')).toBe(true);
+        expect(supportsMetadata('wav')).toBe(false);
+    });
+
+    it('should recognize JPEG and PNG data and encode a front cover picture block', () => {
+        const png = Buffer.from('89504e470d0a1a0a0000', 'hex');
+        expect(detectImageType(png)).toBe('image/png');
+        expect(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+        expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+
+        const block = Buffer.from(buildPictureBlock(png, 'image/png'), 'base64');
+        expect(block.readUInt32BE(0)).toBe(3);
+        expect(block.readUInt32BE(4)).toBe(9);
+        expect(block.toString('ascii', 8, 17)).toBe('image/png');
+        expect(block.readUInt32BE(17)).toBe(13);
+        expect(block.toString('utf8', 21, 34)).toBe('Cover (front)');
+        expect(block.readUInt32BE(50)).toBe(png.length);
+        expect(block.subarray(54)).toEqual(png);
+    });
+
+    it('should write chapters and an Ogg picture into an FFmpeg metadata file', () => {
+        const chapters = [
+            { title: 'Chapter 1', startMs: 0, endMs: 61234.5 },
+            { title: 'Rain; Wind', startMs: 61234.5, endMs: 90000 }
+        ];
+
+        expect(buildMetadataFile({ chapters })).toBe([
+            ';FFMETADATA1',
+            '[CHAPTER]', 'TIMEBASE=1/1000', 'START=0', 'END=61235', 'title=Chapter 1',
+            '[CHAPTER]', 'TIMEBASE=1/1000', 'START=61235', 'END=90000', 'title=Rain\\; Wind',
+            ''
+        ].join('\n'));
+        expect(buildMetadataFile({ picture: 'QQ==' })).toBe(';FFMETADATA1\nMETADATA_BLOCK_PICTURE=QQ\\=\\=\n');
+        expect(getCoverEmbedding('m4b')).toBe('stream');
+    });
+
+    it('should escape FFmpeg metadata file values', () => {
+        expect(escapeFFMetadata('a=b;c#d\\e\nf')).toBe('a\\=b\\;c\\#d\\\\e\\\nf');
+        expect(escapeFFMetadata('QUJD+/==')).toBe('QUJD+/\\=\\=');
+    });
+});
@@ -1,5 +1,9 @@
 import { describe, it, expect, beforeEach, afterEach, vi, beforeAll } from 'vitest';
+import { promises as realFs } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
 import AudioProcessor from '../src/main/services/audioProcessor.js';
+import { createSilenceWav } from '../src/main/utils/wavUtils.js';
 
 // Mock all dependencies
 const mockFs = {
@@ -524,6 +528,92 @@ describe('AudioProcessor', () => {
             await expect(audioProcessor.mergeAudioChunks(chunkPaths, outputPath))
                 .rejects.toThrow();
         });
+
+        describe('with silences', () => {
+            // AudioProcessor loads fs and FFmpeg through require(), which the mocks above do not
+            // reach: silences are written to a real work directory and only the final merge is stubbed
+            let workDir;
+            let mergeSpy;
+
+            beforeEach(async () => {
+                workDir = await realFs.mkdtemp(join(tmpdir(), 'speechmaker-merge-'));
+                vi.spyOn(audioProcessor, 'createSilence').mockImplementation(async (durationMs, silencePath) => {
+                    await realFs.writeFile(silencePath, '');
+                    return silencePath;
+                });
+                mergeSpy = vi.spyOn(audioProcessor, 'mergeAudioChunks')
+                    .mockImplementation(async (paths, mergedPath) => mergedPath)
+                    .mockImplementationOnce(AudioProcessor.prototype.mergeAudioChunks);
+            });
+
+            afterEach(async () => {
+                await realFs.rm(workDir, { recursive: true, force: true });
+            });
+
+            // Files handed to the final merge
+            const mergedInputs = () => mergeSpy.mock.calls[mergeSpy.mock.calls.length - 1][0];
+
+            // PCM WAV chunk whose length is read from its header
+            const writeChunk = async (name, durationMs) => {
+                const chunkPath = join(workDir, name);
+                await realFs.writeFile(chunkPath, createSilenceWav(durationMs, { sampleRate: 8000, channels: 1, bitsPerSample: 16 }));
+                return chunkPath;
+            };
+
+            it('should generate each silence once and merge it in place', async () => {
+                const result = await audioProcessor.mergeAudioChunks(
+                    ['/test/chunk1.wav', { silenceMs: 500 }, '/test/chunk2.wav', { silenceMs: 500 }, '/test/chunk3.wav', { silenceMs: 2000 }],
+                    outputPath,
+                    'wav',
+                    { workDir }
+                );
+
+                expect(result).toBe(outputPath);
+                expect(audioProcessor.createSilence.mock.calls.map(call => [call[0], call[2]])).toEqual([
+                    [500, '/test/chunk1.wav'],
+                    [2000, '/test/chunk1.wav']
+                ]);
+
+                const [silence500, silence2000] = audioProcessor.createSilence.mock.calls.map(call => call[1]);
+                expect(dirname(silence500)).toBe(workDir);
+                expect(mergedInputs()).toEqual(['/test/chunk1.wav', silence500, '/test/chunk2.wav', silence500, '/test/chunk3.wav', silence2000]);
+                expect(await realFs.readdir(workDir)).toEqual([]);
+            });
+
+            it('should record where each chapter starts in the merged audio', async () => {
+                const chunk1 = await writeChunk('chunk1.wav', 1500);
+                const chunk2 = await writeChunk('chunk2.wav', 2500);
+                const chunk3 = await writeChunk('chunk3.wav', 2500);
+                const chapters = [];
+
+                await audioProcessor.mergeAudioChunks(
+                    [{ chapter: 'One' }, chunk1, { silenceMs: 500 }, chunk2, { chapter: 'Two' }, chunk3, { chapter: 'Empty' }],
+                    outputPath,
+                    'wav',
+                    { workDir, chapters }
+                );
+
+                expect(chapters).toEqual([
+                    { title: 'One', startMs: 0, endMs: 4500 },
+                    { title: 'Two', startMs: 4500, endMs: 7000 }
+                ]);
+                expect(mergedInputs()).toHaveLength(4);
+            });
+
+            it('should record the offset after every chunk and silence except the last', async () => {
+                const chunks = [await writeChunk('chunk1.wav', 1500), await writeChunk('chunk2.wav', 2500), await writeChunk('chunk3.wav', 2500)];
+                const withGaps = [];
+                const withoutGaps = [];
+
+                await audioProcessor.mergeAudioChunks(chunks, outputPath, 'wav', { workDir, gapMs: 500, boundaries: withGaps });
+                mergeSpy.mockImplementationOnce(AudioProcessor.prototype.mergeAudioChunks);
+                await audioProcessor.mergeAudioChunks(chunks, outputPath, 'wav', { workDir, boundaries: withoutGaps });
+
+                expect(withGaps).toEqual([1500, 2000, 4500, 5000]);
+                expect(withoutGaps).toEqual([1500, 4000]);
+                expect(mergedInputs()).toEqual(chunks);
+            });
+        });
     });
 
     describe('cleanupChunks', () => {
@@ -604,6 +694,7 @@ describe('AudioProcessor', () => {
                 format: { format_name: 'wav' }
             };
             
+            vi.spyOn(audioProcessor, 'detectContainer').mockResolvedValue('wav');
             vi.spyOn(audioProcessor, 'getAudioInfo').mockResolvedValue(mockMetadata);
 
             const result = await audioProcessor.validateAudioFile(filePath, 'wav');
@@ -616,9 +707,10 @@ describe('AudioProcessor', () => {
                 format: { format_name: 'mp3' }
             };
             
+            vi.spyOn(audioProcessor, 'detectContainer').mockResolvedValue('mp3');
             vi.spyOn(audioProcessor, 'getAudioInfo').mockResolvedValue(mockMetadata);
 
-            const result = await audioProcessor.validateAudioFile(filePath, 'mp3');
+            const result = await audioProcessor.validateAudioFile('/test/audio.mp3', 'mp3');
             
             expect(result).toBe(true);
         });
@@ -628,6 +720,7 @@ describe('AudioProcessor', () => {
                 format: { format_name: 'wav' }
             };
             
+            vi.spyOn(audioProcessor, 'detectContainer').mockResolvedValue('wav');
             vi.spyOn(audioProcessor, 'getAudioInfo').mockResolvedValue(mockMetadata);
 
             const result = await audioProcessor.validateAudioFile(filePath, 'mp3');
@@ -635,7 +728,17 @@ describe('AudioProcessor', () => {
             expect(result).toBe(false);
         });
 
+        it('should return false for MP3 data saved with a .wav extension', async () => {
+            vi.spyOn(audioProcessor, 'detectContainer').mockResolvedValue('mp3');
+            const getAudioInfo = vi.spyOn(audioProcessor, 'getAudioInfo').mockResolvedValue({ format: { format_name: 'mp3' } });
+
+            expect(await audioProcessor.validateAudioFile(filePath, 'wav')).toBe(false);
+            expect(await audioProcessor.validateAudioFile(filePath)).toBe(false);
+            expect(getAudioInfo).not.toHaveBeenCalled();
+        });
+
         it('should return false when getAudioInfo fails', async () => {
+            vi.spyOn(audioProcessor, 'detectContainer').mockResolvedValue('wav');
             vi.spyOn(audioProcessor, 'getAudioInfo').mockRejectedValue(new Error('File error'));
 
             const result = await audioProcessor.validateAudioFile(filePath, 'wav');
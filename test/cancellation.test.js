@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createCancellationError,
+    isCancellationError,
+    throwIfCancelled,
+    cancellableDelay
+} from '../src/main/utils/cancellation.js';
+
+/**
+ * Cancellation utility tests
+ * Covers the shared cancellation error and the delay that ends when a job is cancelled
+ */
+describe('Cancellation utilities', () => {
+    it('should recognize the cancellation error by flag or message', () => {
+        const error = createCancellationError();
+
+        expect(error.message).toBe('Conversion was cancelled');
+        expect(isCancellationError(error)).toBe(true);
+        expect(isCancellationError(new Error('Conversion was cancelled'))).toBe(true);
+        expect(isCancellationError(new Error('Network timeout'))).toBe(false);
+        expect(isCancellationError(null)).toBe(false);
+    });
+
+    it('should throw only once the signal is aborted', () => {
+        const controller = new AbortController();
+
+        expect(() => throwIfCancelled(undefined)).not.toThrow();
+        expect(() => throwIfCancelled(controller.signal)).not.toThrow();
+        controller.abort();
+        expect(() => throwIfCancelled(controller.signal)).toThrow('Conversion was cancelled');
+    });
+
+    it('should end a delay early when the signal aborts', async () => {
+        const controller = new AbortController();
+        const start = Date.now();
+
+        setTimeout(() => controller.abort(), 10);
+        const error = await cancellableDelay(5000, controller.signal).catch(e => e);
+
+        expect(error.cancelled).toBe(true);
+        expect(Date.now() - start).toBeLessThan(1000);
+        await expect(cancellableDelay(5, null)).resolves.toBeUndefined();
+        await expect(cancellableDelay(5, controller.signal)).rejects.toThrow('Conversion was cancelled');
+    });
+});
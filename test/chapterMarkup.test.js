@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import ChapterMarkup from '../src/main/utils/chapterMarkup.js';
+
+/**
+ * Chapter markup tests
+ * Covers explicit markers, heading detection and marker removal
+ */
+describe('ChapterMarkup', () => {
+    const markup = new ChapterMarkup();
+
+    it('should split text at chapter markers without speaking their titles', () => {
+        const chapters = markup.split('Foreword text.\n[chapter  The   Storm ]\nRain fell. [CHAPTER Calm] Sun came out.');
+
+        expect(chapters).toEqual([
+            { title: 'Chapter 1', text: 'Foreword text.' },
+            { title: 'The Storm', text: 'Rain fell.' },
+            { title: 'Calm', text: 'Sun came out.' }
+        ]);
+        expect(markup.hasMarkers('See [chapter]')).toBe(true);
+        expect(markup.hasMarkers('See [note 3]')).toBe(false);
+    });
+
+    it('should drop chapters without text and number untitled ones', () => {
+        expect(markup.split('[chapter Empty]\n\n[chapter]\nFirst.\n[chapter]\nSecond.')).toEqual([
+            { title: 'Chapter 1', text: 'First.' },
+            { title: 'Chapter 2', text: 'Second.' }
+        ]);
+    });
+
+    it('should start chapters at headings standing alone in their paragraph', () => {
+        const text = 'Title page.\n\n# The Beginning\n\nIt was dark.\n\nCHAPTER IV.\n\nMore.\n\nChapter Twenty-One: The End\n\nBye.';
+
+        expect(markup.split(text)).toEqual([
+            { title: 'Chapter 1', text: 'Title page.' },
+            { title: 'The Beginning', text: 'The Beginning\n\nIt was dark.' },
+            { title: 'CHAPTER IV', text: 'CHAPTER IV.\n\nMore.' },
+            { title: 'Chapter Twenty-One: The End', text: 'Chapter Twenty-One: The End\n\nBye.' }
+        ]);
+    });
+
+    it('should start chapters at heading lines followed directly by text', () => {
+        const text = 'Title page.\n# The Beginning\nIt was dark.\nStill dark.\n\nChapter 2\nMorning came.';
+
+        expect(markup.split(text)).toEqual([
+            { title: 'Chapter 1', text: 'Title page.' },
+            { title: 'The Beginning', text: 'The Beginning\n\nIt was dark.\nStill dark.' },
+            { title: 'Chapter 2', text: 'Chapter 2\n\nMorning came.' }
+        ]);
+        expect(markup.split('It was dark and the\nPart 2 of the plan began.').map(chapter => chapter.title)).toEqual(['Chapter 1']);
+    });
+
+    it('should not take sentences for headings', () => {
+        const text = 'Part of the story is here\n\nChapter 3 was the longest one. It went on.\n\nPrologue';
+
+        expect(markup.split(text).map(chapter => chapter.title)).toEqual(['Chapter 1', 'Prologue']);
+    });
+
+    it('should prefer markers over headings, read headings without hashes and return one chapter for plain text', () => {
+        expect(markup.split('# Heading\n\nText [chapter Two] More').map(chapter => chapter.title)).toEqual(['Chapter 1', 'Two']);
+        expect(markup.split('# Chapter One\n\nIt began.\n\nChapter 2: The Return\n\nIt went on.\n[chapter Final]\nIt ended.')).toEqual([
+            { title: 'Chapter 1', text: 'Chapter One\n\nIt began.\n\nChapter 2: The Return\n\nIt went on.' },
+            { title: 'Final', text: 'It ended.' }
+        ]);
+        expect(markup.split('Just one paragraph.')).toEqual([{ title: 'Chapter 1', text: 'Just one paragraph.' }]);
+    });
+
+    it('should remove markers as paragraph breaks', () => {
+        expect(markup.strip('End of one.[chapter Two]Start of two.')).toBe('End of one.\n\nStart of two.');
+    });
+});
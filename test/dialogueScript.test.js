@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import DialogueScriptParser from '../src/main/utils/dialogueScript.js';
+
+/**
+ * Dialogue script parser tests
+ * Covers speaker turn parsing, continuation lines, line errors and
+ * speaker table resolution
+ */
+describe('DialogueScriptParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new DialogueScriptParser();
+    });
+
+    describe('parse', () => {
+        it('should split a script into ordered speaker turns', () => {
+            const result = parser.parse('ALICE: Hello\nBOB: Hi!\nAlice: How are you?');
+
+            expect(result.errors).toEqual([]);
+            expect(result.speakers).toEqual(['ALICE', 'BOB']);
+            expect(result.turns).toEqual([
+                { speaker: 'ALICE', label: 'ALICE', text: 'Hello', line: 1 },
+                { speaker: 'BOB', label: 'BOB', text: 'Hi!', line: 2 },
+                { speaker: 'ALICE', label: 'Alice', text: 'How are you?', line: 3 }
+            ]);
+        });
+
+        it('should append unlabeled lines to the previous turn and skip comments', () => {
+            const script = '# Scene 1\nNARRATOR: It was late.\nThe rain had stopped.\n\nDR. SMITH: Come in.';
+            const result = parser.parse(script);
+
+            expect(result.turns.map(t => [t.speaker, t.text])).toEqual([
+                ['NARRATOR', 'It was late. The rain had stopped.'],
+                ['DR. SMITH', 'Come in.']
+            ]);
+        });
+
+        it('should not treat times or URLs as speaker labels', () => {
+            const result = parser.parse('ALICE: Meet me at\n10:30 near\nhttps://example.com');
+
+            expect(result.turns).toHaveLength(1);
+            expect(result.turns[0].text).toBe('Meet me at 10:30 near https://example.com');
+        });
+
+        it('should report text before the first label and empty turns', () => {
+            const result = parser.parse('Hello there\nBOB:\nALICE: Hi');
+
+            expect(result.errors).toEqual([
+                { line: 1, message: 'Text before the first speaker label (use "NAME: text")' },
+                { line: 2, message: 'Speaker BOB has no text' }
+            ]);
+        });
+
+        it('should report scripts without speaker lines', () => {
+            expect(parser.parse('   ').errors).toEqual([
+                { line: 1, message: 'No speaker lines found (use "NAME: text")' }
+            ]);
+        });
+    });
+
+    describe('resolveSpeakers', () => {
+        it('should match speaker table entries case-insensitively', () => {
+            const table = {
+                alice: { voice: 'en-US-AriaNeural', speed: 1.1 },
+                Bob: { voice: '' }
+            };
+
+            const result = parser.resolveSpeakers(['ALICE', 'BOB', 'CAROL'], table);
+
+            expect(result.assignments).toEqual({ ALICE: { voice: 'en-US-AriaNeural', speed: 1.1 } });
+            expect(result.missing).toEqual(['BOB', 'CAROL']);
+        });
+    });
+});
@@ -103,8 +103,8 @@ class MockStateManager {
         
         // Simulate the actual degradation strategies
         switch (feature) {
-            case 'mp3_conversion':
-                document.querySelector('input[name="outputFormat"][value="wav"]');
+            case 'format_conversion':
+                document.getElementById('outputFormat');
                 break;
             case 'voice_loading':
                 document.getElementById('voiceSelect');
@@ -481,23 +481,21 @@ describe('Comprehensive Error Recovery Tests', () => {
 
     describe('Graceful Degradation Implementation', () => {
         it('should handle MP3 unavailability with automatic WAV selection', async () => {
-            const mockWavRadio = {
-                checked: false,
+            const mockFormatSelect = {
+                value: 'mp3',
                 dispatchEvent: vi.fn()
             };
             
-            mockDocument.querySelector.mockReturnValue(mockWavRadio);
+            mockDocument.getElementById.mockReturnValue(mockFormatSelect);
 
             await stateManager.handleFeatureDegradation(
-                'mp3_conversion',
+                'format_conversion',
                 'FFmpeg not available',
                 { showRetry: false, showSettings: true }
             );
 
             // Verify fallback action would be executed
-            expect(mockDocument.querySelector).toHaveBeenCalledWith(
-                'input[name="outputFormat"][value="wav"]'
-            );
+            expect(mockDocument.getElementById).toHaveBeenCalledWith('outputFormat');
         });
 
         it('should handle voice loading failure with system default fallback', async () => {
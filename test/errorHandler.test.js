@@ -89,6 +89,15 @@ describe('ErrorHandler', () => {
       expect(result.suggestedAction).toBe('check_permissions');
     });
 
+    it('should name the write when access to a written file is denied', () => {
+      const error = new Error('Access denied');
+      error.code = 'EACCES';
+      const result = errorHandler.handleFileError(error, '/path/to/book.m3u8', { access: 'write' });
+
+      expect(result.userMessage).toBe('Access denied: Cannot write book.m3u8');
+      expect(result.troubleshooting).toContain('Verify you have permission to write to the output folder');
+    });
+
     it('should handle directory selected instead of file', () => {
       const error = new Error('Is a directory');
       error.code = 'EISDIR';
@@ -104,7 +113,7 @@ describe('ErrorHandler', () => {
       const result = errorHandler.handleFileError(error, '/path/to/document.pdf');
 
       expect(result.userMessage).toContain('Unsupported file format: document.pdf');
-      expect(result.troubleshooting).toContain('Only .txt files are supported');
+      expect(result.troubleshooting).toContain('Only .txt and SSML (.ssml, .xml) files are supported');
       expect(result.suggestedAction).toBe('convert_file');
     });
 
@@ -189,6 +198,24 @@ describe('ErrorHandler', () => {
     });
   });
 
+  describe('Chunk Error Handling', () => {
+    it('should report which chunk failed and its text', () => {
+      const error = new Error('Network timeout');
+      const result = errorHandler.handleChunkError(error, { chunkIndex: 186, totalChunks: 200, attempts: 3, excerpt: 'Chapter twelve...' });
+
+      expect(result.userMessage).toBe('Part 187 of 200 could not be converted after 3 attempts ("Chapter twelve..."): Network timeout');
+      expect(result.failedChunk).toEqual({ index: 186, total: 200, attempts: 3, excerpt: 'Chapter twelve...' });
+      expect(result.category).toBe('conversion');
+      expect(result.canRetry).toBe(true);
+    });
+
+    it('should not mention parts for text converted in one piece', () => {
+      const result = errorHandler.handleChunkError({ message: 'Engine failed', userMessage: 'The text-to-speech engine is not responding.' }, { attempts: 3 });
+
+      expect(result.userMessage).toBe('The text could not be converted after 3 attempts: The text-to-speech engine is not responding.');
+    });
+  });
+
   describe('Retry Mechanism', () => {
     it('should track retry attempts', async () => {
       const error = new Error('TTS conversion failed');
@@ -218,6 +245,21 @@ describe('ErrorHandler', () => {
       expect(errorHandler.shouldAutoRetry(nonRetryableError)).toBe(false);
     });
 
+    it('should identify throttling and timeout errors', () => {
+      expect(errorHandler.isThrottlingError(new Error('Request failed with status 429'))).toBe(true);
+      expect(errorHandler.isThrottlingError({ message: 'socket hang up', code: 'ECONNRESET' })).toBe(true);
+      expect(errorHandler.isThrottlingError(new Error('Synthesis timed out after 30s'))).toBe(true);
+      expect(errorHandler.isThrottlingError(new Error("Voice 'x' not found"))).toBe(false);
+    });
+
+    it('should only treat throttling and network errors as transient', () => {
+      expect(errorHandler.isTransientError(new Error('Network timeout'))).toBe(true);
+      expect(errorHandler.isTransientError({ message: 'getaddrinfo ENOTFOUND api.example.com', code: 'ENOTFOUND' })).toBe(true);
+      expect(errorHandler.isTransientError({ message: 'connect ECONNREFUSED 127.0.0.1:80', code: 'ECONNREFUSED' })).toBe(true);
+      expect(errorHandler.isTransientError(new Error("Voice 'x' not found"))).toBe(false);
+      expect(errorHandler.isTransientError(new Error('Speed must be between 0.5 and 2.0'))).toBe(false);
+    });
+
     it('should reset retry attempts', () => {
       const key = 'test-operation';
       errorHandler.retryAttempts.set(key, 3);
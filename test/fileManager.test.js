@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import { existsSync, accessSync, constants, statSync } from 'fs';
 import path from 'path';
 import os from 'os';
+import { createRequire } from 'module';
 import FileManager from '../src/main/services/fileManager.js';
 
 // Mock the fs modules
@@ -25,7 +26,7 @@ describe('FileManager', () => {
 
     describe('constructor', () => {
         it('should initialize with correct default values', () => {
-            expect(fileManager.supportedTextExtensions).toEqual(['.txt']);
+            expect(fileManager.supportedTextExtensions).toEqual(['.txt', '.ssml', '.xml']);
             expect(fileManager.maxFileSize).toBe(10 * 1024 * 1024); // 10MB
         });
     });
@@ -69,7 +70,7 @@ describe('FileManager', () => {
         it('should throw error for unsupported file extension', async () => {
             path.extname.mockReturnValue('.pdf');
             
-            await expect(fileManager.readTextFile('/test/file.pdf')).rejects.toThrow('Unsupported file type: .pdf. Only .txt files are supported.');
+            await expect(fileManager.readTextFile('/test/file.pdf')).rejects.toThrow('Unsupported file type: .pdf. Only .txt and SSML (.ssml, .xml) files are supported.');
         });
 
         it('should throw error for files that are too large', async () => {
@@ -282,7 +283,7 @@ describe('FileManager', () => {
             const result = fileManager.getFileErrorDetails(filePath, error);
             
             expect(result.userMessage).toBe('Unsupported file type: .pdf');
-            expect(result.troubleshooting).toContain('Only .txt files are supported');
+            expect(result.troubleshooting).toContain('Only .txt and SSML (.ssml, .xml) files are supported');
         });
 
         it('should handle file too large error', () => {
@@ -326,6 +327,54 @@ describe('FileManager', () => {
         });
     });
 
+    describe('sortByFileName', () => {
+        it('should sort by file name with numbers in natural order', () => {
+            const filePaths = ['/books/b/Chapter 10.txt', '/books/a/chapter 2.ssml', '/books/c/Chapter 1.txt', '/books/Appendix.txt'];
+
+            expect(fileManager.sortByFileName(filePaths)).toEqual([
+                '/books/Appendix.txt',
+                '/books/c/Chapter 1.txt',
+                '/books/a/chapter 2.ssml',
+                '/books/b/Chapter 10.txt'
+            ]);
+            expect(filePaths[0]).toBe('/books/b/Chapter 10.txt');
+        });
+    });
+
+    describe('writeTextFile', () => {
+        // FileManager loads fs through require(), which the module mocks above do not reach
+        let realFs;
+        let tempDir;
+
+        beforeEach(async () => {
+            realFs = await vi.importActual('fs/promises');
+            const realOs = await vi.importActual('os');
+            const realPath = await vi.importActual('path');
+            tempDir = await realFs.mkdtemp(realPath.join(realOs.tmpdir(), 'speechmaker-file-manager-'));
+        });
+
+        afterEach(async () => {
+            await realFs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('should write the content as UTF-8', async () => {
+            const filePath = `${tempDir}/book.m3u8`;
+
+            await fileManager.writeTextFile(filePath, '#EXTM3U\n#EXTINF:61,Café\n');
+
+            expect(await realFs.readFile(filePath, 'utf8')).toBe('#EXTM3U\n#EXTINF:61,Café\n');
+        });
+
+        it('should report write errors with file details', async () => {
+            const cjsFs = createRequire(import.meta.url)('fs/promises');
+            const error = new Error('EACCES: permission denied');
+            error.code = 'EACCES';
+            vi.spyOn(cjsFs, 'writeFile').mockRejectedValue(error);
+
+            await expect(fileManager.writeTextFile(`${tempDir}/book.m3u8`, '')).rejects.toMatchObject({ userMessage: 'Access denied: Cannot write book.m3u8' });
+        });
+    });
+
     describe('getDefaultOutputDirectory', () => {
         it('should return correct default output directory', () => {
             const mockHomeDir = '/home/user';
@@ -1,6 +1,7 @@
 /**
  * Integration tests for intelligent format option management
- * Tests the dynamic MP3 option enabling/disabling based on FFmpeg availability
+ * Tests the dynamic enabling/disabling of output formats based on FFmpeg availability
+ * and the encoders the main process reports
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5
  */
 
@@ -16,11 +17,11 @@ const dom = new JSDOM(`
     <title>Test</title>
 </head>
 <body>
-    <div class="radio-group">
-        <input type="radio" id="formatWav" name="outputFormat" value="wav" checked>
-        <label for="formatWav">WAV</label>
-        <input type="radio" id="formatMp3" name="outputFormat" value="mp3">
-        <label for="formatMp3">MP3</label>
+    <div class="format-selection">
+        <select id="outputFormat">
+            <option value="wav">WAV</option>
+        </select>
+        <p id="outputFormatDescription" class="help-text"></p>
     </div>
     <div id="statusText">Ready</div>
     <button id="convertBtn">Convert</button>
@@ -31,24 +32,26 @@ const dom = new JSDOM(`
 global.document = dom.window.document;
 global.window = dom.window;
 
+// Output formats as reported by the main process for an FFmpeg build without libopus
+const reportedFormats = [
+    { id: 'wav', label: 'WAV', description: 'Uncompressed audio, largest files', requiresFFmpeg: false, available: true, reason: null, options: { defaults: {} } },
+    { id: 'mp3', label: 'MP3', description: 'Compressed, plays on every device', requiresFFmpeg: true, available: true, reason: null, options: { defaults: { bitrate: '128k' }, bitrates: ['128k'] } },
+    { id: 'opus', label: 'Opus', description: 'Small files for web players', requiresFFmpeg: true, available: false, reason: 'FFmpeg build has no libopus encoder', options: { defaults: { bitrate: '64k' }, bitrates: ['64k'] } },
+    { id: 'flac', label: 'FLAC', description: 'Lossless compression', requiresFFmpeg: true, available: true, reason: null, options: { defaults: { compressionLevel: 5 }, compressionLevel: { min: 0, max: 12 } } }
+];
+
 describe('Format Option Management', () => {
     let stateManager;
-    let formatWav;
-    let formatMp3;
-    let formatMp3Label;
+    let formatSelect;
+
+    // Options are rebuilt when availability changes, so look them up each time
+    const option = (value) => formatSelect.querySelector(`option[value="${value}"]`);
 
     beforeEach(() => {
         // Reset DOM
-        formatWav = document.getElementById('formatWav');
-        formatMp3 = document.getElementById('formatMp3');
-        formatMp3Label = document.querySelector('label[for="formatMp3"]');
-        
-        // Reset format selections
-        formatWav.checked = true;
-        formatMp3.checked = false;
-        formatMp3.disabled = false;
-        formatMp3Label.classList.remove('disabled', 'enabled');
-        formatMp3Label.title = '';
+        formatSelect = document.getElementById('outputFormat');
+        formatSelect.innerHTML = '<option value="wav">WAV</option>';
+        formatSelect.value = 'wav';
         
         // Clear any existing indicators
         const existingIndicators = document.querySelectorAll('.format-availability-indicator, .ffmpeg-status-indicator');
@@ -70,28 +73,34 @@ describe('Format Option Management', () => {
         it('should enable MP3 option when FFmpeg becomes available', () => {
             // Initially no FFmpeg
             stateManager.updateFFmpegState(false, 'none', false);
-            expect(formatMp3.disabled).toBe(true);
-            expect(formatMp3Label.classList.contains('disabled')).toBe(true);
+            expect(option('mp3').disabled).toBe(true);
+            expect(option('mp3').textContent).toBe('MP3 (unavailable)');
 
             // FFmpeg becomes available
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            expect(formatMp3.disabled).toBe(false);
-            expect(formatMp3Label.classList.contains('disabled')).toBe(false);
-            expect(formatMp3Label.classList.contains('enabled')).toBe(true);
-            expect(formatMp3Label.title).toContain('MP3 format available');
+            expect(option('mp3').disabled).toBe(false);
+            expect(option('mp3').textContent).toBe('MP3');
+            expect(option('mp3').title).toContain('MP3 format available');
+        });
+
+        it('should list every output format in the dropdown', () => {
+            stateManager.updateFFmpegState(true, 'bundled', true);
+            
+            const values = Array.from(formatSelect.options).map(entry => entry.value);
+            expect(values).toEqual(['wav', 'mp3', 'opus', 'ogg', 'flac', 'm4a', 'm4b']);
         });
 
         it('should show correct tooltip for bundled FFmpeg', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            expect(formatMp3Label.title).toContain('bundled FFmpeg');
+            expect(option('mp3').title).toContain('bundled FFmpeg');
         });
 
         it('should show correct tooltip for system FFmpeg', () => {
             stateManager.updateFFmpegState(true, 'system', true);
             
-            expect(formatMp3Label.title).toContain('system FFmpeg');
+            expect(option('mp3').title).toContain('system FFmpeg');
         });
 
         it('should create format availability indicator when MP3 becomes available', () => {
@@ -100,7 +109,7 @@ describe('Format Option Management', () => {
             const indicator = document.querySelector('.format-availability-indicator');
             expect(indicator).toBeTruthy();
             expect(indicator.classList.contains('success')).toBe(true);
-            expect(indicator.textContent).toContain('Both WAV and MP3 formats available');
+            expect(indicator.textContent).toContain('All output formats available');
         });
     });
 
@@ -114,21 +123,19 @@ describe('Format Option Management', () => {
             // FFmpeg becomes unavailable
             stateManager.updateFFmpegState(false, 'none', false);
             
-            expect(formatMp3.disabled).toBe(true);
-            expect(formatMp3Label.classList.contains('disabled')).toBe(true);
-            expect(formatMp3Label.classList.contains('enabled')).toBe(false);
+            expect(option('mp3').disabled).toBe(true);
+            expect(option('flac').disabled).toBe(true);
+            expect(option('wav').disabled).toBe(false);
         });
 
         it('should automatically select WAV when MP3 is selected and becomes unavailable', () => {
             // Select MP3 first
-            formatMp3.checked = true;
-            formatWav.checked = false;
+            formatSelect.value = 'mp3';
             
             // FFmpeg becomes unavailable
             stateManager.updateFFmpegState(false, 'none', false);
             
-            expect(formatMp3.checked).toBe(false);
-            expect(formatWav.checked).toBe(true);
+            expect(formatSelect.value).toBe('wav');
         });
 
         it('should show warning indicator when MP3 becomes unavailable', () => {
@@ -143,15 +150,88 @@ describe('Format Option Management', () => {
         it('should show appropriate tooltip for different unavailability reasons', () => {
             // FFmpeg not found
             stateManager.updateFFmpegState(false, 'none', false);
-            expect(formatMp3Label.title).toContain('FFmpeg not found');
+            expect(option('mp3').title).toContain('FFmpeg not found');
 
             // FFmpeg found but not validated
             stateManager.updateFFmpegState(false, 'system', false);
-            expect(formatMp3Label.title).toContain('FFmpeg validation failed');
+            expect(option('mp3').title).toContain('FFmpeg validation failed');
 
             // FFmpeg not available (other reason) - when available=false but validated=false
             stateManager.updateFFmpegState(false, 'bundled', false);
-            expect(formatMp3Label.title).toContain('FFmpeg validation failed');
+            expect(option('mp3').title).toContain('FFmpeg validation failed');
+        });
+    });
+
+    describe('Encoder Support', () => {
+        beforeEach(() => {
+            stateManager.updateFFmpegState(true, 'bundled', true);
+        });
+
+        it('should disable formats whose encoder the FFmpeg build lacks', () => {
+            stateManager.updateOutputFormats(reportedFormats);
+            
+            expect(option('opus').disabled).toBe(true);
+            expect(option('opus').title).toContain('FFmpeg build has no libopus encoder');
+            expect(option('flac').disabled).toBe(false);
+            expect(stateManager.isFormatAvailable('opus')).toBe(false);
+            expect(stateManager.getAvailableFormatIds()).toEqual(['wav', 'mp3', 'flac']);
+        });
+
+        it('should report the missing encoder when validating a selection', () => {
+            stateManager.updateOutputFormats(reportedFormats);
+            
+            const validation = stateManager.validateFormatSelection('opus');
+            expect(validation.valid).toBe(false);
+            expect(validation.reason).toBe('Opus is not available: FFmpeg build has no libopus encoder');
+            expect(validation.suggestedFormat).toBe('wav');
+        });
+
+        it('should switch to WAV when the selected format has no encoder', () => {
+            const mockListener = vi.fn();
+            stateManager.addEventListener('automaticFormatChange', mockListener);
+            formatSelect.value = 'opus';
+            
+            stateManager.updateOutputFormats(reportedFormats);
+            
+            expect(formatSelect.value).toBe('wav');
+            expect(mockListener).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    newFormat: 'wav',
+                    previousFormat: 'opus',
+                    reason: 'opus_unavailable'
+                })
+            );
+        });
+
+        it('should not announce formats missing from the first encoder report as lost', () => {
+            const mockShowNotification = vi.spyOn(stateManager, 'showFormatStatusNotification').mockImplementation(() => {});
+            
+            stateManager.updateOutputFormats(reportedFormats);
+            expect(mockShowNotification).not.toHaveBeenCalled();
+            
+            // Later reports compare against the previous one
+            stateManager.updateOutputFormats(reportedFormats.map(format =>
+                format.id === 'flac' ? { ...format, available: false, reason: 'FFmpeg build has no flac encoder' } : format));
+            expect(mockShowNotification).toHaveBeenCalledWith(
+                'FLAC format is no longer available',
+                'warning',
+                'The FFmpeg build in use cannot encode them'
+            );
+        });
+
+        it('should show the missing encoders in the availability indicator', () => {
+            stateManager.updateOutputFormats(reportedFormats);
+            
+            const indicator = document.querySelector('.format-availability-indicator');
+            expect(indicator.classList.contains('warning')).toBe(true);
+            expect(indicator.textContent).toContain('Opus unavailable - the FFmpeg build in use lacks its encoder');
+        });
+
+        it('should pass the encoder option ranges through to the format list', () => {
+            stateManager.updateOutputFormats(reportedFormats);
+            
+            const flac = stateManager.getAvailableFormats().find(format => format.value === 'flac');
+            expect(flac.options.compressionLevel).toEqual({ min: 0, max: 12 });
         });
     });
 
@@ -178,7 +258,7 @@ describe('Format Option Management', () => {
         });
 
         it('should invalidate unknown formats', () => {
-            const validation = stateManager.validateFormatSelection('ogg');
+            const validation = stateManager.validateFormatSelection('aiff');
             expect(validation.valid).toBe(false);
             expect(validation.reason).toContain('Invalid format');
             expect(validation.suggestedFormat).toBe('wav');
@@ -187,20 +267,19 @@ describe('Format Option Management', () => {
 
     describe('Format Selection Management', () => {
         it('should get currently selected format', () => {
-            formatWav.checked = true;
-            formatMp3.checked = false;
+            stateManager.updateFFmpegState(true, 'bundled', true);
+            
+            formatSelect.value = 'wav';
             expect(stateManager.getSelectedFormat()).toBe('wav');
 
-            formatWav.checked = false;
-            formatMp3.checked = true;
+            formatSelect.value = 'mp3';
             expect(stateManager.getSelectedFormat()).toBe('mp3');
         });
 
         it('should set WAV format successfully', () => {
             const result = stateManager.setSelectedFormat('wav');
             expect(result).toBe(true);
-            expect(formatWav.checked).toBe(true);
-            expect(formatMp3.checked).toBe(false);
+            expect(formatSelect.value).toBe('wav');
         });
 
         it('should set MP3 format when available', () => {
@@ -208,8 +287,7 @@ describe('Format Option Management', () => {
             
             const result = stateManager.setSelectedFormat('mp3');
             expect(result).toBe(true);
-            expect(formatMp3.checked).toBe(true);
-            expect(formatWav.checked).toBe(false);
+            expect(formatSelect.value).toBe('mp3');
         });
 
         it('should fail to set MP3 format when unavailable and auto-select WAV', () => {
@@ -217,8 +295,7 @@ describe('Format Option Management', () => {
             
             const result = stateManager.setSelectedFormat('mp3');
             expect(result).toBe(false);
-            expect(formatWav.checked).toBe(true);
-            expect(formatMp3.checked).toBe(false);
+            expect(formatSelect.value).toBe('wav');
         });
 
         it('should force set MP3 format even when unavailable', () => {
@@ -226,8 +303,7 @@ describe('Format Option Management', () => {
             
             const result = stateManager.setSelectedFormat('mp3', true);
             expect(result).toBe(true);
-            expect(formatMp3.checked).toBe(true);
-            expect(formatWav.checked).toBe(false);
+            expect(formatSelect.value).toBe('mp3');
         });
     });
 
@@ -236,7 +312,7 @@ describe('Format Option Management', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
             const formats = stateManager.getAvailableFormats();
-            expect(formats).toHaveLength(2);
+            expect(formats).toHaveLength(7);
             
             const wavFormat = formats.find(f => f.value === 'wav');
             const mp3Format = formats.find(f => f.value === 'mp3');
@@ -250,7 +326,7 @@ describe('Format Option Management', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
             const formats = stateManager.getAvailableFormats();
-            expect(formats).toHaveLength(2);
+            expect(formats).toHaveLength(7);
             
             const wavFormat = formats.find(f => f.value === 'wav');
             const mp3Format = formats.find(f => f.value === 'mp3');
@@ -267,7 +343,7 @@ describe('Format Option Management', () => {
             
             const recommendations = stateManager.getFormatRecommendations();
             expect(recommendations.recommended).toBe('mp3');
-            expect(recommendations.reasons.mp3).toContain('Smaller file size');
+            expect(recommendations.reasons.mp3).toContain('plays on every device');
             expect(recommendations.ffmpegStatus.available).toBe(true);
         });
 
@@ -294,9 +370,9 @@ describe('Format Option Management', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
             expect(stateManager.canConvertToMp3()).toBe(true);
-            expect(formatMp3.disabled).toBe(false);
+            expect(option('mp3').disabled).toBe(false);
             expect(mockShowNotification).toHaveBeenCalledWith(
-                'MP3 format is now available!',
+                'MP3, Opus, Ogg Vorbis, FLAC, AAC (M4A) and Audiobook (M4B) formats are now available!',
                 'success',
                 expect.stringContaining('FFmpeg is ready')
             );
@@ -305,8 +381,7 @@ describe('Format Option Management', () => {
         it('should handle MP3 becoming unavailable during runtime', () => {
             // Start with FFmpeg available
             stateManager.updateFFmpegState(true, 'bundled', true);
-            formatMp3.checked = true;
-            formatWav.checked = false;
+            formatSelect.value = 'mp3';
 
             // Mock notification creation
             const mockShowNotification = vi.spyOn(stateManager, 'showFormatStatusNotification').mockImplementation(() => {});
@@ -315,11 +390,10 @@ describe('Format Option Management', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
             expect(stateManager.canConvertToMp3()).toBe(false);
-            expect(formatMp3.disabled).toBe(true);
-            expect(formatMp3.checked).toBe(false);
-            expect(formatWav.checked).toBe(true);
+            expect(option('mp3').disabled).toBe(true);
+            expect(formatSelect.value).toBe('wav');
             expect(mockShowNotification).toHaveBeenCalledWith(
-                'MP3 format is no longer available',
+                'MP3, Opus, Ogg Vorbis, FLAC, AAC (M4A) and Audiobook (M4B) formats are no longer available',
                 'warning',
                 expect.stringContaining('FFmpeg connection lost')
             );
@@ -335,7 +409,7 @@ describe('Format Option Management', () => {
             
             expect(mockListener).toHaveBeenCalledWith(
                 expect.objectContaining({
-                    mp3Available: true,
+                    availableFormats: ['wav', 'mp3', 'opus', 'ogg', 'flac', 'm4a', 'm4b'],
                     ffmpegSource: 'bundled',
                     ffmpegValidated: true
                 })
@@ -348,8 +422,7 @@ describe('Format Option Management', () => {
 
             // Start with MP3 selected
             stateManager.updateFFmpegState(true, 'bundled', true);
-            formatMp3.checked = true;
-            formatWav.checked = false;
+            formatSelect.value = 'mp3';
 
             // FFmpeg becomes unavailable
             stateManager.updateFFmpegState(false, 'none', false);
@@ -365,31 +438,30 @@ describe('Format Option Management', () => {
 
     describe('Container Styling', () => {
         it('should update container styling when MP3 becomes available', () => {
-            const container = formatMp3.closest('.radio-group');
+            const container = formatSelect.closest('.format-selection');
             
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            expect(container.classList.contains('mp3-available')).toBe(true);
-            expect(container.classList.contains('mp3-unavailable')).toBe(false);
-            expect(container.getAttribute('data-mp3-available')).toBe('true');
+            expect(container.classList.contains('compressed-available')).toBe(true);
+            expect(container.classList.contains('compressed-unavailable')).toBe(false);
+            expect(container.getAttribute('data-compressed-available')).toBe('true');
         });
 
         it('should update container styling when MP3 becomes unavailable', () => {
-            const container = formatMp3.closest('.radio-group');
+            const container = formatSelect.closest('.format-selection');
             
             stateManager.updateFFmpegState(false, 'none', false);
             
-            expect(container.classList.contains('mp3-available')).toBe(false);
-            expect(container.classList.contains('mp3-unavailable')).toBe(true);
-            expect(container.getAttribute('data-mp3-available')).toBe('false');
+            expect(container.classList.contains('compressed-available')).toBe(false);
+            expect(container.classList.contains('compressed-unavailable')).toBe(true);
+            expect(container.getAttribute('data-compressed-available')).toBe('false');
         });
     });
 
     describe('Integration with Conversion Validation', () => {
         it('should prevent conversion with MP3 when FFmpeg is unavailable', () => {
             stateManager.updateFFmpegState(false, 'none', false);
-            formatMp3.checked = true;
-            formatWav.checked = false;
+            stateManager.setSelectedFormat('mp3', true);
             
             // This would be called by the conversion process
             const canConvert = stateManager.canConvertToMp3();
@@ -405,8 +477,7 @@ describe('Format Option Management', () => {
 
         it('should allow conversion with MP3 when FFmpeg is available', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
-            formatMp3.checked = true;
-            formatWav.checked = false;
+            formatSelect.value = 'mp3';
             
             const canConvert = stateManager.canConvertToMp3();
             const selectedFormat = stateManager.getSelectedFormat();
@@ -49,11 +49,15 @@ describe('IPC Basic Functionality', () => {
         validateOutputDirectory: vi.fn().mockResolvedValue(true),
         getTempDirectory: vi.fn().mockResolvedValue('/tmp'),
         deleteFile: vi.fn().mockResolvedValue(),
+        createJobDirectory: vi.fn().mockResolvedValue('/tmp/job_test'),
+        removeJobDirectory: vi.fn().mockResolvedValue(),
         validateFile: vi.fn().mockResolvedValue(true)
       },
       audioProcessor: {
         validateFFmpegInstallation: vi.fn().mockResolvedValue(true),
         convertWavToMp3: vi.fn().mockResolvedValue(),
+        transcode: vi.fn().mockResolvedValue(),
+        getAvailableFormats: vi.fn().mockResolvedValue([]),
         playAudioFile: vi.fn().mockResolvedValue()
       }
     };
@@ -36,11 +36,15 @@ const createMockServices = () => ({
     validateOutputDirectory: vi.fn(),
     getTempDirectory: vi.fn(),
     deleteFile: vi.fn(),
+    createJobDirectory: vi.fn().mockResolvedValue('/tmp/SpeechMaker/job_test'),
+    removeJobDirectory: vi.fn().mockResolvedValue(),
     validateFile: vi.fn()
   },
   audioProcessor: {
     validateFFmpegInstallation: vi.fn(),
     convertWavToMp3: vi.fn(),
+    transcode: vi.fn(),
+    getAvailableFormats: vi.fn(),
     playAudioFile: vi.fn()
   }
 });
@@ -173,7 +177,7 @@ describe('IPC Handlers Integration Tests', () => {
         voice: 'voice1', 
         outputFormat: 'invalid', 
         outputPath: '/path' 
-      })).rejects.toThrow('Output format must be wav or mp3');
+      })).rejects.toThrow('Output format must be one of wav, mp3, opus, ogg, flac, m4a, m4b');
       
       await expect(handler(null, { 
         id: 'test', 
@@ -221,9 +225,10 @@ describe('IPC Handlers Integration Tests', () => {
       const jobId = 'test-job';
       
       // First start a conversion to have something to cancel
+      const abortController = new AbortController();
       ipcHandlers.activeConversions.set(jobId, { 
         cancelled: false, 
-        process: null,
+        abortController,
         startTime: Date.now()
       });
 
@@ -234,6 +239,7 @@ describe('IPC Handlers Integration Tests', () => {
       
       expect(result.success).toBe(true);
       expect(mockMainWindow.webContents.send).toHaveBeenCalledWith('tts:cancelled', { jobId });
+      expect(abortController.signal.aborted).toBe(true);
     });
 
     it('should validate preview data', async () => {
@@ -392,8 +398,8 @@ describe('IPC Handlers Integration Tests', () => {
       const jobId1 = 'job1';
       const jobId2 = 'job2';
       
-      ipcHandlers.activeConversions.set(jobId1, { cancelled: false });
-      ipcHandlers.activeConversions.set(jobId2, { cancelled: false });
+      ipcHandlers.activeConversions.set(jobId1, { cancelled: false, abortController: new AbortController() });
+      ipcHandlers.activeConversions.set(jobId2, { cancelled: false, abortController: new AbortController() });
       
       expect(ipcHandlers.activeConversions.size).toBe(2);
       
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JobWorkspace from '../src/main/utils/jobWorkspace.js';
+
+/**
+ * Job workspace tests
+ * Covers per-job directories, the manifest and the startup sweep of
+ * directories left behind by processes that are gone
+ */
+describe('JobWorkspace', () => {
+    let root;
+    let workspace;
+
+    const readManifest = () => JSON.parse(fs.readFileSync(path.join(root, 'workspaces.json'), 'utf8')).jobs;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'job-workspace-'));
+        workspace = new JobWorkspace(root);
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should give every job its own directory and list it in the manifest', async () => {
+        const [first, second] = await Promise.all([workspace.create('1700000000000'), workspace.create('1700000000000')]);
+
+        expect(first).not.toBe(second);
+        expect(path.dirname(first)).toBe(root);
+        expect(fs.statSync(first).isDirectory()).toBe(true);
+
+        const jobs = readManifest();
+        expect(Object.keys(jobs).sort()).toEqual([path.basename(first), path.basename(second)].sort());
+        expect(jobs[path.basename(first)]).toMatchObject({ jobId: '1700000000000', pid: process.pid });
+
+        fs.writeFileSync(path.join(first, 'chunk_0.wav'), 'audio');
+        await workspace.release(first);
+
+        expect(fs.existsSync(first)).toBe(false);
+        expect(Object.keys(readManifest())).toEqual([path.basename(second)]);
+    });
+
+    it('should sweep directories of dead processes and keep those of running ones', async () => {
+        const live = await workspace.create('live');
+        const dead = await workspace.create('dead');
+        const jobs = readManifest();
+        jobs[path.basename(dead)].pid = 99999999;
+        fs.writeFileSync(path.join(root, 'workspaces.json'), JSON.stringify({ version: 1, jobs }));
+
+        const oldUnlisted = path.join(root, 'job_crashed_0001');
+        const newUnlisted = path.join(root, 'job_starting_0002');
+        fs.mkdirSync(oldUnlisted);
+        fs.mkdirSync(newUnlisted);
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(oldUnlisted, twoHoursAgo, twoHoursAgo);
+
+        const removed = await new JobWorkspace(root).sweep();
+
+        expect(removed.sort()).toEqual([path.basename(dead), 'job_crashed_0001'].sort());
+        expect(fs.existsSync(live)).toBe(true);
+        expect(fs.existsSync(newUnlisted)).toBe(true);
+        expect(Object.keys(readManifest())).toEqual([path.basename(live)]);
+    });
+
+    it('should treat a missing or unreadable manifest as empty', async () => {
+        expect(await workspace.sweep()).toEqual([]);
+
+        fs.writeFileSync(path.join(root, 'workspaces.json'), 'not json');
+        const directory = await workspace.create('job');
+
+        expect(Object.keys(readManifest())).toEqual([path.basename(directory)]);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import LanguageDetector from '../src/main/utils/languageDetector.js';
+
+/**
+ * Language detector tests
+ * Covers script detection, trigram classification of Latin and Cyrillic
+ * text and grouping paragraphs into language segments
+ */
+describe('LanguageDetector', () => {
+    let detector;
+
+    const language = (text) => detector.detect(text).language;
+
+    beforeEach(() => {
+        detector = new LanguageDetector();
+    });
+
+    it('should identify languages by their writing system', () => {
+        expect(language('昨日りんごを買いに市場へ行きましたが、昼までに売り切れていました。')).toBe('ja');
+        expect(language('昨天我去市场买苹果，但是中午之前就卖完了。')).toBe('zh');
+        expect(language('어제 사과를 사러 시장에 갔지만 정오까지 다 팔렸어요.')).toBe('ko');
+        expect(language('Χθες πήγα στην αγορά να αγοράσω μήλα.')).toBe('el');
+        expect(language('ذهبت أمس إلى السوق لشراء التفاح، لكنه نفد قبل الظهر.')).toBe('ar');
+        expect(language('دیروز برای خرید سیب به بازار رفتم، اما تا ظهر تمام شده بود.')).toBe('fa');
+    });
+
+    it('should tell Latin-script languages apart', () => {
+        expect(language('Yesterday I went to the market to buy some apples, but they had already sold out by noon.')).toBe('en');
+        expect(language('Ayer fui al mercado a comprar unas manzanas, pero ya se habían agotado al mediodía.')).toBe('es');
+        expect(language('Ontem fui ao mercado comprar maçãs, mas ao meio-dia já estavam esgotadas.')).toBe('pt');
+        expect(language('Hier, je suis allé au marché pour acheter des pommes, mais il n\'y en avait plus à midi.')).toBe('fr');
+        expect(language('Gestern bin ich auf den Markt gegangen, um Äpfel zu kaufen, aber sie waren schon ausverkauft.')).toBe('de');
+        expect(language('Ieri sono andato al mercato a comprare delle mele, ma a mezzogiorno erano già esaurite.')).toBe('it');
+        expect(language('Včera jsem šel na trh koupit jablka, ale v poledne už byla vyprodaná.')).toBe('cs');
+    });
+
+    it('should tell Cyrillic-script languages apart', () => {
+        expect(language('Вчера я пошёл на рынок купить яблок, но к полудню их уже распродали.')).toBe('ru');
+        expect(language('Учора я пішов на ринок купити яблук, але до полудня їх уже розпродали.')).toBe('uk');
+        expect(language('Вчера отидох на пазара да купя ябълки, но до обяд вече бяха разпродадени.')).toBe('bg');
+    });
+
+    it('should not guess for text that is too short or has no letters', () => {
+        expect(detector.detect('Chapter 1')).toEqual({ language: null, script: 'latin', confidence: 0 });
+        expect(detector.detect('42 - 7')).toEqual({ language: null, script: null, confidence: 0 });
+    });
+
+    it('should group paragraphs by language and attach short paragraphs to their neighbours', () => {
+        const text = [
+            'Chapter 1',
+            'Yesterday I went to the market to buy some apples, but they had already sold out by noon.',
+            'The farmer said that more would arrive on the next morning train.',
+            'Ayer fui al mercado a comprar unas manzanas, pero ya se habían agotado al mediodía.',
+            'Fin.'
+        ].join('\n\n');
+
+        const segments = detector.segment(text);
+
+        expect(segments.map(segment => segment.language)).toEqual(['en', 'es']);
+        expect(segments[0].text.startsWith('Chapter 1\n\nYesterday')).toBe(true);
+        expect(segments[1].text.endsWith('mediodía.\n\nFin.')).toBe(true);
+    });
+
+    it('should not give a short paragraph the language of a neighbour in another script', () => {
+        const segments = detector.segment('你好，今天天气很好。\n\nПривет, как дела?\n\n我们去公园吧。');
+
+        expect(segments).toEqual([
+            { text: '你好，今天天气很好。', language: 'zh' },
+            { text: 'Привет, как дела?', language: null },
+            { text: '我们去公园吧。', language: 'zh' }
+        ]);
+        expect(detector.segment('Hi!\n\nВчера я пошёл на рынок купить яблок, но к полудню их уже распродали.').map(segment => segment.language))
+            .toEqual([null, 'ru']);
+    });
+
+    it('should list the languages it can recognise', () => {
+        expect(detector.getSupportedLanguages()).toEqual(expect.arrayContaining(['en', 'es', 'ja', 'ar', 'fa', 'ur', 'uk']));
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { listOutputFormats, getOutputFormat, isOutputFormat, supportsChapters, getFormatOptionRanges, normalizeFormatOptions, estimateBytesPerSecond } from '../src/main/utils/outputFormats.js';
+
+/**
+ * Output format registry tests
+ * Covers the format list, encoder lookups and option validation per format
+ */
+describe('Output formats', () => {
+    it('should list every format with its encoder, WAV needing none', () => {
+        const formats = listOutputFormats();
+
+        expect(formats.map(format => format.id)).toEqual(['wav', 'mp3', 'opus', 'ogg', 'flac', 'm4a', 'm4b']);
+        expect(formats.find(format => format.id === 'wav')).toMatchObject({ encoder: null, requiresFFmpeg: false });
+        expect(formats.find(format => format.id === 'opus')).toMatchObject({ encoder: 'libopus', requiresFFmpeg: true });
+        expect(getOutputFormat('m4a')).toMatchObject({ id: 'm4a', encoder: 'aac', container: 'mp4', ffmpegFormat: 'ipod' });
+        expect(getOutputFormat('m4b')).toMatchObject({ id: 'm4b', encoder: 'aac', container: 'mp4', ffmpegFormat: 'ipod', chapters: true });
+    });
+
+    it('should only mark audiobook output as carrying chapters', () => {
+        expect(supportsChapters('m4b')).toBe(true);
+        expect(supportsChapters('m4a')).toBe(false);
+        expect(supportsChapters('aiff')).toBe(false);
+    });
+
+    it('should only recognize registered format ids', () => {
+        expect(isOutputFormat('flac')).toBe(true);
+        expect(isOutputFormat('aiff')).toBe(false);
+        expect(isOutputFormat('toString')).toBe(false);
+        expect(getOutputFormat('aiff')).toBeNull();
+    });
+
+    it('should describe the option ranges of a format for settings controls', () => {
+        expect(getFormatOptionRanges('ogg')).toEqual({
+            defaults: { quality: 5, sampleRate: 44100, channels: null },
+            quality: { min: 0, max: 10 },
+            sampleRates: [22050, 24000, 44100, 48000],
+            channels: [1, 2]
+        });
+        expect(getFormatOptionRanges('wav')).toEqual({ defaults: {} });
+        expect(getFormatOptionRanges('aiff')).toBeNull();
+    });
+
+    it('should fill in the defaults of each format', () => {
+        expect(normalizeFormatOptions('mp3')).toEqual({ bitrate: '128k', sampleRate: 44100, channels: null });
+        expect(normalizeFormatOptions('opus', { channels: 1 })).toEqual({ bitrate: '64k', sampleRate: 48000, channels: 1 });
+        expect(normalizeFormatOptions('ogg', { quality: 3 })).toEqual({ quality: 3, sampleRate: 44100, channels: null });
+        expect(normalizeFormatOptions('flac', { compressionLevel: 8, sampleRate: 24000 })).toEqual({ compressionLevel: 8, sampleRate: 24000, channels: null });
+        expect(normalizeFormatOptions('wav', {})).toEqual({});
+    });
+
+    it('should reject options a format does not support or values out of range', () => {
+        expect(() => normalizeFormatOptions('aiff')).toThrow('Unsupported output format: aiff');
+        expect(() => normalizeFormatOptions('ogg', { bitrate: '128k' })).toThrow('Ogg Vorbis does not support the option bitrate');
+        expect(() => normalizeFormatOptions('mp3', { bitrate: '100k' })).toThrow('MP3 bitrate must be one of');
+        expect(() => normalizeFormatOptions('opus', { sampleRate: 44100 })).toThrow('Opus sample rate must be one of 8000, 12000, 16000, 24000, 48000 Hz');
+        expect(() => normalizeFormatOptions('ogg', { quality: 2.5 })).toThrow('quality must be a whole number between 0 and 10');
+        expect(() => normalizeFormatOptions('flac', { compressionLevel: 13 })).toThrow('compression level must be a whole number between 0 and 12');
+        expect(() => normalizeFormatOptions('m4a', { channels: 6 })).toThrow('channels must be 1 (mono) or 2 (stereo)');
+    });
+
+    it('should estimate the output size per second for splitting by size', () => {
+        const source = { sampleRate: 24000, channels: 1, bitsPerSample: 16 };
+
+        expect(estimateBytesPerSecond('wav', {}, source)).toBe(48000);
+        expect(estimateBytesPerSecond('mp3', normalizeFormatOptions('mp3'), source)).toBe(16000);
+        expect(estimateBytesPerSecond('ogg', normalizeFormatOptions('ogg', { quality: 0 }), source)).toBe(8000);
+        expect(estimateBytesPerSecond('flac', normalizeFormatOptions('flac', { sampleRate: 24000 }), source)).toBeCloseTo(28800);
+    });
+});
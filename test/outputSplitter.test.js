@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSplitOptions, planParts, getPartChapters, getPartCues, getPartFileName, buildPlaylist, buildIndex } from '../src/main/utils/outputSplitter.js';
+
+/**
+ * Output splitter tests
+ * Covers split option validation, part planning, part names, the playlist and the index
+ */
+describe('Output splitter', () => {
+    it('should validate split options and turn limits into milliseconds and bytes', () => {
+        expect(normalizeSplitOptions(undefined)).toBeNull();
+        expect(normalizeSplitOptions({ mode: 'none', maxMinutes: 0 })).toBeNull();
+        expect(normalizeSplitOptions({ mode: 'chapter' })).toEqual({ mode: 'chapter' });
+        expect(normalizeSplitOptions({ mode: 'duration', maxMinutes: 30 })).toEqual({ mode: 'duration', maxDurationMs: 1800000 });
+        expect(normalizeSplitOptions({ mode: 'size', maxMegabytes: 2 })).toEqual({ mode: 'size', maxBytes: 2097152 });
+
+        expect(() => normalizeSplitOptions('chapter')).toThrow('Split options must be an object');
+        expect(() => normalizeSplitOptions({ mode: 'track' })).toThrow('Split mode must be one of none, chapter, duration, size');
+        expect(() => normalizeSplitOptions({ mode: 'duration' })).toThrow('Maximum part length must be between 1 and 600 minutes');
+        expect(() => normalizeSplitOptions({ mode: 'size', maxMegabytes: 5000 })).toThrow('Maximum part size must be between 1 and 2000 MB');
+    });
+
+    it('should give each chapter a part, the first one starting at the beginning', () => {
+        const chapters = [
+            { title: 'One', startMs: 500, endMs: 4000 },
+            { title: 'Two', startMs: 4000, endMs: 9000 }
+        ];
+
+        expect(planParts(9500, { mode: 'chapter' }, { chapters })).toEqual([
+            { title: 'One', startMs: 0, endMs: 4000 },
+            { title: 'Two', startMs: 4000, endMs: 9500 }
+        ]);
+        expect(planParts(9500, { mode: 'chapter' }, { chapters: [] })).toEqual([{ title: null, startMs: 0, endMs: 9500 }]);
+    });
+
+    it('should end parts at the last sentence break within the limit', () => {
+        const boundaries = [3000, 5500, 9000, 12000, 14000];
+
+        expect(planParts(15000, { mode: 'duration', maxDurationMs: 6000 }, { boundaries })).toEqual([
+            { title: null, startMs: 0, endMs: 5500 },
+            { title: null, startMs: 5500, endMs: 9000 },
+            { title: null, startMs: 9000, endMs: 15000 }
+        ]);
+        expect(planParts(4000, { mode: 'duration', maxDurationMs: 6000 }, { boundaries })).toEqual([{ title: null, startMs: 0, endMs: 4000 }]);
+    });
+
+    it('should run past the limit to the next break when there is none before it', () => {
+        expect(planParts(20000, { mode: 'duration', maxDurationMs: 5000 }, { boundaries: [12000] })).toEqual([
+            { title: null, startMs: 0, endMs: 12000 },
+            { title: null, startMs: 12000, endMs: 20000 }
+        ]);
+        expect(planParts(20000, { mode: 'duration', maxDurationMs: 5000 }, { boundaries: [] })).toHaveLength(1);
+    });
+
+    it('should convert a size limit to a duration with the bytes per second', () => {
+        const parts = planParts(10000, { mode: 'size', maxBytes: 64000 }, { boundaries: [2000, 4000, 6000, 8000], bytesPerSecond: 16000 });
+
+        expect(parts.map(part => part.endMs)).toEqual([4000, 8000, 10000]);
+    });
+
+    it('should shift the chapters of a part to its start', () => {
+        const chapters = [
+            { title: 'One', startMs: 0, endMs: 4000 },
+            { title: 'Two', startMs: 4000, endMs: 9000 },
+            { title: 'Three', startMs: 9000, endMs: 12000 }
+        ];
+
+        expect(getPartChapters(chapters, { startMs: 3000, endMs: 9000 })).toEqual([
+            { title: 'One', startMs: 0, endMs: 1000 },
+            { title: 'Two', startMs: 1000, endMs: 6000 }
+        ]);
+        expect(getPartChapters(undefined, { startMs: 0, endMs: 1000 })).toEqual([]);
+    });
+
+    it('should number part files with at least three digits', () => {
+        expect(getPartFileName('speech_2024.mp3', 7, 12)).toBe('speech_2024_007.mp3');
+        expect(getPartFileName('speech_2024.wav', 12, 1200)).toBe('speech_2024_0012.wav');
+    });
+
+    it('should time the captions of a part from its start', () => {
+        const cues = [
+            { startMs: 0, endMs: 900, lines: ['One'] },
+            { startMs: 58000, endMs: 61000, lines: ['Two'] },
+            { startMs: 61400, endMs: 62000, lines: ['Three'] }
+        ];
+
+        expect(getPartCues(cues, { startMs: 0, endMs: 60000 })).toEqual([
+            { startMs: 0, endMs: 900, lines: ['One'] },
+            { startMs: 58000, endMs: 60000, lines: ['Two'] }
+        ]);
+        expect(getPartCues(cues, { startMs: 60000, endMs: 91400 })).toEqual([
+            { startMs: 1400, endMs: 2000, lines: ['Three'] }
+        ]);
+        expect(getPartCues(undefined, { startMs: 0, endMs: 1000 })).toEqual([]);
+    });
+
+    it('should list the parts in an extended M3U playlist and a JSON index', () => {
+        const parts = [
+            { file: 'book_001.m4a', title: 'The\nStorm', startMs: 0, durationMs: 61400, bytes: 1000 },
+            { file: 'book_002.m4a', title: 'Calm', startMs: 61400, durationMs: 30000, bytes: 500 }
+        ];
+
+        expect(buildPlaylist(parts)).toBe('#EXTM3U\n#EXTINF:61,The Storm\nbook_001.m4a\n#EXTINF:30,Calm\nbook_002.m4a\n');
+        expect(JSON.parse(buildIndex({ title: 'Book', format: 'm4a', durationMs: 91400, parts }))).toEqual({
+            version: 1,
+            title: 'Book',
+            format: 'm4a',
+            durationMs: 91400,
+            parts: [
+                { number: 1, file: 'book_001.m4a', title: 'The\nStorm', startMs: 0, durationMs: 61400, bytes: 1000 },
+                { number: 2, file: 'book_002.m4a', title: 'Calm', startMs: 61400, durationMs: 30000, bytes: 500 }
+            ]
+        });
+    });
+});
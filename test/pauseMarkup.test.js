@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import PauseMarkup from '../src/main/utils/pauseMarkup.js';
+
+/**
+ * Pause markup tests
+ * Covers token lengths, paragraph pauses and how neighbouring pauses combine
+ */
+describe('PauseMarkup', () => {
+    const markup = new PauseMarkup();
+
+    it('should split text at pause tokens and read their lengths', () => {
+        const parts = markup.parse('Hello. [pause 2s] Wait [PAUSE 500ms] for it [silence] Done [pause] end [pause 1.5 seconds]');
+
+        expect(parts).toEqual([
+            { text: 'Hello.' },
+            { pauseMs: 2000 },
+            { text: 'Wait' },
+            { pauseMs: 500 },
+            { text: 'for it' },
+            { pauseMs: 2000 },
+            { text: 'Done' },
+            { pauseMs: 1000 },
+            { text: 'end' },
+            { pauseMs: 1500 }
+        ]);
+        expect(markup.hasPauses(parts)).toBe(true);
+    });
+
+    it('should leave unknown brackets as text and clamp very long pauses', () => {
+        expect(markup.parse('See [note 3] here [pause 10 minutes]')).toEqual([
+            { text: 'See [note 3] here [pause 10 minutes]' }
+        ]);
+        expect(markup.parse('A [pause 120s] B')[1]).toEqual({ pauseMs: 60000 });
+        expect(markup.hasMarkup('plain text')).toBe(false);
+        expect(markup.hasMarkup('a [silence] b')).toBe(true);
+    });
+
+    it('should add paragraph pauses only when configured', () => {
+        const text = 'First paragraph.\n\nSecond paragraph.\n  \nThird.';
+
+        expect(markup.parse(text)).toEqual([{ text }]);
+        expect(markup.parse(text, { paragraphPauseMs: 800 })).toEqual([
+            { text: 'First paragraph.' },
+            { pauseMs: 800 },
+            { text: 'Second paragraph.' },
+            { pauseMs: 800 },
+            { text: 'Third.' }
+        ]);
+    });
+
+    it('should combine neighbouring pauses and let written pauses replace the paragraph pause', () => {
+        expect(markup.parse('A [pause 1s][pause 500ms] B')).toEqual([
+            { text: 'A' },
+            { pauseMs: 1500 },
+            { text: 'B' }
+        ]);
+        expect(markup.parse('A [pause 3s]\n\nB', { paragraphPauseMs: 800 })).toEqual([
+            { text: 'A' },
+            { pauseMs: 3000 },
+            { text: 'B' }
+        ]);
+        expect(markup.parse('[pause] [silence 1s]')).toEqual([{ pauseMs: 2000 }]);
+    });
+
+    it('should transform the text between tokens and keep the tokens', () => {
+        const result = markup.mapText('one [pause 2s] two', part => part.toUpperCase());
+        expect(result).toBe('ONE [pause 2s] TWO');
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import PronunciationLexicon from '../src/main/utils/pronunciationLexicon.js';
+
+/**
+ * Pronunciation lexicon tests
+ * Covers entry validation, text and SSML application, phoneme handling
+ * and CSV/PLS import and export
+ */
+describe('PronunciationLexicon', () => {
+    let lexicon;
+
+    const entry = (fields) => lexicon.normalizeEntry(fields);
+
+    beforeEach(() => {
+        lexicon = new PronunciationLexicon();
+    });
+
+    describe('normalizeEntry', () => {
+        it('should fill in default flags', () => {
+            expect(entry({ match: ' SQL ', replacement: 'sequel' })).toMatchObject({
+                match: 'SQL',
+                replacement: 'sequel',
+                phoneme: '',
+                alphabet: 'ipa',
+                caseSensitive: false,
+                wholeWord: true,
+                regex: false,
+                enabled: true
+            });
+        });
+
+        it('should reject incomplete or invalid entries', () => {
+            expect(() => entry({ replacement: 'x' })).toThrow('Word or pattern to match is required');
+            expect(() => entry({ match: 'SQL' })).toThrow('Entry "SQL" needs a replacement or a phoneme');
+            expect(() => entry({ match: 'a', phoneme: 'eɪ', alphabet: 'x-sampa' })).toThrow('Phonetic alphabet must be ipa or sapi');
+            expect(() => entry({ match: '(', replacement: 'x', regex: true })).toThrow('Invalid regular expression "("');
+            expect(() => entry({ match: 'a*', replacement: 'x', regex: true, wholeWord: false })).toThrow('must not match empty text');
+        });
+    });
+
+    describe('apply', () => {
+        it('should honour whole-word and case-sensitive matching', () => {
+            const entries = [
+                entry({ match: 'SQL', replacement: 'sequel', caseSensitive: true }),
+                entry({ match: 'nite', replacement: 'night' })
+            ];
+
+            const result = lexicon.apply('SQL, sql and NITE but not SQLite or finite.', entries);
+
+            expect(result.input).toBe('sequel, sql and night but not SQLite or finite.');
+            expect(result.replacements).toBe(2);
+            expect(result.inputMode).toBe('text');
+        });
+
+        it('should expand regex capture groups and never rewrite earlier replacements', () => {
+            const entries = [
+                entry({ match: 'v(\\d+)', replacement: 'version $1', regex: true }),
+                entry({ match: 'version', replacement: 'release' })
+            ];
+
+            expect(lexicon.apply('Use v2, not version 1.', entries).input).toBe('Use version 2, not release 1.');
+        });
+
+        it('should skip disabled entries', () => {
+            const entries = [entry({ match: 'GIF', replacement: 'jif', enabled: false })];
+
+            expect(lexicon.apply('A GIF.', entries).input).toBe('A GIF.');
+        });
+
+        it('should turn text with phonemes into SSML when the engine supports it', () => {
+            const entries = [entry({ match: 'tomato', phoneme: 'təˈmɑːtoʊ', replacement: 'tomahto' })];
+
+            const result = lexicon.apply('Say tomato & smile', entries, {
+                ssml: true,
+                language: 'en-GB',
+                prosody: { rate: '+20%' }
+            });
+
+            expect(result.inputMode).toBe('ssml');
+            expect(result.input).toBe(
+                '<speak version="1.0" xml:lang="en-GB"><prosody rate="+20%">Say ' +
+                '<phoneme alphabet="ipa" ph="təˈmɑːtoʊ">tomato</phoneme> &amp; smile</prosody></speak>'
+            );
+        });
+
+        it('should fall back to replacements or skip phonemes without SSML support', () => {
+            const entries = [
+                entry({ match: 'tomato', phoneme: 'təˈmɑːtoʊ', replacement: 'tomahto' }),
+                entry({ match: 'Nguyen', phoneme: 'wɪn' })
+            ];
+
+            const result = lexicon.apply('tomato for Nguyen', entries, { ssml: false });
+
+            expect(result).toEqual({ input: 'tomahto for Nguyen', inputMode: 'text', replacements: 1, skipped: 1 });
+        });
+
+        it('should only rewrite SSML text outside markup and atomic elements', () => {
+            const entries = [entry({ match: 'speak', replacement: 'talk' })];
+            const ssml = '<speak>I speak <say-as interpret-as="characters">speak</say-as> &amp; speak</speak>';
+
+            const result = lexicon.apply(ssml, entries, { inputMode: 'ssml', ssml: true });
+
+            expect(result.input).toBe('<speak>I talk <say-as interpret-as="characters">speak</say-as> &amp; talk</speak>');
+            expect(result.inputMode).toBe('ssml');
+        });
+    });
+
+    describe('CSV', () => {
+        it('should round-trip entries with commas and quotes', () => {
+            const entries = [
+                entry({ match: 'Dr.', replacement: 'Doctor, "the"', wholeWord: false }),
+                entry({ match: 'colour', phoneme: 'ˈkʌlə', caseSensitive: true })
+            ];
+
+            const { entries: parsed, errors } = lexicon.fromCSV(lexicon.toCSV(entries));
+
+            expect(errors).toEqual([]);
+            expect(parsed).toEqual(entries);
+        });
+
+        it('should read headerless rows and report invalid lines', () => {
+            const { entries, errors } = lexicon.fromCSV('SQL,sequel\n\n,missing match\nGIF,jif,,,yes');
+
+            expect(entries.map(e => [e.match, e.replacement, e.caseSensitive])).toEqual([
+                ['SQL', 'sequel', false],
+                ['GIF', 'jif', true]
+            ]);
+            expect(errors).toEqual([{ line: 3, message: 'Word or pattern to match is required' }]);
+        });
+    });
+
+    describe('PLS', () => {
+        it('should export lexemes and leave out regex entries', () => {
+            const entries = [
+                entry({ match: 'AT&T', replacement: 'A T and T' }),
+                entry({ match: 'tomato', phoneme: 'təˈmɑːtoʊ' }),
+                entry({ match: '\\d+', replacement: 'number', regex: true })
+            ];
+
+            const { content, exported, omitted } = lexicon.toPLS(entries, 'en-US');
+
+            expect(exported).toBe(2);
+            expect(omitted).toBe(1);
+            expect(content).toContain('xml:lang="en-US"');
+            expect(content).toContain('<grapheme>AT&amp;T</grapheme>');
+            expect(content).toContain('<phoneme alphabet="ipa">təˈmɑːtoʊ</phoneme>');
+        });
+
+        it('should import every grapheme of a lexeme as a case-sensitive entry', () => {
+            const pls = `<?xml version="1.0"?>
+<lexicon version="1.0" xmlns="http://www.w3.org/2005/01/pronunciation-lexicon" alphabet="x-microsoft-sapi">
+  <lexeme><grapheme>Thames</grapheme><grapheme>thames</grapheme><phoneme>t eh m z</phoneme></lexeme>
+  <lexeme><phoneme>x</phoneme></lexeme>
+</lexicon>`;
+
+            const { entries, errors } = lexicon.fromPLS(pls);
+
+            expect(entries.map(e => [e.match, e.phoneme, e.alphabet, e.caseSensitive])).toEqual([
+                ['Thames', 't eh m z', 'sapi', true],
+                ['thames', 't eh m z', 'sapi', true]
+            ]);
+            expect(errors).toEqual([{ line: 4, message: 'Lexeme has no <grapheme>' }]);
+        });
+    });
+});
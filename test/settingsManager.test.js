@@ -39,10 +39,42 @@ describe('SettingsManager', () => {
             expect(settingsManager.settingsPath).toBeNull();
             expect(settingsManager.defaultSettings).toEqual({
                 lastSelectedVoice: null,
+                lastSelectedProfileId: null,
                 defaultOutputFormat: 'wav',
+                outputFormatOptions: {},
+                splitMode: 'none',
+                splitMaxMinutes: 60,
+                splitMaxMegabytes: 100,
                 defaultOutputPath: null,
                 voiceSpeed: 1.0,
+                voicePitch: 0,
+                voiceVolume: 0,
                 maxChunkLength: 5000,
+                chunkStrategy: 'sentence',
+                maxConcurrentChunks: 3,
+                synthesisCacheMaxMb: 500,
+                ttsEngine: 'auto',
+                dialogueSpeakers: {},
+                dialogueGapMs: 400,
+                streamPlayback: false,
+                paragraphPauseMs: 0,
+                subtitleFormats: [],
+                subtitleMaxLineLength: 42,
+                subtitleMaxCueDurationMs: 5000,
+                favoriteVoices: [],
+                autoDetectLanguage: false,
+                languageVoices: {},
+                normalizationRules: {
+                    numbers: true,
+                    currency: true,
+                    dates: true,
+                    times: true,
+                    ordinals: true,
+                    units: true,
+                    urls: true,
+                    emails: true,
+                    abbreviations: true
+                },
                 windowBounds: {
                     width: 800,
                     height: 600,
@@ -263,12 +295,140 @@ describe('SettingsManager', () => {
             expect(result.defaultOutputFormat).toBe('wav'); // Should use default
         });
 
+        it('should accept every registered output format and keep valid encoder options', () => {
+            expect(settingsManager.validateSettings({ defaultOutputFormat: 'opus' }).defaultOutputFormat).toBe('opus');
+            expect(settingsManager.validateSettings({ defaultOutputFormat: 'm4a' }).defaultOutputFormat).toBe('m4a');
+
+            const result = settingsManager.validateSettings({
+                outputFormatOptions: {
+                    opus: { bitrate: '32k', channels: 1 },
+                    flac: { compressionLevel: 99 },
+                    aiff: { bitrate: '128k' }
+                }
+            });
+
+            expect(result.outputFormatOptions).toEqual({
+                opus: { bitrate: '32k', sampleRate: 48000, channels: 1 }
+            });
+        });
+
         it('should reject invalid voice speed', () => {
             const input = { voiceSpeed: 5.0 }; // Out of range
             const result = settingsManager.validateSettings(input);
             expect(result.voiceSpeed).toBe(1.0); // Should use default
         });
 
+        it('should keep pitch and volume within range', () => {
+            const valid = settingsManager.validateSettings({ voicePitch: -10, voiceVolume: 25 });
+            expect(valid.voicePitch).toBe(-10);
+            expect(valid.voiceVolume).toBe(25);
+
+            const invalid = settingsManager.validateSettings({ voicePitch: 120, voiceVolume: '+20%' });
+            expect(invalid.voicePitch).toBe(0); // Should use default
+            expect(invalid.voiceVolume).toBe(0); // Should use default
+        });
+
+        it('should keep valid dialogue speakers and gap', () => {
+            const result = settingsManager.validateSettings({
+                dialogueSpeakers: {
+                    ALICE: { voice: 'en-US-AriaNeural', speed: 1.2, pitch: 99 },
+                    BOB: { speed: 1.0 }
+                },
+                dialogueGapMs: 800
+            });
+
+            expect(result.dialogueSpeakers).toEqual({ ALICE: { voice: 'en-US-AriaNeural', speed: 1.2 } });
+            expect(result.dialogueGapMs).toBe(800);
+            expect(settingsManager.validateSettings({ dialogueGapMs: -1 }).dialogueGapMs).toBe(400);
+        });
+
+        it('should keep the listen while converting switch only when it is a boolean', () => {
+            expect(settingsManager.validateSettings({ streamPlayback: true }).streamPlayback).toBe(true);
+            expect(settingsManager.validateSettings({ streamPlayback: 'yes' }).streamPlayback).toBe(false);
+        });
+
+        it('should keep a whole-number paragraph pause up to five seconds', () => {
+            expect(settingsManager.validateSettings({ paragraphPauseMs: 750 }).paragraphPauseMs).toBe(750);
+            expect(settingsManager.validateSettings({ paragraphPauseMs: 6000 }).paragraphPauseMs).toBe(0);
+            expect(settingsManager.validateSettings({ paragraphPauseMs: 12.5 }).paragraphPauseMs).toBe(0);
+        });
+
+        it('should keep known split modes and part limits within range', () => {
+            const result = settingsManager.validateSettings({ splitMode: 'duration', splitMaxMinutes: 45, splitMaxMegabytes: 250 });
+
+            expect(result.splitMode).toBe('duration');
+            expect(result.splitMaxMinutes).toBe(45);
+            expect(result.splitMaxMegabytes).toBe(250);
+            expect(settingsManager.validateSettings({ splitMode: 'track' }).splitMode).toBe('none');
+            expect(settingsManager.validateSettings({ splitMaxMinutes: 0 }).splitMaxMinutes).toBe(60);
+            expect(settingsManager.validateSettings({ splitMaxMegabytes: '50' }).splitMaxMegabytes).toBe(100);
+        });
+
+        it('should keep the selected voice profile id or null', () => {
+            expect(settingsManager.validateSettings({ lastSelectedProfileId: 'profile-1' }).lastSelectedProfileId).toBe('profile-1');
+            expect(settingsManager.validateSettings({ lastSelectedProfileId: 42 }).lastSelectedProfileId).toBeNull();
+            expect(settingsManager.validateSettings({ lastSelectedProfileId: null }).lastSelectedProfileId).toBeNull();
+        });
+
+        it('should keep supported subtitle formats and caption limits', () => {
+            const result = settingsManager.validateSettings({
+                subtitleFormats: ['vtt', 'ass', 'vtt', 'srt'],
+                subtitleMaxLineLength: 32,
+                subtitleMaxCueDurationMs: 60000
+            });
+
+            expect(result.subtitleFormats).toEqual(['vtt', 'srt']);
+            expect(result.subtitleMaxLineLength).toBe(32);
+            expect(result.subtitleMaxCueDurationMs).toBe(5000); // Should use default
+        });
+
+        it('should keep unique favorite voice ids', () => {
+            const result = settingsManager.validateSettings({
+                favoriteVoices: ['en-US-AriaNeural', '', 42, 'en-US-AriaNeural', 'de-DE-KatjaNeural']
+            });
+
+            expect(result.favoriteVoices).toEqual(['en-US-AriaNeural', 'de-DE-KatjaNeural']);
+            expect(settingsManager.validateSettings({ favoriteVoices: 'x' }).favoriteVoices).toEqual([]);
+        });
+
+        it('should keep valid language voice mappings', () => {
+            const result = settingsManager.validateSettings({
+                autoDetectLanguage: true,
+                languageVoices: { es: 'es-MX-JorgeNeural', 'fr-CA': 'fr-CA-SylvieNeural', 'not a locale': 'x', de: '' }
+            });
+
+            expect(result.autoDetectLanguage).toBe(true);
+            expect(result.languageVoices).toEqual({ es: 'es-MX-JorgeNeural', 'fr-CA': 'fr-CA-SylvieNeural' });
+            expect(settingsManager.validateSettings({ autoDetectLanguage: 'yes' }).autoDetectLanguage).toBe(false);
+        });
+
+        it('should merge normalization rule switches with the defaults', () => {
+            const result = settingsManager.validateSettings({
+                normalizationRules: { urls: false, abbreviations: 'no', unknown: false }
+            });
+
+            expect(result.normalizationRules.urls).toBe(false);
+            expect(result.normalizationRules.abbreviations).toBe(true);
+            expect(result.normalizationRules).not.toHaveProperty('unknown');
+        });
+
+        it('should accept known chunk strategies only', () => {
+            expect(settingsManager.validateSettings({ chunkStrategy: 'paragraph' }).chunkStrategy).toBe('paragraph');
+            expect(settingsManager.validateSettings({ chunkStrategy: 'words' }).chunkStrategy).toBe('sentence');
+        });
+
+        it('should accept 1 to 8 concurrent chunks', () => {
+            expect(settingsManager.validateSettings({ maxConcurrentChunks: 6 }).maxConcurrentChunks).toBe(6);
+            expect(settingsManager.validateSettings({ maxConcurrentChunks: 0 }).maxConcurrentChunks).toBe(3);
+            expect(settingsManager.validateSettings({ maxConcurrentChunks: 2.5 }).maxConcurrentChunks).toBe(3);
+        });
+
+        it('should keep the synthesis cache limit between 50 MB and 10 GB', () => {
+            expect(settingsManager.validateSettings({ synthesisCacheMaxMb: 2000 }).synthesisCacheMaxMb).toBe(2000);
+            expect(settingsManager.validateSettings({ synthesisCacheMaxMb: 10 }).synthesisCacheMaxMb).toBe(500);
+            expect(settingsManager.validateSettings({ synthesisCacheMaxMb: '2000' }).synthesisCacheMaxMb).toBe(500);
+        });
+
         it('should reject invalid chunk length', () => {
             const input = { maxChunkLength: -100 };
             const result = settingsManager.validateSettings(input);
@@ -63,8 +63,8 @@ describe('Settings Panel Implementation', () => {
       'speedSlider',
       'speedValue',
       'previewSpeedBtn',
-      'defaultFormatWav',
-      'defaultFormatMp3',
+      'defaultOutputFormatSelect',
+      'formatBitrate',
       'defaultOutputPath',
       'browseDefaultPathBtn',
       'clearDefaultPathBtn',
@@ -115,11 +115,11 @@ describe('Settings Panel Implementation', () => {
   });
 
   it('should have proper output format options', () => {
-    const validFormats = ['wav', 'mp3'];
+    const validFormats = ['wav', 'mp3', 'opus', 'ogg', 'flac', 'm4a', 'm4b'];
     const defaultFormat = 'wav';
 
     expect(validFormats).toContain(defaultFormat);
-    expect(validFormats).toHaveLength(2);
+    expect(validFormats).toHaveLength(7);
   });
 });
 
@@ -143,12 +143,12 @@ describe('Settings Panel UI Requirements', () => {
   });
 
   it('should implement default output format settings', () => {
-    // Test that format radio buttons exist
-    const formatWav = document.getElementById('defaultFormatWav');
-    const formatMp3 = document.getElementById('defaultFormatMp3');
+    // Test that format dropdown and encoder options exist
+    const formatSelect = document.getElementById('defaultOutputFormatSelect');
+    const formatBitrate = document.getElementById('formatBitrate');
     
-    expect(formatWav).toBeDefined();
-    expect(formatMp3).toBeDefined();
+    expect(formatSelect).toBeDefined();
+    expect(formatBitrate).toBeDefined();
   });
 
   it('should implement default directory settings', () => {
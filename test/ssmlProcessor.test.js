@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import SSMLProcessor from '../src/main/utils/ssmlProcessor.js';
+
+/**
+ * SSML processor tests
+ * Covers detection, validation with line/column reporting, SSML-aware
+ * chunk splitting and the plain text fallback
+ */
+describe('SSMLProcessor', () => {
+    let processor;
+
+    beforeEach(() => {
+        processor = new SSMLProcessor();
+    });
+
+    describe('isSSML', () => {
+        it('should detect documents with a speak root', () => {
+            expect(processor.isSSML('<speak>Hello</speak>')).toBe(true);
+            expect(processor.isSSML('  <?xml version="1.0"?>\n<speak version="1.0">Hi</speak>')).toBe(true);
+        });
+
+        it('should not treat plain text as SSML', () => {
+            expect(processor.isSSML('Hello <b>world</b>')).toBe(false);
+            expect(processor.isSSML('<speaker>Hi</speaker>')).toBe(false);
+            expect(processor.isSSML(null)).toBe(false);
+        });
+    });
+
+    describe('validate', () => {
+        it('should accept a well-formed document', () => {
+            const ssml = [
+                '<speak version="1.0" xml:lang="en-US">',
+                '  Welcome. <break time="500ms"/>',
+                '  <prosody rate="-10%" pitch="+2st">Slowly now.</prosody>',
+                '  <emphasis level="strong">Important</emphasis>',
+                '  <say-as interpret-as="date" format="mdy">10/19/2026</say-as> &amp; more',
+                '</speak>'
+            ].join('\n');
+
+            const result = processor.validate(ssml);
+
+            expect(result.errors).toEqual([]);
+            expect(result.valid).toBe(true);
+            expect(result.rootAttributes).toEqual({ version: '1.0', 'xml:lang': 'en-US' });
+        });
+
+        it('should report mismatched tags with line and column', () => {
+            const ssml = '<speak>\n  <emphasis>Hi</prosody>\n</speak>';
+
+            const result = processor.validate(ssml);
+
+            const mismatch = result.errors.find(e => e.message.includes('</prosody> does not match <emphasis>'));
+            expect(result.valid).toBe(false);
+            expect(mismatch).toMatchObject({ line: 2, column: 15 });
+        });
+
+        it('should report unclosed tags at their opening position', () => {
+            const result = processor.validate('<speak>\n<prosody rate="slow">Hi\n</speak>');
+
+            expect(result.errors.some(e => e.line === 2 && e.column === 1 && e.message.startsWith('Unclosed tag <prosody>'))).toBe(true);
+        });
+
+        it('should require a speak root element', () => {
+            const result = processor.validate('<prosody rate="slow">Hi</prosody>');
+
+            expect(result.errors[0]).toMatchObject({ line: 1, column: 1 });
+            expect(result.errors[0].message).toContain('Root element must be <speak>');
+        });
+
+        it('should reject invalid attribute values', () => {
+            const result = processor.validate('<speak><break time="2 seconds"/><emphasis level="loud">x</emphasis></speak>');
+
+            expect(result.errors.map(e => e.message)).toEqual([
+                'Invalid break time "2 seconds" (use values such as 500ms or 2s)',
+                'Invalid emphasis level "loud"'
+            ]);
+            expect(result.errors[1].column).toBe(33);
+        });
+
+        it('should require mandatory attributes', () => {
+            const result = processor.validate('<speak><say-as>42</say-as><sub>WHO</sub></speak>');
+
+            expect(result.errors.map(e => e.message)).toEqual([
+                '<say-as> requires the "interpret-as" attribute',
+                '<sub> requires the "alias" attribute'
+            ]);
+        });
+
+        it('should report unescaped ampersands and unknown elements', () => {
+            const result = processor.validate('<speak>\nFish & chips <foo>x</foo>\n</speak>');
+            const messages = result.errors.map(e => e.message);
+
+            expect(result.errors[0]).toMatchObject({ line: 2, column: 6 });
+            expect(messages).toContain('Unescaped "&" (use &amp;)');
+            expect(messages).toContain('Unsupported SSML element <foo>');
+        });
+
+        it('should allow vendor namespaced elements', () => {
+            const result = processor.validate('<speak><mstts:express-as style="cheerful">Hi</mstts:express-as></speak>');
+
+            expect(result.valid).toBe(true);
+        });
+
+        it('should reject unquoted attributes and text outside the root', () => {
+            const result = processor.validate('<speak><break time=1s/></speak> trailing');
+            const messages = result.errors.map(e => e.message);
+
+            expect(messages).toContain('Malformed attribute in <break> (values must be quoted)');
+            expect(messages).toContain('Text must be inside the <speak> element');
+        });
+
+        it('should reject empty input', () => {
+            expect(processor.validate('   ').errors[0].message).toBe('SSML document is empty');
+        });
+    });
+
+    describe('splitIntoChunks', () => {
+        const buildDocument = (sentenceCount) => {
+            const sentences = Array.from({ length: sentenceCount }, (_, i) => `Sentence number ${i} is here.`);
+            return `<speak version="1.0" xml:lang="en-US"><prosody rate="-10%">${sentences.join(' ')}</prosody><break time="1s"/><emphasis level="strong">The end.</emphasis></speak>`;
+        };
+
+        it('should return a single chunk when the document fits', () => {
+            const ssml = '<speak>Short text.</speak>';
+            expect(processor.splitIntoChunks(ssml, 1000)).toEqual([ssml]);
+        });
+
+        it('should wrap every chunk in a valid speak envelope', () => {
+            const chunks = processor.splitIntoChunks(buildDocument(40), 200);
+
+            expect(chunks.length).toBeGreaterThan(1);
+            for (const chunk of chunks) {
+                expect(chunk.startsWith('<speak version="1.0" xml:lang="en-US">')).toBe(true);
+                expect(chunk.endsWith('</speak>')).toBe(true);
+                expect(chunk.length).toBeLessThanOrEqual(200);
+                expect(processor.validate(chunk).errors).toEqual([]);
+            }
+        });
+
+        it('should reopen enclosing tags in the following chunk', () => {
+            const chunks = processor.splitIntoChunks(buildDocument(40), 200);
+
+            expect(chunks[1]).toMatch(/^<speak[^>]*><prosody rate="-10%">/);
+        });
+
+        it('should preserve all spoken text across chunks', () => {
+            const ssml = buildDocument(40);
+            const chunks = processor.splitIntoChunks(ssml, 200);
+            const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+            expect(normalize(chunks.map(chunk => processor.toPlainText(chunk)).join(' ')))
+                .toBe(normalize(processor.toPlainText(ssml)));
+        });
+
+        it('should never split inside atomic elements or entities', () => {
+            const filler = 'word '.repeat(20);
+            const ssml = `<speak>${filler}<say-as interpret-as="characters">ABCDEFGHIJ</say-as> Tom &amp; Jerry ${filler}</speak>`;
+            const chunks = processor.splitIntoChunks(ssml, 80);
+
+            expect(chunks.some(chunk => chunk.includes('<say-as interpret-as="characters">ABCDEFGHIJ</say-as>'))).toBe(true);
+            for (const chunk of chunks) {
+                expect(processor.validate(chunk).errors).toEqual([]);
+            }
+        });
+    });
+
+    describe('toPlainText', () => {
+        it('should strip markup, expand sub aliases and decode entities', () => {
+            const ssml = '<speak>The <sub alias="World Health Organization">WHO</sub> says<break time="1s"/>hello &amp; welcome</speak>';
+
+            expect(processor.toPlainText(ssml)).toBe('The World Health Organization says hello & welcome');
+        });
+    });
+
+    describe('formatErrors', () => {
+        it('should prefix messages with their position', () => {
+            expect(processor.formatErrors([{ line: 3, column: 7, message: 'Bad' }]))
+                .toEqual(['Line 3, column 7: Bad']);
+        });
+    });
+});
@@ -20,9 +20,11 @@ describe('StateManager', () => {
             <select id="voiceSelect">
                 <option>Loading voices...</option>
             </select>
-            <input type="radio" id="formatWav" name="outputFormat" value="wav" checked>
-            <input type="radio" id="formatMp3" name="outputFormat" value="mp3">
-            <label for="formatMp3">MP3</label>
+            <div class="format-selection">
+                <select id="outputFormat">
+                    <option value="wav">WAV</option>
+                </select>
+            </div>
             <input type="text" id="outputFolder" readonly>
             <button id="selectFolderBtn">Browse</button>
             <button id="convertBtn">Convert to Speech</button>
@@ -55,7 +57,7 @@ describe('StateManager', () => {
 
         it('should initialize DOM element references', () => {
             expect(stateManager.elements.voiceSelect).toBeTruthy();
-            expect(stateManager.elements.formatMp3).toBeTruthy();
+            expect(stateManager.elements.formatSelect).toBeTruthy();
             expect(stateManager.elements.convertBtn).toBeTruthy();
             expect(stateManager.elements.statusText).toBeTruthy();
         });
@@ -199,67 +201,53 @@ describe('StateManager', () => {
         it('should enable MP3 option when FFmpeg is available', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            const mp3Option = document.getElementById('formatMp3');
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
             
             expect(mp3Option.disabled).toBe(false);
-            expect(mp3Label.classList.contains('disabled')).toBe(false);
-            expect(mp3Label.title).toContain('MP3 format available');
+            expect(mp3Option.title).toContain('MP3 format available');
         });
 
         it('should disable MP3 option when FFmpeg is not available', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const mp3Option = document.getElementById('formatMp3');
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
-            const wavOption = document.getElementById('formatWav');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
             
             expect(mp3Option.disabled).toBe(true);
-            expect(mp3Option.checked).toBe(false);
-            expect(wavOption.checked).toBe(true);
-            expect(mp3Label.classList.contains('disabled')).toBe(true);
-            expect(mp3Label.title).toContain('MP3 format unavailable');
+            expect(document.getElementById('outputFormat').value).toBe('wav');
+            expect(mp3Option.title).toContain('MP3 format unavailable');
         });
 
         it('should provide appropriate tooltip for different FFmpeg states', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
-            expect(mp3Label.title).toContain('FFmpeg not found');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
+            expect(mp3Option.title).toContain('FFmpeg not found');
         });
 
         it('should show positive tooltip when FFmpeg is available', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
-            expect(mp3Label.title).toContain('MP3 format available (using bundled FFmpeg)');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
+            expect(mp3Option.title).toContain('MP3 format available (using bundled FFmpeg)');
         });
 
-        it('should create FFmpeg status indicator when MP3 is disabled', () => {
+        it('should create FFmpeg status indicator when compressed formats are disabled', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const formatContainer = document.getElementById('formatMp3').closest('.radio-group') || 
-                                  document.getElementById('formatMp3').parentElement;
-            
-            // Add radio-group class for testing
-            formatContainer.classList.add('radio-group');
+            const formatContainer = document.getElementById('outputFormat').closest('.format-selection');
             
             // Update UI to trigger indicator creation
             stateManager.updateUI();
             
             const statusIndicator = formatContainer.querySelector('.ffmpeg-status-indicator');
             expect(statusIndicator).toBeTruthy();
-            expect(statusIndicator.innerHTML).toContain('FFmpeg is required for MP3 conversion');
+            expect(statusIndicator.innerHTML).toContain('FFmpeg is required for compressed formats');
         });
 
         it('should show success indicator when FFmpeg is available', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            const formatContainer = document.getElementById('formatMp3').closest('.radio-group') || 
-                                  document.getElementById('formatMp3').parentElement;
-            
-            // Add radio-group class for testing
-            formatContainer.classList.add('radio-group');
+            const formatContainer = document.getElementById('outputFormat').closest('.format-selection');
             
             // Update UI to trigger indicator creation
             stateManager.updateUI();
@@ -563,4 +551,60 @@ describe('StateManager', () => {
             expect(readyIndicator.classList.contains('show')).toBe(false);
         });
     });
+
+    describe('Speaking Styles', () => {
+        const styledVoices = [
+            {
+                id: 'en-US-AriaNeural',
+                name: 'Aria',
+                language: 'en-US',
+                categories: ['News'],
+                personalities: ['Positive'],
+                styles: ['cheerful', 'newscast-casual'],
+                roles: []
+            },
+            { id: 'en-US-PlainNeural', name: 'Plain', language: 'en-US', styles: [], roles: [] }
+        ];
+
+        beforeEach(() => {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="voiceStyleGroup" style="display: none;">
+                    <select id="voiceStyle"><option value="">Default</option></select>
+                    <select id="voiceRole"><option value="">Default role</option></select>
+                    <input type="range" id="styleDegree" min="0.1" max="2.0" step="0.1" value="1.5">
+                </div>
+            `);
+            stateManager = new StateManager();
+        });
+
+        it('should note speaking styles in the voice dropdown', () => {
+            stateManager.updateVoiceState(false, true, styledVoices, 1);
+
+            const voiceSelect = document.getElementById('voiceSelect');
+            expect(voiceSelect.options[0].textContent).toBe('Aria (en-US) · 2 styles');
+            expect(voiceSelect.options[0].title).toBe('Categories: News\nPersonalities: Positive\nStyles: cheerful, newscast-casual');
+            expect(voiceSelect.options[1].textContent).toBe('Plain (en-US)');
+        });
+
+        it('should show style options only for voices that support styles', () => {
+            stateManager.updateVoiceState(false, true, styledVoices, 1);
+
+            const group = document.getElementById('voiceStyleGroup');
+            const styleSelect = document.getElementById('voiceStyle');
+            expect(group.style.display).toBe('block');
+            expect(Array.from(styleSelect.options).map(o => o.value)).toEqual(['', 'cheerful', 'newscast-casual']);
+            expect(document.getElementById('voiceRole').style.display).toBe('none');
+
+            stateManager.updateVoiceStyleUI('en-US-PlainNeural');
+            expect(group.style.display).toBe('none');
+        });
+
+        it('should return the selected style and degree', () => {
+            stateManager.updateVoiceState(false, true, styledVoices, 1);
+            expect(stateManager.getSelectedVoiceStyle()).toEqual({});
+
+            document.getElementById('voiceStyle').value = 'cheerful';
+            expect(stateManager.getSelectedVoiceStyle()).toEqual({ style: 'cheerful', styleDegree: 1.5 });
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import StreamingPlayer from '../src/renderer/components/StreamingPlayer.js';
+
+/**
+ * Streaming player tests
+ * Covers playback order for chunks that arrive out of order, back-to-back
+ * scheduling, skipping chunks that cannot be decoded and stopping
+ */
+describe('StreamingPlayer', () => {
+    let context;
+    let player;
+    let errors;
+
+    // Minimal AudioContext: each chunk's first byte is its duration in seconds
+    const createFakeContext = () => ({
+        state: 'running',
+        currentTime: 0,
+        destination: {},
+        started: [],
+        closed: false,
+        async decodeAudioData(arrayBuffer) {
+            const bytes = new Uint8Array(arrayBuffer);
+            if (bytes[0] === 0) {
+                throw new Error('Unable to decode audio data');
+            }
+            return { duration: bytes[0] };
+        },
+        createBufferSource() {
+            const source = {
+                connect() {},
+                start: (when) => context.started.push({ duration: source.buffer.duration, when }),
+                stop() {}
+            };
+            return source;
+        },
+        async suspend() { this.state = 'suspended'; },
+        async resume() { this.state = 'running'; },
+        async close() { this.closed = true; }
+    });
+
+    const chunk = (index, total, seconds) => ({ jobId: 'job-1', index, total, audio: new Uint8Array([seconds, 1, 2, 3]) });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <section id="streamPlayer" style="display: none;">
+                <button id="streamPlayPauseBtn">Pause</button>
+                <button id="streamStopBtn">Stop</button>
+                <span id="streamPlayerStatus"></span>
+            </section>
+        `;
+        errors = [];
+        player = new StreamingPlayer({
+            createContext: () => {
+                context = createFakeContext();
+                return context;
+            },
+            onError: (message) => errors.push(message)
+        });
+        player.start('job-1');
+    });
+
+    it('should play chunks in order, each starting when the previous one ends', async () => {
+        await player.addChunk(chunk(1, 3, 3));
+        expect(context.started).toEqual([]);
+        expect(document.getElementById('streamPlayerStatus').textContent).toBe('Waiting for the first part...');
+
+        await player.addChunk(chunk(0, 3, 2));
+        await player.addChunk(chunk(2, 3, 4));
+
+        expect(context.started.map(item => item.duration)).toEqual([2, 3, 4]);
+        expect(context.started.map(item => item.when)).toEqual([0.05, 2.05, 5.05]);
+        expect(document.getElementById('streamPlayer').style.display).toBe('block');
+    });
+
+    it('should skip a chunk that cannot be decoded and ignore other jobs', async () => {
+        await player.addChunk({ ...chunk(0, 3, 2), jobId: 'job-0' });
+        await player.addChunk(chunk(0, 3, 2));
+        await player.addChunk(chunk(1, 3, 0));
+        await player.addChunk(chunk(2, 3, 1));
+
+        expect(context.started.map(item => item.duration)).toEqual([2, 1]);
+        expect(errors).toEqual(['Part 2 of 3 could not be played: Unable to decode audio data']);
+    });
+
+    it('should pause, resume and stop playback', async () => {
+        await player.addChunk(chunk(0, 2, 2));
+
+        await player.togglePause();
+        expect(document.getElementById('streamPlayPauseBtn').textContent).toBe('Play');
+        expect(document.getElementById('streamPlayerStatus').textContent).toBe('Paused');
+        await player.togglePause();
+        expect(document.getElementById('streamPlayPauseBtn').textContent).toBe('Pause');
+
+        const stopped = context;
+        document.getElementById('streamStopBtn').click();
+        await player.addChunk(chunk(1, 2, 2));
+
+        expect(stopped.closed).toBe(true);
+        expect(stopped.started).toHaveLength(1);
+        expect(document.getElementById('streamPlayer').style.display).toBe('none');
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import SubtitleBuilder from '../src/main/utils/subtitleBuilder.js';
+
+/**
+ * Subtitle builder tests
+ * Covers aligning word boundaries to the source text, cue layout limits
+ * and SRT/WebVTT rendering
+ */
+describe('SubtitleBuilder', () => {
+    let builder;
+
+    const word = (text, startMs, endMs = startMs + 300) => ({ text, startMs, endMs });
+
+    beforeEach(() => {
+        builder = new SubtitleBuilder();
+    });
+
+    describe('alignWords', () => {
+        it('should attach punctuation from the source text and add the chunk offset', () => {
+            const boundaries = [
+                { text: 'Hello', offsetMs: 50, durationMs: 300 },
+                { text: 'world', offsetMs: 400, durationMs: 350 },
+                { text: 'Bye', offsetMs: 1200, durationMs: 200 }
+            ];
+
+            const words = builder.alignWords(boundaries, '"Hello, world!" Bye.', 10000);
+
+            expect(words).toEqual([
+                { text: '"Hello,', startMs: 10050, endMs: 10350 },
+                { text: 'world!"', startMs: 10400, endMs: 10750 },
+                { text: 'Bye.', startMs: 11200, endMs: 11400 }
+            ]);
+        });
+
+        it('should fall back to the boundary text when a word is not in the source', () => {
+            const words = builder.alignWords([{ text: 'ten', offsetMs: 0, durationMs: 100 }], 'It costs 10.');
+
+            expect(words).toEqual([{ text: 'ten', startMs: 0, endMs: 100 }]);
+        });
+    });
+
+    describe('buildCues', () => {
+        it('should start a new cue after each sentence', () => {
+            const cues = builder.buildCues([word('Hi.', 0), word('How', 400), word('are', 800), word('you?', 1200)]);
+
+            expect(cues).toEqual([
+                { startMs: 0, endMs: 300, lines: ['Hi.'] },
+                { startMs: 400, endMs: 1500, lines: ['How are you?'] }
+            ]);
+        });
+
+        it('should wrap lines at the maximum line length and split full cues', () => {
+            const words = ['one', 'two', 'three', 'four', 'five', 'six', 'seven'].map((text, i) => word(text, i * 300));
+
+            const cues = builder.buildCues(words, { maxLineLength: 10, maxLines: 2 });
+
+            expect(cues.map(cue => cue.lines)).toEqual([
+                ['one two', 'three four'],
+                ['five six', 'seven']
+            ]);
+        });
+
+        it('should split cues that exceed the maximum duration without overlapping', () => {
+            const words = Array.from({ length: 6 }, (_, i) => word(`w${i}`, i * 1000, i * 1000 + 1500));
+
+            const cues = builder.buildCues(words, { maxCueDurationMs: 2500 });
+
+            expect(cues.map(cue => [cue.startMs, cue.endMs])).toEqual([
+                [0, 2000],
+                [2000, 4000],
+                [4000, 6500]
+            ]);
+        });
+    });
+
+    describe('rendering', () => {
+        const cues = [
+            { startMs: 0, endMs: 1500, lines: ['Hello there.'] },
+            { startMs: 3723004, endMs: 3725000, lines: ['Line one', 'line two'] }
+        ];
+
+        it('should format timestamps for SRT and WebVTT', () => {
+            expect(builder.formatTimestamp(3723004, ',')).toBe('01:02:03,004');
+            expect(builder.formatTimestamp(59999.6, '.')).toBe('00:01:00.000');
+        });
+
+        it('should render numbered SRT cues', () => {
+            expect(builder.render(cues, 'srt')).toBe(
+                '1\n00:00:00,000 --> 00:00:01,500\nHello there.\n\n' +
+                '2\n01:02:03,004 --> 01:02:05,000\nLine one\nline two\n'
+            );
+        });
+
+        it('should render WebVTT with a header', () => {
+            expect(builder.render(cues, 'vtt')).toBe(
+                'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello there.\n\n' +
+                '01:02:03.004 --> 01:02:05.000\nLine one\nline two\n'
+            );
+        });
+
+        it('should reject unknown formats', () => {
+            expect(() => builder.render(cues, 'ass')).toThrow('Unsupported subtitle format: ass');
+        });
+    });
+});
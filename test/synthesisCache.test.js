@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import SynthesisCache from '../src/main/utils/synthesisCache.js';
+
+/**
+ * Synthesis cache tests
+ * Covers cache keys, storing and reusing chunk audio with word boundaries,
+ * least recently used eviction, statistics and clearing
+ */
+describe('SynthesisCache', () => {
+    let tempDir;
+    let cacheDir;
+
+    const params = (text, overrides = {}) => ({
+        engine: 'edge',
+        voiceId: 'en-US-AriaNeural',
+        inputMode: 'text',
+        speed: 1,
+        pitch: 0,
+        volume: 0,
+        format: '.wav',
+        text,
+        ...overrides
+    });
+
+    const writeAudio = async (name, bytes) => {
+        const file = path.join(tempDir, name);
+        await fs.writeFile(file, Buffer.alloc(bytes, name.length));
+        return file;
+    };
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'speechmaker-synthesis-'));
+        cacheDir = path.join(tempDir, 'cache');
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should change the key with any setting that changes the audio', () => {
+        const cache = new SynthesisCache(cacheDir);
+        const key = cache.createKey(params('Hello.'));
+
+        expect(cache.createKey(params('Hello.'))).toBe(key);
+        expect(key).toMatch(/^[0-9a-f]{64}$/);
+        for (const change of [{ text: 'Hello!' }, { voiceId: 'en-US-GuyNeural' }, { speed: 1.2 }, { pitch: 5 }, { volume: -10 }, { engine: 'espeak' }, { style: 'cheerful' }]) {
+            expect(cache.createKey(params('Hello.', change))).not.toBe(key);
+        }
+    });
+
+    it('should copy cached audio and word boundaries to the output path', async () => {
+        const cache = new SynthesisCache(cacheDir);
+        const key = cache.createKey(params('Hello.'));
+        const boundaries = [{ text: 'Hello', offsetMs: 50, durationMs: 400 }];
+        const outputPath = path.join(tempDir, 'chunk_0.wav');
+
+        expect(await cache.get(key, outputPath)).toBeNull();
+        expect(await cache.put(key, await writeAudio('synth.wav', 1000), { boundaries })).toBe(true);
+
+        // A new instance reads the index written by the first one
+        const reopened = new SynthesisCache(cacheDir);
+        expect(await reopened.get(key, outputPath)).toEqual({ boundaries });
+        expect((await fs.readFile(outputPath)).length).toBe(1000);
+        expect(await reopened.getStats()).toEqual({ entries: 1, sizeBytes: 1000, maxBytes: 500 * 1024 * 1024, hits: 1, misses: 0 });
+    });
+
+    it('should evict the least recently used audio past the size limit', async () => {
+        const cache = new SynthesisCache(cacheDir, 2500);
+        const [first, second, third] = ['One.', 'Two.', 'Three.'].map(text => cache.createKey(params(text)));
+
+        await cache.put(first, await writeAudio('a.wav', 1000));
+        await cache.put(second, await writeAudio('b.wav', 1000));
+        cache.entries[first].lastUsed += 10; // first was used more recently than second
+        await cache.put(third, await writeAudio('c.wav', 1000));
+
+        expect(await cache.get(second, path.join(tempDir, 'out.wav'))).toBeNull();
+        expect(await cache.get(first, path.join(tempDir, 'out.wav'))).not.toBeNull();
+        expect((await cache.getStats()).sizeBytes).toBe(2000);
+
+        expect(await cache.put(cache.createKey(params('Huge.')), await writeAudio('huge.wav', 3000))).toBe(false);
+        await cache.setMaxBytes(1000);
+        expect((await cache.getStats()).entries).toBe(1);
+    });
+
+    it('should track every chunk stored in parallel on first use', async () => {
+        const cache = new SynthesisCache(cacheDir, 2500);
+        const keys = ['One.', 'Two.', 'Three.'].map(text => cache.createKey(params(text)));
+        const sources = await Promise.all(['a.wav', 'b.wav', 'c.wav'].map(name => writeAudio(name, 1000)));
+
+        await Promise.all(keys.map((key, i) => cache.put(key, sources[i])));
+
+        // Only two entries fit, so one file was evicted rather than left untracked
+        const stats = await new SynthesisCache(cacheDir, 2500).getStats();
+        expect(stats).toMatchObject({ entries: 2, sizeBytes: 2000 });
+        expect((await fs.readdir(cacheDir)).filter(file => file.endsWith('.wav'))).toHaveLength(2);
+    });
+
+    it('should forget entries whose audio file was deleted', async () => {
+        const cache = new SynthesisCache(cacheDir);
+        const key = cache.createKey(params('Hello.'));
+        await cache.put(key, await writeAudio('synth.wav', 100));
+        await fs.rm(path.join(cacheDir, `${key}.wav`));
+
+        expect(await cache.get(key, path.join(tempDir, 'out.wav'))).toBeNull();
+        expect((await cache.getStats()).entries).toBe(0);
+    });
+
+    it('should start empty after a corrupt index or clearing', async () => {
+        await fs.mkdir(cacheDir, { recursive: true });
+        await fs.writeFile(path.join(cacheDir, 'index.json'), '{ not json', 'utf8');
+        await fs.writeFile(path.join(cacheDir, 'orphan.wav'), 'audio');
+
+        const cache = new SynthesisCache(cacheDir);
+        expect((await cache.getStats()).entries).toBe(0);
+        await expect(fs.access(path.join(cacheDir, 'orphan.wav'))).rejects.toThrow();
+
+        await cache.put(cache.createKey(params('Hello.')), await writeAudio('synth.wav', 100));
+        expect(await cache.clear()).toMatchObject({ entries: 0, sizeBytes: 0, hits: 0, misses: 0 });
+        await expect(fs.access(cacheDir)).rejects.toThrow();
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import TextNormalizer from '../src/main/utils/textNormalizer.js';
+
+/**
+ * Text normalizer tests
+ * Covers each normalization rule, locale differences in number and date
+ * formats, switching rules off and languages without rules
+ */
+describe('TextNormalizer', () => {
+    let normalizer;
+
+    const normalize = (text, locale = 'en-US', rules) => normalizer.normalize(text, { locale, rules }).text;
+
+    beforeEach(() => {
+        normalizer = new TextNormalizer();
+    });
+
+    it('should write out numbers, fractions and years', () => {
+        expect(normalize('Add 3/4 cup and 1,250 grains.')).toBe('Add three quarters cup and one thousand two hundred fifty grains.');
+        expect(normalize('It rose 3.14 points to -5 in 1999.')).toBe('It rose three point one four points to minus five in nineteen ninety-nine.');
+        expect(normalize('Agent 007 caught COVID-19.')).toBe('Agent zero zero seven caught COVID-nineteen.');
+    });
+
+    it('should read amounts of money with their currency', () => {
+        expect(normalize('It costs $5.50, or $1.')).toBe('It costs five dollars and fifty cents, or one dollar.');
+        expect(normalize('Only $0.99 for 20 € and a $2.5 million prize.'))
+            .toBe('Only ninety-nine cents for twenty euros and a two point five million dollars prize.');
+        expect(normalize('Cuesta 21 € o $150.', 'es-MX')).toBe('Cuesta veintiún euros o ciento cincuenta pesos.');
+    });
+
+    it('should read numeric dates in the order of the locale', () => {
+        expect(normalize('Due 3/4/2024.')).toBe('Due March fourth, twenty twenty-four.');
+        expect(normalize('Due 3/4/2024.', 'en-GB')).toBe('Due the third of April, twenty twenty-four.');
+        expect(normalize('Released on 2024-03-04 and March 21.')).toBe('Released on March fourth, twenty twenty-four and March twenty-first.');
+        expect(normalize('Am 3. Oktober 2024.', 'de-DE')).toBe('Am dritter Oktober zweitausendvierundzwanzig.');
+    });
+
+    it('should read clock times', () => {
+        expect(normalize('Meet at 3:30 pm or 15:05, not 9am.')).toBe('Meet at three thirty p m or fifteen oh five, not nine a m.');
+        expect(normalize('Call at 5 p.m. Then leave.')).toBe('Call at five p m. Then leave.');
+        expect(normalize('Rendez-vous à 15h30.', 'fr-FR')).toBe('Rendez-vous à quinze heures trente.');
+        expect(normalize('Um 15:00 Uhr.', 'de-DE')).toBe('Um fünfzehn Uhr.');
+    });
+
+    it('should read units, ordinals and percentages', () => {
+        expect(normalize('The 21st lap was 1 km at 20 °C and 50% humidity.'))
+            .toBe('The twenty-first lap was one kilometer at twenty degrees Celsius and fifty percent humidity.');
+        expect(normalize('A 5 m wall.', 'en-GB')).toBe('A five metres wall.');
+        expect(normalize('Le 1er jour, 3 000 personnes.', 'fr-FR')).toBe('Le premier jour, trois mille personnes.');
+        expect(normalize('Quedó 1.ª con 3,5 kg.', 'es-ES')).toBe('Quedó primera con tres coma cinco kilogramos.');
+    });
+
+    it('should spell out web and email addresses', () => {
+        expect(normalize('Visit https://www.example.com/page-2.')).toBe('Visit w w w dot example dot com slash page dash two.');
+        expect(normalize('Write to jane.doe@example.org today.')).toBe('Write to jane dot doe at example dot org today.');
+    });
+
+    it('should expand abbreviations without losing the end of a sentence', () => {
+        expect(normalize('Dr. Smith brought apples, pears, etc. Then he left.'))
+            .toBe('Doctor Smith brought apples, pears, et cetera. Then he left.');
+        expect(normalize('Ask the Dr. about No. 5.')).toBe('Ask the Dr. about number five.');
+        expect(normalize('Das ist z. B. gut.', 'de-DE')).toBe('Das ist zum Beispiel gut.');
+    });
+
+    it('should leave text alone for disabled rules', () => {
+        const rules = { abbreviations: false, numbers: false };
+
+        expect(normalize('Dr. Smith has 3 cats and $5.', 'en-US', rules)).toBe('Dr. Smith has 3 cats and five dollars.');
+    });
+
+    it('should count replacements and report the language used', () => {
+        expect(normalizer.normalize('Dr. Smith has 3 cats.', { locale: 'en-AU' })).toEqual({
+            text: 'Doctor Smith has three cats.',
+            language: 'en',
+            replacements: 2
+        });
+    });
+
+    it('should pass through text in languages without rules', () => {
+        expect(normalizer.normalize('3/4 Dr.', { locale: 'ja-JP' })).toEqual({ text: '3/4 Dr.', language: null, replacements: 0 });
+        expect(normalizer.isSupported('es_MX')).toBe(true);
+        expect(normalizer.isSupported('ja-JP')).toBe(false);
+        expect(normalizer.getRules()).toEqual(Object.keys(normalizer.getDefaultRules()));
+    });
+});
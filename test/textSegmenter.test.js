@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import TextSegmenter from '../src/main/utils/textSegmenter.js';
+
+/**
+ * Text segmenter tests
+ * Covers sentence detection for Latin, CJK, Arabic-script, Indic and Thai
+ * text and the paragraph, sentence and fixed chunking strategies
+ */
+describe('TextSegmenter', () => {
+    let segmenter;
+
+    beforeEach(() => {
+        segmenter = new TextSegmenter();
+    });
+
+    describe('Latin script', () => {
+        it('should not end sentences at abbreviations, initials or decimals', () => {
+            expect(segmenter.segment('Dr. Smith met J. R. R. Tolkien, e.g. at noon. Pi is 3.14 today. See No. 5 first.')).toEqual([
+                'Dr. Smith met J. R. R. Tolkien, e.g. at noon.',
+                'Pi is 3.14 today.',
+                'See No. 5 first.'
+            ]);
+        });
+
+        it('should keep closing quotes with their sentence', () => {
+            expect(segmenter.segment('He said "Stop!" Then he left. "Go!" she shouted. Wait... what?')).toEqual([
+                'He said "Stop!"',
+                'Then he left.',
+                '"Go!" she shouted.',
+                'Wait... what?'
+            ]);
+        });
+
+        it('should handle Spanish, French and German punctuation and abbreviations', () => {
+            expect(segmenter.segment('¿Cómo estás? ¡Muy bien! La Sra. García llegó.')).toEqual(['¿Cómo estás?', '¡Muy bien!', 'La Sra. García llegó.']);
+            expect(segmenter.segment('« Viens ! » dit-il. Mme Durand attend.')).toEqual(['« Viens ! » dit-il.', 'Mme Durand attend.']);
+            expect(segmenter.segment('Er kam z.B. am Montag. Das war gut.')).toEqual(['Er kam z.B. am Montag.', 'Das war gut.']);
+        });
+    });
+
+    describe('Other writing systems', () => {
+        it('should split Chinese and Japanese at full-width punctuation without spaces', () => {
+            expect(segmenter.segment('今天天气很好。明天会下雨吗？我不知道！')).toEqual(['今天天气很好。', '明天会下雨吗？', '我不知道！']);
+            expect(segmenter.segment('今日は晴れです。明日は雨でしょう。')).toEqual(['今日は晴れです。', '明日は雨でしょう。']);
+        });
+
+        it('should split Arabic, Urdu and Hindi at their own sentence marks', () => {
+            expect(segmenter.segment('هذا نص عربي. هل هو صحيح؟ نعم.')).toEqual(['هذا نص عربي.', 'هل هو صحيح؟', 'نعم.']);
+            expect(segmenter.segment('یہ پہلا جملہ ہے۔ یہ دوسرا جملہ ہے۔')).toEqual(['یہ پہلا جملہ ہے۔', 'یہ دوسرا جملہ ہے۔']);
+            expect(segmenter.segment('यह पहला वाक्य है। यह दूसरा वाक्य है।')).toEqual(['यह पहला वाक्य है।', 'यह दूसरा वाक्य है।']);
+        });
+
+        it('should cut text without spaces between words instead of mid-word', () => {
+            const thai = 'ภาษาไทยเป็นภาษาที่ไม่มีการเว้นวรรคระหว่างคำ';
+            const chunks = segmenter.split(thai, 20);
+
+            expect(chunks.join('')).toBe(thai);
+            expect(chunks.every(chunk => chunk.length <= 20)).toBe(true);
+            expect(chunks).toContain('ระหว่างคำ');
+        });
+    });
+
+    describe('Strategies', () => {
+        const text = 'First sentence here. Second sentence here.\n\nThird one is here. Fourth one.\n\nFifth.';
+
+        it('should pack sentences and prefer ending chunks at paragraph breaks', () => {
+            expect(segmenter.split(text, 60, 'sentence')).toEqual([
+                'First sentence here. Second sentence here.',
+                'Third one is here. Fourth one.\n\nFifth.'
+            ]);
+        });
+
+        it('should keep paragraphs whole and split only paragraphs that are too long', () => {
+            const long = 'Alpha beta gamma. Delta epsilon zeta.\n\nShort one.';
+
+            expect(segmenter.split(long, 25, 'paragraph')).toEqual(['Alpha beta gamma.', 'Delta epsilon zeta.', 'Short one.']);
+            expect(segmenter.split(text, 45, 'paragraph')).toEqual([
+                'First sentence here. Second sentence here.',
+                'Third one is here. Fourth one.\n\nFifth.'
+            ]);
+        });
+
+        it('should fill fixed-length chunks and break only between words', () => {
+            const chunks = segmenter.split(text, 30, 'fixed');
+
+            expect(chunks[0]).toBe('First sentence here. Second');
+            expect(chunks.every(chunk => chunk.length <= 30)).toBe(true);
+            expect(chunks.join(' ').replace(/\s+/g, ' ')).toBe(text.replace(/\s+/g, ' '));
+        });
+
+        it('should split an overlong sentence at clause punctuation before spaces', () => {
+            expect(segmenter.split('A long clause, with commas; and more words that go on and on', 40)).toEqual([
+                'A long clause, with commas;',
+                'and more words that go on and on'
+            ]);
+        });
+
+        it('should only cut words that are longer than a chunk', () => {
+            const chunks = segmenter.split('x'.repeat(25), 10);
+
+            expect(chunks).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+            expect(segmenter.getStrategies()).toEqual(['paragraph', 'sentence', 'fixed']);
+        });
+    });
+});
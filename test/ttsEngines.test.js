@@ -0,0 +1,269 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import engineRegistry from '../src/main/services/engines/engineRegistry.js';
+import StubEngine from '../src/main/services/engines/stubEngine.js';
+import ESpeakEngine from '../src/main/services/engines/espeakEngine.js';
+import EdgeTTSEngine from '../src/main/services/engines/edgeTTSEngine.js';
+import voiceStyles from '../src/main/services/engines/voiceStyles.js';
+import wavUtils from '../src/main/utils/wavUtils.js';
+
+/**
+ * TTS engine adapter tests
+ * Covers the engine registry, the deterministic stub engine and the
+ * voice parsing of the Edge and eSpeak NG adapters
+ */
+describe('TTS Engines', () => {
+    describe('voiceStyles', () => {
+        it('should list styles and roles for known neural voices', () => {
+            expect(voiceStyles.getVoiceStyles('en-US-JennyNeural').styles).toContain('newscast');
+            expect(voiceStyles.getVoiceStyles('zh-CN-YunxiNeural').roles).toEqual(['Boy', 'Narrator', 'YoungAdultMale']);
+            expect(voiceStyles.getVoiceStyles('xx-XX-UnknownNeural')).toEqual({ styles: [], roles: [] });
+        });
+
+        it('should validate style degrees', () => {
+            expect(voiceStyles.isValidStyleDegree(1)).toBe(true);
+            expect(voiceStyles.isValidStyleDegree(2.5)).toBe(false);
+            expect(voiceStyles.isValidStyleDegree(0)).toBe(false);
+        });
+    });
+
+    describe('engineRegistry', () => {
+        it('should list auto and all concrete engines', () => {
+            expect(engineRegistry.getEngineNames()).toEqual(['auto', 'edge', 'espeak', 'stub']);
+        });
+
+        it('should validate engine names', () => {
+            expect(engineRegistry.isValidEngineName('auto')).toBe(true);
+            expect(engineRegistry.isValidEngineName('espeak')).toBe(true);
+            expect(engineRegistry.isValidEngineName('sapi')).toBe(false);
+            expect(engineRegistry.isValidEngineName(undefined)).toBe(false);
+        });
+
+        it('should resolve auto to the online engine followed by the offline engine', () => {
+            expect(engineRegistry.resolveEngineOrder('auto')).toEqual(['edge', 'espeak']);
+            expect(engineRegistry.resolveEngineOrder('stub')).toEqual(['stub']);
+        });
+
+        it('should create engine instances that implement the base interface', () => {
+            for (const name of ['edge', 'espeak', 'stub']) {
+                const engine = engineRegistry.createEngine(name);
+                expect(typeof engine.listVoices).toBe('function');
+                expect(typeof engine.synthesize).toBe('function');
+                expect(engine.name).toBe(name);
+                expect(engine.describe().capabilities).toHaveProperty('offline');
+            }
+        });
+
+        it('should reject unknown engines', () => {
+            expect(() => engineRegistry.createEngine('sapi')).toThrow('Unknown TTS engine: sapi');
+            expect(() => engineRegistry.createEngine('auto')).toThrow('Unknown TTS engine: auto');
+        });
+    });
+
+    describe('StubEngine', () => {
+        let engine;
+        let tempDir;
+
+        beforeEach(async () => {
+            engine = new StubEngine();
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'speechmaker-stub-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('should always be available offline', async () => {
+            expect(await engine.isAvailable()).toBe(true);
+            expect(engine.getCapabilities().offline).toBe(true);
+        });
+
+        it('should list voices with the first English voice as default', async () => {
+            const voices = await engine.listVoices();
+
+            expect(voices.length).toBeGreaterThan(0);
+            expect(voices[0]).toMatchObject({ id: 'stub-en-US-female', language: 'en-US', isDefault: true, engine: 'stub' });
+            expect(voices.filter(v => v.isDefault)).toHaveLength(1);
+        });
+
+        it('should write a PCM WAV file', async () => {
+            const outputPath = path.join(tempDir, 'out.wav');
+            await engine.synthesize('Hello world', 'stub-en-US-male', { speed: 1.0 }, outputPath);
+
+            const data = await fs.readFile(outputPath);
+            expect(data.toString('ascii', 0, 4)).toBe('RIFF');
+            expect(data.toString('ascii', 8, 12)).toBe('WAVE');
+            expect(data.readUInt16LE(20)).toBe(1);
+            expect(data.readUInt32LE(40)).toBe(data.length - 44);
+            expect(wavUtils.readWavInfo(data)).toMatchObject({
+                sampleRate: 16000,
+                channels: 1,
+                bitsPerSample: 16,
+                durationMs: engine.getDurationMs('Hello world')
+            });
+        });
+
+        it('should report word boundaries that fit the audio', async () => {
+            const outputPath = path.join(tempDir, 'words.wav');
+            const result = await engine.synthesize('Hello, big world!', 'stub-en-US-male', { speed: 2.0 }, outputPath);
+
+            expect(engine.getCapabilities().wordBoundaries).toBe(true);
+            expect(result.boundaries).toEqual([
+                { type: 'word', text: 'Hello', offsetMs: 0, durationMs: 160 },
+                { type: 'word', text: 'big', offsetMs: 200, durationMs: 160 },
+                { type: 'word', text: 'world', offsetMs: 400, durationMs: 160 }
+            ]);
+        });
+
+        it('should produce identical output for identical input', () => {
+            const first = engine.renderWav('Same text', 'stub-en-US-female', { speed: 1.0 });
+            const second = engine.renderWav('Same text', 'stub-en-US-female', { speed: 1.0 });
+
+            expect(first.equals(second)).toBe(true);
+        });
+
+        it('should shorten audio when speed increases', () => {
+            expect(engine.getDurationMs('one two three four', 2.0))
+                .toBeLessThan(engine.getDurationMs('one two three four', 1.0));
+        });
+
+        it('should apply pitch and volume adjustments', () => {
+            const base = engine.renderWav('Same text', 'stub-en-US-female', { speed: 1.0 });
+            const adjusted = engine.renderWav('Same text', 'stub-en-US-female', { speed: 1.0, pitch: -20, volume: 50 });
+            const peak = (wav) => {
+                let max = 0;
+                for (let offset = 44; offset < wav.length; offset += 2) {
+                    max = Math.max(max, Math.abs(wav.readInt16LE(offset)));
+                }
+                return max;
+            };
+
+            expect(adjusted.length).toBe(base.length);
+            expect(adjusted.equals(base)).toBe(false);
+            expect(peak(adjusted)).toBeGreaterThan(peak(base));
+        });
+
+        it('should reject unknown voices', () => {
+            expect(() => engine.renderWav('Hello', 'missing-voice')).toThrow("Voice 'missing-voice' not found");
+        });
+    });
+
+    describe('ESpeakEngine', () => {
+        it('should parse the espeak-ng voice table', () => {
+            const engine = new ESpeakEngine();
+            const output = [
+                'Pty Language       Age/Gender VoiceName          File                 Other Languages',
+                ' 5  en-us           --/M      English_(America)  gmw/en-US            (en 10)',
+                ' 5  es              --/F      Spanish_(Spain)    roa/es',
+                ''
+            ].join('\n');
+
+            const voices = engine.parseVoices(output);
+
+            expect(voices).toEqual([
+                {
+                    id: 'en-us',
+                    name: 'eSpeak English (America)',
+                    gender: 'Male',
+                    language: 'en-US',
+                    isDefault: true,
+                    engine: 'espeak'
+                },
+                {
+                    id: 'es',
+                    name: 'eSpeak Spanish (Spain)',
+                    gender: 'Female',
+                    language: 'es',
+                    isDefault: false,
+                    engine: 'espeak'
+                }
+            ]);
+        });
+
+        it('should report itself as an offline engine', () => {
+            expect(new ESpeakEngine().getCapabilities()).toMatchObject({ offline: true, requiresNetwork: false });
+        });
+    });
+
+    describe('EdgeTTSEngine', () => {
+        it('should parse edge-tts API voices', () => {
+            const engine = new EdgeTTSEngine();
+            const voices = engine.parseVoices([
+                {
+                    Name: 'Microsoft Server Speech Text to Speech Voice (en-US, AriaNeural)',
+                    ShortName: 'en-US-AriaNeural',
+                    FriendlyName: 'Microsoft Aria Online (Natural) - English (United States)',
+                    Gender: 'Female',
+                    Locale: 'en-US',
+                    VoiceTag: { ContentCategories: ['News'], VoicePersonalities: ['Positive'] }
+                }
+            ]);
+
+            expect(voices[0]).toMatchObject({
+                id: 'en-US-AriaNeural',
+                language: 'en-US',
+                isDefault: true,
+                categories: ['News'],
+                personalities: ['Positive'],
+                engine: 'edge'
+            });
+            expect(voices[0].styles).toContain('cheerful');
+            expect(voices[0].roles).toEqual([]);
+        });
+
+        it('should wrap plain text in express-as with style, degree and prosody', () => {
+            const engine = new EdgeTTSEngine();
+            const ssml = engine.buildExpressAsSSML('Fish & chips', 'en-US-AriaNeural', {
+                style: 'cheerful',
+                styleDegree: 1.5,
+                speed: 1.2,
+                pitch: -5,
+                volume: 20
+            });
+
+            expect(ssml).toContain('xml:lang="en-US"');
+            expect(ssml).toContain('<voice name="en-US-AriaNeural"><mstts:express-as style="cheerful" styledegree="1.5">');
+            expect(ssml).toContain('<prosody rate="+20%" pitch="-5Hz" volume="+20%">Fish &amp; chips</prosody>');
+        });
+
+        it('should wrap SSML content in express-as and keep existing voice markup', () => {
+            const engine = new EdgeTTSEngine();
+            const options = { inputMode: 'ssml', role: 'Boy' };
+
+            expect(engine.buildExpressAsSSML('<speak version="1.0">Hi <break time="1s"/></speak>', 'zh-CN-XiaomoNeural', options))
+                .toBe('<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="https://www.w3.org/2001/mstts">' +
+                    '<voice name="zh-CN-XiaomoNeural"><mstts:express-as role="Boy">Hi <break time="1s"/></mstts:express-as></voice></speak>');
+
+            const withVoice = '<speak><voice name="en-US-GuyNeural">Hi</voice></speak>';
+            expect(engine.buildExpressAsSSML(withVoice, 'en-US-AriaNeural', options)).toBe(withVoice);
+        });
+
+        it('should convert word boundary ticks to milliseconds', () => {
+            const engine = new EdgeTTSEngine();
+
+            expect(engine.parseWordBoundaries([
+                { type: 'WordBoundary', offset: 1000000, duration: 3250000, text: 'Hello' },
+                { type: 'WordBoundary', offset: 4500000, duration: 0, text: undefined }
+            ])).toEqual([{ type: 'word', text: 'Hello', offsetMs: 100, durationMs: 325 }]);
+        });
+
+        it('should format speed as a relative rate', () => {
+            const engine = new EdgeTTSEngine();
+
+            expect(engine.formatRate(1.0)).toBe('+0%');
+            expect(engine.formatRate(1.5)).toBe('+50%');
+            expect(engine.formatRate(0.8)).toBe('-20%');
+        });
+
+        it('should format pitch in Hz and volume in percent', () => {
+            const engine = new EdgeTTSEngine();
+
+            expect(engine.formatPitch()).toBe('+0Hz');
+            expect(engine.formatPitch(-8)).toBe('-8Hz');
+            expect(engine.formatVolume(25)).toBe('+25%');
+            expect(engine.formatVolume(-10)).toBe('-10%');
+        });
+    });
+});
@@ -193,6 +193,9 @@ Name: Microsoft Zira Desktop, Gender: Female, Language: en-US`;
         isInitialized: true,
         voiceCount: 2,
         maxChunkLength: 4000,
+        engineSetting: 'auto',
+        activeEngine: null,
+        voiceCatalog: { source: null, updatedAt: null },
         voiceLoadingState: expect.any(Object)
       });
     });
@@ -206,6 +209,9 @@ Name: Microsoft Zira Desktop, Gender: Female, Language: en-US`;
         isInitialized: false,
         voiceCount: 0,
         maxChunkLength: 5000,
+        engineSetting: 'auto',
+        activeEngine: null,
+        voiceCatalog: { source: null, updatedAt: null },
         voiceLoadingState: expect.any(Object)
       });
     });
@@ -374,10 +380,23 @@ Name: Microsoft Zira Desktop, Gender: Female, Language: en-US`;
       ttsService.loadAvailableVoices = async () => mockVoices;
       
       await ttsService.retryVoiceLoading();
-      
+
       expect(ttsService.isInitialized).toBe(true);
       expect(ttsService.availableVoices).toEqual(mockVoices);
     });
+
+    it('should fall back to the cached voices when a manual retry fails', async () => {
+      const ttsService = new TTSService();
+      const cachedVoices = [{ id: 'cached-voice', name: 'Cached Voice' }];
+      ttsService.loadVoicesWithRetry = async () => ({ success: false, error: new Error('offline'), attempts: 1 });
+      ttsService.setVoiceCache({ get: async () => ({ voices: cachedVoices, updatedAt: 1000 }) });
+
+      const result = await ttsService.retryVoiceLoading(1);
+
+      expect(result).toMatchObject({ success: true, voices: cachedVoices, fromCache: true, updatedAt: 1000 });
+      expect(ttsService.availableVoices).toEqual(cachedVoices);
+      expect(ttsService.getStatus()).toMatchObject({ isInitialized: true, voiceCount: 1, voiceCatalog: { source: 'cache', updatedAt: 1000 } });
+    });
   });
 
   describe('Sleep Utility Function', () => {
@@ -450,6 +469,390 @@ Name: Microsoft Zira Desktop, Gender: Female, Language: en-US`;
     });
   });
 
+  describe('Chunk Retry', () => {
+    it('should retry a failing chunk with exponential backoff', async () => {
+      const ttsService = new TTSService();
+      const delays = [];
+      const retries = [];
+      let calls = 0;
+
+      ttsService.sleep = async (ms) => {
+        delays.push(ms);
+      };
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath) => {
+        calls++;
+        if (calls < 3) {
+          throw new Error('Network timeout');
+        }
+        return outputPath;
+      };
+      ttsService.on('chunkRetry', data => retries.push(data));
+
+      const result = await ttsService.convertChunkWithRetry('Hello world.', 'voice', 1.0, 'chunk_4.wav', { chunkIndex: 4, totalChunks: 10 });
+
+      expect(result).toBe('chunk_4.wav');
+      expect(delays).toEqual([1000, 2000]);
+      expect(retries.map(r => [r.chunkIndex, r.totalChunks, r.attempt])).toEqual([[4, 10, 1], [4, 10, 2]]);
+      expect(retries[0].excerpt).toBe('Hello world.');
+    });
+
+    it('should name the chunk and quote its text once retries run out', async () => {
+      const ttsService = new TTSService();
+      ttsService.sleep = async () => {};
+      ttsService.convertSingleChunk = async () => {
+        throw new Error('Network timeout');
+      };
+
+      const text = `<speak>${'The quick brown fox jumps over the lazy dog. '.repeat(3)}</speak>`;
+      const error = await ttsService.convertChunkWithRetry(text, 'voice', 1.0, 'chunk.wav', { chunkIndex: 186, totalChunks: 200 })
+        .catch(e => e);
+
+      expect(error.failedChunk).toEqual({
+        index: 186,
+        total: 200,
+        attempts: 3,
+        excerpt: 'The quick brown fox jumps over the lazy dog. The quick br...'
+      });
+      expect(error.userMessage).toContain('Part 187 of 200');
+      expect(error.userMessage).toContain('Network timeout');
+    });
+
+    it('should fail a chunk at once when the error is not transient', async () => {
+      const ttsService = new TTSService({ chunkRetryDelay: 0 });
+      const retries = [];
+      let calls = 0;
+
+      ttsService.on('chunkRetry', data => retries.push(data));
+      ttsService.convertSingleChunk = async () => {
+        calls++;
+        throw new Error("Voice 'missing' not found");
+      };
+
+      const error = await ttsService.convertChunkWithRetry('Hello world.', 'missing', 1.0, 'chunk.wav', { chunkIndex: 0, totalChunks: 2 })
+        .catch(e => e);
+
+      expect(calls).toBe(1);
+      expect(retries).toHaveLength(0);
+      expect(error.failedChunk.attempts).toBe(1);
+      expect(error.userMessage).toContain('after 1 attempt (');
+    });
+
+    it('should keep converted chunks and only repeat the failed one', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const ttsService = new TTSService();
+      const calls = [];
+      let failures = 1;
+
+      ttsService.maxChunkLength = 20;
+      ttsService.sleep = async () => {};
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath, options) => {
+        calls.push(options.chunkIndex);
+        if (options.chunkIndex === 2 && failures-- > 0) {
+          throw new Error('Network timeout');
+        }
+        return outputPath;
+      };
+      ttsService.mergeAudioChunksOptimized = async () => {};
+
+      const outputPath = path.join(os.tmpdir(), `chunk-retry-${Date.now()}`, 'out.wav');
+      await ttsService.convertLargeTextToSpeech('One two three. Four five six. Seven eight nine. Ten eleven.', 'voice', 1.0, outputPath);
+
+      expect(calls.filter(index => index === 2)).toHaveLength(2);
+      expect(calls.filter(index => index !== 2)).toEqual([0, 1, 3]);
+    });
+  });
+
+  describe('Synthesis Cache', () => {
+    it('should reuse cached audio instead of synthesizing a chunk again', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const SynthesisCache = (await import('../src/main/utils/synthesisCache.js')).default;
+      const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speechmaker-tts-cache-'));
+      const ttsService = new TTSService();
+      let synthesized = 0;
+
+      ttsService.getActiveEngine = () => ({
+        name: 'stub',
+        synthesize: async (text, voiceId, options, outputPath) => {
+          synthesized++;
+          await fs.promises.writeFile(outputPath, `audio for ${text}`);
+          return { boundaries: [{ text: 'Hello', offsetMs: 0, durationMs: 300 }] };
+        }
+      });
+      ttsService.setSynthesisCache(new SynthesisCache(path.join(tempDir, 'cache')));
+
+      try {
+        const timings = [];
+        await ttsService.convertSingleChunk('Hello.', 'voice', 1.0, path.join(tempDir, 'a.wav'), {});
+        await ttsService.convertSingleChunk('Hello.', 'voice', 1.0, path.join(tempDir, 'b.wav'), { timings, chunkIndex: 0 });
+        await ttsService.convertSingleChunk('Hello.', 'voice', 1.2, path.join(tempDir, 'c.wav'), {});
+
+        expect(synthesized).toBe(2);
+        expect(await fs.promises.readFile(path.join(tempDir, 'b.wav'), 'utf8')).toBe('audio for Hello.');
+        expect(timings[0].boundaries).toHaveLength(1);
+        expect(await ttsService.getSynthesisCacheStats()).toMatchObject({ enabled: true, entries: 2, hits: 1, misses: 2 });
+      } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Chunk Streaming', () => {
+    it('should emit each chunk\'s audio as soon as it is synthesized', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const ttsService = new TTSService();
+      const streamed = [];
+
+      ttsService.maxChunkLength = 20;
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath, options) => {
+        await fs.promises.writeFile(outputPath, `audio ${options.chunkIndex}`);
+        return outputPath;
+      };
+      ttsService.mergeAudioChunksOptimized = async () => {};
+      ttsService.on('chunkAudio', data => streamed.push(data));
+
+      const outputPath = path.join(os.tmpdir(), `stream-${Date.now()}`, 'out.wav');
+      await ttsService.convertLargeTextToSpeech('One two three. Four five six. Seven eight nine.', 'voice', 1.0, outputPath, { streamChunks: true });
+      await ttsService.convertLargeTextToSpeech('One two three. Four five six.', 'voice', 1.0, outputPath);
+
+      expect(streamed).toHaveLength(3);
+      expect(streamed.every(data => data.outputPath === outputPath && data.totalChunks === 3)).toBe(true);
+      expect(streamed.map(data => data.audio.toString()).sort()).toEqual(['audio 0', 'audio 1', 'audio 2']);
+      await fs.promises.rm(path.dirname(outputPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('Pause Markup', () => {
+    it('should synthesize the text between pauses and merge silences in their place', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const ttsService = new TTSService();
+      const spoken = [];
+      let merged = null;
+
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath) => {
+        spoken.push(text);
+        await fs.promises.writeFile(outputPath, text);
+        return outputPath;
+      };
+      ttsService.mergeAudioChunks = async (items) => {
+        merged = items;
+      };
+
+      const parts = ttsService.pauseMarkup.parse('Chapter one. [pause 2s] It was late.\n\nThe end.', { paragraphPauseMs: 800 });
+      const items = ttsService.planPausedChunks(parts, { language: 'en-US' }, {});
+      const outputPath = path.join(os.tmpdir(), `pauses-${Date.now()}`, 'out.wav');
+      await ttsService.convertChunkSequence(items, 'voice', 1.0, outputPath, {});
+
+      expect(spoken.sort()).toEqual(['Chapter one.', 'It was late.', 'The end.']);
+      expect(merged.map(item => typeof item === 'string' ? path.basename(item) : item)).toEqual([
+        'chunk_0.wav', { silenceMs: 2000 }, 'chunk_1.wav', { silenceMs: 800 }, 'chunk_2.wav'
+      ]);
+      await fs.promises.rm(path.dirname(outputPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('Chapters', () => {
+    it('should mark where each chapter starts and merge its chunks after the mark', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const ttsService = new TTSService();
+      const spoken = [];
+      let merged = null;
+      let mergeOptions = null;
+
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath) => {
+        spoken.push(text);
+        await fs.promises.writeFile(outputPath, text);
+        return outputPath;
+      };
+      ttsService.mergeAudioChunks = async (items, outputPath, options) => {
+        merged = items;
+        mergeOptions = options;
+      };
+
+      const chapters = [];
+      const items = ttsService.planChapters('[chapter Arrival] We landed. [pause 1s] It rained.\n\n[chapter Departure] We left.', { language: 'en-US' }, {});
+      const outputPath = path.join(os.tmpdir(), `chapters-${Date.now()}`, 'out.wav');
+      await ttsService.convertChunkSequence(items, 'voice', 1.0, outputPath, { chapters });
+
+      expect(spoken.sort()).toEqual(['It rained.', 'We landed.', 'We left.']);
+      expect(merged.map(item => typeof item === 'string' ? path.basename(item) : item)).toEqual([
+        { chapter: 'Arrival' }, 'chunk_0.wav', { silenceMs: 1000 }, 'chunk_1.wav', { chapter: 'Departure' }, 'chunk_2.wav'
+      ]);
+      expect(mergeOptions.chapters).toBe(chapters);
+      await fs.promises.rm(path.dirname(outputPath), { recursive: true, force: true });
+    });
+
+    it('should remove chapter markers from conversions without chapters', () => {
+      const ttsService = new TTSService();
+
+      expect(() => ttsService.planChapters('[chapter Empty]', { language: 'en-US' }, {})).toThrow('Text cannot be empty');
+      expect(ttsService.chapterMarkup.strip('One.[chapter Two]Two.')).toBe('One.\n\nTwo.');
+    });
+
+    it('should merge short chunks with their offsets recorded when output is split', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const ttsService = new TTSService();
+      const spoken = [];
+      let mergeOptions = null;
+
+      ttsService.isInitialized = true;
+      ttsService.availableVoices = [{ id: 'voice', language: 'en-US' }];
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath) => {
+        spoken.push(text);
+        await fs.promises.writeFile(outputPath, text);
+        return outputPath;
+      };
+      ttsService.mergeAudioChunks = async (items, outputPath, options) => {
+        mergeOptions = options;
+      };
+
+      const boundaries = [];
+      const sentence = 'This sentence is about forty characters. ';
+      const outputPath = path.join(os.tmpdir(), `split-${Date.now()}`, 'out.wav');
+      await ttsService.convertTextToSpeech(sentence.repeat(30), 'voice', 1.0, outputPath, { boundaries });
+
+      expect(spoken.length).toBeGreaterThan(1);
+      expect(spoken.every(text => text.length <= 500)).toBe(true);
+      expect(mergeOptions.boundaries).toBe(boundaries);
+      await fs.promises.rm(path.dirname(outputPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('Subtitle Files', () => {
+    it('should write one caption file per format next to the audio file', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speechmaker-subtitles-'));
+      const ttsService = new TTSService();
+
+      try {
+        const files = await ttsService.writeSubtitleFiles(
+          [{ startMs: 1400, endMs: 2000, lines: ['Three'] }],
+          path.join(tempDir, 'book_002.mp3'),
+          ['srt', 'vtt']
+        );
+
+        expect(files).toEqual([path.join(tempDir, 'book_002.srt'), path.join(tempDir, 'book_002.vtt')]);
+        expect(await fs.promises.readFile(files[0], 'utf8')).toContain('00:00:01,400 --> 00:00:02,000');
+        expect(await fs.promises.readFile(files[1], 'utf8')).toContain('00:00:01.400 --> 00:00:02.000');
+      } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Audio Containers', () => {
+    it('should convert MP3 audio an engine wrote to a .wav chunk into PCM WAV', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speechmaker-container-'));
+      const ttsService = new TTSService();
+      const transcoded = [];
+      let requestedFormat;
+
+      ttsService.getActiveEngine = () => ({
+        name: 'stub',
+        displayName: 'Stub',
+        synthesize: async (text, voiceId, options, outputPath) => {
+          requestedFormat = options.outputFormat;
+          await fs.promises.writeFile(outputPath, Buffer.concat([Buffer.from('ID3'), Buffer.alloc(16)]));
+          return {};
+        }
+      });
+      ttsService.setAudioProcessor({
+        validateFFmpegInstallation: async () => true,
+        transcodeToWav: async (inputPath, outputPath) => {
+          transcoded.push(await fs.promises.readFile(inputPath, 'ascii'));
+          await fs.promises.writeFile(outputPath, 'RIFF\0\0\0\0WAVE');
+        }
+      });
+
+      try {
+        const chunkPath = path.join(tempDir, 'chunk_0.wav');
+        await ttsService.convertSingleChunk('Hello.', 'voice', 1.0, chunkPath, {});
+
+        expect(requestedFormat).toBe('wav');
+        expect(transcoded).toHaveLength(1);
+        expect(transcoded[0].startsWith('ID3')).toBe(true);
+        expect(await fs.promises.readdir(tempDir)).toEqual(['chunk_0.wav']);
+        expect((await fs.promises.readFile(chunkPath, 'ascii')).slice(8, 12)).toBe('WAVE');
+      } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Cancellation', () => {
+    it('should stop starting chunks and remove temp files once the job is cancelled', async () => {
+      const os = await import('os');
+      const path = await import('path');
+      const fs = await import('fs');
+      const ttsService = new TTSService();
+      const controller = new AbortController();
+      const started = [];
+      let merged = false;
+
+      ttsService.maxChunkLength = 20;
+      ttsService.maxConcurrentChunks = 1;
+      ttsService.convertSingleChunk = async (text, voiceId, speed, outputPath, options) => {
+        started.push(options.chunkIndex);
+        await fs.promises.writeFile(outputPath, 'audio');
+        if (options.chunkIndex === 1) {
+          controller.abort();
+        }
+        return outputPath;
+      };
+      ttsService.mergeAudioChunksOptimized = async () => {
+        merged = true;
+      };
+
+      const outputPath = path.join(os.tmpdir(), `cancel-${Date.now()}`, 'out.wav');
+      const error = await ttsService.convertLargeTextToSpeech('One two three. Four five six. Seven eight nine. Ten eleven.', 'voice', 1.0, outputPath, { signal: controller.signal })
+        .catch(e => e);
+
+      expect(error.message).toBe('Conversion was cancelled');
+      expect(started).toEqual([0, 1]);
+      expect(merged).toBe(false);
+      await expect(fs.promises.access(path.join(path.dirname(outputPath), 'temp_chunks'))).rejects.toThrow();
+      await fs.promises.rm(path.dirname(outputPath), { recursive: true, force: true });
+    });
+
+    it('should not retry a chunk after the job was cancelled', async () => {
+      const ttsService = new TTSService();
+      const controller = new AbortController();
+      const retries = [];
+      let calls = 0;
+
+      ttsService.on('chunkRetry', data => retries.push(data));
+      ttsService.convertSingleChunk = async () => {
+        calls++;
+        throw new Error('Network timeout');
+      };
+
+      // The abort lands during the backoff delay
+      setTimeout(() => controller.abort(), 20);
+      const error = await ttsService.convertChunkWithRetry('Hello world.', 'voice', 1.0, 'chunk.wav', { signal: controller.signal })
+        .catch(e => e);
+
+      expect(error.cancelled).toBe(true);
+      expect(error.failedChunk).toBeUndefined();
+      expect(calls).toBe(1);
+      expect(retries).toHaveLength(1);
+    });
+  });
+
   describe('Input Validation', () => {
     it('should validate convertTextToSpeech parameters', async () => {
       const ttsService = new TTSService();
@@ -491,7 +894,7 @@ Name: Microsoft Zira Desktop, Gender: Female, Language: en-US`;
     });
 
     it('should accept valid speed values', async () => {
-      const ttsService = new TTSService();
+      const ttsService = new TTSService({ chunkRetryDelay: 0 });
       ttsService.isInitialized = true;
       ttsService.availableVoices = [
         { id: 'Microsoft David Desktop', name: 'David', gender: 'Male', language: 'en-US', isDefault: true }
@@ -28,12 +28,10 @@ const setupDOM = () => {
                 </div>
                 
                 <div class="format-section">
-                    <div class="radio-group">
-                        <input type="radio" id="formatWav" name="outputFormat" value="wav" checked>
-                        <label for="formatWav">WAV</label>
-                        
-                        <input type="radio" id="formatMp3" name="outputFormat" value="mp3">
-                        <label for="formatMp3">MP3</label>
+                    <div class="format-selection">
+                        <select id="outputFormat">
+                            <option value="wav">WAV</option>
+                        </select>
                     </div>
                 </div>
                 
@@ -222,32 +220,26 @@ describe('UI State Management Integration', () => {
         it('should enable MP3 option when FFmpeg is available', () => {
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            const mp3Option = document.getElementById('formatMp3');
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
             
             expect(mp3Option.disabled).toBe(false);
-            expect(mp3Label.classList.contains('disabled')).toBe(false);
-            expect(mp3Label.title).toContain('MP3 format available (using bundled FFmpeg)');
+            expect(mp3Option.title).toContain('MP3 format available (using bundled FFmpeg)');
         });
 
         it('should disable MP3 option when FFmpeg is not available', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const mp3Option = document.getElementById('formatMp3');
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
-            const wavOption = document.getElementById('formatWav');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
             
             expect(mp3Option.disabled).toBe(true);
-            expect(mp3Option.checked).toBe(false);
-            expect(wavOption.checked).toBe(true);
-            expect(mp3Label.classList.contains('disabled')).toBe(true);
-            expect(mp3Label.title).toContain('MP3 format unavailable - FFmpeg not found');
+            expect(document.getElementById('outputFormat').value).toBe('wav');
+            expect(mp3Option.title).toContain('MP3 format unavailable - FFmpeg not found');
         });
 
         it('should show FFmpeg status indicator', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const formatContainer = document.querySelector('.radio-group');
+            const formatContainer = document.querySelector('.format-selection');
             
             // Trigger UI update to create indicator
             stateManager.updateUI();
@@ -255,7 +247,7 @@ describe('UI State Management Integration', () => {
             setTimeout(() => {
                 const statusIndicator = formatContainer.querySelector('.ffmpeg-status-indicator');
                 expect(statusIndicator).toBeTruthy();
-                expect(statusIndicator.innerHTML).toContain('FFmpeg is required for MP3 conversion');
+                expect(statusIndicator.innerHTML).toContain('FFmpeg is required for compressed formats');
                 expect(statusIndicator.classList.contains('warning')).toBe(true);
             }, 0);
         });
@@ -264,16 +256,15 @@ describe('UI State Management Integration', () => {
             // Start with MP3 disabled
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const mp3Option = document.getElementById('formatMp3');
-            expect(mp3Option.disabled).toBe(true);
+            expect(document.querySelector('#outputFormat option[value="mp3"]').disabled).toBe(true);
             
             // FFmpeg becomes available
             stateManager.updateFFmpegState(true, 'system', true);
             
+            // Options are rebuilt when availability changes
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
             expect(mp3Option.disabled).toBe(false);
-            
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
-            expect(mp3Label.title).toContain('MP3 format available (using system FFmpeg)');
+            expect(mp3Option.title).toContain('MP3 format available (using system FFmpeg)');
         });
     });
 
@@ -363,27 +354,24 @@ describe('UI State Management Integration', () => {
             // Enable MP3
             stateManager.updateFFmpegState(true, 'bundled', true);
             
-            const mp3Option = document.getElementById('formatMp3');
-            const wavOption = document.getElementById('formatWav');
+            const formatSelect = document.getElementById('outputFormat');
             
             // User selects MP3
-            mp3Option.checked = true;
-            wavOption.checked = false;
-            mp3Option.dispatchEvent(new Event('change'));
+            formatSelect.value = 'mp3';
+            formatSelect.dispatchEvent(new Event('change'));
             
-            expect(mp3Option.checked).toBe(true);
-            expect(wavOption.checked).toBe(false);
+            expect(formatSelect.value).toBe('mp3');
+            expect(stateManager.getSelectedFormat()).toBe('mp3');
         });
 
         it('should prevent MP3 selection when FFmpeg unavailable', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const mp3Option = document.getElementById('formatMp3');
-            const wavOption = document.getElementById('formatWav');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
             
             // Attempt to select MP3 (should be prevented by disabled state)
             expect(mp3Option.disabled).toBe(true);
-            expect(wavOption.checked).toBe(true);
+            expect(document.getElementById('outputFormat').value).toBe('wav');
         });
 
         it('should handle voice selection changes', () => {
@@ -452,8 +440,8 @@ describe('UI State Management Integration', () => {
             stateManager.updateOutputFolderState(true, '/output/path');
             
             const convertBtn = document.getElementById('convertBtn');
-            const mp3Option = document.getElementById('formatMp3');
-            const wavOption = document.getElementById('formatWav');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
+            const wavOption = document.querySelector('#outputFormat option[value="wav"]');
             
             // Should still be able to convert to WAV
             expect(convertBtn.disabled).toBe(false);
@@ -484,10 +472,11 @@ describe('UI State Management Integration', () => {
         it('should provide helpful tooltips and descriptions', () => {
             stateManager.updateFFmpegState(false, 'none', false);
             
-            const mp3Label = document.querySelector('label[for="formatMp3"]');
+            const mp3Option = document.querySelector('#outputFormat option[value="mp3"]');
+            const mp3Format = stateManager.getAvailableFormats().find(format => format.value === 'mp3');
             
-            expect(mp3Label.title).toContain('FFmpeg');
-            expect(mp3Label.title).toContain('required');
+            expect(mp3Option.title).toContain('FFmpeg');
+            expect(mp3Format.description).toContain('Requires FFmpeg');
         });
 
         it('should maintain keyboard navigation', () => {
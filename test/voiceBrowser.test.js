@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import VoiceBrowser from '../src/main/utils/voiceBrowser.js';
+
+/**
+ * Voice browser tests
+ * Covers filter options, searching, favorites, paging and sample selection
+ */
+describe('VoiceBrowser', () => {
+    let browser;
+
+    const voices = [
+        { id: 'en-US-AriaNeural', name: 'Microsoft Aria', language: 'en-US', gender: 'Female', categories: ['News'], personalities: ['Positive', 'Confident'] },
+        { id: 'en-GB-RyanNeural', name: 'Microsoft Ryan', language: 'en-GB', gender: 'Male', categories: ['General'], personalities: ['Friendly'] },
+        { id: 'fr-FR-DeniseNeural', name: 'Microsoft Denise', language: 'fr-FR', gender: 'Female', categories: ['General'], personalities: ['Friendly'] },
+        { id: 'enm', name: 'Middle English', language: 'enm', gender: 'Male' }
+    ];
+
+    const ids = (result) => result.voices.map(voice => voice.id);
+
+    beforeEach(() => {
+        browser = new VoiceBrowser();
+    });
+
+    it('should count filter options and sort them', () => {
+        const facets = browser.getFacets(voices);
+
+        expect(facets.locales.map(f => f.value)).toEqual(['en-GB', 'en-US', 'enm', 'fr-FR']);
+        expect(facets.genders).toEqual([{ value: 'Female', count: 2 }, { value: 'Male', count: 2 }]);
+        expect(facets.categories).toEqual([{ value: 'General', count: 2 }, { value: 'News', count: 1 }]);
+        expect(facets.personalities.find(f => f.value === 'Friendly').count).toBe(2);
+    });
+
+    it('should require every search word to match', () => {
+        expect(ids(browser.search(voices, { text: 'microsoft female' }))).toEqual(['en-US-AriaNeural', 'fr-FR-DeniseNeural']);
+        expect(ids(browser.search(voices, { text: 'ryan  GB' }))).toEqual(['en-GB-RyanNeural']);
+        expect(browser.search(voices, { text: 'nobody' }).total).toBe(0);
+    });
+
+    it('should match a language or an exact locale', () => {
+        expect(ids(browser.search(voices, { locale: 'en' }))).toEqual(['en-US-AriaNeural', 'en-GB-RyanNeural']);
+        expect(ids(browser.search(voices, { locale: 'en-gb' }))).toEqual(['en-GB-RyanNeural']);
+    });
+
+    it('should filter by gender, category and personality', () => {
+        expect(ids(browser.search(voices, { gender: 'Male', category: 'General' }))).toEqual(['en-GB-RyanNeural']);
+        expect(ids(browser.search(voices, { personality: 'Friendly', locale: 'fr' }))).toEqual(['fr-FR-DeniseNeural']);
+    });
+
+    it('should list favorites first and flag them', () => {
+        const result = browser.search(voices, {}, ['fr-FR-DeniseNeural']);
+
+        expect(ids(result)[0]).toBe('fr-FR-DeniseNeural');
+        expect(result.voices.map(voice => voice.isFavorite)).toEqual([true, false, false, false]);
+        expect(ids(browser.search(voices, { favoritesOnly: true }, ['enm']))).toEqual(['enm']);
+    });
+
+    it('should page through results', () => {
+        const page = browser.search(voices, { offset: 1, limit: 2 });
+
+        expect(ids(page)).toEqual(['en-GB-RyanNeural', 'fr-FR-DeniseNeural']);
+        expect(page.total).toBe(4);
+        expect(page.offset).toBe(1);
+        expect(browser.search(voices, { limit: 'all' }).voices).toHaveLength(4);
+    });
+
+    it('should pick a sample sentence by language', () => {
+        expect(browser.getSampleSentence('fr-CA')).toBe(browser.getSampleSentence('fr-FR'));
+        expect(browser.getSampleSentence('xx-YY')).toBe(browser.getSampleSentence('en-US'));
+        expect(browser.getSampleSentence(undefined)).toBe('Hello, this is a sample of my voice.');
+    });
+
+    it('should build file-system safe sample names', () => {
+        expect(browser.getSampleFileName('edge', 'en-US-AriaNeural')).toBe('edge_en-US-AriaNeural.wav');
+        expect(browser.getSampleFileName('espeak', 'mb/mb-en1')).toBe('espeak_mb_mb-en1.wav');
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import VoiceCatalogCache from '../src/main/utils/voiceCatalogCache.js';
+
+/**
+ * Voice catalog cache tests
+ * Covers reading and writing cached voice lists per engine and diffing
+ * refreshed lists
+ */
+describe('VoiceCatalogCache', () => {
+    let tempDir;
+    let cachePath;
+
+    const voice = (id) => ({ id, name: id, language: 'en-US', gender: 'Female' });
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'speechmaker-voices-'));
+        cachePath = path.join(tempDir, 'nested', 'voice-cache.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should return null when nothing is cached', async () => {
+        const cache = new VoiceCatalogCache(cachePath);
+
+        expect(await cache.get('edge')).toBeNull();
+    });
+
+    it('should persist voice lists per engine with a timestamp', async () => {
+        const before = Date.now();
+        await new VoiceCatalogCache(cachePath).save('edge', [voice('en-US-AriaNeural')]);
+        await new VoiceCatalogCache(cachePath).save('espeak', [voice('en-us')]);
+
+        const cache = new VoiceCatalogCache(cachePath);
+        const edge = await cache.get('edge');
+
+        expect(edge.voices).toEqual([voice('en-US-AriaNeural')]);
+        expect(edge.updatedAt).toBeGreaterThanOrEqual(before);
+        expect((await cache.get('espeak')).voices).toEqual([voice('en-us')]);
+    });
+
+    it('should ignore corrupt or outdated cache files', async () => {
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+
+        await fs.writeFile(cachePath, '{ not json', 'utf8');
+        expect(await new VoiceCatalogCache(cachePath).get('edge')).toBeNull();
+
+        await fs.writeFile(cachePath, JSON.stringify({ version: 0, engines: { edge: { voices: [voice('a')] } } }), 'utf8');
+        expect(await new VoiceCatalogCache(cachePath).get('edge')).toBeNull();
+    });
+
+    it('should report added and removed voices by id', () => {
+        const cache = new VoiceCatalogCache(cachePath);
+
+        const result = cache.diff([voice('a'), voice('b')], [voice('b'), voice('c')]);
+
+        expect(result).toEqual({ added: [voice('c')], removed: [voice('a')], changed: true });
+        expect(cache.diff([voice('a')], [{ ...voice('a'), name: 'Renamed' }]).changed).toBe(false);
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import VoiceProfiles from '../src/main/utils/voiceProfiles.js';
+
+/**
+ * Voice profile tests
+ * Covers profile validation, filling conversion requests in from a profile,
+ * name collisions and JSON import and export
+ */
+describe('VoiceProfiles', () => {
+    let voiceProfiles;
+
+    beforeEach(() => {
+        voiceProfiles = new VoiceProfiles();
+    });
+
+    describe('normalizeProfile', () => {
+        it('should fill in defaults for options the profile leaves out', () => {
+            expect(voiceProfiles.normalizeProfile({ name: '  Narrator   warm ', voice: 'en-US-AriaNeural' })).toMatchObject({
+                name: 'Narrator warm',
+                voice: 'en-US-AriaNeural',
+                speed: 1.0,
+                pitch: 0,
+                volume: 0,
+                style: null,
+                styleDegree: 1,
+                role: null,
+                outputFormat: 'wav',
+                formatOptions: null,
+                paragraphPauseMs: 0,
+                normalization: null,
+                subtitles: null
+            });
+        });
+
+        it('should reject missing names and voices and out of range options', () => {
+            expect(() => voiceProfiles.normalizeProfile({ name: ' ', voice: 'v' })).toThrow('Profile name is required');
+            expect(() => voiceProfiles.normalizeProfile({ name: 'x'.repeat(61), voice: 'v' })).toThrow('at most 60 characters');
+            expect(() => voiceProfiles.normalizeProfile({ name: 'Promo' })).toThrow('Profile "Promo" needs a voice');
+            expect(() => voiceProfiles.normalizeProfile({ name: 'Promo', voice: 'v', speed: 3 })).toThrow('Speed in profile "Promo"');
+            expect(() => voiceProfiles.normalizeProfile({ name: 'Promo', voice: 'v', outputFormat: 'aiff' })).toThrow('Output format');
+            expect(() => voiceProfiles.normalizeProfile({ name: 'Promo', voice: 'v', paragraphPauseMs: 250.5 })).toThrow('Paragraph pause');
+            expect(() => voiceProfiles.normalizeProfile({ name: 'Promo', voice: 'v', subtitles: { formats: ['ass'] } })).toThrow('srt or vtt');
+        });
+
+        it('should validate encoder options against the output format', () => {
+            const profile = voiceProfiles.normalizeProfile({ name: 'Web', voice: 'v', outputFormat: 'opus', formatOptions: { bitrate: '32k' } });
+            expect(profile.formatOptions).toEqual({ bitrate: '32k', sampleRate: 48000, channels: null });
+
+            expect(() => voiceProfiles.normalizeProfile({ name: 'Web', voice: 'v', outputFormat: 'flac', formatOptions: { bitrate: '32k' } }))
+                .toThrow('FLAC does not support the option bitrate (profile "Web")');
+        });
+
+        it('should fill in caption limits and drop captions without formats', () => {
+            const profile = voiceProfiles.normalizeProfile({ name: 'Clips', voice: 'v', subtitles: { formats: ['vtt', 'vtt'] } });
+            expect(profile.subtitles).toEqual({ formats: ['vtt'], maxLineLength: 42, maxCueDurationMs: 5000 });
+
+            expect(voiceProfiles.normalizeProfile({ name: 'Clips', voice: 'v', subtitles: { formats: [] } }).subtitles).toBeNull();
+        });
+    });
+
+    describe('applyToConversion', () => {
+        it('should supply the fields a request leaves out and keep the ones it sets', () => {
+            const profile = voiceProfiles.normalizeProfile({
+                name: 'Promo',
+                voice: 'en-US-GuyNeural',
+                speed: 1.2,
+                style: 'excited',
+                outputFormat: 'mp3',
+                normalization: { urls: false },
+                subtitles: { formats: ['srt'] }
+            });
+
+            const request = voiceProfiles.applyToConversion({ id: '1', text: 'Hi', outputPath: '/out', profileId: 'p', speed: 0.9 }, profile);
+
+            expect(request).toMatchObject({
+                id: '1',
+                text: 'Hi',
+                outputPath: '/out',
+                voice: 'en-US-GuyNeural',
+                speed: 0.9,
+                style: 'excited',
+                outputFormat: 'mp3',
+                normalization: { urls: false },
+                subtitles: { formats: ['srt'], maxLineLength: 42, maxCueDurationMs: 5000 }
+            });
+            expect(request).not.toHaveProperty('role');
+
+            request.subtitles.formats.push('vtt');
+            expect(profile.subtitles.formats).toEqual(['srt']);
+        });
+
+        it('should leave out encoder options when the request picks another format', () => {
+            const profile = voiceProfiles.normalizeProfile({ name: 'Web', voice: 'v', outputFormat: 'opus', formatOptions: { bitrate: '32k' } });
+
+            expect(voiceProfiles.applyToConversion({ id: '1' }, profile).formatOptions).toMatchObject({ bitrate: '32k' });
+            expect(voiceProfiles.applyToConversion({ id: '1', outputFormat: 'wav' }, profile)).not.toHaveProperty('formatOptions');
+        });
+    });
+
+    describe('uniqueName', () => {
+        it('should number names that are already taken regardless of case', () => {
+            const profiles = [{ id: 'a', name: 'Promo' }, { id: 'b', name: 'promo 2' }];
+
+            expect(voiceProfiles.uniqueName('PROMO', profiles)).toBe('PROMO 3');
+            expect(voiceProfiles.uniqueName('Promo', profiles, 'a')).toBe('Promo');
+            expect(voiceProfiles.uniqueName('Narrator', profiles)).toBe('Narrator');
+        });
+    });
+
+    describe('JSON import and export', () => {
+        it('should round-trip profiles without their ids', () => {
+            const profiles = [
+                { ...voiceProfiles.normalizeProfile({ name: 'Promo', voice: 'v1', pitch: 5 }), id: 'p1' },
+                { ...voiceProfiles.normalizeProfile({ name: 'Audiobook', voice: 'v2', paragraphPauseMs: 800 }), id: 'p2' }
+            ];
+
+            const content = voiceProfiles.toJSON(profiles);
+            expect(content).not.toContain('p1');
+            expect(JSON.parse(content).profiles[0]).not.toHaveProperty('style');
+
+            const { profiles: imported, errors } = voiceProfiles.fromJSON(content);
+            expect(errors).toEqual([]);
+            expect(imported).toHaveLength(2);
+            expect(imported[0]).not.toHaveProperty('id');
+            expect(imported[0]).toMatchObject({ name: 'Promo', voice: 'v1', pitch: 5 });
+            expect(imported[1]).toMatchObject({ name: 'Audiobook', paragraphPauseMs: 800 });
+        });
+
+        it('should accept a single profile and report invalid entries', () => {
+            expect(voiceProfiles.fromJSON('{"name":"Solo","voice":"v"}').profiles).toHaveLength(1);
+
+            const { profiles, errors } = voiceProfiles.fromJSON(JSON.stringify({
+                version: 1,
+                profiles: [{ name: 'Good', voice: 'v' }, { name: 'Bad', voice: 'v', volume: 90 }]
+            }));
+            expect(profiles.map(profile => profile.name)).toEqual(['Good']);
+            expect(errors).toEqual([{ index: 1, message: expect.stringContaining('Volume in profile "Bad"') }]);
+        });
+
+        it('should reject files that are not profile exports', () => {
+            expect(() => voiceProfiles.fromJSON('not json')).toThrow('not valid JSON');
+            expect(() => voiceProfiles.fromJSON('[1, 2]')).toThrow('does not contain voice profiles');
+            expect(() => voiceProfiles.fromJSON('{"version": 9, "profiles": []}')).toThrow('newer');
+        });
+    });
+});
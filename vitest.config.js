@@ -17,7 +17,8 @@ export default defineConfig({
     // Use jsdom environment for renderer tests
     environmentMatchGlobs: [
       ['**/stateManager.test.js', 'jsdom'],
-      ['**/ui-state-management.test.js', 'jsdom']
+      ['**/ui-state-management.test.js', 'jsdom'],
+      ['**/streamingPlayer.test.js', 'jsdom']
     ],
     // Test timeout for performance tests
     testTimeout: 10000,